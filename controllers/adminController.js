@@ -1,5 +1,17 @@
 const pool = require ('../database');
 const bcrypt = require('bcrypt'); 
+const { revokeAllSessions } = require('../utils/sessions');
+const { validatePasswordRules } = require('../utils/passwordRules');
+const { unlockAccount } = require('../utils/loginThrottle');
+const { hasPermission, canAccessCarrera, carreraScopeClause, getRoleDefinition, canAssignRole } = require('../utils/permissions');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+const { validarCorrelatividad, analizarCarrera } = require('../utils/correlatividadGraph');
+const { validarHorario, buscarSuperposiciones, reporteSuperposiciones, buscarConflictosRecurso } = require('../utils/horarioUtils');
+const {
+    fechaCascada, calcularBajaEnCascada, calcularReactivacionEnCascada, aplicarCascada, resumenCascada, superposicionesAlReactivar,
+} = require('../utils/cascada');
+const { validarHorasMateria, reporteHorasCarrera } = require('../utils/horasValidacion');
+const { PRIMER_CUATRIMESTRE } = require('../utils/calendarioAcademico');
 
 // Función de utilidad para manejar errores 400 (Bad Request)
 const validateRequiredFields = (fields, req, res) => {
@@ -16,52 +28,112 @@ const validateRequiredFields = (fields, req, res) => {
 };
 
 /**
- * Verifica si la materia pertenece a las carreras coordinadas por el usuario logueado.
- * Solo se ejecuta si el rol es 'Coordinador'.
- */
-const checkMateriaAccess = async (idMateria, idAdministrador) => {
-    const [rows] = await pool.query(`
-SELECT COUNT(m.id_materia) AS count
-FROM materia m
-INNER JOIN admin_carrera ac ON m.id_carrera = ac.id_carrera
-INNER JOIN administrador a ON ac.id_administrador = a.id_administrador
-WHERE m.id_materia = ? 
-AND ac.id_administrador = ?
-AND m.estado = 'activo'
-AND a.estado IN ('activo', 'suspendido') /* El coordinador debe estar activo o suspendido */
-`, [idMateria, idAdministrador]);
-
-    return rows[0].count > 0;
+ * Asignaciones de 'admin_carrera' de un administrador o de una carrera (para la auditoría).
+ * 'columna' es 'id_administrador' o 'id_carrera'.
+ */
+const getAsignaciones = async (conn, columna, id) => {
+    const [rows] = await conn.query(
+        'SELECT id_administrador, id_carrera FROM admin_carrera WHERE ?? = ? ORDER BY id_administrador, id_carrera',
+        [columna, id]
+    );
+    return rows;
 };
 
 /**
- * 🟢 FUNCIÓN DE UTILIDAD: Valida que la contraseña cumpla con los requisitos de seguridad.
- */
-const validatePasswordRules = (password) => {
-    if (password.length < 8) {
-        return "La contraseña debe tener al menos 8 caracteres.";
-    }
-    if (!/[A-Z]/.test(password)) {
-        return "La contraseña debe contener al menos una letra mayúscula.";
-    }
-    if (!/[a-z]/.test(password)) {
-        return "La contraseña debe contener al menos una letra minúscula.";
-    }
-    if (!/[0-9]/.test(password)) {
-        return "La contraseña debe contener al menos un número.";
-    }
-    // Asume que el usuario acepta la mayoría de los caracteres no alfanuméricos como especiales
-    if (!/[^a-zA-Z0-9\s]/.test(password)) { 
-        return "La contraseña debe contener al menos un carácter especial (ej: !@#$).";
-    }
-    return null; // Contraseña válida
+ * Indica si el usuario logueado puede gestionar una cuenta con el rol indicado: solo las de roles
+ * que él mismo podría asignar (nadie edita, bloquea o da de baja a quien tiene más permisos o alcance).
+ */
+const puedeGestionarCuenta = async (user, nombreRol) => {
+    const rolDef = await getRoleDefinition(nombreRol);
+    return !rolDef || canAssignRole(user, rolDef);
+};
+
+const MENSAJE_CUENTA_PROTEGIDA = 'Prohibido: El rol de esta cuenta tiene permisos o alcance que usted no tiene.';
+
+// Aula y docente de un horario: cómo validar la asignación y qué responder si ya están ocupados
+const RECURSOS_HORARIO = [
+    {
+        recurso: 'aula',
+        columna: 'id_aula',
+        existe: "SELECT 1 FROM aula WHERE id_aula = ? AND estado = 'activa'",
+        noExiste: 'El aula indicada no existe o no está activa.',
+        ocupado: 'El aula ya está ocupada en ese horario por otra materia.',
+    },
+    {
+        recurso: 'docente',
+        columna: 'id_docente',
+        // El docente tiene que estar asignado a la materia (PUT /materias/:id/docentes)
+        existe: `SELECT 1 FROM docente d JOIN materia_docente md ON md.id_docente = d.id_docente
+WHERE d.id_docente = ? AND d.estado = 'activa' AND md.id_materia = ?`,
+        noExiste: 'El docente indicado no existe, no está activo o no está asignado a la materia.',
+        ocupado: 'El docente ya tiene otro horario en ese rango.',
+    },
+];
+
+/**
+ * Valida el rango del horario, que el aula y el docente estén libres y busca superposiciones con
+ * otras materias del mismo año de la carrera. Responde 400/409 y devuelve null si no se puede guardar;
+ * si no, devuelve { datos, superposiciones }.
+ * Con 'forzar_superposicion: true' en el body se guardan igual las superposiciones (intencionales),
+ * pero nunca un aula o un docente ocupados. En la edición, sin 'id_aula' / 'id_docente' en el body
+ * se conservan los del horario 'actual'.
+ */
+const checkHorario = async (req, res, excluirId = null, actual = null) => {
+    const datos = validarHorario(req.body);
+    if (datos.error) {
+        res.status(400).json({ message: datos.error });
+        return null;
+    }
+
+    for (const { recurso, columna, existe, noExiste, ocupado } of RECURSOS_HORARIO) {
+        datos[columna] = req.body[columna] !== undefined ? (req.body[columna] || null) : (actual ? actual[columna] : null);
+        if (!datos[columna]) continue;
+
+        const [rows] = await pool.query(existe, [datos[columna], req.body.id_materia]);
+        if (rows.length === 0) {
+            res.status(400).json({ message: `Error de validación: ${noExiste}` });
+            return null;
+        }
+
+        const conflictos = await buscarConflictosRecurso(recurso, { id: datos[columna], id_materia: req.body.id_materia, ...datos, excluirId });
+        if (conflictos.length > 0) {
+            res.status(409).json({ message: ocupado, [`conflictos_${recurso}`]: conflictos });
+            return null;
+        }
+    }
+
+    const superposiciones = await buscarSuperposiciones({ id_materia: req.body.id_materia, ...datos, excluirId });
+    const forzar = req.body.forzar_superposicion === true || req.body.forzar_superposicion === 'true';
+    if (superposiciones.length > 0 && !forzar) {
+        res.status(409).json({
+            message: 'El horario se superpone con otros horarios de la misma carrera y año. Envíe \'forzar_superposicion: true\' para guardarlo igualmente.',
+            superposiciones,
+        });
+        return null;
+    }
+
+    return { datos, superposiciones };
+};
+
+/**
+ * Verifica si la materia (activa) pertenece a las carreras sobre las que actúa el usuario logueado.
+ * Los roles de alcance global tienen acceso a todas las carreras.
+ */
+const checkMateriaAccess = async (idMateria, user) => {
+    if (user.carreras_a_cargo_ids === null) return true;
+
+    const [rows] = await pool.query(
+        "SELECT id_carrera FROM materia WHERE id_materia = ? AND estado = 'activa'",
+        [idMateria]
+    );
+    return rows.length > 0 && canAccessCarrera(user, rows[0].id_carrera);
 };
 
 // =========================================================
 // UTILIDAD: LISTADO DE COORDINADORES 
 // =========================================================
 
-// @desc    Obtener la lista de administradores con rol 'Coordinador' (SOLO ACTIVOS para poder asignar)
+// @desc    Obtener la lista de administradores asignables a una carrera: roles de alcance 'asignadas' (SOLO ACTIVOS)
 exports.listCoordinadores = async (req, res) => {
     try {
         const sql = `SELECT 
@@ -71,7 +143,7 @@ CONCAT(COALESCE(nombre_administrador, 'ID: '), id_administrador) AS usuario_disp
 FROM 
 administrador
 WHERE 
-rol = 'Coordinador'
+rol IN (SELECT nombre FROM rol WHERE alcance = 'asignadas')
 AND estado = 'activo' 
 ORDER BY 
 nombre_administrador`; 
@@ -90,22 +162,29 @@ nombre_administrador`;
 // ADMINISTRADOR CRUD (ACCESO SÓLO PARA RECTOR) 🔐
 // =========================================================
 
-// @desc    Listar todos los usuarios (Muestra activo y suspendido, oculta inactivo/eliminado lógicamente)
-// @access  Private/Rector
+// @desc    Listar todos los usuarios (Muestra activo y suspendido, oculta inactivo/eliminado lógicamente)
+//          Query opcional: ?bloqueados=true para ver solo las cuentas bloqueadas por intentos fallidos.
+// @access  Private/Rector
 exports.listUsers = async (req, res) => {
-    try {
-        const [users] = await pool.query(`SELECT 
+    const soloBloqueados = req.query.bloqueados === 'true' || req.query.bloqueados === '1';
+
+    try {
+        const [users] = await pool.query(`SELECT 
 id_administrador, 
 nombre_administrador, 
 email, dni, 
 telefono, 
 rol, 
 fecha_creacion,
-estado
+estado,
+intentos_fallidos,
+bloqueado_hasta,
+(bloqueado_hasta IS NOT NULL AND bloqueado_hasta > NOW()) AS cuenta_bloqueada
 FROM 
 administrador
 WHERE 
 estado IN ('activo', 'suspendido') 
+${soloBloqueados ? 'AND bloqueado_hasta > NOW()' : ''}
 ORDER BY 
 nombre_administrador
 `); 
@@ -130,7 +209,10 @@ dni,
 telefono, 
 rol, 
 fecha_creacion,
-estado
+estado,
+intentos_fallidos,
+bloqueado_hasta,
+(bloqueado_hasta IS NOT NULL AND bloqueado_hasta > NOW()) AS cuenta_bloqueada
 FROM 
 administrador 
 WHERE 
@@ -150,46 +232,6 @@ id_administrador = ?
     }
 };
 
-// @desc    Crear un nuevo administrador
-// ... (Sin cambios)
-exports.createUserByAdmin = async (req, res) => {
-    const requiredFields = ['nombre_administrador', 'contraseña', 'rol'];
-    if (!validateRequiredFields(requiredFields, req, res)) return;
-
-    const { nombre_administrador, email, contraseña, dni, telefono, rol } = req.body; 
-
-    const validationError = validatePasswordRules(contraseña);
-    if (validationError) {
-        return res.status(400).json({ message: `Error de validación: ${validationError}` });
-    }
-
-    try {
-        const salt = await bcrypt.genSalt(10);
-        const contraseña_hash = await bcrypt.hash(contraseña, salt);
-
-        const [result] = await pool.query(
-            'INSERT INTO administrador (nombre_administrador, email, contraseña, dni, telefono, rol) VALUES (?, ?, ?, ?, ?, ?)',
-            [nombre_administrador, email || null, contraseña_hash, dni || null, telefono || null, rol]
-        );
-
-        res.status(201).json({ 
-            id_administrador: result.insertId, 
-            nombre_administrador, 
-            rol, 
-            message: 'Administrador creado exitosamente.' 
-        });
-
-    } catch (error) {
-        console.error('Error al crear administrador (Admin):', error); 
-        
-        if (error.code === 'ER_DUP_ENTRY') {
-            return res.status(400).json({ message: 'El nombre de administrador, email o DNI ya está registrado.' });
-        }
-        res.status(500).json({ message: 'Error al crear el administrador.', error: error.message });
-    }
-};
-
-
 // @desc    Actualizar datos de administrador (incluye rol, contraseña opcional y ESTADO)
 // @access  Private/Rector
 exports.updateUserByAdmin = async (req, res) => {
@@ -197,8 +239,8 @@ exports.updateUserByAdmin = async (req, res) => {
     const { nombre_administrador, email, newContraseña, dni, telefono, rol, estado } = req.body; 
     
     const adminLogueadoId = req.user.id;
-    const adminLogueadoRol = req.user.rol;
     const idAdminAEditar = id; 
+    const esPropiaCuenta = String(adminLogueadoId) === String(idAdminAEditar);
     
     let connection;
 
@@ -206,41 +248,35 @@ exports.updateUserByAdmin = async (req, res) => {
         connection = await pool.getConnection();
         await connection.beginTransaction();
 
-        // 1. Obtener datos actuales del administrador a editar
-        const [currentAdminRows] = await connection.query(
-            'SELECT rol, estado FROM administrador WHERE id_administrador = ?', [idAdminAEditar]
-        );
+        // 1. Obtener datos actuales del administrador a editar (fila completa para la auditoría)
+        const currentAdmin = await obtenerRegistro('administrador', 'id_administrador', idAdminAEditar, connection);
         
-        if (currentAdminRows.length === 0) {
+        if (!currentAdmin) {
             await connection.rollback();
             return res.status(404).json({ message: 'Administrador no encontrado.' });
         }
         
-        const currentAdmin = currentAdminRows[0];
         const currentRol = currentAdmin.rol;
         const currentEstado = currentAdmin.estado;
 
-        // 2. CONTROL DE ACCESO BASADO EN ROL
-
-        // A. Restricción principal para Coordinador: Solo puede editarse a sí mismo.
-        if (adminLogueadoRol === 'Coordinador' && String(adminLogueadoId) !== String(idAdminAEditar)) {
+        if (!(await puedeGestionarCuenta(req.user, currentRol))) {
             await connection.rollback();
-            return res.status(403).json({ message: 'Acceso denegado: Un Coordinador solo puede editar sus propios datos.' });
+            return res.status(403).json({ message: MENSAJE_CUENTA_PROTEGIDA });
         }
-        
-        // B. Restricción para Coordinador: NO puede modificar su rol o estado.
-        if (adminLogueadoRol === 'Coordinador') {
-            if (rol !== undefined || estado !== undefined) {
-                 await connection.rollback();
-                return res.status(403).json({ message: 'Acceso denegado: Un Coordinador no puede modificar su rol o estado.' });
-            }
+
+        // 2. CONTROLES DE SEGURIDAD
+
+        // A. La propia contraseña y el propio email se cambian desde /api/auth/me
+        //    (requieren la contraseña actual y la confirmación del nuevo email).
+        if (esPropiaCuenta && (newContraseña || email !== undefined)) {
+            await connection.rollback();
+            return res.status(403).json({ message: 'Para cambiar su propia contraseña o email utilice su perfil (/api/auth/me).' });
         }
         
-        // C. Control de Seguridad 1: No permitir la auto-suspensión/inactivación.
-        // Si el Rector edita, se usa el `estado` del body. Si el Coordinador edita, se usa el `currentEstado`.
+        // B. Control de Seguridad 1: No permitir la auto-suspensión/inactivación.
         const estadoAUsar = estado || currentEstado; 
         
-        if (String(adminLogueadoId) === String(idAdminAEditar) && 
+        if (esPropiaCuenta && 
             (estadoAUsar === 'suspendido' || estadoAUsar === 'inactivo')) 
         {
             if (estadoAUsar !== currentEstado) { // Solo si realmente se está intentando cambiar
@@ -249,16 +285,42 @@ exports.updateUserByAdmin = async (req, res) => {
             }
         }
 
-        // 3. LÓGICA DE DESASIGNACIÓN DE CARRERA (Si el rol es Coordinador y el estado final es suspendido/inactivo)
-        const rolAUsar = rol || currentRol;
+        // C. Control de Seguridad 2: el rol debe existir, nadie cambia su propio rol
+        //    y solo se asignan roles que no den más permisos/alcance que los del usuario logueado.
+        if (rol !== undefined && rol !== currentRol) {
+            if (esPropiaCuenta) {
+                await connection.rollback();
+                return res.status(403).json({ message: 'Prohibido: Un administrador no puede cambiar su propio rol.' });
+            }
+
+            const rolDef = await getRoleDefinition(rol);
+            if (!rolDef) {
+                await connection.rollback();
+                return res.status(400).json({ message: `Error de validación: El rol '${rol}' no existe.` });
+            }
+            if (!canAssignRole(req.user, rolDef)) {
+                await connection.rollback();
+                return res.status(403).json({ message: `Prohibido: No puede asignar el rol '${rol}' porque otorga permisos o alcance que usted no tiene.` });
+            }
+        }
+
+        // 3. LÓGICA DE DESASIGNACIÓN DE CARRERA (Si el estado final es suspendido/inactivo, cualquiera sea el rol)
         const estadoFinal = estadoAUsar;
 
-        if (rolAUsar === 'Coordinador' && (estadoFinal === 'suspendido' || estadoFinal === 'inactivo')) {
+        if (estadoFinal === 'suspendido' || estadoFinal === 'inactivo') {
+            const asignaciones = await getAsignaciones(connection, 'id_administrador', idAdminAEditar);
             const [assignmentsResult] = await connection.query(
                 'DELETE FROM admin_carrera WHERE id_administrador = ?', 
                 [idAdminAEditar]
             );
             console.log(`[INFO] Eliminadas ${assignmentsResult.affectedRows} asignaciones de carrera al suspender/inactivar a Admin ID: ${idAdminAEditar}`);
+
+            if (asignaciones.length > 0) {
+                await registrarAuditoria(req, {
+                    accion: 'desasignar', entidad: 'admin_carrera', id_entidad: idAdminAEditar,
+                    antes: { asignaciones }, despues: { asignaciones: [] },
+                }, connection);
+            }
         }
 
         // 4. CONSTRUCCIÓN DINÁMICA DEL SQL
@@ -266,7 +328,7 @@ exports.updateUserByAdmin = async (req, res) => {
         let sqlParts = [];
         let params = [];
 
-        // Campos Personales (Permitidos para Rector y Coordinador)
+        // Campos Personales
         if (nombre_administrador !== undefined) {
             sqlParts.push('nombre_administrador = ?');
             params.push(nombre_administrador);
@@ -284,32 +346,30 @@ exports.updateUserByAdmin = async (req, res) => {
             params.push(telefono || null);
         }
 
-        // Campos Protegidos (Solo permitidos para el Rector, si se proporcionan en el body)
-        if (adminLogueadoRol === 'Rector') {
-            if (rol !== undefined) {
-                sqlParts.push('rol = ?');
-                params.push(rol);
-            }
+        // Campos Protegidos (rol y estado)
+        if (rol !== undefined) {
+            sqlParts.push('rol = ?');
+            params.push(rol);
+        }
+        
+        // Estado y Campos de Auditoría (Implementa la lógica del turno anterior + 'suspendido')
+        if (estado !== undefined) {
+            sqlParts.push('estado = ?');
+            params.push(estado);
             
-            // Estado y Campos de Auditoría (Implementa la lógica del turno anterior + 'suspendido')
-            if (estado !== undefined) {
-                sqlParts.push('estado = ?');
-                params.push(estado);
-                
-                if (estado === 'suspendido' || estado === 'inactivo') {
-                    // Auditoría para suspensión/inactivación
-                    sqlParts.push('fecha_eliminacion = NOW()');
-                    sqlParts.push('id_administrador_eliminacion = ?');
-                    params.push(adminLogueadoId);
-                } else if (estado === 'activo') {
-                    // Limpiar auditoría al reactivar
-                    sqlParts.push('fecha_eliminacion = NULL');
-                    sqlParts.push('id_administrador_eliminacion = NULL');
-                }
+            if (estado === 'suspendido' || estado === 'inactivo') {
+                // Auditoría para suspensión/inactivación
+                sqlParts.push('fecha_eliminacion = NOW()');
+                sqlParts.push('id_administrador_eliminacion = ?');
+                params.push(adminLogueadoId);
+            } else if (estado === 'activo') {
+                // Limpiar auditoría al reactivar
+                sqlParts.push('fecha_eliminacion = NULL');
+                sqlParts.push('id_administrador_eliminacion = NULL');
             }
         }
 
-        // 5. Manejo de la CONTRASEÑA (Permitido para ambos, si se proporciona)
+        // 5. Manejo de la CONTRASEÑA (Restablecida por el Rector para OTRO usuario, si se proporciona)
         const trimmedNewContraseña = newContraseña ? String(newContraseña).trim() : '';
 
         if (trimmedNewContraseña.length > 0) {
@@ -336,6 +396,20 @@ exports.updateUserByAdmin = async (req, res) => {
 
         const [result] = await connection.query(sql, params); 
 
+        // 7. Revocar TODAS las sesiones si cambió el rol, el estado o la contraseña
+        const cambioRol = rol !== undefined && rol !== currentRol;
+        const cambioEstado = estado !== undefined && estado !== currentEstado;
+        if (cambioRol || cambioEstado || trimmedNewContraseña.length > 0) {
+            await revokeAllSessions(idAdminAEditar, 'cambio_credenciales_admin', connection);
+        }
+
+        // 8. Auditoría (antes/después)
+        await registrarAuditoria(req, {
+            accion: 'actualizar', entidad: 'administrador', id_entidad: idAdminAEditar,
+            antes: currentAdmin,
+            despues: await obtenerRegistro('administrador', 'id_administrador', idAdminAEditar, connection),
+        }, connection);
+
         if (result.affectedRows === 0) {
             // Si el administrador existe, pero no hubo cambios en los valores.
              await connection.commit(); 
@@ -384,31 +458,32 @@ exports.deleteUserByAdmin = async (req, res) => {
         connection = await pool.getConnection(); // Obtener una conexión del pool
         await connection.beginTransaction(); // Iniciar la transacción
 
-        // 1. Verificar si existe y obtener el rol/estado
-        const [adminRows] = await connection.query(
-            'SELECT rol, estado FROM administrador WHERE id_administrador = ?', [id]
-        );
-        const admin = adminRows[0];
+        // 1. Verificar si existe y obtener el rol/estado (fila completa para la auditoría)
+        const admin = await obtenerRegistro('administrador', 'id_administrador', id, connection);
 
         if (!admin) {
             await connection.rollback();
             return res.status(404).json({ message: 'Administrador no encontrado.' });
         }
         
-        if (admin.estado === 'inactivo') {
-            await connection.rollback();
-            return res.status(404).json({ message: 'Administrador no encontrado o ya estaba inactivo.' });
-        }
+        if (admin.estado === 'inactivo') {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Administrador no encontrado o ya estaba inactivo.' });
+        }
 
-        // 2. Si es 'Coordinador', ELIMINAR FÍSICAMENTE sus asignaciones de carrera.
-        if (admin.rol === 'Coordinador') {
-            const [assignmentsResult] = await connection.query(
-                `DELETE FROM admin_carrera 
+        if (!(await puedeGestionarCuenta(req.user, admin.rol))) {
+            await connection.rollback();
+            return res.status(403).json({ message: MENSAJE_CUENTA_PROTEGIDA });
+        }
+
+        // 2. ELIMINAR FÍSICAMENTE sus asignaciones de carrera (si las tuviera, según el alcance de su rol).
+        const asignaciones = await getAsignaciones(connection, 'id_administrador', id);
+        const [assignmentsResult] = await connection.query(
+            `DELETE FROM admin_carrera 
 WHERE id_administrador = ?`,
-                [id]
-            );
-            console.log(`[INFO] Eliminadas ${assignmentsResult.affectedRows} asignaciones de carrera para Admin ID: ${id}`);
-        }
+            [id]
+        );
+        console.log(`[INFO] Eliminadas ${assignmentsResult.affectedRows} asignaciones de carrera para Admin ID: ${id}`);
 
         // 3. Eliminar Lógicamente (Soft Delete) el registro del administrador
         const [result] = await connection.query(
@@ -422,12 +497,28 @@ id_administrador = ?`,
             [idAdministradorLogueado, id]
         );
 
-        if (result.affectedRows === 0) {
-            await connection.rollback();
-            return res.status(404).json({ message: 'Administrador no encontrado o no se pudo marcar como inactivo.' });
-        }
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Administrador no encontrado o no se pudo marcar como inactivo.' });
+        }
 
-        await connection.commit(); // Confirmar la transacción
+        // 4. Revocar todas las sesiones abiertas del administrador eliminado
+        await revokeAllSessions(id, 'cuenta_eliminada', connection);
+
+        // 5. Auditoría (baja lógica + asignaciones eliminadas)
+        await registrarAuditoria(req, {
+            accion: 'eliminar', entidad: 'administrador', id_entidad: id,
+            antes: admin,
+            despues: await obtenerRegistro('administrador', 'id_administrador', id, connection),
+        }, connection);
+        if (asignaciones.length > 0) {
+            await registrarAuditoria(req, {
+                accion: 'desasignar', entidad: 'admin_carrera', id_entidad: id,
+                antes: { asignaciones }, despues: { asignaciones: [] },
+            }, connection);
+        }
+
+        await connection.commit(); // Confirmar la transacción
         
         res.json({ 
             message: 'Administrador y sus asignaciones de Coordinador marcados como inactivos (eliminación lógica) con éxito.',
@@ -449,21 +540,120 @@ id_administrador = ?`,
     }
 };
 
+// @desc    Desbloquear una cuenta bloqueada por intentos fallidos de login
+// @route   POST /api/admin/usuarios/:id/desbloquear
+// @access  Private/Rector
+exports.unlockUserByAdmin = async (req, res) => {
+    const { id } = req.params;
+    let connection;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const antes = await obtenerRegistro('administrador', 'id_administrador', id, connection);
+        if (!antes) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Administrador no encontrado.' });
+        }
+        if (!(await puedeGestionarCuenta(req.user, antes.rol))) {
+            await connection.rollback();
+            return res.status(403).json({ message: MENSAJE_CUENTA_PROTEGIDA });
+        }
+
+        const affected = await unlockAccount(id, { desbloqueadoPor: req.user.id, ip: req.ip }, connection);
+
+        if (affected === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Administrador no encontrado.' });
+        }
+
+        await registrarAuditoria(req, {
+            accion: 'desbloquear', entidad: 'administrador', id_entidad: id,
+            antes, despues: await obtenerRegistro('administrador', 'id_administrador', id, connection),
+        }, connection);
+
+        await connection.commit();
+
+        res.json({ message: 'Cuenta desbloqueada con éxito. Se reiniciaron los intentos fallidos.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al desbloquear administrador (Admin):', error);
+        res.status(500).json({ message: 'Error interno del servidor al desbloquear la cuenta.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Restablecer el 2FA de un administrador (pérdida del dispositivo y de los códigos de recuperación)
+// @route   DELETE /api/admin/usuarios/:id/2fa
+// @access  Private/Rector
+exports.resetUserTwoFactor = async (req, res) => {
+    const { id } = req.params;
+    let connection;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const antes = await obtenerRegistro('administrador', 'id_administrador', id, connection);
+        if (!antes) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Administrador no encontrado.' });
+        }
+        if (!(await puedeGestionarCuenta(req.user, antes.rol))) {
+            await connection.rollback();
+            return res.status(403).json({ message: MENSAJE_CUENTA_PROTEGIDA });
+        }
+
+        const [result] = await connection.query(
+            `UPDATE administrador
+SET totp_secreto = NULL, totp_secreto_pendiente = NULL, totp_habilitado = 0, totp_ultimo_paso = NULL
+WHERE id_administrador = ?`,
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Administrador no encontrado.' });
+        }
+
+        await connection.query('DELETE FROM codigo_recuperacion WHERE id_administrador = ?', [id]);
+        // Las sesiones abiertas se cierran: el usuario deberá volver a ingresar (y enrolarse si es obligatorio)
+        await revokeAllSessions(id, 'reset_2fa_admin', connection);
+
+        await registrarAuditoria(req, {
+            accion: 'reset_2fa', entidad: 'administrador', id_entidad: id,
+            antes, despues: await obtenerRegistro('administrador', 'id_administrador', id, connection),
+        }, connection);
+
+        await connection.commit();
+
+        res.json({ message: 'Autenticación en dos pasos restablecida. El usuario deberá configurarla nuevamente.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al restablecer 2FA (Admin):', error);
+        res.status(500).json({ message: 'Error interno del servidor al restablecer 2FA.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
 // =========================================================
-// CARRERAS CRUD (Lógica Granular Rector/Coordinador)
+// CARRERAS CRUD (Lógica Granular por Permisos y Alcance del Rol)
 // =========================================================
 
-// @desc    Obtener todas las carreras (Incluye nombre de Coordinador, filtrado por Rol y Eliminación Lógica)
+// @desc    Obtener todas las carreras (Incluye nombre de Coordinador, filtrado por Alcance y Eliminación Lógica)
 exports.getCarreras = async (req, res) => {
-    const { id_administrador, rol } = req.user; 
+    const user = req.user; 
 
     try {
         let params = [];
         
         // 🟢 MODIFICACIÓN CLAVE: Determinar el filtro de estado dinámicamente
-        // Rector: ve 'activa' y 'cerrada'.
-        // Coordinador: solo ve 'activa'.
-        const estadoFilter = rol === 'Coordinador' 
+        // Alcance global (ej: Rector): ve 'activa' y 'cerrada'.
+        // Alcance por carreras asignadas (ej: Coordinador): solo ve 'activa'.
+        const estadoFilter = user.carreras_a_cargo_ids !== null 
             ? "c.estado = 'activa'" 
             : "c.estado IN ('activa', 'cerrada')";
 
@@ -475,25 +665,16 @@ carrera c
 LEFT JOIN 
 admin_carrera ac ON c.id_carrera = ac.id_carrera
 LEFT JOIN 
-administrador a ON ac.id_administrador = a.id_administrador AND a.rol = 'Coordinador'
+administrador a ON ac.id_administrador = a.id_administrador
+    AND a.rol IN (SELECT nombre FROM rol WHERE alcance = 'asignadas')
 WHERE 
 ${estadoFilter} `; // <-- Aplicamos el filtro de estado dinámico
         
-        // Aplicar lógica de permisos basada en el rol
-        if (rol === 'Coordinador') {
-            // Un Coordinador solo ve las carreras activas a las que está asignado.
-            // Mantenemos la corrección de indentación para evitar errores de sintaxis.
-            sql += `
-AND c.id_carrera IN (
-SELECT id_carrera 
-FROM admin_carrera 
-WHERE id_administrador = ?
-)
-`;
-            params.push(id_administrador);
-            
-        } else if (rol !== 'Rector') {
-             return res.status(403).json({ message: 'Permisos insuficientes para esta operación.' });
+        // Aplicar el alcance del rol: solo las carreras asignadas (si no es global)
+        const scope = carreraScopeClause(user, 'c.id_carrera');
+        if (scope) {
+            sql += ` AND ${scope.sql}`;
+            params.push(...scope.params);
         }
         
         sql += ' ORDER BY c.nombre_carrera';
@@ -509,8 +690,7 @@ WHERE id_administrador = ?
 
 // @desc Obtener una carrera por ID (Incluye id_coordinador para edición y Verificación por Rol)
 exports.getCarreraById = async (req, res) => {
-    const { id: id_carrera } = req.params;
-    const { id_administrador, rol } = req.user; 
+    const { id: id_carrera } = req.params;
 
     try {
         // 1. Obtener datos de la carrera y el ID del coordinador
@@ -521,7 +701,8 @@ c.*,
 ac.id_administrador AS id_coordinador 
 FROM carrera c
 LEFT JOIN admin_carrera ac ON c.id_carrera = ac.id_carrera
-LEFT JOIN administrador a ON ac.id_administrador = a.id_administrador AND a.rol = 'Coordinador'
+LEFT JOIN administrador a ON ac.id_administrador = a.id_administrador
+    AND a.rol IN (SELECT nombre FROM rol WHERE alcance = 'asignadas')
 WHERE c.id_carrera = ?
 `, [id_carrera]);
         
@@ -531,18 +712,10 @@ WHERE c.id_carrera = ?
             return res.status(404).json({ message: 'Carrera no encontrada.' });
         }
 
-        // 2. Verificación de Permisos (solo para Coordinador)
-        if (rol === 'Coordinador') {
-            // Un Coordinador solo puede ver la carrera si está asignado a ella
-            const [relaciones] = await pool.query(
-                'SELECT 1 FROM admin_carrera WHERE id_administrador = ? AND id_carrera = ?', 
-                [id_administrador, id_carrera]
-            );
-
-            if (relaciones.length === 0) {
-                return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre esta carrera.' });
-            }
-        }
+        // 2. Verificación del alcance (solo puede ver la carrera si está asignado a ella o es global)
+        if (!canAccessCarrera(req.user, id_carrera)) {
+            return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre esta carrera.' });
+        }
         
         res.json(carrera); 
     } catch (error) {
@@ -553,14 +726,8 @@ WHERE c.id_carrera = ?
 
 // @desc    Crear una nueva carrera (Transaccional: Carrera + Asignación de Coordinador)
 exports.createCarrera = async (req, res) => {
-    const { rol } = req.user;
-
-    // 1. Restringir a Rector
-    if (rol !== 'Rector') { 
-        return res.status(403).json({ message: 'Acceso denegado. Solo el Rector puede crear nuevas carreras.' });
-    }
-    
-    const { nombre_carrera, duracion, modalidad, año_aprobacion, id_coordinador } = req.body;
+    // 1. El permiso 'carrera:create' lo valida la ruta (authorize)
+    const { nombre_carrera, duracion, modalidad, año_aprobacion, id_coordinador } = req.body;
 
     if (!nombre_carrera || !duracion || !modalidad || !año_aprobacion || !id_coordinador) {
         return res.status(400).json({ message: 'Error de validación: Faltan campos obligatorios, incluyendo la asignación del Coordinador.' });
@@ -581,13 +748,24 @@ exports.createCarrera = async (req, res) => {
         
         const newCarreraId = carreraResult.insertId;
 
-        // 3. Insertar la asignación del coordinador en admin_carrera
-        await connection.query(
-            'INSERT INTO admin_carrera (id_administrador, id_carrera) VALUES (?, ?)',
-            [id_coordinador, newCarreraId]
-        );
+        // 3. Insertar la asignación del coordinador en admin_carrera
+        await connection.query(
+            'INSERT INTO admin_carrera (id_administrador, id_carrera) VALUES (?, ?)',
+            [id_coordinador, newCarreraId]
+        );
+
+        // 4. Auditoría: alta de la carrera y asignación del coordinador
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'carrera', id_entidad: newCarreraId,
+            despues: await obtenerRegistro('carrera', 'id_carrera', newCarreraId, connection),
+        }, connection);
+        await registrarAuditoria(req, {
+            accion: 'asignar', entidad: 'admin_carrera', id_entidad: newCarreraId,
+            antes: { asignaciones: [] },
+            despues: { asignaciones: await getAsignaciones(connection, 'id_carrera', newCarreraId) },
+        }, connection);
 
-        // COMMIT DE LA TRANSACCIÓN
+        // COMMIT DE LA TRANSACCIÓN
         await connection.commit();
 
         res.status(201).json({ 
@@ -610,7 +788,7 @@ exports.createCarrera = async (req, res) => {
 // @desc    Actualizar una carrera (Transaccional: Carrera + Asignación de Coordinador + Estado)
 exports.updateCarrera = async (req, res) => {
     const { id: id_carrera } = req.params;
-    const { id_administrador, rol } = req.user; 
+    const { id_administrador } = req.user; 
     
     // 🟢 MODIFICACIÓN 1: Incluir 'estado' en la desestructuración
     const { 
@@ -622,6 +800,13 @@ exports.updateCarrera = async (req, res) => {
         estado // <-- Nuevo campo capturado
     } = req.body;
 
+    // ?preview=true: solo devuelve lo que afectaría el cambio de estado
+    // ?cascada=true: al reactivar, reactiva también lo que se dio de baja junto con la carrera
+    // ?forzar_superposicion=true: reactiva igual los horarios que se superpondrían con otros activos
+    const preview = req.query.preview === 'true' || req.query.preview === '1';
+    const reactivarEnCascada = req.query.cascada === 'true' || req.query.cascada === '1';
+    const forzar = req.query.forzar_superposicion === 'true' || req.query.forzar_superposicion === '1';
+
     // Validación de campos básicos de la carrera
     if (!nombre_carrera || !duracion || !modalidad || !año_aprobacion) {
         return res.status(400).json({ message: 'Error de validación: Faltan campos de carrera obligatorios para la actualización.' });
@@ -633,29 +818,53 @@ exports.updateCarrera = async (req, res) => {
             return res.status(400).json({ message: 'Error de validación: El estado de la carrera solo puede ser "activa", "cerrada" o "inactiva".' });
         }
         
-        // Los cambios de estado críticos ('cerrada' o 'inactiva') solo pueden ser hechos por el Rector
-        if ((estado === 'cerrada' || estado === 'inactiva') && rol !== 'Rector') {
-            return res.status(403).json({ message: 'Acceso denegado: Solo el Rector puede cerrar o inactivar una carrera.' });
+        // Los cambios de estado críticos ('cerrada' o 'inactiva') requieren el permiso 'carrera:close'
+        if ((estado === 'cerrada' || estado === 'inactiva') && !hasPermission(req.user, 'carrera:close')) {
+            return res.status(403).json({ message: 'Acceso denegado: Se requiere el permiso \'carrera:close\' para cerrar o inactivar una carrera.' });
         }
     }
     
     let connection;
     try {
-        // 1. Verificación de Permisos (Coordinador) sobre los datos de la carrera (no sobre el estado)
-        if (rol === 'Coordinador') {
-            const [relaciones] = await pool.query(
-                'SELECT 1 FROM admin_carrera WHERE id_administrador = ? AND id_carrera = ?', 
-                [id_administrador, id_carrera]
-            );
-            if (relaciones.length === 0) {
-                return res.status(403).json({ message: 'Acceso denegado. Solo puede actualizar carreras que le han sido asignadas.' });
-            }
+        // 1. Verificación del alcance sobre los datos de la carrera (no sobre el estado)
+        if (!canAccessCarrera(req.user, id_carrera)) {
+            return res.status(403).json({ message: 'Acceso denegado. Solo puede actualizar carreras que le han sido asignadas.' });
         }
 
         // INICIO DE LA TRANSACCIÓN
         connection = await pool.getConnection();
         await connection.beginTransaction();
 
+        // Estado previo para la auditoría
+        const carreraAntes = await obtenerRegistro('carrera', 'id_carrera', id_carrera, connection);
+        const asignacionesAntes = await getAsignaciones(connection, 'id_carrera', id_carrera);
+
+        // Cambio de estado en cascada: baja de materias/horarios/correlatividades o reactivación opcional
+        const cambiaEstado = Boolean(estado && carreraAntes && estado !== carreraAntes.estado);
+        let afectados = { materias: [], horarios: [], correlatividades: [] };
+        if (cambiaEstado && estado !== 'activa' && carreraAntes.estado === 'activa') {
+            afectados = await calcularBajaEnCascada(connection, 'carrera', id_carrera);
+        } else if (cambiaEstado && estado === 'activa' && reactivarEnCascada) {
+            afectados = await calcularReactivacionEnCascada(connection, 'carrera', carreraAntes);
+        }
+        const superposiciones = estado === 'activa' ? await superposicionesAlReactivar(connection, afectados.horarios) : [];
+
+        if (preview) {
+            await connection.rollback();
+            if (!carreraAntes) {
+                return res.status(404).json({ message: 'Carrera no encontrada.' });
+            }
+            return res.json({ preview: true, carrera: carreraAntes, estado_nuevo: estado || carreraAntes.estado, afectados: resumenCascada(afectados), superposiciones });
+        }
+        if (superposiciones.length > 0 && !forzar) {
+            await connection.rollback();
+            return res.status(409).json({
+                message: 'Al reactivar, uno o más horarios se superpondrían con otros de la misma carrera y año. Envíe \'?forzar_superposicion=true\' para reactivarlos igualmente.',
+                superposiciones,
+            });
+        }
+        const fecha = fechaCascada();
+
         // 🟢 MODIFICACIÓN 3: Construcción dinámica del SQL
         let sql = 'UPDATE carrera SET nombre_carrera = ?, duracion = ?, modalidad = ?, año_aprobacion = ?';
         const params = [nombre_carrera, duracion, modalidad, año_aprobacion];
@@ -665,11 +874,13 @@ exports.updateCarrera = async (req, res) => {
             sql += ', estado = ?';
             params.push(estado);
             
-            if (estado === 'cerrada' || estado === 'inactiva') {
-                // Registro de auditoría para estados de finalización/eliminación
-                sql += ', fecha_eliminacion = NOW(), id_administrador_eliminacion = ?';
-                params.push(id_administrador); // ID del administrador logueado
-            } else if (estado === 'activa') {
+            // Solo la baja desde 'activa' pone un sello nuevo: sin cambio de estado, o de 'cerrada' a 'inactiva'
+            // (y viceversa), se conserva el de la cascada original para poder reactivarla después
+            if (cambiaEstado && carreraAntes.estado === 'activa') {
+                // Registro de auditoría para estados de finalización/eliminación (la misma fecha que la cascada)
+                sql += ', fecha_eliminacion = ?, id_administrador_eliminacion = ?';
+                params.push(fecha, id_administrador); // ID del administrador logueado
+            } else if (cambiaEstado && estado === 'activa') {
                 // Limpiar campos de auditoría si se reactiva
                 sql += ', fecha_eliminacion = NULL, id_administrador_eliminacion = NULL';
             }
@@ -695,6 +906,31 @@ exports.updateCarrera = async (req, res) => {
             );
         }
 
+        // 4. Propagar el cambio de estado a materias, horarios y correlatividades
+        let cascada = { aulas_liberadas: [], docentes_liberados: [], correlatividades_omitidas: [] };
+        if (cambiaEstado) {
+            cascada = await aplicarCascada(connection, req, afectados, {
+                estado, fecha, id_administrador,
+            });
+        }
+
+        // 5. Auditoría: datos de la carrera y, si cambió, la asignación del coordinador
+        if (carreraAntes) {
+            await registrarAuditoria(req, {
+                accion: 'actualizar', entidad: 'carrera', id_entidad: id_carrera,
+                antes: carreraAntes,
+                despues: await obtenerRegistro('carrera', 'id_carrera', id_carrera, connection),
+            }, connection);
+
+            const asignacionesDespues = await getAsignaciones(connection, 'id_carrera', id_carrera);
+            if (JSON.stringify(asignacionesAntes) !== JSON.stringify(asignacionesDespues)) {
+                await registrarAuditoria(req, {
+                    accion: asignacionesDespues.length > 0 ? 'asignar' : 'desasignar', entidad: 'admin_carrera', id_entidad: id_carrera,
+                    antes: { asignaciones: asignacionesAntes }, despues: { asignaciones: asignacionesDespues },
+                }, connection);
+            }
+        }
+
         // COMMIT DE LA TRANSACCIÓN
         await connection.commit();
         
@@ -709,7 +945,12 @@ exports.updateCarrera = async (req, res) => {
             return res.json({ message: 'Carrera y asignación de Coordinador actualizadas con éxito (no hubo cambios en los campos).' });
         }
 
-        res.json({ message: 'Carrera y asignación de Coordinador actualizadas con éxito.' });
+        res.json({
+            message: 'Carrera y asignación de Coordinador actualizadas con éxito.',
+            afectados: resumenCascada(afectados),
+            ...cascada,
+            superposiciones,
+        });
     } catch (error) {
         // ROLLBACK EN CASO DE ERROR
         if (connection) await connection.rollback();
@@ -720,34 +961,51 @@ exports.updateCarrera = async (req, res) => {
     }
 };
 
-// @desc    Eliminar una carrera (Acceso SÓLO Rector - IMPLEMENTACIÓN DE ELIMINACIÓN LÓGICA)
+// @desc    Eliminar una carrera (Permiso 'carrera:close' - IMPLEMENTACIÓN DE ELIMINACIÓN LÓGICA)
 exports.deleteCarrera = async (req, res) => {
-    const { id: id_carrera } = req.params;
-    const { rol, id_administrador } = req.user; // Necesitamos id_administrador para auditoría
-    
-    let connection;
+    const { id: id_carrera } = req.params;
+    const { id_administrador } = req.user; // Necesitamos id_administrador para auditoría
+    const preview = req.query.preview === 'true' || req.query.preview === '1'; // Solo devuelve lo que se afectaría
+    
+    let connection;
 
-    try {
-        // 1. Restringir a Rector
-        if (rol !== 'Rector') {
-            return res.status(403).json({ message: 'Acceso denegado. Solo el Rector puede eliminar carreras.' });
-        }
-        
-        // INICIO DE LA TRANSACCIÓN
-        connection = await pool.getConnection();
-        await connection.beginTransaction();
-        
-        // 2. Ejecutar la ELIMINACIÓN LÓGICA (UPDATE)
+    try {
+        // 1. El permiso 'carrera:close' lo valida la ruta; se verifica además el alcance
+        if (!canAccessCarrera(req.user, id_carrera)) {
+            return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre esta carrera.' });
+        }
+        
+        // INICIO DE LA TRANSACCIÓN
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // Estado previo para la auditoría
+        const carreraAntes = await obtenerRegistro('carrera', 'id_carrera', id_carrera, connection);
+        const asignacionesAntes = await getAsignaciones(connection, 'id_carrera', id_carrera);
+
+        // Materias, horarios y correlatividades que se darán de baja junto con la carrera
+        const afectados = await calcularBajaEnCascada(connection, 'carrera', id_carrera);
+
+        if (preview) {
+            await connection.rollback();
+            if (!carreraAntes) {
+                return res.status(404).json({ message: 'Carrera no encontrada.' });
+            }
+            return res.json({ preview: true, carrera: carreraAntes, afectados: resumenCascada(afectados) });
+        }
+        const fecha = fechaCascada();
+        
+        // 2. Ejecutar la ELIMINACIÓN LÓGICA (UPDATE)
         // 🟢 CORRECCIÓN: Eliminación de la indentación inicial en la plantilla literal
         // Se registra la fecha y el administrador que realiza la eliminación lógica
         const [result] = await connection.query(`
 UPDATE carrera 
 SET 
 estado = 'inactiva', -- Estado de eliminación lógica
-fecha_eliminacion = NOW(), 
+fecha_eliminacion = ?, 
 id_administrador_eliminacion = ?
 WHERE id_carrera = ? AND estado != 'inactiva' -- Solo si no está ya inactiva
-`, [id_administrador, id_carrera]); // Se usa id_administrador para auditoría
+`, [fecha, id_administrador, id_carrera]); // Se usa id_administrador para auditoría
         
         if (result.affectedRows === 0) {
             await connection.rollback();
@@ -765,11 +1023,32 @@ WHERE id_carrera = ? AND estado != 'inactiva' -- Solo si no está ya inactiva
             'DELETE FROM admin_carrera WHERE id_carrera = ?', 
             [id_carrera]
         );
-        console.log(`[INFO] Eliminadas ${assignmentsResult.affectedRows} asignaciones de coordinador para Carrera ID: ${id_carrera} (Desvinculación por eliminación lógica).`);
+        console.log(`[INFO] Eliminadas ${assignmentsResult.affectedRows} asignaciones de coordinador para Carrera ID: ${id_carrera} (Desvinculación por eliminación lógica).`);
+
+        // 4. Baja en cascada (misma fecha y administrador que la carrera)
+        await aplicarCascada(connection, req, afectados, {
+            estado: 'inactiva', fecha, id_administrador,
+        });
+
+        // 5. Auditoría: baja lógica y desvinculación del coordinador
+        await registrarAuditoria(req, {
+            accion: 'eliminar', entidad: 'carrera', id_entidad: id_carrera,
+            antes: carreraAntes,
+            despues: await obtenerRegistro('carrera', 'id_carrera', id_carrera, connection),
+        }, connection);
+        if (asignacionesAntes.length > 0) {
+            await registrarAuditoria(req, {
+                accion: 'desasignar', entidad: 'admin_carrera', id_entidad: id_carrera,
+                antes: { asignaciones: asignacionesAntes }, despues: { asignaciones: [] },
+            }, connection);
+        }
 
-        await connection.commit();
+        await connection.commit();
         
-        res.json({ message: 'Carrera eliminada lógicamente (estado: inactiva), se registró la auditoría y se eliminó la asignación de coordinador con éxito.' });
+        res.json({
+            message: 'Carrera eliminada lógicamente (estado: inactiva), se registró la auditoría y se eliminó la asignación de coordinador con éxito.',
+            afectados: resumenCascada(afectados),
+        });
     } catch (error) {
         if (connection) {
             await connection.rollback();
@@ -796,34 +1075,22 @@ exports.getMateriasAll = async (req, res) => {
     // Obtener el filtro opcional de carrera del frontend
     const id_carrera_query = req.query.id_carrera; 
     
-    // 1. Lógica de filtrado por Rol
-    if (user.rol === 'Coordinador') {
-        const carrerasIds = user.carreras_a_cargo_ids;
-        
-        if (!carrerasIds || carrerasIds.length === 0) {
+    // 1. Lógica de filtrado por Alcance del rol
+    const scope = carreraScopeClause(user, 'm.id_carrera');
+    if (scope) {
+        if (user.carreras_a_cargo_ids.length === 0) {
             return res.json([]); 
         }
         
-        // Condición base: el Coordinador solo puede ver materias de sus carreras
-        const placeholders = carrerasIds.map(() => '?').join(', ');
-        whereClauses.push(`m.id_carrera IN (${placeholders})`);
-        params.push(...carrerasIds); 
-        
-        // Aplicar el filtro adicional por id_carrera (del frontend)
-        if (id_carrera_query) {
-            whereClauses.push(`m.id_carrera = ?`);
-            params.push(id_carrera_query);
-        }
-
-    } else if (user.rol === 'Rector') {
-        // El Rector ve todas, pero puede filtrar opcionalmente por id_carrera
-        if (id_carrera_query) {
-            whereClauses.push(`m.id_carrera = ?`);
-            params.push(id_carrera_query);
-        }
-        
-    } else {
-        return res.status(403).json({ message: 'Acceso denegado. Rol no autorizado.' });
+        // Condición base: solo puede ver materias de sus carreras asignadas
+        whereClauses.push(scope.sql);
+        params.push(...scope.params); 
+    }
+    
+    // Aplicar el filtro adicional por id_carrera (del frontend)
+    if (id_carrera_query) {
+        whereClauses.push(`m.id_carrera = ?`);
+        params.push(id_carrera_query);
     }
     
     // FILTRO DE ESTADO para Eliminación Lógica
@@ -840,6 +1107,7 @@ exports.getMateriasAll = async (req, res) => {
         m.año,
         m.campo_formacion,
         m.modalidad,
+        m.periodo,
         m.formato,
         m.horas_semanales,
         m.total_horas_anuales,
@@ -868,16 +1136,14 @@ exports.getMateriaById = async (req, res) => {
     let query = "SELECT * FROM materia WHERE id_materia = ? AND estado = 'activa'";
     let params = [id];
     
-    if (user.rol === 'Coordinador') {
-        const carrerasIds = user.carreras_a_cargo_ids;
-
-        if (!carrerasIds || carrerasIds.length === 0) {
-            return res.status(403).json({ message: 'Materia no encontrada o acceso denegado (Coordinador sin carreras asignadas).' });
+    const scope = carreraScopeClause(user, 'id_carrera');
+    if (scope) {
+        if (user.carreras_a_cargo_ids.length === 0) {
+            return res.status(403).json({ message: 'Materia no encontrada o acceso denegado (sin carreras asignadas).' });
         }
         
-        const placeholders = carrerasIds.map(() => '?').join(', ');
-        query += ` AND id_carrera IN (${placeholders})`;
-        params.push(...carrerasIds); 
+        query += ` AND ${scope.sql}`;
+        params.push(...scope.params); 
     }
 
     try {
@@ -892,7 +1158,51 @@ exports.getMateriaById = async (req, res) => {
     }
 };
 
-// @desc 	Crear una nueva materia (Rector: todo, Coordinador: solo sus carreras)
+// @desc    Informe de consistencia de horas de una carrera: horas semanales, total anual y minutos
+//          programados en los horarios de cada materia, más la carga semanal sumada por año
+// @route   GET /api/admin/carreras/:id/horas/validacion
+// @access  Private (materia:read)
+exports.getValidacionHoras = async (req, res) => {
+    const { id: id_carrera } = req.params;
+
+    if (!canAccessCarrera(req.user, id_carrera)) {
+        return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre esta carrera.' });
+    }
+
+    try {
+        const [carreras] = await pool.query('SELECT id_carrera, nombre_carrera FROM carrera WHERE id_carrera = ?', [id_carrera]);
+        if (carreras.length === 0) {
+            return res.status(404).json({ message: 'Carrera no encontrada.' });
+        }
+
+        const reporte = await reporteHorasCarrera(id_carrera);
+        const totalAdvertencias = reporte.materias.reduce((total, m) => total + m.advertencias.length, 0);
+
+        res.json({ ...carreras[0], total_advertencias: totalAdvertencias, ...reporte });
+    } catch (error) {
+        console.error('Error al validar las horas de la carrera:', error);
+        res.status(500).json({ message: 'Error interno del servidor al validar las horas.' });
+    }
+};
+
+/**
+ * Período de cursado de la materia según su modalidad: { periodo } o { error }.
+ * Las anuales se dictan todo el año; en las cuatrimestrales, si no se indica el cuatrimestre,
+ * se conserva el actual o se toma el primero.
+ */
+const resolverPeriodoMateria = (modalidad, periodo, periodoActual = null) => {
+    if (modalidad === 'Anual') {
+        if (periodo && periodo !== 'Anual') return { error: 'Una materia de modalidad Anual no puede dictarse en un solo cuatrimestre.' };
+        return { periodo: 'Anual' };
+    }
+    if (modalidad === 'Cuatrimestral') {
+        if (periodo === 'Anual') return { error: 'Indique en qué cuatrimestre se dicta la materia cuatrimestral.' };
+        return { periodo: periodo || (periodoActual && periodoActual !== 'Anual' ? periodoActual : PRIMER_CUATRIMESTRE) };
+    }
+    return { periodo: periodo || periodoActual || 'Anual' };
+};
+
+// @desc 	Crear una nueva materia (solo en las carreras del alcance del usuario)
 exports.createMateria = async (req, res) => {
     const user = req.user;
     
@@ -901,25 +1211,30 @@ exports.createMateria = async (req, res) => {
         modalidad, formato, horas_semanales, total_horas_anuales, acreditacion
     } = req.body; 
 
-    // 1. Lógica de Permisos para Coordinador
-    if (user.rol === 'Coordinador') {
-        const carreraIdToCreate = parseInt(id_carrera);
-        // Convertir IDs a números para una comparación segura
-        const carrerasAsignadas = user.carreras_a_cargo_ids.map(id => parseInt(id)); 
+    // 1. Verificación del alcance: solo puede crear materias en sus carreras
+    if (!canAccessCarrera(user, id_carrera)) {
+        return res.status(403).json({ message: 'Acceso denegado. Solo puede crear materias para las carreras que coordina.' });
+    }
 
-        if (!carrerasAsignadas.includes(carreraIdToCreate)) {
-            return res.status(403).json({ message: 'Acceso denegado. Solo puede crear materias para las carreras que coordina.' });
-        }
-    } else if (user.rol !== 'Rector') {
-        return res.status(403).json({ message: 'Acceso denegado. Rol no autorizado.' });
+    const { periodo, error: errorPeriodo } = resolverPeriodoMateria(modalidad, req.body.periodo);
+    if (errorPeriodo) {
+        return res.status(400).json({ message: errorPeriodo });
     }
     
     try {
         const [result] = await pool.query(
-            `INSERT INTO materia (nombre_materia, id_carrera, año, campo_formacion, modalidad, formato, horas_semanales, total_horas_anuales, acreditacion) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [nombre_materia, id_carrera, año, campo_formacion, modalidad, formato, horas_semanales, total_horas_anuales, acreditacion]
+            `INSERT INTO materia (nombre_materia, id_carrera, año, campo_formacion, modalidad, periodo, formato, horas_semanales, total_horas_anuales, acreditacion) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [nombre_materia, id_carrera, año, campo_formacion, modalidad, periodo, formato, horas_semanales, total_horas_anuales, acreditacion]
         );
-        res.status(201).json({ id_materia: result.insertId, ...req.body, message: 'Materia creada con éxito.' });
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'materia', id_entidad: result.insertId,
+            despues: await obtenerRegistro('materia', 'id_materia', result.insertId),
+        });
+
+        // Consistencia de horas (solo advertencias: no impiden guardar)
+        const advertencias = await validarHorasMateria(req.body);
+
+        res.status(201).json({ id_materia: result.insertId, ...req.body, periodo, advertencias, message: 'Materia creada con éxito.' });
     } catch (error) {
         console.error('Error al crear materia:', error);
         if (error.code === 'ER_NO_REFERENCED_ROW_2') {
@@ -929,7 +1244,7 @@ exports.createMateria = async (req, res) => {
     }
 };
 
-// @desc 	Actualizar una materia (Rector: todo, Coordinador: solo sus carreras)
+// @desc 	Actualizar una materia (solo en las carreras del alcance del usuario)
 exports.updateMateria = async (req, res) => {
     const { id } = req.params;
     const user = req.user;
@@ -942,42 +1257,51 @@ exports.updateMateria = async (req, res) => {
     let updateWhereClause = 'id_materia = ?';
     let params = [nombre_materia, id_carrera, año, campo_formacion, modalidad, formato, horas_semanales, total_horas_anuales, acreditacion, id];
     
-    // Lógica de Permisos para Coordinador (Correcto)
-    if (user.rol === 'Coordinador') {
-        const carrerasIds = user.carreras_a_cargo_ids;
-        
-        if (!carrerasIds || carrerasIds.length === 0) {
+    // Verificación del alcance (roles limitados a sus carreras asignadas)
+    const scope = carreraScopeClause(user, 'id_carrera');
+    if (scope) {
+        if (user.carreras_a_cargo_ids.length === 0) {
             return res.status(403).json({ message: 'Acceso denegado. No tiene carreras asignadas.' });
         }
         
-        // 1. Impedir que el coordinador cambie la materia a una carrera que NO es la suya (Seguridad)
-        const idCarreraBody = parseInt(id_carrera);
-        if (id_carrera && !carrerasIds.map(id => parseInt(id)).includes(idCarreraBody)) {
+        // 1. Impedir que cambie la materia a una carrera que NO es la suya (Seguridad)
+        if (id_carrera && !canAccessCarrera(user, id_carrera)) {
             return res.status(403).json({ message: 'Acceso denegado. No puede reasignar la materia a una carrera que no coordina.' });
         }
         
         // 2. Añadir una condición WHERE para asegurar que la materia a actualizar pertenezca a una de sus carreras
-        const placeholders = carrerasIds.map(() => '?').join(', ');
-        updateWhereClause += ` AND id_carrera IN (${placeholders})`;
-        params.push(...carrerasIds.map(id => parseInt(id)));
-    } else if (user.rol !== 'Rector') {
-        return res.status(403).json({ message: 'Acceso denegado. Rol no autorizado.' });
+        updateWhereClause += ` AND ${scope.sql}`;
+        params.push(...scope.params);
     }
     
     // IMPORTANTE: También se añade `AND estado = 'activa'` para evitar actualizar materias dadas de baja.
     updateWhereClause += ` AND estado = 'activa'`;
     
     try {
+        const materiaAntes = await obtenerRegistro('materia', 'id_materia', id);
+        const { periodo, error: errorPeriodo } = resolverPeriodoMateria(modalidad, req.body.periodo, materiaAntes && materiaAntes.periodo);
+        if (errorPeriodo) {
+            return res.status(400).json({ message: errorPeriodo });
+        }
+
         const [result] = await pool.query(
-            `UPDATE materia SET nombre_materia = ?, id_carrera = ?, año = ?, campo_formacion = ?, modalidad = ?, formato = ?, horas_semanales = ?, total_horas_anuales = ?, acreditacion = ? WHERE ${updateWhereClause}`,
-            params
+            `UPDATE materia SET periodo = ?, nombre_materia = ?, id_carrera = ?, año = ?, campo_formacion = ?, modalidad = ?, formato = ?, horas_semanales = ?, total_horas_anuales = ?, acreditacion = ? WHERE ${updateWhereClause}`,
+            [periodo, ...params]
         );
 
         if (result.affectedRows === 0) {
             return res.status(404).json({ message: 'Materia no encontrada, acceso denegado o ya está inactiva.' });
         }
 
-        res.json({ message: 'Materia actualizada con éxito.' });
+        await registrarAuditoria(req, {
+            accion: 'actualizar', entidad: 'materia', id_entidad: id,
+            antes: materiaAntes, despues: await obtenerRegistro('materia', 'id_materia', id),
+        });
+
+        // Consistencia de horas, incluidos los horarios activos de la materia (solo advertencias)
+        const advertencias = await validarHorasMateria(req.body, id);
+
+        res.json({ advertencias, message: 'Materia actualizada con éxito.' });
     } catch (error) {
         console.error('Error al actualizar materia:', error);
         if (error.code === 'ER_NO_REFERENCED_ROW_2') {
@@ -987,69 +1311,93 @@ exports.updateMateria = async (req, res) => {
     }
 };
 
-// @desc    Dar de baja (Eliminación Lógica) una materia (Rector: todo, Coordinador: solo sus carreras)
+// @desc    Dar de baja (Eliminación Lógica) una materia (solo en las carreras del alcance del usuario)
+//          La baja se propaga a sus horarios y correlatividades. Con ?preview=true solo devuelve lo que se afectaría.
 exports.deleteMateria = async (req, res) => {
-    const { id: id_materia } = req.params;
-    const user = req.user;
-    
-    // 💡 CLAVE: Obtener el ID del administrador logueado.
-    const id_administrador_eliminacion = user.id_administrador;
+    const { id: id_materia } = req.params;
+    const user = req.user;
+    const preview = req.query.preview === 'true' || req.query.preview === '1';
+    
+    // 💡 CLAVE: Obtener el ID del administrador logueado.
+    const id_administrador_eliminacion = user.id_administrador;
 
-    try {
-        // 1. Obtener id_carrera y estado de la materia
-        const [materias] = await pool.query('SELECT id_carrera, estado FROM materia WHERE id_materia = ?', [id_materia]);
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
 
-        if (materias.length === 0) {
-            return res.status(404).json({ message: 'Materia no encontrada.' });
-        }
-        
-        const { id_carrera, estado } = materias[0];
-        
-        // Chequeo adicional: si ya está inactiva
-        if (estado === 'inactiva') {
-            return res.status(400).json({ message: 'La materia ya se encuentra inactiva.' });
-        }
+        // 1. Obtener id_carrera y estado de la materia (fila completa para la auditoría)
+        const materiaAntes = await obtenerRegistro('materia', 'id_materia', id_materia, connection);
 
-        // 2. Lógica de Permisos para Coordinador (No se modifica)
-        if (user.rol === 'Coordinador') {
-            const carreraIdToDelete = parseInt(id_carrera);
-            const carrerasAsignadas = user.carreras_a_cargo_ids.map(id => parseInt(id)); 
-            
-            if (!carrerasAsignadas.includes(carreraIdToDelete)) {
-                return res.status(403).json({ message: 'Acceso denegado. Solo puede dar de baja materias de las carreras que coordina.' });
-            }
-        } else if (user.rol !== 'Rector') {
-            return res.status(403).json({ message: 'Acceso denegado. Rol no autorizado.' });
-        }
-        
-        // 3. Ejecutar la ELIMINACIÓN LÓGICA (Actualizar estado, fecha y administrador de baja/eliminación)
-        const [result] = await pool.query(
-            `UPDATE materia 
-             SET estado = ?, fecha_eliminacion = NOW(), id_administrador_eliminacion = ? 
+        if (!materiaAntes) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Materia no encontrada.' });
+        }
+        
+        const { id_carrera, estado } = materiaAntes;
+        
+        // Chequeo adicional: si ya está inactiva
+        if (estado === 'inactiva') {
+            await connection.rollback();
+            return res.status(400).json({ message: 'La materia ya se encuentra inactiva.' });
+        }
+
+        // 2. Verificación del alcance sobre la carrera de la materia
+        if (!canAccessCarrera(user, id_carrera)) {
+            await connection.rollback();
+            return res.status(403).json({ message: 'Acceso denegado. Solo puede dar de baja materias de las carreras que coordina.' });
+        }
+
+        // 3. Horarios y correlatividades que se darán de baja junto con la materia
+        const afectados = await calcularBajaEnCascada(connection, 'materia', id_materia);
+
+        if (preview) {
+            await connection.rollback();
+            return res.json({ preview: true, materia: materiaAntes, afectados: resumenCascada(afectados) });
+        }
+        
+        // 4. Ejecutar la ELIMINACIÓN LÓGICA (misma fecha y administrador en la materia y en la cascada)
+        const fecha = fechaCascada();
+        const [result] = await connection.query(
+            `UPDATE materia 
+             SET estado = ?, fecha_eliminacion = ?, id_administrador_eliminacion = ? 
              WHERE id_materia = ?`, 
-            ['inactiva', id_administrador_eliminacion, id_materia] // Usa tus campos 'fecha_eliminacion' e 'id_administrador_eliminacion'
-        );
-        
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Materia no encontrada para dar de baja.' }); 
-        }
-        
-        // MENSAJE DE ÉXITO DE ELIMINACIÓN LÓGICA
-        res.json({ message: 'Materia dada de baja (inactiva) con éxito. Se registró la fecha y el administrador de la eliminación.' });
-    } catch (error) {
-        console.error('Error al dar de baja la materia:', error);
-        res.status(500).json({ message: 'Error interno del servidor al dar de baja la materia.', error: error.message });
-    }
+            ['inactiva', fecha, id_administrador_eliminacion, id_materia] // Usa tus campos 'fecha_eliminacion' e 'id_administrador_eliminacion'
+        );
+        
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Materia no encontrada para dar de baja.' }); 
+        }
+
+        await aplicarCascada(connection, req, afectados, { estado: 'inactiva', fecha, id_administrador: id_administrador_eliminacion });
+
+        await registrarAuditoria(req, {
+            accion: 'eliminar', entidad: 'materia', id_entidad: id_materia,
+            antes: materiaAntes, despues: await obtenerRegistro('materia', 'id_materia', id_materia, connection),
+        }, connection);
+
+        await connection.commit();
+        
+        // MENSAJE DE ÉXITO DE ELIMINACIÓN LÓGICA
+        res.json({
+            message: 'Materia dada de baja (inactiva) con éxito. Se registró la fecha y el administrador de la eliminación.',
+            afectados: resumenCascada(afectados),
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al dar de baja la materia:', error);
+        res.status(500).json({ message: 'Error interno del servidor al dar de baja la materia.', error: error.message });
+    } finally {
+        if (connection) connection.release();
+    }
 };
 
 // =========================================================
-// HORARIOS CRUD (CON FILTRO Y CONTROL DE ROLES)
+// HORARIOS CRUD (CON FILTRO Y CONTROL DE ALCANCE)
 // =========================================================
 // @desc    Obtener horarios filtrados por ID de materia (ENDPOINT DE FILTRO). SOLO ACTIVOS.
 exports.getHorariosPorMateria = async (req, res) => {
-    // Extraer datos del token
-    const { id_administrador, rol } = req.user; 
-    
     // Utilizamos req.query.id_materia
     const idMateria = req.query.id_materia; 
     
@@ -1068,10 +1416,17 @@ exports.getHorariosPorMateria = async (req, res) => {
                 h.dia_semana, 
                 TIME_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, 
                 TIME_FORMAT(h.hora_fin, '%H:%i') AS hora_fin,
+                h.id_aula,
+                a.nombre AS aula,
+                a.edificio,
+                h.id_docente,
+                CONCAT(d.apellido, ', ', d.nombre) AS docente,
                 h.estado
             FROM horario h
             INNER JOIN materia m ON h.id_materia = m.id_materia
             INNER JOIN carrera c ON m.id_carrera = c.id_carrera
+            LEFT JOIN aula a ON h.id_aula = a.id_aula
+            LEFT JOIN docente d ON h.id_docente = d.id_docente
         `;
         let params = [idMateria];
         
@@ -1080,16 +1435,11 @@ exports.getHorariosPorMateria = async (req, res) => {
         // 🚨 IMPLEMENTACIÓN: Filtrar solo horarios activos
         whereClauses.push('h.estado = "activa"'); 
 
-        // APLICAR FILTRO DE ROL PARA COORDINADOR
-        if (rol === 'Coordinador') {
-            whereClauses.push(`c.id_carrera IN (
-                SELECT id_carrera 
-                FROM admin_carrera 
-                WHERE id_administrador = ?
-            )`);
-            params.push(id_administrador);
-        } else if (rol !== 'Rector') {
-             return res.status(403).json({ message: 'Permisos insuficientes para ver horarios.' });
+        // APLICAR FILTRO DE ALCANCE (carreras asignadas)
+        const scope = carreraScopeClause(req.user, 'c.id_carrera');
+        if (scope) {
+            whereClauses.push(scope.sql);
+            params.push(...scope.params);
         }
         
         sql += ' WHERE ' + whereClauses.join(' AND ');
@@ -1110,7 +1460,7 @@ exports.getHorarioById = async (req, res) => {
     try {
         // 🚨 ACTUALIZACIÓN: Filtrar por estado = 'activa' y seleccionar el estado
         const [horario] = await pool.query(
-            'SELECT id_horario, id_materia, dia_semana, hora_inicio, hora_fin, estado FROM horario WHERE id_horario = ? AND estado = "activa"', 
+            'SELECT id_horario, id_materia, dia_semana, hora_inicio, hora_fin, id_aula, id_docente, estado FROM horario WHERE id_horario = ? AND estado = "activa"', 
             [id]
         );
         if (horario.length === 0) {
@@ -1123,32 +1473,59 @@ exports.getHorarioById = async (req, res) => {
     }
 };
 
-// @desc    Crear un nuevo horario
+// @desc    Informe de superposiciones entre horarios activos de una carrera (mismo año y día)
+// @route   GET /api/admin/carreras/:id/horarios/conflictos
+// @access  Private (horario:read)
+exports.getConflictosHorarios = async (req, res) => {
+    const { id: id_carrera } = req.params;
+
+    if (!canAccessCarrera(req.user, id_carrera)) {
+        return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre esta carrera.' });
+    }
+
+    try {
+        const [carreras] = await pool.query('SELECT id_carrera, nombre_carrera FROM carrera WHERE id_carrera = ?', [id_carrera]);
+        if (carreras.length === 0) {
+            return res.status(404).json({ message: 'Carrera no encontrada.' });
+        }
+
+        const conflictos = await reporteSuperposiciones(id_carrera);
+
+        res.json({ ...carreras[0], total: conflictos.length, conflictos });
+    } catch (error) {
+        console.error('Error al obtener conflictos de horarios:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener conflictos de horarios.' });
+    }
+};
+
+// @desc    Crear un nuevo horario (valida el rango, el aula, el docente y las superposiciones; 'forzar_superposicion' permite estas últimas)
 exports.createHorario = async (req, res) => {
-    // Extraer datos del token
-    const { id_administrador, rol } = req.user; 
-    
     if (!validateRequiredFields(['id_materia', 'dia_semana', 'hora_inicio', 'hora_fin'], req, res)) return;
     
-    const { id_materia, dia_semana, hora_inicio, hora_fin } = req.body;
+    const { id_materia } = req.body;
     
-    // CONTROL DE ACCESO PARA COORDINADOR (POST)
-    if (rol === 'Coordinador') {
-        const hasAccess = await checkMateriaAccess(id_materia, id_administrador);
-        if (!hasAccess) {
-            return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de esta materia.' });
-        }
-    } else if (rol !== 'Rector') {
-         return res.status(403).json({ message: 'Permisos insuficientes para crear horarios.' });
+    // CONTROL DE ALCANCE (POST)
+    const hasAccess = await checkMateriaAccess(id_materia, req.user);
+    if (!hasAccess) {
+        return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de esta materia.' });
     }
     
     try {
+        // Rango válido, aula y docente libres y sin superposiciones (salvo que se fuercen)
+        const check = await checkHorario(req, res);
+        if (!check) return;
+        const { dia_semana, hora_inicio, hora_fin, id_aula, id_docente } = check.datos;
+
         // 🚨 IMPLEMENTACIÓN: Añadir 'estado' con valor 'activo'
         const [result] = await pool.query(
-            'INSERT INTO horario (id_materia, dia_semana, hora_inicio, hora_fin, estado) VALUES (?, ?, ?, ?, ?)',
-            [id_materia, dia_semana, hora_inicio, hora_fin, 'activa']
+            'INSERT INTO horario (id_materia, dia_semana, hora_inicio, hora_fin, id_aula, id_docente, estado) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [id_materia, dia_semana, hora_inicio, hora_fin, id_aula, id_docente, 'activa']
         );
-        res.status(201).json({ id_horario: result.insertId, ...req.body, message: 'Horario creado con éxito.' });
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'horario', id_entidad: result.insertId,
+            despues: await obtenerRegistro('horario', 'id_horario', result.insertId),
+        });
+        res.status(201).json({ id_horario: result.insertId, ...req.body, ...check.datos, superposiciones: check.superposiciones, message: 'Horario creado con éxito.' });
     } catch (error) {
         console.error('Error al crear horario:', error);
         res.status(500).json({ message: 'Error interno del servidor al crear horario.' });
@@ -1158,32 +1535,39 @@ exports.createHorario = async (req, res) => {
 // @desc    Actualizar un horario. SOLO ACTIVO.
 exports.updateHorario = async (req, res) => {
     const { id } = req.params;
-    const { id_administrador, rol } = req.user; 
     
     if (!validateRequiredFields(['id_materia', 'dia_semana', 'hora_inicio', 'hora_fin'], req, res)) return;
 
-    const { id_materia, dia_semana, hora_inicio, hora_fin } = req.body;
+    const { id_materia } = req.body;
 
-    // CONTROL DE ACCESO PARA COORDINADOR (PUT)
-    if (rol === 'Coordinador') {
-        const hasAccess = await checkMateriaAccess(id_materia, id_administrador);
-        if (!hasAccess) {
-            return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de esta materia.' });
-        }
-    } else if (rol !== 'Rector') {
-         return res.status(403).json({ message: 'Permisos insuficientes para actualizar horarios.' });
+    // CONTROL DE ALCANCE (PUT)
+    const hasAccess = await checkMateriaAccess(id_materia, req.user);
+    if (!hasAccess) {
+        return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de esta materia.' });
     }
 
     try {
+        const horarioAntes = await obtenerRegistro('horario', 'id_horario', id);
+
+        // Rango válido, aula y docente libres y sin superposiciones (sin contar el propio horario;
+        // sin 'id_aula' / 'id_docente' en el body se conservan los actuales)
+        const check = await checkHorario(req, res, id, horarioAntes);
+        if (!check) return;
+        const { dia_semana, hora_inicio, hora_fin, id_aula, id_docente } = check.datos;
+
         // 🚨 IMPLEMENTACIÓN: Añadir AND estado = 'activo' al WHERE
         const [result] = await pool.query(
-            'UPDATE horario SET id_materia = ?, dia_semana = ?, hora_inicio = ?, hora_fin = ? WHERE id_horario = ? AND estado = ?',
-            [id_materia, dia_semana, hora_inicio, hora_fin, id, 'activa']
+            'UPDATE horario SET id_materia = ?, dia_semana = ?, hora_inicio = ?, hora_fin = ?, id_aula = ?, id_docente = ? WHERE id_horario = ? AND estado = ?',
+            [id_materia, dia_semana, hora_inicio, hora_fin, id_aula, id_docente, id, 'activa']
         );
          if (result.affectedRows === 0) {
              return res.status(404).json({ message: 'Horario no encontrado o ya está inactivo.' });
          }
-        res.json({ message: 'Horario actualizado con éxito.' });
+        await registrarAuditoria(req, {
+            accion: 'actualizar', entidad: 'horario', id_entidad: id,
+            antes: horarioAntes, despues: await obtenerRegistro('horario', 'id_horario', id),
+        });
+        res.json({ superposiciones: check.superposiciones, message: 'Horario actualizado con éxito.' });
     } catch (error) {
         console.error('Error al actualizar horario:', error);
         res.status(500).json({ message: 'Error interno del servidor al actualizar horario.' });
@@ -1193,34 +1577,30 @@ exports.updateHorario = async (req, res) => {
 // @desc    Dar de baja (Eliminación Lógica) un horario
 exports.deleteHorario = async (req, res) => {
     const { id } = req.params; // id_horario
-    const { id_administrador, rol } = req.user; 
+    const { id_administrador } = req.user; 
     
     // 💡 ID del administrador para la trazabilidad
     const id_administrador_eliminacion = id_administrador;
 
     try {
-        // 1. Obtener id_materia y estado para validar el acceso y el estado actual
-        const [horario] = await pool.query('SELECT id_materia, estado FROM horario WHERE id_horario = ?', [id]); 
+        // 1. Obtener id_materia y estado para validar el acceso y el estado actual (fila completa para la auditoría)
+        const horarioAntes = await obtenerRegistro('horario', 'id_horario', id);
         
-        if (horario.length === 0) {
+        if (!horarioAntes) {
             return res.status(404).json({ message: 'Horario no encontrado.' });
         }
 
-        const { id_materia, estado } = horario[0];
+        const { id_materia, estado } = horarioAntes;
 
         // 🚨 Chequeo adicional: si ya está inactivo
         if (estado === 'inactiva') {
             return res.status(400).json({ message: 'El horario ya se encuentra inactivo.' });
         }
 
-        // 2. Control de Acceso para Coordinador
-        if (rol === 'Coordinador') {
-            const hasAccess = await checkMateriaAccess(id_materia, id_administrador);
-            if (!hasAccess) {
-                return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de esta materia.' });
-            }
-        } else if (rol !== 'Rector') {
-             return res.status(403).json({ message: 'Permisos insuficientes para dar de baja horarios.' });
+        // 2. Control de Alcance
+        const hasAccess = await checkMateriaAccess(id_materia, req.user);
+        if (!hasAccess) {
+            return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de esta materia.' });
         }
         
         // 3. Ejecutar la ELIMINACIÓN LÓGICA (Actualiza estado, fecha_eliminacion, y id_administrador_eliminacion)
@@ -1236,6 +1616,11 @@ exports.deleteHorario = async (req, res) => {
             return res.status(404).json({ message: 'Horario no encontrado para dar de baja.' }); 
         }
 
+        await registrarAuditoria(req, {
+            accion: 'eliminar', entidad: 'horario', id_entidad: id,
+            antes: horarioAntes, despues: await obtenerRegistro('horario', 'id_horario', id),
+        });
+
         res.json({ message: 'Horario dado de baja (inactivo) con éxito. Se registraron los datos de la eliminación.' });
     } catch (error) {
         console.error('Error al dar de baja el horario:', error);
@@ -1244,13 +1629,12 @@ exports.deleteHorario = async (req, res) => {
 };
 
 // =========================================================
-// CORRELATIVIDADES CRUD (CON FILTRO Y CONTROL DE ROLES)
+// CORRELATIVIDADES CRUD (CON FILTRO Y CONTROL DE ALCANCE)
 // =========================================================
 
 // @desc    Obtener correlatividades filtradas por ID de materia principal (id). SOLO ACTIVAS.
 exports.getCorrelatividadesPorMateria = async (req, res) => {
     const { id: id_materia_principal } = req.params; 
-    const { id_administrador, rol } = req.user;
 
     // 1. Verificación de ID de materia
     if (!id_materia_principal) {
@@ -1278,17 +1662,11 @@ exports.getCorrelatividadesPorMateria = async (req, res) => {
         // 🚨 Filtro de Eliminación Lógica: SOLO ACTIVAS
         whereClauses.push('c.estado = "activa"'); 
 
-        // 2. Control de Acceso para Coordinador
-        if (rol === 'Coordinador') {
-            // El coordinador solo puede ver correlatividades de materias que coordina.
-            whereClauses.push(`mp.id_carrera IN (
-                SELECT id_carrera 
-                FROM admin_carrera 
-                WHERE id_administrador = ?
-            )`);
-            params.push(id_administrador);
-        } else if (rol !== 'Rector') {
-             return res.status(403).json({ message: 'Permisos insuficientes para ver correlatividades.' });
+        // 2. Control de Alcance: solo correlatividades de materias de sus carreras
+        const scope = carreraScopeClause(req.user, 'mp.id_carrera');
+        if (scope) {
+            whereClauses.push(scope.sql);
+            params.push(...scope.params);
         }
         
         sql += ' WHERE ' + whereClauses.join(' AND ');
@@ -1308,7 +1686,6 @@ exports.getCorrelatividadesPorMateria = async (req, res) => {
 // @desc    Obtener una correlatividad por ID. SOLO ACTIVA.
 exports.getCorrelatividadById = async (req, res) => {
     const { id: id_correlatividad } = req.params;
-    const { id_administrador, rol } = req.user;
     
     try {
         // 1. Obtener la correlatividad y su materia principal
@@ -1325,14 +1702,10 @@ exports.getCorrelatividadById = async (req, res) => {
             return res.status(404).json({ message: 'Correlatividad no encontrada o inactiva.' });
         }
         
-        // 2. Control de Acceso para Coordinador
-        if (rol === 'Coordinador') {
-            const hasAccess = await checkMateriaAccess(correlatividad.id_materia_principal, id_administrador);
-            if (!hasAccess) {
-                return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de la materia principal.' });
-            }
-        } else if (rol !== 'Rector') {
-             return res.status(403).json({ message: 'Permisos insuficientes para ver esta correlatividad.' });
+        // 2. Control de Alcance
+        const hasAccess = await checkMateriaAccess(correlatividad.id_materia_principal, req.user);
+        if (!hasAccess) {
+            return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de la materia principal.' });
         }
         
         res.json(correlatividad);
@@ -1344,10 +1717,42 @@ exports.getCorrelatividadById = async (req, res) => {
 
 // -------------------------------------------------------------------------
 
-// @desc    Crear una nueva correlatividad
+// @desc    Informe de validación del plan de correlatividades de una carrera
+//          (ciclos, requisitos de otra carrera o de un año posterior y correlatividades redundantes)
+// @route   GET /api/admin/carreras/:id/correlatividades/validacion
+// @access  Private (correlatividad:read)
+exports.getValidacionCorrelatividades = async (req, res) => {
+    const { id: id_carrera } = req.params;
+
+    if (!canAccessCarrera(req.user, id_carrera)) {
+        return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre esta carrera.' });
+    }
+
+    try {
+        const [carreras] = await pool.query('SELECT id_carrera, nombre_carrera FROM carrera WHERE id_carrera = ?', [id_carrera]);
+        if (carreras.length === 0) {
+            return res.status(404).json({ message: 'Carrera no encontrada.' });
+        }
+
+        const problemas = await analizarCarrera(id_carrera);
+
+        res.json({
+            ...carreras[0],
+            valido: !problemas.some(p => p.severidad === 'error'),
+            errores: problemas.filter(p => p.severidad === 'error').length,
+            advertencias: problemas.filter(p => p.severidad === 'advertencia').length,
+            problemas,
+        });
+    } catch (error) {
+        console.error('Error al validar las correlatividades de la carrera:', error);
+        res.status(500).json({ message: 'Error interno del servidor al validar las correlatividades.' });
+    }
+};
+
+// -------------------------------------------------------------------------
+
+// @desc    Crear una nueva correlatividad
 exports.createCorrelatividad = async (req, res) => {
-    const { id_administrador, rol } = req.user;
-    
     const { id_materia_principal, id_materia_requisito, tipo, estado_requisito } = req.body;
     
     // Validación de que no se correlacione una materia consigo misma
@@ -1355,24 +1760,29 @@ exports.createCorrelatividad = async (req, res) => {
         return res.status(400).json({ message: 'Error: Una materia no puede ser correlativa de sí misma.' });
     }
     
-    // CONTROL DE ACCESO PARA COORDINADOR (POST)
-    if (rol === 'Coordinador') {
-        // El coordinador solo puede crear correlatividades para materias que coordina (id_materia_principal).
-        const hasAccess = await checkMateriaAccess(id_materia_principal, id_administrador);
-        if (!hasAccess) {
-            return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de la materia principal.' });
-        }
-    } else if (rol !== 'Rector') {
-         return res.status(403).json({ message: 'Permisos insuficientes para crear correlatividades.' });
+    // CONTROL DE ALCANCE (POST): solo para materias que coordina (id_materia_principal).
+    const hasAccess = await checkMateriaAccess(id_materia_principal, req.user);
+    if (!hasAccess) {
+        return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de la materia principal.' });
     }
 
     try {
+        // Validación del grafo: los ciclos se rechazan, el resto se informa como advertencia
+        const { errores, advertencias } = await validarCorrelatividad({ id_materia_principal, id_materia_requisito, tipo, estado_requisito });
+        if (errores.length > 0) {
+            return res.status(409).json({ message: errores[0].mensaje, errores, advertencias });
+        }
+
         // 🚨 Se añade el campo 'estado' con valor 'activa'
         const [result] = await pool.query(
             'INSERT INTO correlatividad (id_materia_principal, id_materia_requisito, tipo, estado_requisito, estado) VALUES (?, ?, ?, ?, ?)',
             [id_materia_principal, id_materia_requisito, tipo, estado_requisito, 'activa']
         );
-        res.status(201).json({ id_correlatividad: result.insertId, ...req.body, message: 'Correlatividad creada con éxito.' });
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'correlatividad', id_entidad: result.insertId,
+            despues: await obtenerRegistro('correlatividad', 'id_correlatividad', result.insertId),
+        });
+        res.status(201).json({ id_correlatividad: result.insertId, ...req.body, advertencias, message: 'Correlatividad creada con éxito.' });
     } catch (error) {
         console.error('Error al crear correlatividad:', error);
         // Manejo de error de Foreign Key (si una de las materias no existe)
@@ -1392,7 +1802,6 @@ exports.createCorrelatividad = async (req, res) => {
 // @desc    Actualizar una correlatividad. SOLO si está ACTIVA.
 exports.updateCorrelatividad = async (req, res) => {
     const { id: id_correlatividad } = req.params;
-    const { id_administrador, rol } = req.user; 
 
     const { id_materia_principal, id_materia_requisito, tipo, estado_requisito } = req.body;
     
@@ -1401,19 +1810,20 @@ exports.updateCorrelatividad = async (req, res) => {
         return res.status(400).json({ message: 'Error: Una materia no puede ser correlativa de sí misma.' });
     }
     
-    // CONTROL DE ACCESO PARA COORDINADOR (PUT)
-    if (rol === 'Coordinador') {
-        // Aseguramos que la *nueva* materia principal esté en la carrera del coordinador
-        const hasAccess = await checkMateriaAccess(id_materia_principal, id_administrador);
-        if (!hasAccess) {
-            return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de la materia principal a actualizar.' });
-        }
-        
-    } else if (rol !== 'Rector') {
-         return res.status(403).json({ message: 'Permisos insuficientes para actualizar correlatividades.' });
+    // CONTROL DE ALCANCE (PUT): la *nueva* materia principal debe estar en sus carreras
+    const hasAccess = await checkMateriaAccess(id_materia_principal, req.user);
+    if (!hasAccess) {
+        return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de la materia principal a actualizar.' });
     }
     
     try {
+        // Validación del grafo sin la versión actual de la correlatividad
+        const { errores, advertencias } = await validarCorrelatividad({ id_correlatividad, id_materia_principal, id_materia_requisito, tipo, estado_requisito });
+        if (errores.length > 0) {
+            return res.status(409).json({ message: errores[0].mensaje, errores, advertencias });
+        }
+
+        const correlatividadAntes = await obtenerRegistro('correlatividad', 'id_correlatividad', id_correlatividad);
         // 🚨 Se añade AND estado = 'activa' para evitar modificar correlatividades dadas de baja
         const [result] = await pool.query(
             'UPDATE correlatividad SET id_materia_principal = ?, id_materia_requisito = ?, tipo = ?, estado_requisito = ? WHERE id_correlatividad = ? AND estado = ?',
@@ -1422,7 +1832,12 @@ exports.updateCorrelatividad = async (req, res) => {
         if (result.affectedRows === 0) {
             return res.status(404).json({ message: 'Correlatividad no encontrada o ya está inactiva.' });
         }
-        res.json({ message: 'Correlatividad actualizada con éxito.' });
+        await registrarAuditoria(req, {
+            accion: 'actualizar', entidad: 'correlatividad', id_entidad: id_correlatividad,
+            antes: correlatividadAntes,
+            despues: await obtenerRegistro('correlatividad', 'id_correlatividad', id_correlatividad),
+        });
+        res.json({ advertencias, message: 'Correlatividad actualizada con éxito.' });
     } catch (error) {
         console.error('Error al actualizar correlatividad:', error);
         // Manejo de error de Foreign Key (si una de las materias no existe)
@@ -1442,34 +1857,30 @@ exports.updateCorrelatividad = async (req, res) => {
 // @desc    Dar de baja (Eliminación Lógica) una correlatividad
 exports.deleteCorrelatividad = async (req, res) => {
     const { id: id_correlatividad } = req.params;
-    const { id_administrador, rol } = req.user; 
+    const { id_administrador } = req.user; 
 
     // 💡 ID del administrador para la trazabilidad
     const id_administrador_eliminacion = id_administrador;
 
     try {
-        // 1. Obtener id_materia_principal y estado para validar el acceso y el estado actual
-        const [correlatividad] = await pool.query('SELECT id_materia_principal, estado FROM correlatividad WHERE id_correlatividad = ?', [id_correlatividad]); 
+        // 1. Obtener id_materia_principal y estado para validar el acceso y el estado actual (fila completa para la auditoría)
+        const correlatividadAntes = await obtenerRegistro('correlatividad', 'id_correlatividad', id_correlatividad);
         
-        if (correlatividad.length === 0) {
+        if (!correlatividadAntes) {
              return res.status(404).json({ message: 'Correlatividad no encontrada.' });
         }
 
-        const { id_materia_principal, estado } = correlatividad[0];
+        const { id_materia_principal, estado } = correlatividadAntes;
 
         // 🚨 Chequeo adicional: si ya está inactiva
         if (estado === 'inactiva') {
             return res.status(400).json({ message: 'La correlatividad ya se encuentra inactiva.' });
         }
         
-        // 2. Control de Acceso para Coordinador
-        if (rol === 'Coordinador') {
-            const hasAccess = await checkMateriaAccess(id_materia_principal, id_administrador);
-            if (!hasAccess) {
-                return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de la materia principal.' });
-            }
-        } else if (rol !== 'Rector') {
-             return res.status(403).json({ message: 'Permisos insuficientes para dar de baja correlatividades.' });
+        // 2. Control de Alcance
+        const hasAccess = await checkMateriaAccess(id_materia_principal, req.user);
+        if (!hasAccess) {
+            return res.status(403).json({ message: 'Acceso denegado. No coordina la carrera de la materia principal.' });
         }
         
         // 3. Ejecutar la ELIMINACIÓN LÓGICA (Actualiza estado, fecha_eliminacion, y id_administrador_eliminacion)
@@ -1484,6 +1895,12 @@ exports.deleteCorrelatividad = async (req, res) => {
             return res.status(404).json({ message: 'Correlatividad no encontrada para dar de baja.' }); 
         }
 
+        await registrarAuditoria(req, {
+            accion: 'eliminar', entidad: 'correlatividad', id_entidad: id_correlatividad,
+            antes: correlatividadAntes,
+            despues: await obtenerRegistro('correlatividad', 'id_correlatividad', id_correlatividad),
+        });
+
         res.json({ message: 'Correlatividad dada de baja (inactiva) con éxito. Se registraron los datos de la eliminación.' });
     } catch (error) {
         console.error('Error al dar de baja la correlatividad:', error);
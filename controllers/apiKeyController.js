@@ -0,0 +1,158 @@
+// backend/controllers/apiKeyController.js
+
+const pool = require('../database');
+const { generateApiKey, API_KEY_SCOPES } = require('../utils/apiKeys');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+// Vigencia por defecto de una clave nueva (se puede indicar otra al crearla)
+const API_KEY_DIAS_VIGENCIA = parseInt(process.env.API_KEY_DIAS_VIGENCIA, 10) || 365;
+
+// Estado calculado de una API key (se usa en el listado)
+const ESTADO_API_KEY_SQL = `CASE
+WHEN k.fecha_revocacion IS NOT NULL THEN 'revocada'
+WHEN k.fecha_expiracion <= NOW() THEN 'expirada'
+ELSE 'activa'
+END`;
+
+// =========================================================
+// GESTIÓN DE API KEYS (permiso 'api_key:manage') 🔑
+// =========================================================
+
+// @desc    Listar API keys (nunca se devuelve la clave, solo su prefijo)
+// @route   GET /api/admin/api-keys
+// @access  Private (api_key:manage)
+exports.listApiKeys = async (req, res) => {
+    try {
+        const [apiKeys] = await pool.query(`SELECT
+k.id_api_key, k.nombre, k.prefijo, k.scopes, k.fecha_creacion, k.fecha_expiracion,
+k.fecha_ultimo_uso, k.ip_ultimo_uso, k.fecha_revocacion,
+a.nombre_administrador AS nombre_creador,
+${ESTADO_API_KEY_SQL} AS estado,
+GROUP_CONCAT(kc.id_carrera) AS carreras
+FROM api_key k
+LEFT JOIN administrador a ON k.id_administrador_creador = a.id_administrador
+LEFT JOIN api_key_carrera kc ON k.id_api_key = kc.id_api_key
+GROUP BY k.id_api_key
+ORDER BY k.fecha_creacion DESC`);
+
+        res.json(apiKeys.map(apiKey => ({
+            ...apiKey,
+            scopes: apiKey.scopes ? apiKey.scopes.split(',') : [],
+            carreras: apiKey.carreras ? apiKey.carreras.split(',').map(Number) : [],
+        })));
+    } catch (error) {
+        console.error('Error al listar API keys:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar API keys.' });
+    }
+};
+
+// @desc    Emitir una API key (nombre + scopes de lectura + carreras opcionales + vigencia)
+// @route   POST /api/admin/api-keys
+// @access  Private (api_key:manage)
+exports.createApiKey = async (req, res) => {
+    const { nombre, scopes, carreras = [], dias_vigencia } = req.body;
+
+    if (!nombre || !String(nombre).trim()) {
+        return res.status(400).json({ message: 'Error de validación: El campo \'nombre\' es obligatorio.' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({ message: `Error de validación: 'scopes' debe ser una lista con al menos uno de: ${API_KEY_SCOPES.join(', ')}.` });
+    }
+    const invalidos = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+    if (invalidos.length > 0) {
+        return res.status(400).json({ message: `Error de validación: Scopes no permitidos para una API key: ${invalidos.join(', ')}.` });
+    }
+    if (!Array.isArray(carreras)) {
+        return res.status(400).json({ message: 'Error de validación: \'carreras\' debe ser una lista de IDs de carrera.' });
+    }
+
+    const dias = dias_vigencia === undefined ? API_KEY_DIAS_VIGENCIA : parseInt(dias_vigencia, 10);
+    if (!Number.isInteger(dias) || dias < 1) {
+        return res.status(400).json({ message: 'Error de validación: \'dias_vigencia\' debe ser un número entero positivo.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // 1. Las carreras de la restricción deben existir y estar activas
+        if (carreras.length > 0) {
+            const [existentes] = await connection.query(
+                "SELECT id_carrera FROM carrera WHERE id_carrera IN (?) AND estado = 'activa'",
+                [carreras]
+            );
+            if (existentes.length !== new Set(carreras.map(Number)).size) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'Error de validación: Una o más carreras no existen o no están activas.' });
+            }
+        }
+
+        // 2. Generar la clave (solo se guarda el hash)
+        const { key, prefijo, key_hash } = generateApiKey();
+        const [result] = await connection.query(
+            `INSERT INTO api_key (nombre, prefijo, key_hash, scopes, fecha_creacion, fecha_expiracion, id_administrador_creador)
+VALUES (?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY), ?)`,
+            [String(nombre).trim(), prefijo, key_hash, [...new Set(scopes)].join(','), dias, req.user.id]
+        );
+        const idApiKey = result.insertId;
+
+        // 3. Restricción opcional por carrera
+        if (carreras.length > 0) {
+            await connection.query(
+                'INSERT INTO api_key_carrera (id_api_key, id_carrera) VALUES ?',
+                [[...new Set(carreras.map(Number))].map(idCarrera => [idApiKey, idCarrera])]
+            );
+        }
+
+        await connection.commit();
+
+        await logSecurityEvent('api_key_creada', {
+            id_administrador: req.user.id,
+            ip: req.ip,
+            detalle: { id_api_key: idApiKey, nombre, scopes, carreras },
+        });
+
+        res.status(201).json({
+            id_api_key: idApiKey,
+            nombre: String(nombre).trim(),
+            prefijo,
+            scopes,
+            carreras,
+            api_key: key,
+            message: 'API key creada. Guárdela en un lugar seguro: no se volverá a mostrar. Envíela en el header X-API-Key.',
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al crear API key:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear la API key.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Revocar una API key (deja de funcionar de inmediato)
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (api_key:manage)
+exports.revokeApiKey = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const [result] = await pool.query(
+            `UPDATE api_key SET fecha_revocacion = NOW(), id_administrador_revocacion = ?
+WHERE id_api_key = ? AND fecha_revocacion IS NULL`,
+            [req.user.id, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'API key no encontrada o ya revocada.' });
+        }
+
+        await logSecurityEvent('api_key_revocada', { id_administrador: req.user.id, ip: req.ip, detalle: { id_api_key: Number(id) } });
+
+        res.json({ message: 'API key revocada con éxito.' });
+    } catch (error) {
+        console.error('Error al revocar API key:', error);
+        res.status(500).json({ message: 'Error interno del servidor al revocar la API key.' });
+    }
+};
@@ -0,0 +1,99 @@
+// backend/controllers/auditoriaController.js
+
+const pool = require('../database');
+
+// Paginación del listado (la tabla crece con cada mutación)
+const AUDITORIA_LIMITE_DEFECTO = 50;
+const AUDITORIA_LIMITE_MAXIMO = 500;
+
+// Las columnas JSON pueden llegar como texto según la configuración del driver
+const parseJson = (valor) => {
+    if (valor === null || valor === undefined || typeof valor !== 'string') return valor;
+    try {
+        return JSON.parse(valor);
+    } catch (error) {
+        return valor;
+    }
+};
+
+// =========================================================
+// CONSULTA DE AUDITORÍA (permiso 'auditoria:read') 🕵️
+// =========================================================
+
+// @desc    Listar registros de auditoría (más recientes primero)
+//          Query opcional: ?entidad= &id_entidad= &id_administrador= &accion= &desde=YYYY-MM-DD &hasta=YYYY-MM-DD
+//                          &pagina=1 &limite=50
+// @route   GET /api/admin/auditoria
+// @access  Private (auditoria:read)
+exports.getAuditoria = async (req, res) => {
+    const { entidad, id_entidad, id_administrador, accion, desde, hasta } = req.query;
+
+    const pagina = Math.max(parseInt(req.query.pagina, 10) || 1, 1);
+    const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || AUDITORIA_LIMITE_DEFECTO, 1), AUDITORIA_LIMITE_MAXIMO);
+
+    const whereClauses = [];
+    const params = [];
+
+    if (entidad) {
+        whereClauses.push('au.entidad = ?');
+        params.push(entidad);
+    }
+    if (id_entidad) {
+        whereClauses.push('au.id_entidad = ?');
+        params.push(String(id_entidad));
+    }
+    if (id_administrador) {
+        whereClauses.push('au.id_administrador = ?');
+        params.push(id_administrador);
+    }
+    if (accion) {
+        whereClauses.push('au.accion = ?');
+        params.push(accion);
+    }
+
+    // Rango de fechas (inclusivo): 'hasta' abarca el día completo
+    for (const [valor, nombre] of [[desde, 'desde'], [hasta, 'hasta']]) {
+        if (valor && Number.isNaN(Date.parse(valor))) {
+            return res.status(400).json({ message: `Error de validación: '${nombre}' no es una fecha válida (YYYY-MM-DD).` });
+        }
+    }
+    if (desde) {
+        whereClauses.push('au.fecha >= ?');
+        params.push(desde);
+    }
+    if (hasta) {
+        whereClauses.push('au.fecha < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(hasta);
+    }
+
+    const where = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    try {
+        const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM auditoria au ${where}`, params);
+
+        const [registros] = await pool.query(`SELECT
+au.id_auditoria, au.fecha, au.accion, au.entidad, au.id_entidad,
+au.id_administrador, a.nombre_administrador, a.email,
+au.antes, au.despues, au.campos_modificados, au.ip
+FROM auditoria au
+LEFT JOIN administrador a ON au.id_administrador = a.id_administrador
+${where}
+ORDER BY au.fecha DESC, au.id_auditoria DESC
+LIMIT ? OFFSET ?`, [...params, limite, (pagina - 1) * limite]);
+
+        res.json({
+            total,
+            pagina,
+            limite,
+            registros: registros.map(registro => ({
+                ...registro,
+                antes: parseJson(registro.antes),
+                despues: parseJson(registro.despues),
+                campos_modificados: registro.campos_modificados ? registro.campos_modificados.split(',') : [],
+            })),
+        });
+    } catch (error) {
+        console.error('Error al consultar la auditoría:', error);
+        res.status(500).json({ message: 'Error interno del servidor al consultar la auditoría.' });
+    }
+};
@@ -0,0 +1,229 @@
+// backend/controllers/aulaController.js
+
+const pool = require('../database');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+const { ocupacionRecurso } = require('../utils/horarioUtils');
+const { DIAS_SEMANA, normalizarTexto } = require('../utils/enums');
+
+/*
+ * La tabla 'aula' y la columna horario.id_aula (NULL = sin aula asignada) están en migrations/007_aulas.js.
+ * 'recursos' se guarda separado por comas y se expone como lista.
+ * Las aulas son de toda la institución (no pertenecen a una carrera).
+ */
+
+// Lista de recursos sin vacíos ni repetidos, lista para guardar
+const serializarRecursos = (recursos) => {
+    if (!Array.isArray(recursos)) return null;
+    const unicos = [...new Set(recursos.map(r => String(r).replace(/,/g, ' ').trim()).filter(Boolean))];
+    return unicos.length > 0 ? unicos.join(',') : null;
+};
+
+const formatearAula = (aula) => ({
+    ...aula,
+    recursos: aula.recursos ? String(aula.recursos).split(',') : [],
+});
+
+// =========================================================
+// GESTIÓN DE AULAS 🏫
+// =========================================================
+
+// @desc    Listar aulas activas con su ocupación semanal
+//          Query opcional: ?recurso=proyector &capacidad_minima=30
+// @route   GET /api/admin/aulas
+// @access  Private (aula:read)
+exports.getAulas = async (req, res) => {
+    const { recurso, capacidad_minima } = req.query;
+
+    try {
+        const whereClauses = ["a.estado = 'activa'"];
+        const params = [];
+
+        if (recurso) {
+            whereClauses.push('FIND_IN_SET(?, a.recursos) > 0');
+            params.push(String(recurso).trim());
+        }
+        if (capacidad_minima) {
+            whereClauses.push('a.capacidad >= ?');
+            params.push(capacidad_minima);
+        }
+
+        const [aulas] = await pool.query(`SELECT
+a.id_aula, a.nombre, a.edificio, a.capacidad, a.recursos,
+COUNT(h.id_horario) AS cantidad_horarios,
+COALESCE(SUM(TIME_TO_SEC(TIMEDIFF(h.hora_fin, h.hora_inicio))), 0) / 60 AS minutos_semanales
+FROM aula a
+LEFT JOIN horario h ON h.id_aula = a.id_aula AND h.estado = 'activa'
+    AND EXISTS (SELECT 1 FROM materia m WHERE m.id_materia = h.id_materia AND m.estado = 'activa')
+WHERE ${whereClauses.join(' AND ')}
+GROUP BY a.id_aula
+ORDER BY a.edificio, a.nombre`, params);
+
+        res.json(aulas.map(aula => ({
+            ...formatearAula(aula),
+            minutos_semanales: Math.round(Number(aula.minutos_semanales)),
+        })));
+    } catch (error) {
+        console.error('Error al listar aulas:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar aulas.' });
+    }
+};
+
+// @desc    Obtener un aula por ID. SOLO ACTIVA.
+// @route   GET /api/admin/aulas/:id
+// @access  Private (aula:read)
+exports.getAulaById = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const [aulas] = await pool.query(
+            "SELECT id_aula, nombre, edificio, capacidad, recursos, estado FROM aula WHERE id_aula = ? AND estado = 'activa'",
+            [id]
+        );
+        if (aulas.length === 0) {
+            return res.status(404).json({ message: 'Aula no encontrada o inactiva.' });
+        }
+        res.json(formatearAula(aulas[0]));
+    } catch (error) {
+        console.error('Error al obtener aula por ID:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+};
+
+// @desc    Ocupación del aula: horarios, minutos ocupados y huecos libres por día
+//          Query opcional: ?dia=Lunes (sin 'dia' devuelve la semana completa)
+// @route   GET /api/admin/aulas/:id/ocupacion
+// @access  Private (aula:read)
+exports.getOcupacionAula = async (req, res) => {
+    const { id } = req.params;
+    // La query no se normaliza en la validación: 'lunes' → 'Lunes'
+    const dia = req.query.dia ? DIAS_SEMANA.find(d => normalizarTexto(d) === normalizarTexto(req.query.dia)) : null;
+
+    try {
+        const [aulas] = await pool.query(
+            'SELECT id_aula, nombre, edificio, capacidad, recursos, estado FROM aula WHERE id_aula = ?',
+            [id]
+        );
+        if (aulas.length === 0) {
+            return res.status(404).json({ message: 'Aula no encontrada.' });
+        }
+
+        const ocupacion = await ocupacionRecurso('aula', id, dia);
+
+        res.json({ aula: formatearAula(aulas[0]), ...ocupacion });
+    } catch (error) {
+        console.error('Error al obtener la ocupación del aula:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener la ocupación del aula.' });
+    }
+};
+
+// @desc    Crear un aula
+// @route   POST /api/admin/aulas
+// @access  Private (aula:write)
+exports.createAula = async (req, res) => {
+    const { nombre, edificio, capacidad, recursos } = req.body;
+
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO aula (nombre, edificio, capacidad, recursos, estado) VALUES (?, ?, ?, ?, ?)',
+            [nombre, edificio || null, capacidad || null, serializarRecursos(recursos), 'activa']
+        );
+        const aula = await obtenerRegistro('aula', 'id_aula', result.insertId);
+        await registrarAuditoria(req, { accion: 'crear', entidad: 'aula', id_entidad: result.insertId, despues: aula });
+
+        res.status(201).json({ ...formatearAula(aula), message: 'Aula creada con éxito.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Ya existe un aula con ese nombre (si fue dada de baja, puede restaurarla desde la papelera).' });
+        }
+        console.error('Error al crear aula:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear aula.' });
+    }
+};
+
+// @desc    Actualizar un aula. SOLO ACTIVA.
+// @route   PUT /api/admin/aulas/:id
+// @access  Private (aula:write)
+exports.updateAula = async (req, res) => {
+    const { id } = req.params;
+    const { nombre, edificio, capacidad, recursos } = req.body;
+
+    try {
+        const aulaAntes = await obtenerRegistro('aula', 'id_aula', id);
+
+        const [result] = await pool.query(
+            "UPDATE aula SET nombre = ?, edificio = ?, capacidad = ?, recursos = ? WHERE id_aula = ? AND estado = 'activa'",
+            [nombre, edificio || null, capacidad || null, serializarRecursos(recursos), id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Aula no encontrada o inactiva.' });
+        }
+
+        const aula = await obtenerRegistro('aula', 'id_aula', id);
+        await registrarAuditoria(req, { accion: 'actualizar', entidad: 'aula', id_entidad: id, antes: aulaAntes, despues: aula });
+
+        res.json({ ...formatearAula(aula), message: 'Aula actualizada con éxito.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Ya existe un aula con ese nombre.' });
+        }
+        console.error('Error al actualizar aula:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar aula.' });
+    }
+};
+
+// @desc    Dar de baja (Eliminación Lógica) un aula. No se puede si tiene horarios activos asignados.
+// @route   DELETE /api/admin/aulas/:id
+// @access  Private (aula:write)
+exports.deleteAula = async (req, res) => {
+    const { id } = req.params;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const aulaAntes = await obtenerRegistro('aula', 'id_aula', id, connection);
+        if (!aulaAntes) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Aula no encontrada.' });
+        }
+        if (aulaAntes.estado === 'inactiva') {
+            await connection.rollback();
+            return res.status(400).json({ message: 'El aula ya se encuentra inactiva.' });
+        }
+
+        // Los horarios activos deben pasarse antes a otra aula (o quedar sin aula)
+        const [horarios] = await connection.query(`SELECT
+h.id_horario, m.nombre_materia, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+WHERE h.id_aula = ? AND h.estado = 'activa' AND m.estado = 'activa'
+FOR UPDATE`, [id]);
+        if (horarios.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                message: `No se puede dar de baja el aula: tiene ${horarios.length} horario(s) activo(s) asignado(s). Reasígnelos primero.`,
+                horarios,
+            });
+        }
+
+        await connection.query(
+            "UPDATE aula SET estado = 'inactiva', fecha_eliminacion = NOW(), id_administrador_eliminacion = ? WHERE id_aula = ?",
+            [req.user.id_administrador, id]
+        );
+        await registrarAuditoria(req, {
+            accion: 'eliminar', entidad: 'aula', id_entidad: id,
+            antes: aulaAntes, despues: await obtenerRegistro('aula', 'id_aula', id, connection),
+        }, connection);
+
+        await connection.commit();
+
+        res.json({ message: 'Aula dada de baja (inactiva) con éxito.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al dar de baja el aula:', error);
+        res.status(500).json({ message: 'Error interno del servidor al dar de baja el aula.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
@@ -3,89 +3,142 @@
 const pool = require('../database');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer'); 
 const { parse } = require('dotenv');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { validatePasswordRules } = require('../utils/passwordRules');
+const { sendMail, actionButton } = require('../utils/mailer');
+const { checkIpBlocked, registerFailedAttempt, registerSuccessfulAttempt } = require('../utils/loginThrottle');
+const { is2FAMandatory, verifySecondFactor, countRecoveryCodes } = require('../utils/twoFactor');
 
 // Asegúrate de que todas estas variables estén en tu archivo .env
-const JWT_SECRET = process.env.JWT_SECRET;           
-const RESET_SECRET = process.env.RESET_SECRET;       
-const CLIENT_URL = process.env.CLIENT_URL;           
-
-// ⚙️ VARIABLES PARA SMTP EXTERNO (SendGrid)
-const EMAIL_SERVICE_HOST = process.env.EMAIL_SERVICE_HOST;
-const EMAIL_SERVICE_PORT = process.env.EMAIL_SERVICE_PORT;
-const EMAIL_SERVICE_USER = process.env.EMAIL_SERVICE_USER; 
-const EMAIL_SERVICE_PASS = process.env.EMAIL_SERVICE_PASS; 
-const EMAIL_FROM_ADDRESS = process.env.EMAIL_FROM_ADDRESS; // Remitente
-
-// ⚙️ CONFIGURACIÓN DE NODEMAILER (Usando SMTP Externo)
-const transporter = nodemailer.createTransport({
-    host: EMAIL_SERVICE_HOST, 
-    port: EMAIL_SERVICE_PORT, 
-    secure: false, 
-    auth: {
-        user: EMAIL_SERVICE_USER,
-        pass: EMAIL_SERVICE_PASS,
-    },
-    
-});
-
-// Función auxiliar para generar el Token JWT (para login)
-const generateToken = (id_administrador, rol) => {
-    return jwt.sign({ id_administrador, rol }, JWT_SECRET, {
-        expiresIn: '1d', // Expira en 1 día
-    });
+const JWT_SECRET = process.env.JWT_SECRET;
+const CLIENT_URL = process.env.CLIENT_URL;           
+// Vigencia del enlace de restablecimiento (un solo uso)
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_MINUTES, 10) || 60;
+
+/*
+ * Tabla requerida:
+ *   token_restablecimiento (id_token PK, id_administrador FK, token_hash, fecha_creacion,
+ *                           fecha_expiracion, fecha_uso, fecha_invalidacion)
+ */
+
+// Token intermedio del login en dos pasos: solo sirve para /login/2fa (no tiene sesión asociada)
+const generate2FAChallengeToken = (id_administrador) => {
+    return jwt.sign({ id_administrador, proposito: 'login_2fa' }, JWT_SECRET, { expiresIn: '5m' });
+};
+
+/**
+ * Finaliza un login exitoso: reinicia los intentos fallidos, abre la sesión y responde.
+ */
+const completeLogin = async (req, res, usuario, identificador) => {
+    await registerSuccessfulAttempt({ identificador, usuario, ip: req.ip });
+
+    // Crear la sesión en el servidor (access token corto + refresh token rotativo)
+    const { token, refreshToken } = await createSession(usuario.id_administrador, usuario.rol, req);
+
+    res.json({
+        id_administrador: usuario.id_administrador, 
+        nombre_administrador: usuario.nombre_administrador, 
+        email: usuario.email,
+        // ✅ CAMBIO 7: Devolver los nuevos campos en la respuesta de login
+        dni: usuario.dni,
+        telefono: usuario.telefono,
+        // El rol será 'Rector' o 'Coordinador'
+        rol: usuario.rol, 
+        // Indica al frontend que debe llevar al usuario a configurar el 2FA (obligatorio para su rol)
+        requiere_configurar_2fa: !usuario.totp_habilitado && await is2FAMandatory(usuario.rol),
+        token,
+        refreshToken,
+    });
 };
 
 // ========================================================
 // FUNCIONES DE AUTENTICACIÓN
 // ========================================================
 
-// @desc    Registrar un nuevo usuario (ADMIN o USUARIO)
-// @route   POST /api/auth/register
-// @access  Public
-exports.registerUser = async (req, res) => {
-    // ✅ CAMBIO 1: Incluir los nuevos campos (dni, telefono)
-    const { nombre_administrador, contraseña, rol, email, dni, telefono } = req.body; 
-
-    if (!nombre_administrador || !contraseña) {
-        return res.status(400).json({ message: 'Por favor, ingrese un nombre de administrador y contraseña.' });
-    }
-
-    try {
-        // 1. Encriptar la contraseña
-        const salt = await bcrypt.genSalt(10);
-        const contraseña_hash = await bcrypt.hash(contraseña, salt);
-
-        // ✅ CAMBIO 2: Asignar 'Rector' como rol por defecto/inicial
-        const rol_final = rol || 'Rector';
-
-        // 2. Insertar en la tabla 'administrador'
-        const [result] = await pool.query(
-            // ✅ CAMBIO 3: Incluir 'dni' y 'telefono' en la consulta SQL
-            `INSERT INTO administrador (nombre_administrador, contraseña, rol, email, dni, telefono) VALUES (?, ?, ?, ?, ?, ?)`,
-            // ✅ CAMBIO 4: Usar rol_final y los nuevos campos
-            [nombre_administrador, contraseña_hash, rol_final, email || null, dni || null, telefono || null]
-        );
-
-        const id_administrador = result.insertId;
-
-        res.status(201).json({
-            id_administrador,
-            nombre_administrador,
-            // ✅ CAMBIO 5: Devolver el rol_final (Rector/Coordinador)
-            rol: rol_final, 
-            // ✅ CAMBIO 6: Generar token con el rol_final
-            token: generateToken(id_administrador, rol_final),
-        });
+// @desc    Indica si el registro inicial (bootstrap del primer Rector) está disponible
+// @route   GET /api/auth/register
+// @access  Public
+exports.getRegistrationStatus = async (req, res) => {
+    try {
+        const [conteo] = await pool.query('SELECT COUNT(*) AS total FROM administrador');
+        res.json({ registro_habilitado: conteo[0].total === 0 });
+    } catch (error) {
+        console.error('Error al consultar el estado del registro:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+};
 
-    } catch (error) {
-        if (error.code === 'ER_DUP_ENTRY') {
-            return res.status(400).json({ message: 'El nombre de administrador o el email ya existe.' });
-        }
-        console.error("Error al registrar administrador:", error);
-        res.status(500).json({ message: 'Error interno del servidor al registrar.' });
-    }
+// @desc    Registrar el primer administrador del sistema (Rector inicial)
+// @route   POST /api/auth/register
+// @access  Public (solo mientras la tabla 'administrador' esté vacía)
+exports.registerUser = async (req, res) => {
+    // ✅ CAMBIO 1: Incluir los nuevos campos (dni, telefono)
+    const { nombre_administrador, contraseña, email, dni, telefono } = req.body; 
+
+    if (!nombre_administrador || !contraseña) {
+        return res.status(400).json({ message: 'Por favor, ingrese un nombre de administrador y contraseña.' });
+    }
+
+    const validationError = validatePasswordRules(String(contraseña));
+    if (validationError) {
+        return res.status(400).json({ message: `Error de validación: ${validationError}` });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // 🔒 BOOTSTRAP: el registro público solo crea el PRIMER Rector.
+        // FOR UPDATE bloquea la tabla para que dos registros simultáneos no pasen ambos.
+        const [conteo] = await connection.query('SELECT COUNT(*) AS total FROM administrador FOR UPDATE');
+        if (conteo[0].total > 0) {
+            await connection.rollback();
+            return res.status(403).json({ message: 'El registro público está deshabilitado. Las nuevas cuentas se crean mediante una invitación de un Rector.' });
+        }
+
+        // 1. Encriptar la contraseña
+        const salt = await bcrypt.genSalt(10);
+        const contraseña_hash = await bcrypt.hash(contraseña, salt);
+
+        // ✅ CAMBIO 2: La primera cuenta del sistema siempre es 'Rector' (se ignora cualquier rol del body)
+        const rol_final = 'Rector';
+
+        // 2. Insertar en la tabla 'administrador'
+        const [result] = await connection.query(
+            // ✅ CAMBIO 3: Incluir 'dni' y 'telefono' en la consulta SQL
+            `INSERT INTO administrador (nombre_administrador, contraseña, rol, email, dni, telefono) VALUES (?, ?, ?, ?, ?, ?)`,
+            // ✅ CAMBIO 4: Usar rol_final y los nuevos campos
+            [nombre_administrador, contraseña_hash, rol_final, email || null, dni || null, telefono || null]
+        );
+
+        const id_administrador = result.insertId;
+
+        // Abrir la primera sesión (access token + refresh token)
+        const { token, refreshToken } = await createSession(id_administrador, rol_final, req, connection);
+
+        await connection.commit();
+
+        res.status(201).json({
+            id_administrador,
+            nombre_administrador,
+            rol: rol_final, 
+            token,
+            refreshToken,
+        });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ message: 'El nombre de administrador o el email ya existe.' });
+        }
+        console.error("Error al registrar administrador:", error);
+        res.status(500).json({ message: 'Error interno del servidor al registrar.' });
+    } finally {
+        if (connection) connection.release();
+    }
 };
 
 // @desc    Autenticar un usuario (Login)
@@ -98,16 +151,36 @@ exports.loginUser = async (req, res) => {
         return res.status(400).json({ message: 'Por favor, ingrese usuario/email y contraseña.' });
     }
 
-    try {
-        const [usuarios] = await pool.query(
-            // La consulta SELECT * ya trae dni y telefono
-            `SELECT * FROM administrador WHERE nombre_administrador = ? OR email = ?`, 
-            [identificador, identificador] 
-        );
-
-        const usuario = usuarios[0];
-
-        if (usuario && (await bcrypt.compare(contraseña, usuario.contraseña))) {
+    const ip = req.ip;
+
+    try {
+        // 🛡️ PROTECCIÓN FUERZA BRUTA 1: Límite de intentos fallidos por IP
+        const ipStatus = await checkIpBlocked(ip);
+        if (ipStatus.bloqueada) {
+            res.set('Retry-After', String(ipStatus.segundos));
+            return res.status(429).json({ message: 'Demasiados intentos fallidos desde esta conexión. Intente nuevamente más tarde.' });
+        }
+
+        const [usuarios] = await pool.query(
+            // La consulta SELECT * ya trae dni y telefono (y el estado de bloqueo calculado por la BD)
+            `SELECT *, 
+(bloqueado_hasta IS NOT NULL AND bloqueado_hasta > NOW()) AS cuenta_bloqueada,
+TIMESTAMPDIFF(SECOND, NOW(), bloqueado_hasta) AS segundos_bloqueo
+FROM administrador WHERE nombre_administrador = ? OR email = ?`, 
+            [identificador, identificador] 
+        );
+
+        const usuario = usuarios[0];
+
+        // 🛡️ PROTECCIÓN FUERZA BRUTA 2: Cuenta bloqueada temporalmente (no se evalúa la contraseña)
+        if (usuario && usuario.cuenta_bloqueada) {
+            res.set('Retry-After', String(Math.max(usuario.segundos_bloqueo, 1)));
+            return res.status(429).json({ 
+                message: `Demasiados intentos fallidos. La cuenta está bloqueada temporalmente, intente nuevamente en ${Math.ceil(usuario.segundos_bloqueo / 60)} minuto(s).` 
+            });
+        }
+
+        if (usuario && (await bcrypt.compare(contraseña, usuario.contraseña))) {
             
             // 🛑 NUEVA VERIFICACIÓN DE SEGURIDAD: Bloquear el acceso si el estado NO es 'activo'
             if (usuario.estado !== 'activo') {
@@ -117,20 +190,21 @@ exports.loginUser = async (req, res) => {
                 });
             }
 
-            res.json({
-                id_administrador: usuario.id_administrador, 
-                nombre_administrador: usuario.nombre_administrador, 
-                email: usuario.email,
-                // ✅ CAMBIO 7: Devolver los nuevos campos en la respuesta de login
-                dni: usuario.dni,
-                telefono: usuario.telefono,
-                // El rol será 'Rector' o 'Coordinador'
-                rol: usuario.rol, 
-                token: generateToken(usuario.id_administrador, usuario.rol),
-            });
-        } else {
-            res.status(401).json({ message: 'Credenciales inválidas.' });
-        }
+            // 🔐 LOGIN EN DOS PASOS: si tiene 2FA activo, se pide el código antes de abrir la sesión
+            if (usuario.totp_habilitado) {
+                return res.json({
+                    requiere_2fa: true,
+                    token_2fa: generate2FAChallengeToken(usuario.id_administrador),
+                    message: 'Ingrese el código de su aplicación autenticadora o un código de recuperación.',
+                });
+            }
+
+            await completeLogin(req, res, usuario, identificador);
+        } else {
+            // Registra el fallo (cuenta + IP), bloquea si corresponde y aplica la demora progresiva
+            await registerFailedAttempt({ identificador, usuario, ip });
+            res.status(401).json({ message: 'Credenciales inválidas.' });
+        }
 
     } catch (error) {
         console.error("Error al iniciar sesión:", error);
@@ -138,86 +212,269 @@ exports.loginUser = async (req, res) => {
     }
 };
 
+// @desc    Segundo paso del login: verifica el código TOTP o un código de recuperación
+// @route   POST /api/auth/login/2fa
+// @access  Public (mediante token_2fa del primer paso)
+exports.loginSecondFactor = async (req, res) => {
+    const { token_2fa, codigo, codigo_recuperacion } = req.body;
+
+    if (!token_2fa || (!codigo && !codigo_recuperacion)) {
+        return res.status(400).json({ message: 'Faltan datos requeridos (token_2fa y código).' });
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token_2fa, JWT_SECRET);
+        if (decoded.proposito !== 'login_2fa') throw new Error('Propósito de token inválido');
+    } catch (error) {
+        return res.status(401).json({ message: 'La verificación expiró o es inválida. Inicie sesión nuevamente.' });
+    }
+
+    try {
+        // 🛡️ Los códigos erróneos suman al límite por IP del primer paso: se respeta el mismo bloqueo
+        const ipStatus = await checkIpBlocked(req.ip);
+        if (ipStatus.bloqueada) {
+            res.set('Retry-After', String(ipStatus.segundos));
+            return res.status(429).json({ message: 'Demasiados intentos fallidos desde esta conexión. Intente nuevamente más tarde.' });
+        }
+
+        const [usuarios] = await pool.query(
+            `SELECT *, 
+(bloqueado_hasta IS NOT NULL AND bloqueado_hasta > NOW()) AS cuenta_bloqueada
+FROM administrador WHERE id_administrador = ?`,
+            [decoded.id_administrador]
+        );
+        const usuario = usuarios[0];
+
+        if (!usuario || usuario.estado !== 'activo' || !usuario.totp_habilitado) {
+            return res.status(401).json({ message: 'Credenciales inválidas o cuenta no activa. Contacte al administrador.' });
+        }
+
+        // Los códigos erróneos cuentan como intentos fallidos (bloqueo de cuenta incluido)
+        if (usuario.cuenta_bloqueada) {
+            return res.status(429).json({ message: 'Demasiados intentos fallidos. La cuenta está bloqueada temporalmente.' });
+        }
+
+        const metodo = await verifySecondFactor(usuario, { codigo, codigo_recuperacion });
+        if (!metodo) {
+            await registerFailedAttempt({ identificador: usuario.nombre_administrador, usuario, ip: req.ip });
+            return res.status(401).json({ message: 'Código de verificación inválido.' });
+        }
+
+        if (metodo === 'recuperacion') {
+            const restantes = await countRecoveryCodes(usuario.id_administrador);
+            console.log(`[INFO] Admin ID ${usuario.id_administrador} inició sesión con un código de recuperación (${restantes} restantes).`);
+        }
+
+        await completeLogin(req, res, usuario, usuario.nombre_administrador);
+    } catch (error) {
+        console.error('Error en la verificación 2FA:', error);
+        res.status(500).json({ message: 'Error interno del servidor al verificar el segundo factor.' });
+    }
+};
+
+// ========================================================
+// SESIONES: REFRESH, LOGOUT Y LOGOUT GLOBAL
+// ========================================================
+
+// @desc    Obtener un nuevo access token a partir del refresh token (rotación)
+// @route   POST /api/auth/refresh
+// @access  Public (mediante refresh token)
+exports.refreshSession = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Falta el refresh token.' });
+    }
+
+    try {
+        const session = await rotateSession(refreshToken, req);
+
+        if (!session) {
+            return res.status(401).json({ message: 'Sesión inválida, expirada o revocada. Inicie sesión nuevamente.' });
+        }
+
+        res.json({
+            id_administrador: session.id_administrador,
+            rol: session.rol,
+            token: session.token,
+            refreshToken: session.refreshToken,
+        });
+    } catch (error) {
+        console.error('Error al renovar la sesión:', error);
+        res.status(500).json({ message: 'Error interno del servidor al renovar la sesión.' });
+    }
+};
+
+// @desc    Cerrar la sesión actual (revoca el refresh token del dispositivo)
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logoutUser = async (req, res) => {
+    try {
+        await revokeSession(req.user.id_sesion, 'logout');
+        res.json({ message: 'Sesión cerrada con éxito.' });
+    } catch (error) {
+        console.error('Error al cerrar sesión:', error);
+        res.status(500).json({ message: 'Error interno del servidor al cerrar sesión.' });
+    }
+};
+
+// @desc    Cerrar sesión en todos los dispositivos del usuario
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAllDevices = async (req, res) => {
+    try {
+        const revocadas = await revokeAllSessions(req.user.id, 'logout_global');
+        res.json({ message: 'Se cerró la sesión en todos los dispositivos.', sesiones_revocadas: revocadas });
+    } catch (error) {
+        console.error('Error al cerrar todas las sesiones:', error);
+        res.status(500).json({ message: 'Error interno del servidor al cerrar las sesiones.' });
+    }
+};
+
 // ========================================================
 // FUNCIÓN: FORGOT PASSWORD (Solicitud de Restablecimiento)
 // ========================================================
-// @desc    Solicita restablecimiento de contraseña
-// @route   POST /api/auth/forgot-password
-// @access  Public
+// @desc    Solicita restablecimiento de contraseña
+// @route   POST /api/auth/forgot-password
+// @access  Public
 exports.forgotPassword = async (req, res) => {
-    const { email } = req.body;
-    
-    try {
-        // Buscar el usuario por email
-        const [rows] = await pool.query('SELECT id_administrador, nombre_administrador, email FROM administrador WHERE email = ?', [email]);
-        const user = rows[0];
-
-        if (!user || !user.email) {
-            return res.status(200).json({ message: 'Si el email es válido, recibirás un enlace de restablecimiento.' });
-        }
-
-        // Generar un token JWT (1 hora de duración)
-        const resetToken = jwt.sign({ id: user.id_administrador }, RESET_SECRET, { expiresIn: '1h' });
-        
-        // Crear el enlace de restablecimiento
-        const resetLink = `${CLIENT_URL}?token=${resetToken}`;
-
-        // Configurar y enviar el email
-        const mailOptions = {
-            from: EMAIL_FROM_ADDRESS, 
-            to: user.email,
-            subject: 'Restablecimiento de Contraseña de Administrador IES6',
-            html: `
-                <p>Hola ${user.nombre_administrador},</p>
-                <p>Haz clic en el siguiente enlace para crear tu nueva contraseña. Este enlace expira en 1 hora:</p>
-                <p><a href="${resetLink}" style="background-color: #2563EB; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                    Restablecer Contraseña
-                </a></p>
-                <p style="margin-top: 20px;">Si no solicitaste esto, ignora este correo.</p>
-            `,
-        };
-
-        await transporter.sendMail(mailOptions);
-        console.log('Email de restablecimiento enviado a:', user.email);
-        res.status(200).json({ message: 'Si el email es válido, recibirás un enlace de restablecimiento.' });
-    } catch (error) {
-        console.error('Error al enviar el email (SMTP/Conexión):', error);
-        res.status(500).json({ message: 'Hubo un error al intentar enviar el correo. Por favor, contacta a soporte.' });
-    }
+    const { email } = req.body;
+    
+    try {
+        // Buscar el usuario por email
+        const [rows] = await pool.query('SELECT id_administrador, nombre_administrador, email FROM administrador WHERE email = ?', [email]);
+        const user = rows[0];
+
+        if (!user || !user.email) {
+            return res.status(200).json({ message: 'Si el email es válido, recibirás un enlace de restablecimiento.' });
+        }
+
+        // Generar un token aleatorio de un solo uso (solo se guarda su hash)
+        const resetToken = generateRandomToken();
+
+        // Invalidar los enlaces anteriores que sigan pendientes: solo vale el último solicitado
+        await pool.query(
+            `UPDATE token_restablecimiento SET fecha_invalidacion = NOW()
+WHERE id_administrador = ? AND fecha_uso IS NULL AND fecha_invalidacion IS NULL`,
+            [user.id_administrador]
+        );
+
+        await pool.query(
+            `INSERT INTO token_restablecimiento (id_administrador, token_hash, fecha_creacion, fecha_expiracion)
+VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+            [user.id_administrador, hashToken(resetToken), RESET_TOKEN_MINUTES]
+        );
+        
+        // Crear el enlace de restablecimiento
+        const resetLink = `${CLIENT_URL}?token=${resetToken}`;
+
+        // Configurar y enviar el email
+        await sendMail({
+            to: user.email,
+            subject: 'Restablecimiento de Contraseña de Administrador IES6',
+            html: `
+                <p>Hola ${user.nombre_administrador},</p>
+                <p>Haz clic en el siguiente enlace para crear tu nueva contraseña. Este enlace expira en ${RESET_TOKEN_MINUTES} minutos y solo puede usarse una vez:</p>
+                <p>${actionButton(resetLink, 'Restablecer Contraseña')}</p>
+                <p style="margin-top: 20px;">Si no solicitaste esto, ignora este correo.</p>
+            `,
+        });
+        console.log('Email de restablecimiento enviado a:', user.email);
+        res.status(200).json({ message: 'Si el email es válido, recibirás un enlace de restablecimiento.' });
+    } catch (error) {
+        console.error('Error al enviar el email (SMTP/Conexión):', error);
+        res.status(500).json({ message: 'Hubo un error al intentar enviar el correo. Por favor, contacta a soporte.' });
+    }
 };
 
 // ========================================================
 // FUNCIÓN: RESET PASSWORD (Actualizar la Contraseña)
 // ========================================================
-// @desc    Actualiza la contraseña si el token es válido
-// @route   POST /api/auth/reset-password
-// @access  Public (mediante token)
+// @desc    Actualiza la contraseña si el token es válido (y lo consume)
+// @route   POST /api/auth/reset-password
+// @access  Public (mediante token)
 exports.resetPassword = async (req, res) => {
-    const { token, newPassword } = req.body;
-
-    if (!token || !newPassword) {
-        return res.status(400).json({ message: 'Faltan datos requeridos (token o nueva contraseña).' });
-    }
-
-    try {
-        // 1. Verificar el token usando el RESET_SECRET
-        const decoded = jwt.verify(token, RESET_SECRET);
-        const adminId = decoded.id; 
-
-        // 2. Hashear la nueva contraseña
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
-
-        // 3. Actualizar la contraseña en la BD
-        const [result] = await pool.query('UPDATE administrador SET contraseña = ? WHERE id_administrador = ?', [hashedPassword, adminId]);
-
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'El enlace de restablecimiento es inválido.' });
-        }
-
-        return res.status(200).json({ message: 'Contraseña restablecida con éxito. Ya puedes iniciar sesión.' });
-
-    } catch (error) {
-        console.error('Error en restablecimiento:', error.message);
-        return res.status(401).json({ message: 'El enlace de restablecimiento es inválido o ha expirado. Solicita uno nuevo.' });
-    }
-};
\ No newline at end of file
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+        return res.status(400).json({ message: 'Faltan datos requeridos (token o nueva contraseña).' });
+    }
+
+    // Misma política de contraseñas que en la gestión de administradores
+    const validationError = validatePasswordRules(String(newPassword));
+    if (validationError) {
+        return res.status(400).json({ message: `Error de validación: ${validationError}` });
+    }
+
+    let connection;
+    let user;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // 1. Buscar el token vigente (bloqueando la fila para que no se use dos veces en paralelo)
+        const [tokens] = await connection.query(
+            `SELECT t.id_token, a.id_administrador, a.nombre_administrador, a.email
+FROM token_restablecimiento t
+INNER JOIN administrador a ON t.id_administrador = a.id_administrador
+WHERE t.token_hash = ?
+AND t.fecha_uso IS NULL
+AND t.fecha_invalidacion IS NULL
+AND t.fecha_expiracion > NOW()
+FOR UPDATE`,
+            [hashToken(token)]
+        );
+
+        if (tokens.length === 0) {
+            await connection.rollback();
+            return res.status(401).json({ message: 'El enlace de restablecimiento es inválido o ha expirado. Solicita uno nuevo.' });
+        }
+        user = tokens[0];
+
+        // 2. Hashear la nueva contraseña
+        const hashedPassword = await bcrypt.hash(String(newPassword), 10);
+
+        // 3. Actualizar la contraseña en la BD
+        await connection.query('UPDATE administrador SET contraseña = ? WHERE id_administrador = ?', [hashedPassword, user.id_administrador]);
+
+        // 4. Consumir el token y anular cualquier otro enlace pendiente del usuario
+        await connection.query('UPDATE token_restablecimiento SET fecha_uso = NOW() WHERE id_token = ?', [user.id_token]);
+        await connection.query(
+            `UPDATE token_restablecimiento SET fecha_invalidacion = NOW()
+WHERE id_administrador = ? AND fecha_uso IS NULL AND fecha_invalidacion IS NULL`,
+            [user.id_administrador]
+        );
+
+        // 5. Cerrar todas las sesiones abiertas con la contraseña anterior
+        await revokeAllSessions(user.id_administrador, 'reset_password', connection);
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error en restablecimiento:', error);
+        return res.status(500).json({ message: 'Error interno del servidor al restablecer la contraseña.' });
+    } finally {
+        if (connection) connection.release();
+    }
+
+    // 6. Email de confirmación (un fallo del SMTP no revierte el cambio ya confirmado)
+    if (user.email) {
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Tu contraseña de Administrador IES6 fue modificada',
+                html: `
+                <p>Hola ${user.nombre_administrador},</p>
+                <p>Te confirmamos que la contraseña de tu cuenta fue restablecida correctamente y que se cerraron todas las sesiones abiertas.</p>
+                <p style="margin-top: 20px;">Si no fuiste tú, contacta de inmediato a un Rector.</p>
+            `,
+            });
+        } catch (error) {
+            console.error('Error al enviar el email de confirmación de restablecimiento:', error);
+        }
+    }
+
+    return res.status(200).json({ message: 'Contraseña restablecida con éxito. Ya puedes iniciar sesión.' });
+};
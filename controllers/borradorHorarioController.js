@@ -0,0 +1,391 @@
+// backend/controllers/borradorHorarioController.js
+
+const pool = require('../database');
+const { canAccessCarrera } = require('../utils/permissions');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+const { buscarSuperposiciones, buscarConflictosRecurso, horaAMinutos } = require('../utils/horarioUtils');
+const { generarHorario } = require('../utils/generadorHorarios');
+const { HORAS_MINUTOS_POR_HORA } = require('../utils/horasValidacion');
+const { ENUMERACIONES } = require('../utils/enums');
+
+/*
+ * Flujo: se genera un borrador (no toca los horarios), el coordinador lo revisa y lo aplica
+ * (crea todos los horarios en una transacción) o lo descarta. Cada borrador queda guardado en
+ * 'borrador_horario' (migrations/009_borradores_horario.js) como 'pendiente', 'aplicado' o 'descartado'.
+ */
+
+// Las columnas JSON pueden llegar como texto según la configuración del driver
+const parseJson = (valor) => {
+    if (valor === null || valor === undefined || typeof valor !== 'string') return valor;
+    try {
+        return JSON.parse(valor);
+    } catch (error) {
+        return valor;
+    }
+};
+
+const formatearBorrador = (borrador) => ({
+    ...borrador,
+    parametros: parseJson(borrador.parametros),
+    propuesta: parseJson(borrador.propuesta),
+});
+
+/**
+ * Borrador con su carrera, si el usuario puede actuar sobre ella.
+ * Devuelve { borrador } o { error: { status, message } }.
+ */
+const obtenerBorrador = async (id, user, conn = pool, bloquear = false) => {
+    const [rows] = await conn.query(
+        `SELECT * FROM borrador_horario WHERE id_borrador = ?${bloquear ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    if (rows.length === 0) {
+        return { error: { status: 404, message: 'Borrador de horario no encontrado.' } };
+    }
+    if (!canAccessCarrera(user, rows[0].id_carrera)) {
+        return { error: { status: 403, message: 'Acceso denegado. No tiene permisos sobre esta carrera.' } };
+    }
+    return { borrador: formatearBorrador(rows[0]) };
+};
+
+// =========================================================
+// GENERADOR DE HORARIOS 🧩
+// =========================================================
+
+// @desc    Generar un borrador de horario sin superposiciones para un año de la carrera.
+//          Body: { año, franjas: [{ dia_semana?, hora_inicio, hora_fin }], dias?, bloqueados?,
+//                  duracion_modulo?, bloque_minimo?, bloque_maximo?, reemplazar?, asignar_docentes? }
+//          Sin 'reemplazar' solo se programan las materias que todavía no tienen horarios (las demás se respetan).
+//          Si no hay solución responde 409 con las restricciones que no se pudieron cumplir.
+// @route   POST /api/admin/carreras/:id/horarios/generar
+// @access  Private (horario:write + alcance de la carrera)
+exports.generarBorradorHorario = async (req, res) => {
+    const { id: id_carrera } = req.params;
+    const {
+        año, franjas, dias = ENUMERACIONES.dia_semana.slice(0, 5), bloqueados = [],
+        duracion_modulo = HORAS_MINUTOS_POR_HORA, bloque_minimo = 2, bloque_maximo = 4,
+        reemplazar = false, asignar_docentes = true,
+    } = req.body;
+
+    if (!canAccessCarrera(req.user, id_carrera)) {
+        return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre esta carrera.' });
+    }
+    if (bloque_minimo > bloque_maximo) {
+        return res.status(400).json({ message: 'Error de validación: \'bloque_minimo\' no puede ser mayor que \'bloque_maximo\'.' });
+    }
+    if ([...franjas, ...bloqueados].some(rango => horaAMinutos(rango.hora_inicio) >= horaAMinutos(rango.hora_fin))) {
+        return res.status(400).json({ message: 'Error de validación: en cada franja y bloqueo \'hora_inicio\' debe ser anterior a \'hora_fin\'.' });
+    }
+
+    try {
+        const [carreras] = await pool.query(
+            "SELECT id_carrera, nombre_carrera FROM carrera WHERE id_carrera = ? AND estado = 'activa'",
+            [id_carrera]
+        );
+        if (carreras.length === 0) {
+            return res.status(404).json({ message: 'Carrera no encontrada o inactiva.' });
+        }
+
+        const [materias] = await pool.query(
+            `SELECT id_materia, nombre_materia, horas_semanales FROM materia
+             WHERE id_carrera = ? AND año = ? AND estado = 'activa' ORDER BY id_materia`,
+            [id_carrera, año]
+        );
+        if (materias.length === 0) {
+            return res.status(404).json({ message: `La carrera no tiene materias activas en ${año}° año.` });
+        }
+
+        // Horarios activos actuales del año: se mantienen (y bloquean) o se reemplazan
+        const [horariosActuales] = await pool.query(`SELECT
+h.id_horario, h.id_materia, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin
+FROM horario h
+WHERE h.id_materia IN (?) AND h.estado = 'activa'`, [materias.map(m => m.id_materia)]);
+
+        const conHorario = new Set(horariosActuales.map(h => h.id_materia));
+        const aProgramar = reemplazar ? materias : materias.filter(m => !conHorario.has(m.id_materia));
+        const omitidas = reemplazar ? [] : materias.filter(m => conHorario.has(m.id_materia));
+        if (aProgramar.length === 0) {
+            return res.status(400).json({
+                message: 'Todas las materias del año ya tienen horarios. Use \'reemplazar: true\' para generar el horario completo.',
+            });
+        }
+        const idsAProgramar = aProgramar.map(m => m.id_materia);
+
+        // Docente de cada materia: el primero por cargo (Titular, Adjunto, ...) y sus otros horarios
+        const ocupacionDocentes = {};
+        if (asignar_docentes) {
+            const cargos = ENUMERACIONES.cargo_docente;
+            const [docentes] = await pool.query(`SELECT
+md.id_materia, d.id_docente, CONCAT(d.apellido, ', ', d.nombre) AS docente
+FROM materia_docente md
+JOIN docente d ON md.id_docente = d.id_docente
+WHERE md.id_materia IN (?) AND d.estado = 'activa'
+ORDER BY FIELD(md.cargo, ${cargos.map(() => '?').join(', ')}), d.apellido, d.nombre`, [idsAProgramar, ...cargos]);
+
+            for (const materia of aProgramar) {
+                const asignado = docentes.find(d => d.id_materia === materia.id_materia);
+                if (asignado) Object.assign(materia, { id_docente: asignado.id_docente, docente: asignado.docente });
+            }
+
+            const idsDocentes = [...new Set(docentes.map(d => d.id_docente))];
+            if (idsDocentes.length > 0) {
+                const [ocupados] = await pool.query(`SELECT
+h.id_docente, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+WHERE h.id_docente IN (?) AND h.id_materia NOT IN (?) AND h.estado = 'activa' AND m.estado = 'activa'`,
+                [idsDocentes, idsAProgramar]);
+
+                for (const ocupado of ocupados) {
+                    (ocupacionDocentes[ocupado.id_docente] = ocupacionDocentes[ocupado.id_docente] || []).push(ocupado);
+                }
+            }
+        }
+
+        const resultado = generarHorario({
+            materias: aProgramar,
+            dias,
+            franjas,
+            bloqueados,
+            ocupados: horariosActuales.filter(h => !idsAProgramar.includes(h.id_materia)),
+            ocupacionDocentes,
+            modulo: duracion_modulo,
+            bloqueMinimo: bloque_minimo,
+            bloqueMaximo: bloque_maximo,
+        });
+
+        if (resultado.restricciones) {
+            return res.status(409).json({
+                message: 'No existe un horario que cumpla todas las restricciones.',
+                restricciones_incumplidas: resultado.restricciones,
+            });
+        }
+
+        const parametros = {
+            dias, franjas, bloqueados, duracion_modulo, bloque_minimo, bloque_maximo, reemplazar, asignar_docentes,
+            materias: idsAProgramar,
+        };
+        const [result] = await pool.query(
+            'INSERT INTO borrador_horario (id_carrera, año, parametros, propuesta, estado, id_administrador) VALUES (?, ?, ?, ?, ?, ?)',
+            [id_carrera, año, JSON.stringify(parametros), JSON.stringify(resultado.horarios), 'pendiente', req.user.id_administrador]
+        );
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'borrador_horario', id_entidad: result.insertId,
+            despues: { id_carrera, año, parametros, horarios: resultado.horarios.length },
+        });
+
+        res.status(201).json({
+            message: 'Borrador de horario generado. Revíselo y aplíquelo para crear los horarios.',
+            id_borrador: result.insertId,
+            ...carreras[0],
+            año,
+            horarios: resultado.horarios,
+            advertencias: resultado.advertencias,
+            materias_omitidas: omitidas.map(({ id_materia, nombre_materia }) => ({ id_materia, nombre_materia })),
+            horarios_a_reemplazar: reemplazar ? horariosActuales.length : 0,
+        });
+    } catch (error) {
+        console.error('Error al generar el borrador de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al generar el horario.' });
+    }
+};
+
+// @desc    Listar los borradores de horario pendientes de una carrera
+// @route   GET /api/admin/carreras/:id/horarios/borradores
+// @access  Private (horario:read + alcance de la carrera)
+exports.listBorradoresHorario = async (req, res) => {
+    const { id: id_carrera } = req.params;
+
+    if (!canAccessCarrera(req.user, id_carrera)) {
+        return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre esta carrera.' });
+    }
+
+    try {
+        const [borradores] = await pool.query(`SELECT
+b.id_borrador, b.año, b.estado, b.fecha_creacion, b.propuesta, a.nombre_administrador AS creado_por
+FROM borrador_horario b
+LEFT JOIN administrador a ON b.id_administrador = a.id_administrador
+WHERE b.id_carrera = ? AND b.estado = 'pendiente'
+ORDER BY b.fecha_creacion DESC`, [id_carrera]);
+
+        res.json(borradores.map(({ propuesta, ...borrador }) => ({
+            ...borrador,
+            cantidad_horarios: (parseJson(propuesta) || []).length,
+        })));
+    } catch (error) {
+        console.error('Error al listar borradores de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar borradores de horario.' });
+    }
+};
+
+// @desc    Ver un borrador de horario (parámetros y horarios propuestos)
+// @route   GET /api/admin/horarios/borradores/:id
+// @access  Private (horario:read + alcance de la carrera)
+exports.getBorradorHorario = async (req, res) => {
+    try {
+        const { borrador, error } = await obtenerBorrador(req.params.id, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        res.json(borrador);
+    } catch (error) {
+        console.error('Error al obtener el borrador de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+};
+
+// @desc    Aplicar un borrador: crea todos sus horarios en una transacción (con 'reemplazar' da de baja
+//          los horarios anteriores de esas materias). Si algo cambió desde que se generó y ya no
+//          entra sin superposiciones, no se aplica nada (409).
+// @route   POST /api/admin/horarios/borradores/:id/aplicar
+// @access  Private (horario:write + alcance de la carrera)
+exports.aplicarBorradorHorario = async (req, res) => {
+    const { id } = req.params;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const { borrador, error } = await obtenerBorrador(id, req.user, connection, true);
+        if (error) {
+            await connection.rollback();
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (borrador.estado !== 'pendiente') {
+            await connection.rollback();
+            return res.status(409).json({ message: `El borrador ya fue ${borrador.estado}.` });
+        }
+
+        const { parametros, propuesta } = borrador;
+
+        // 1. Las materias tienen que seguir activas en la misma carrera y año
+        const [materias] = await connection.query(
+            "SELECT id_materia FROM materia WHERE id_materia IN (?) AND id_carrera = ? AND año = ? AND estado = 'activa'",
+            [parametros.materias, borrador.id_carrera, borrador.año]
+        );
+        if (materias.length !== parametros.materias.length) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Alguna materia del borrador fue dada de baja o cambió de año. Genere un nuevo borrador.' });
+        }
+
+        // 2. Reemplazo: baja lógica de los horarios actuales de esas materias
+        let reemplazados = [];
+        if (parametros.reemplazar) {
+            [reemplazados] = await connection.query(
+                "SELECT * FROM horario WHERE id_materia IN (?) AND estado = 'activa' FOR UPDATE",
+                [parametros.materias]
+            );
+            if (reemplazados.length > 0) {
+                await connection.query(
+                    "UPDATE horario SET estado = 'inactiva', fecha_eliminacion = NOW(), id_administrador_eliminacion = ? WHERE id_horario IN (?)",
+                    [req.user.id_administrador, reemplazados.map(h => h.id_horario)]
+                );
+                for (const horarioAntes of reemplazados) {
+                    await registrarAuditoria(req, {
+                        accion: 'eliminar', entidad: 'horario', id_entidad: horarioAntes.id_horario,
+                        antes: horarioAntes, despues: await obtenerRegistro('horario', 'id_horario', horarioAntes.id_horario, connection),
+                    }, connection);
+                }
+            }
+        }
+
+        // 3. Crear los horarios, comprobando de nuevo superposiciones y docentes (pudieron cambiar)
+        const conflictos = [];
+        const creados = [];
+        for (const horario of propuesta) {
+            const superposiciones = await buscarSuperposiciones(horario, connection);
+            if (superposiciones.length > 0) {
+                conflictos.push({ horario, tipo: 'superposicion', con: superposiciones });
+                continue;
+            }
+
+            if (horario.id_docente) {
+                const [docentes] = await connection.query(
+                    `SELECT 1 FROM docente d JOIN materia_docente md ON md.id_docente = d.id_docente
+                     WHERE d.id_docente = ? AND d.estado = 'activa' AND md.id_materia = ?`,
+                    [horario.id_docente, horario.id_materia]
+                );
+                const ocupado = docentes.length > 0
+                    ? await buscarConflictosRecurso('docente', { id: horario.id_docente, ...horario }, connection)
+                    : [];
+                if (docentes.length === 0 || ocupado.length > 0) {
+                    conflictos.push({ horario, tipo: docentes.length === 0 ? 'docente_no_disponible' : 'docente_ocupado', con: ocupado });
+                    continue;
+                }
+            }
+
+            const [result] = await connection.query(
+                'INSERT INTO horario (id_materia, dia_semana, hora_inicio, hora_fin, id_aula, id_docente, estado) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [horario.id_materia, horario.dia_semana, horario.hora_inicio, horario.hora_fin, null, horario.id_docente || null, 'activa']
+            );
+            creados.push(result.insertId);
+            await registrarAuditoria(req, {
+                accion: 'crear', entidad: 'horario', id_entidad: result.insertId,
+                despues: await obtenerRegistro('horario', 'id_horario', result.insertId, connection),
+            }, connection);
+        }
+
+        if (conflictos.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                message: 'El borrador quedó desactualizado: algunos horarios ya no entran. Genere un nuevo borrador.',
+                conflictos,
+            });
+        }
+
+        // 4. Marcar el borrador como aplicado (y descartar los otros pendientes del mismo año)
+        await connection.query(
+            "UPDATE borrador_horario SET estado = 'aplicado', fecha_resolucion = NOW() WHERE id_borrador = ?",
+            [id]
+        );
+        await connection.query(
+            "UPDATE borrador_horario SET estado = 'descartado', fecha_resolucion = NOW() WHERE id_carrera = ? AND año = ? AND estado = 'pendiente'",
+            [borrador.id_carrera, borrador.año]
+        );
+        await registrarAuditoria(req, {
+            accion: 'aplicar', entidad: 'borrador_horario', id_entidad: id,
+            despues: { horarios_creados: creados, horarios_reemplazados: reemplazados.map(h => h.id_horario) },
+        }, connection);
+
+        await connection.commit();
+
+        res.json({
+            message: `Borrador aplicado con éxito: ${creados.length} horario(s) creado(s).`,
+            horarios_creados: creados,
+            horarios_reemplazados: reemplazados.length,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al aplicar el borrador de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al aplicar el borrador de horario.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Descartar un borrador pendiente
+// @route   DELETE /api/admin/horarios/borradores/:id
+// @access  Private (horario:write + alcance de la carrera)
+exports.descartarBorradorHorario = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { borrador, error } = await obtenerBorrador(id, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        const [result] = await pool.query(
+            "UPDATE borrador_horario SET estado = 'descartado', fecha_resolucion = NOW() WHERE id_borrador = ? AND estado = 'pendiente'",
+            [id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ message: `El borrador ya fue ${borrador.estado}.` });
+        }
+        await registrarAuditoria(req, { accion: 'descartar', entidad: 'borrador_horario', id_entidad: id });
+
+        res.json({ message: 'Borrador de horario descartado.' });
+    } catch (error) {
+        console.error('Error al descartar el borrador de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al descartar el borrador de horario.' });
+    }
+};
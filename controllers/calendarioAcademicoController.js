@@ -0,0 +1,313 @@
+// backend/controllers/calendarioAcademicoController.js
+
+const pool = require('../database');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+const {
+    obtenerCicloLectivo, cuatrimestreEnCurso, periodosEnCurso, fechasSinClases, validarFechasCiclo, fechaHoy
+} = require('../utils/calendarioAcademico');
+
+/*
+ * Tablas requeridas: ciclo_lectivo, dia_no_habil (ver utils/calendarioAcademico.js)
+ *
+ * Un ciclo lectivo por año. Los días sin clases pueden ser un día o un rango (ej: una semana de asueto)
+ * y deben caer dentro del ciclo. El receso invernal se carga en el propio ciclo.
+ */
+
+// Campos del ciclo lectivo, en el orden de los INSERT / UPDATE
+const CAMPOS_CICLO = [
+    'año', 'fecha_inicio', 'fecha_fin', 'fin_primer_cuatrimestre', 'inicio_segundo_cuatrimestre',
+    'inicio_receso_invernal', 'fin_receso_invernal',
+];
+
+const valoresCiclo = (body) => CAMPOS_CICLO.map(campo => body[campo] || null);
+
+// Ciclo lectivo por ID, con sus días sin clases (o null)
+const obtenerCicloPorId = async (id, conn = pool) => {
+    const [ciclos] = await conn.query('SELECT año FROM ciclo_lectivo WHERE id_ciclo_lectivo = ?', [id]);
+    return ciclos.length > 0 ? obtenerCicloLectivo(ciclos[0].año, conn) : null;
+};
+
+// Mensaje de error si el rango no cae dentro del ciclo (o null)
+const validarDiaNoHabil = (ciclo, { fecha_inicio, fecha_fin }) => {
+    if (fecha_fin < fecha_inicio) {
+        return 'La fecha de fin no puede ser anterior a la de inicio.';
+    }
+    if (fecha_inicio < ciclo.fecha_inicio || fecha_fin > ciclo.fecha_fin) {
+        return `Los días sin clases deben estar dentro del ciclo lectivo ${ciclo.año} (${ciclo.fecha_inicio} a ${ciclo.fecha_fin}).`;
+    }
+    return null;
+};
+
+// =========================================================
+// CALENDARIO ACADÉMICO 📆 (ciclos lectivos y días sin clases)
+// =========================================================
+
+// @desc    Listar los ciclos lectivos
+// @route   GET /api/admin/calendario/ciclos
+// @access  Private (calendario:read)
+exports.getCiclosLectivos = async (req, res) => {
+    try {
+        const [ciclos] = await pool.query(`SELECT
+c.id_ciclo_lectivo, c.año,
+DATE_FORMAT(c.fecha_inicio, '%Y-%m-%d') AS fecha_inicio, DATE_FORMAT(c.fecha_fin, '%Y-%m-%d') AS fecha_fin,
+DATE_FORMAT(c.fin_primer_cuatrimestre, '%Y-%m-%d') AS fin_primer_cuatrimestre,
+DATE_FORMAT(c.inicio_segundo_cuatrimestre, '%Y-%m-%d') AS inicio_segundo_cuatrimestre,
+DATE_FORMAT(c.inicio_receso_invernal, '%Y-%m-%d') AS inicio_receso_invernal,
+DATE_FORMAT(c.fin_receso_invernal, '%Y-%m-%d') AS fin_receso_invernal,
+COUNT(d.id_dia_no_habil) AS cantidad_dias_no_habiles
+FROM ciclo_lectivo c
+LEFT JOIN dia_no_habil d ON d.id_ciclo_lectivo = c.id_ciclo_lectivo
+GROUP BY c.id_ciclo_lectivo
+ORDER BY c.año DESC`);
+
+        res.json(ciclos);
+    } catch (error) {
+        console.error('Error al listar los ciclos lectivos:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar los ciclos lectivos.' });
+    }
+};
+
+// @desc    Obtener un ciclo lectivo con sus días sin clases
+// @route   GET /api/admin/calendario/ciclos/:id
+// @access  Private (calendario:read)
+exports.getCicloLectivoById = async (req, res) => {
+    try {
+        const ciclo = await obtenerCicloPorId(req.params.id);
+        if (!ciclo) {
+            return res.status(404).json({ message: 'Ciclo lectivo no encontrado.' });
+        }
+        res.json(ciclo);
+    } catch (error) {
+        console.error('Error al obtener el ciclo lectivo:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener el ciclo lectivo.' });
+    }
+};
+
+// @desc    Crear el ciclo lectivo de un año
+// @route   POST /api/admin/calendario/ciclos
+// @access  Private (calendario:write)
+exports.createCicloLectivo = async (req, res) => {
+    const errorFechas = validarFechasCiclo(req.body);
+    if (errorFechas) {
+        return res.status(400).json({ message: errorFechas });
+    }
+
+    try {
+        const [result] = await pool.query(
+            `INSERT INTO ciclo_lectivo (${CAMPOS_CICLO.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            valoresCiclo(req.body)
+        );
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'ciclo_lectivo', id_entidad: result.insertId,
+            despues: await obtenerRegistro('ciclo_lectivo', 'id_ciclo_lectivo', result.insertId),
+        });
+
+        res.status(201).json({ ...(await obtenerCicloPorId(result.insertId)), message: 'Ciclo lectivo creado con éxito.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: `Ya existe el ciclo lectivo ${req.body.año}.` });
+        }
+        console.error('Error al crear el ciclo lectivo:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear el ciclo lectivo.' });
+    }
+};
+
+// @desc    Actualizar un ciclo lectivo. Sus días sin clases deben seguir quedando dentro del ciclo.
+// @route   PUT /api/admin/calendario/ciclos/:id
+// @access  Private (calendario:write)
+exports.updateCicloLectivo = async (req, res) => {
+    const { id } = req.params;
+
+    const errorFechas = validarFechasCiclo(req.body);
+    if (errorFechas) {
+        return res.status(400).json({ message: errorFechas });
+    }
+
+    try {
+        const cicloActual = await obtenerCicloPorId(id);
+        if (!cicloActual) {
+            return res.status(404).json({ message: 'Ciclo lectivo no encontrado.' });
+        }
+
+        const fuera = cicloActual.dias_no_habiles.filter(d => d.fecha_inicio < req.body.fecha_inicio || d.fecha_fin > req.body.fecha_fin);
+        if (fuera.length > 0) {
+            return res.status(409).json({
+                message: `Hay ${fuera.length} día(s) sin clases fuera de las nuevas fechas del ciclo. Modifíquelos o elimínelos primero.`,
+                dias_no_habiles: fuera,
+            });
+        }
+
+        const antes = await obtenerRegistro('ciclo_lectivo', 'id_ciclo_lectivo', id);
+        await pool.query(
+            `UPDATE ciclo_lectivo SET ${CAMPOS_CICLO.map(campo => `${campo} = ?`).join(', ')} WHERE id_ciclo_lectivo = ?`,
+            [...valoresCiclo(req.body), id]
+        );
+        await registrarAuditoria(req, {
+            accion: 'actualizar', entidad: 'ciclo_lectivo', id_entidad: id,
+            antes, despues: await obtenerRegistro('ciclo_lectivo', 'id_ciclo_lectivo', id),
+        });
+
+        res.json({ ...(await obtenerCicloPorId(id)), message: 'Ciclo lectivo actualizado con éxito.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: `Ya existe el ciclo lectivo ${req.body.año}.` });
+        }
+        console.error('Error al actualizar el ciclo lectivo:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar el ciclo lectivo.' });
+    }
+};
+
+// @desc    Eliminar un ciclo lectivo junto con sus días sin clases
+// @route   DELETE /api/admin/calendario/ciclos/:id
+// @access  Private (calendario:write)
+exports.deleteCicloLectivo = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const antes = await obtenerRegistro('ciclo_lectivo', 'id_ciclo_lectivo', id);
+        if (!antes) {
+            return res.status(404).json({ message: 'Ciclo lectivo no encontrado.' });
+        }
+
+        // Los días sin clases se borran en cascada (FK)
+        await pool.query('DELETE FROM ciclo_lectivo WHERE id_ciclo_lectivo = ?', [id]);
+        await registrarAuditoria(req, { accion: 'eliminar', entidad: 'ciclo_lectivo', id_entidad: id, antes });
+
+        res.json({ message: `Ciclo lectivo ${antes.año} eliminado con éxito.` });
+    } catch (error) {
+        console.error('Error al eliminar el ciclo lectivo:', error);
+        res.status(500).json({ message: 'Error interno del servidor al eliminar el ciclo lectivo.' });
+    }
+};
+
+// @desc    Agregar un día (o rango de días) sin clases a un ciclo lectivo
+//          Sin 'fecha_fin' es un solo día.
+// @route   POST /api/admin/calendario/ciclos/:id/dias-no-habiles
+// @access  Private (calendario:write)
+exports.createDiaNoHabil = async (req, res) => {
+    const { id } = req.params;
+    const { fecha_inicio, tipo, descripcion } = req.body;
+    const fecha_fin = req.body.fecha_fin || fecha_inicio;
+
+    try {
+        const ciclo = await obtenerCicloPorId(id);
+        if (!ciclo) {
+            return res.status(404).json({ message: 'Ciclo lectivo no encontrado.' });
+        }
+        const errorFechas = validarDiaNoHabil(ciclo, { fecha_inicio, fecha_fin });
+        if (errorFechas) {
+            return res.status(400).json({ message: errorFechas });
+        }
+
+        const [result] = await pool.query(
+            'INSERT INTO dia_no_habil (id_ciclo_lectivo, fecha_inicio, fecha_fin, tipo, descripcion) VALUES (?, ?, ?, ?, ?)',
+            [id, fecha_inicio, fecha_fin, tipo || 'Feriado', descripcion]
+        );
+        const dia = await obtenerRegistro('dia_no_habil', 'id_dia_no_habil', result.insertId);
+        await registrarAuditoria(req, { accion: 'crear', entidad: 'dia_no_habil', id_entidad: result.insertId, despues: dia });
+
+        res.status(201).json({
+            id_dia_no_habil: result.insertId, id_ciclo_lectivo: Number(id), fecha_inicio, fecha_fin,
+            tipo: tipo || 'Feriado', descripcion, message: 'Día sin clases agregado con éxito.',
+        });
+    } catch (error) {
+        console.error('Error al agregar el día sin clases:', error);
+        res.status(500).json({ message: 'Error interno del servidor al agregar el día sin clases.' });
+    }
+};
+
+// @desc    Actualizar un día (o rango de días) sin clases
+// @route   PUT /api/admin/calendario/dias-no-habiles/:id
+// @access  Private (calendario:write)
+exports.updateDiaNoHabil = async (req, res) => {
+    const { id } = req.params;
+    const { fecha_inicio, tipo, descripcion } = req.body;
+    const fecha_fin = req.body.fecha_fin || fecha_inicio;
+
+    try {
+        const antes = await obtenerRegistro('dia_no_habil', 'id_dia_no_habil', id);
+        if (!antes) {
+            return res.status(404).json({ message: 'Día sin clases no encontrado.' });
+        }
+        const ciclo = await obtenerCicloPorId(antes.id_ciclo_lectivo);
+        const errorFechas = validarDiaNoHabil(ciclo, { fecha_inicio, fecha_fin });
+        if (errorFechas) {
+            return res.status(400).json({ message: errorFechas });
+        }
+
+        await pool.query(
+            'UPDATE dia_no_habil SET fecha_inicio = ?, fecha_fin = ?, tipo = ?, descripcion = ? WHERE id_dia_no_habil = ?',
+            [fecha_inicio, fecha_fin, tipo || 'Feriado', descripcion, id]
+        );
+        await registrarAuditoria(req, {
+            accion: 'actualizar', entidad: 'dia_no_habil', id_entidad: id,
+            antes, despues: await obtenerRegistro('dia_no_habil', 'id_dia_no_habil', id),
+        });
+
+        res.json({ message: 'Día sin clases actualizado con éxito.' });
+    } catch (error) {
+        console.error('Error al actualizar el día sin clases:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar el día sin clases.' });
+    }
+};
+
+// @desc    Eliminar un día sin clases
+// @route   DELETE /api/admin/calendario/dias-no-habiles/:id
+// @access  Private (calendario:write)
+exports.deleteDiaNoHabil = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const antes = await obtenerRegistro('dia_no_habil', 'id_dia_no_habil', id);
+        if (!antes) {
+            return res.status(404).json({ message: 'Día sin clases no encontrado.' });
+        }
+
+        await pool.query('DELETE FROM dia_no_habil WHERE id_dia_no_habil = ?', [id]);
+        await registrarAuditoria(req, { accion: 'eliminar', entidad: 'dia_no_habil', id_entidad: id, antes });
+
+        res.json({ message: 'Día sin clases eliminado con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar el día sin clases:', error);
+        res.status(500).json({ message: 'Error interno del servidor al eliminar el día sin clases.' });
+    }
+};
+
+// =========================================================
+// CONSULTA PÚBLICA
+// =========================================================
+
+/**
+ * Calendario académico de un año (por defecto, el actual): cuatrimestres, receso y días sin clases.
+ * En el año actual indica además el cuatrimestre en curso.
+ * Endpoint: GET /api/calendario-academico?año=2026
+ */
+exports.getCalendarioAcademico = async (req, res) => {
+    const añoActual = new Date().getFullYear();
+    const año = req.query.año === undefined ? String(añoActual) : String(req.query.año).trim();
+
+    if (!/^\d{4}$/.test(año)) {
+        return res.status(400).json({ error: 'El parámetro año debe ser un año de cuatro cifras.' });
+    }
+
+    try {
+        const ciclo = await obtenerCicloLectivo(Number(año));
+        if (!ciclo) {
+            return res.status(404).json({ error: `No hay calendario académico cargado para ${año}.` });
+        }
+
+        const { id_ciclo_lectivo, ...datos } = ciclo;
+        const esAñoActual = Number(año) === añoActual;
+        res.json({
+            ...datos,
+            dias_no_habiles: ciclo.dias_no_habiles.map(({ id_dia_no_habil, ...dia }) => dia),
+            fechas_sin_clases: fechasSinClases(ciclo),
+            cuatrimestre_en_curso: esAñoActual ? cuatrimestreEnCurso(ciclo) : null,
+            periodos_en_curso: esAñoActual ? periodosEnCurso(ciclo) : null,
+            fecha_consulta: fechaHoy(),
+        });
+    } catch (error) {
+        console.error('Error al obtener el calendario académico:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener el calendario académico.' });
+    }
+};
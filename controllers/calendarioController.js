@@ -0,0 +1,137 @@
+// backend/controllers/calendarioController.js
+
+const pool = require('../database');
+const { generarCalendario } = require('../utils/icalendar');
+const { cicloLectivoActual, rangoPeriodo, fechasSinClases } = require('../utils/calendarioAcademico');
+
+// ==========================================================
+// CALENDARIOS .ICS DE LOS HORARIOS (públicos, para suscribirse) 📅
+// ==========================================================
+// Las URLs son estables: las aplicaciones de calendario las vuelven a pedir y toman los cambios.
+// Con ciclo lectivo cargado, cada materia aparece solo en su cuatrimestre y sin los días sin clases.
+
+// Máximo de materias en un calendario armado a medida (?ids=)
+const CALENDARIO_MAX_MATERIAS = 30;
+
+/**
+ * Horarios activos (de materias y carreras activas) que cumplen 'where', listos para el calendario:
+ * { horarios, sinClases }.
+ */
+const obtenerHorarios = async (where, params) => {
+    const ciclo = await cicloLectivoActual();
+    const [rows] = await pool.query(`SELECT
+h.id_horario, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin,
+m.nombre_materia, m.año, m.periodo, c.nombre_carrera, a.nombre AS aula, a.edificio,
+IF(d.estado = 'activa', CONCAT(d.nombre, ' ', d.apellido), NULL) AS docente
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+JOIN carrera c ON m.id_carrera = c.id_carrera
+LEFT JOIN aula a ON h.id_aula = a.id_aula
+LEFT JOIN docente d ON h.id_docente = d.id_docente
+WHERE h.estado = 'activa' AND m.estado = 'activa' AND c.estado = 'activa' AND ${where}
+ORDER BY h.id_horario`, params);
+
+    const horarios = rows.map(h => ({
+        id_horario: h.id_horario,
+        dia_semana: h.dia_semana,
+        hora_inicio: h.hora_inicio,
+        hora_fin: h.hora_fin,
+        resumen: h.nombre_materia,
+        lugar: h.aula ? `${h.aula}${h.edificio ? ` (${h.edificio})` : ''}` : null,
+        descripcion: [
+            `${h.nombre_carrera} - ${h.año}° año${h.periodo && h.periodo !== 'Anual' ? ` (${h.periodo})` : ''}`,
+            h.docente && `Docente: ${h.docente}`,
+        ].filter(Boolean).join('\n'),
+        periodo: ciclo ? rangoPeriodo(ciclo, h.periodo) : undefined,
+    }));
+    return { horarios, sinClases: ciclo ? fechasSinClases(ciclo) : [] };
+};
+
+// Responde el archivo .ics (inline, para que el navegador o el celular lo abra con el calendario)
+const enviarCalendario = (res, archivo, nombre, { horarios, sinClases }) => {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${archivo}"`);
+    res.setHeader('Cache-Control', 'public, max-age=900');
+    res.send(generarCalendario({ nombre, horarios, sinClases }));
+};
+
+/**
+ * Calendario de una materia.
+ * Endpoint: /api/calendario/materias/:id.ics
+ */
+exports.getCalendarioMateria = async (req, res) => {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ error: 'El ID de la materia debe ser un número.' });
+    }
+
+    try {
+        const [materias] = await pool.execute(
+            'SELECT nombre_materia FROM materia WHERE id_materia = ? AND estado = "activa"',
+            [id]
+        );
+        if (materias.length === 0) {
+            return res.status(404).json({ error: 'Materia no encontrada.' });
+        }
+
+        const calendario = await obtenerHorarios('h.id_materia = ?', [id]);
+        enviarCalendario(res, `materia-${id}.ics`, materias[0].nombre_materia, calendario);
+    } catch (error) {
+        console.error('Error al generar el calendario de la materia:', error);
+        res.status(500).json({ error: 'Error interno del servidor al generar el calendario.' });
+    }
+};
+
+/**
+ * Calendario de un año de una carrera.
+ * Endpoint: /api/calendario/carreras/:id/anios/:anio.ics
+ */
+exports.getCalendarioCarreraAnio = async (req, res) => {
+    const { id, anio } = req.params;
+
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(anio)) {
+        return res.status(400).json({ error: 'El ID de la carrera y el año deben ser números.' });
+    }
+
+    try {
+        const [carreras] = await pool.execute(
+            'SELECT nombre_carrera FROM carrera WHERE id_carrera = ? AND estado = "activa"',
+            [id]
+        );
+        if (carreras.length === 0) {
+            return res.status(404).json({ error: 'Carrera no encontrada.' });
+        }
+
+        const calendario = await obtenerHorarios('m.id_carrera = ? AND m.año = ?', [id, anio]);
+        enviarCalendario(res, `carrera-${id}-anio-${anio}.ics`, `${carreras[0].nombre_carrera} - ${anio}° año`, calendario);
+    } catch (error) {
+        console.error('Error al generar el calendario de la carrera:', error);
+        res.status(500).json({ error: 'Error interno del servidor al generar el calendario.' });
+    }
+};
+
+/**
+ * Calendario a medida con varias materias (por ejemplo, las que cursa un alumno).
+ * Endpoint: /api/calendario/materias.ics?ids=3,7,12
+ * El orden de los IDs no importa: la misma lista genera siempre el mismo calendario.
+ */
+exports.getCalendarioMaterias = async (req, res) => {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+        return res.status(400).json({ error: 'Falta parámetro: ids debe ser una lista de IDs de materia separados por comas.' });
+    }
+    if (ids.length > CALENDARIO_MAX_MATERIAS) {
+        return res.status(400).json({ error: `Se pueden incluir como máximo ${CALENDARIO_MAX_MATERIAS} materias.` });
+    }
+
+    try {
+        const calendario = await obtenerHorarios('h.id_materia IN (?)', [ids.map(Number)]);
+        enviarCalendario(res, 'mis-materias.ics', 'Mis materias', calendario);
+    } catch (error) {
+        console.error('Error al generar el calendario de materias:', error);
+        res.status(500).json({ error: 'Error interno del servidor al generar el calendario.' });
+    }
+};
@@ -1,4 +1,8 @@
 const db = require('../database'); // Importamos la conexión desde database.js (el pool)
+const { docentesPublicosPorMateria, nombreDocente } = require('../utils/docentes');
+const { cicloLectivoActual, periodosEnCurso } = require('../utils/calendarioAcademico');
+const { listarMesas } = require('../utils/mesasExamen');
+const { excepcionesProximas } = require('../utils/excepcionesHorario');
 
 /**
  * Muestra las carreras disponibles para el menú principal (Nivel 0).
@@ -91,7 +95,7 @@ exports.getInfo = async (req, res) => {
                     JOIN admin_carrera ac ON a.id_administrador = ac.id_administrador
                     JOIN carrera c ON ac.id_carrera = c.id_carrera /* Necesario para verificar estado de la carrera */
                     WHERE ac.id_carrera = ?
-                    AND a.rol = 'Coordinador'
+                    AND a.rol IN (SELECT nombre FROM rol WHERE alcance = 'asignadas')
                     AND c.estado = 'activa' /* [CAMBIO CLAVE]: Filtramos por carrera activa */
                     /* NOTA: Es una buena práctica filtrar también 'a.estado = 'activo'' en la tabla administrador, 
                     pero solo aplicamos los cambios solicitados para las tablas mencionadas. */
@@ -113,7 +117,7 @@ exports.getInfo = async (req, res) => {
             case 'get_materia_details': // Obtiene todos los detalles de la tabla materia.
                 // [CAMBIO CLAVE]: Filtramos solo por materia con estado 'activa'
                 [queryResult] = await db.query(
-                    `SELECT nombre_materia, año, campo_formacion, modalidad, formato, horas_semanales, total_horas_anuales, acreditacion
+                    `SELECT nombre_materia, año, campo_formacion, modalidad, periodo, formato, horas_semanales, total_horas_anuales, acreditacion
                     FROM materia 
                     WHERE id_materia = ? AND estado = 'activa'`,
                     [id]
@@ -124,35 +128,66 @@ exports.getInfo = async (req, res) => {
                     message = `ℹ️ **Detalles de ${m.nombre_materia}**:\n`; // El nombre de la materia se pierde en el switch, lo añado aquí.
                     message += `* Año de cursado: ${m.año}\n`;
                     message += `* Campo de Formación: ${m.campo_formacion}\n`;
-                    message += `* Modalidad: ${m.modalidad}\n`;
+                    message += `* Modalidad: ${m.modalidad}${m.periodo && m.periodo !== 'Anual' ? ` (${m.periodo})` : ''}\n`;
                     message += `* Formato: ${m.formato}\n`;
                     message += `* Horas Semanales: ${m.horas_semanales}\n`;
                     message += `* Horas Anuales: ${m.total_horas_anuales}\n`;
                     message += `* Acreditación: ${m.acreditacion}`;
+
+                    // Tablas: materia_docente + docente (solo activos y con el contacto que decidieron mostrar)
+                    const docentes = (await docentesPublicosPorMateria([Number(id)])).get(Number(id)) || [];
+                    if (docentes.length > 0) {
+                        message += '\n\n👩‍🏫 **Docentes**:';
+                        docentes.forEach(d => {
+                            const contacto = [d.email && `✉️ ${d.email}`, d.telefono && `📞 ${d.telefono}`].filter(Boolean).join(' | ');
+                            message += `\n* ${nombreDocente(d)}${contacto ? ` - ${contacto}` : ''}`;
+                        });
+                    }
                 } else {
                     message = '⚠️ No se encontraron detalles para esta materia (puede haber sido desactivada).';
                 }
                 break;
 
-            case 'get_horarios':
-                // Tablas: horario (dia_semana, hora_inicio, hora_fin, estado)
+            case 'get_horarios': {
+                // Una materia cuatrimestral fuera de su cuatrimestre no se está dictando (ver utils/calendarioAcademico.js)
+                const [periodoRows] = await db.query('SELECT periodo FROM materia WHERE id_materia = ?', [id]);
+                const periodos = periodosEnCurso(await cicloLectivoActual());
+                if (periodoRows.length > 0 && periodos && !periodos.includes(periodoRows[0].periodo)) {
+                    message = `📅 Esta materia se dicta en el ${periodoRows[0].periodo}: no tiene horarios de cursado en este momento.`;
+                    break;
+                }
+
+                // Tablas: horario (dia_semana, hora_inicio, hora_fin, estado) + aula (nombre, edificio)
                 // [CAMBIO CLAVE]: Filtramos solo por horarios con estado 'activa'
                 [queryResult] = await db.query(`
-                    SELECT dia_semana, DATE_FORMAT(hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(hora_fin, '%H:%i') AS hora_fin
-                    FROM horario 
-                    WHERE id_materia = ? AND estado = 'activa' 
-                    ORDER BY FIELD(dia_semana, 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado')
+                    SELECT h.dia_semana, DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin,
+                        a.nombre AS aula, a.edificio
+                    FROM horario h
+                    LEFT JOIN aula a ON h.id_aula = a.id_aula
+                    WHERE h.id_materia = ? AND h.estado = 'activa' 
+                    ORDER BY FIELD(h.dia_semana, 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'), h.hora_inicio
                 `, [id]);
 
                 if (queryResult.length > 0) {
                     message = '🕒 **Horarios de Cursado**:\n';
                     queryResult.forEach(h => {
-                        message += `* ${h.dia_semana}: ${h.hora_inicio} a ${h.hora_fin}\n`;
+                        const lugar = h.aula ? ` - 📍 ${h.aula}${h.edificio ? ` (${h.edificio})` : ''}` : '';
+                        message += `* ${h.dia_semana}: ${h.hora_inicio} a ${h.hora_fin}${lugar}\n`;
                     });
                 } else {
                     message = '⚠️ No hay horarios de cursado activos registrados para esta materia.';
                 }
+
+                // Cambios de la próxima semana (clases suspendidas, reprogramadas o con otra aula)
+                const excepciones = queryResult.length > 0 ? await excepcionesProximas([id]) : [];
+                if (excepciones.length > 0) {
+                    message += '\n🚧 **Cambios de esta semana**:\n';
+                    excepciones.forEach(e => {
+                        message += `* ${e.descripcion}\n`;
+                    });
+                }
                 break;
+            }
 
             case 'get_correlativas':
                 // Implementación mejorada para mostrar Requisitos y Dependientes.
@@ -226,6 +261,28 @@ exports.getInfo = async (req, res) => {
                 
                 break;
 
+            case 'get_mesas': {
+                // Próximas mesas de la materia en turnos publicados (ver utils/mesasExamen.js)
+                const mesas = await listarMesas(
+                    'me.id_materia = ? AND t.publicado = 1 AND me.fecha >= CURDATE()', [id], { publico: true }
+                );
+
+                if (mesas.length > 0) {
+                    message = `📝 **Mesas de Examen de ${mesas[0].nombre_materia}**:\n`;
+                    mesas.forEach(me => {
+                        const fecha = me.fecha.split('-').reverse().join('/');
+                        const lugar = me.aula ? ` - 📍 ${me.aula}${me.edificio ? ` (${me.edificio})` : ''}` : '';
+                        message += `* ${me.turno} (${me.llamado}° llamado): ${fecha}, ${me.hora_inicio} a ${me.hora_fin}${lugar}\n`;
+                        if (me.tribunal.length > 0) {
+                            message += `  Tribunal: ${me.tribunal.map(t => `${nombreDocente(t)} (${t.rol})`).join('; ')}\n`;
+                        }
+                    });
+                } else {
+                    message = '⚠️ No hay mesas de examen publicadas próximamente para esta materia.';
+                }
+                break;
+            }
+
             default:
                 message = `❌ Acción desconocida: ${action}.`;
         }
@@ -3,6 +3,12 @@
 const pool = require('../database');
 const PDFDocument = require('pdfkit'); // 1. IMPORTAR PDFKit
 const { PassThrough } = require('stream'); // Para manejar el streaming al cliente
+const { docentesPublicosPorMateria } = require('../utils/docentes');
+const { horaAMinutos, minutosAHora } = require('../utils/horarioUtils');
+const { DIAS_SEMANA } = require('../utils/enums');
+const { filtroPeriodoEnCurso, cicloLectivoActual, periodosEnCurso } = require('../utils/calendarioAcademico');
+const { obtenerTurnoExamen, turnoPublicadoVigente, listarMesas, superposicionesMesas } = require('../utils/mesasExamen');
+const { excepcionesProximas } = require('../utils/excepcionesHorario');
 
 // ==========================================================
 // 1. FUNCIONES PRINCIPALES PARA EL HORARIO (Mi Horario)
@@ -60,7 +66,7 @@ exports.getMaterias = async (req, res) => {
 
     try {
         const sql = `
-            SELECT id_materia, nombre_materia
+            SELECT id_materia, nombre_materia, periodo
             FROM materia
             WHERE id_carrera = ? AND año = ? AND estado = 'activa' 
             ORDER BY nombre_materia
@@ -74,7 +80,8 @@ exports.getMaterias = async (req, res) => {
 };
 
 /**
- * Obtener horarios de bloques individuales para una materia específica.
+ * Obtener horarios de bloques individuales para una materia específica (con el aula y el docente, si tiene).
+ * Cada horario trae sus excepciones de la próxima semana (clase suspendida, reprogramada o con otra aula).
  */
 exports.getHorariosByMateria = async (req, res) => {
     const { id_materia } = req.query;
@@ -84,14 +91,21 @@ exports.getHorariosByMateria = async (req, res) => {
     }
 
     try {
+        // Solo si la materia se dicta en el cuatrimestre en curso (ver utils/calendarioAcademico.js)
+        const enCurso = await filtroPeriodoEnCurso('m');
         const sql = `
-            SELECT dia_semana, hora_inicio, hora_fin 
-            FROM horario 
-            WHERE id_materia = ? AND estado = 'activa'
-            ORDER BY FIELD(dia_semana, 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes'), hora_inicio
+            SELECT h.id_horario, h.dia_semana, h.hora_inicio, h.hora_fin, a.nombre AS aula, a.edificio,
+                IF(d.estado = 'activa', CONCAT(d.apellido, ', ', d.nombre), NULL) AS docente
+            FROM horario h
+            JOIN materia m ON h.id_materia = m.id_materia
+            LEFT JOIN aula a ON h.id_aula = a.id_aula
+            LEFT JOIN docente d ON h.id_docente = d.id_docente
+            WHERE h.id_materia = ? AND h.estado = 'activa'${enCurso.sql}
+            ORDER BY FIELD(h.dia_semana, 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes'), h.hora_inicio
         `; // 🔑 ACTUALIZACIÓN: Filtrar solo horarios activos
-        const [rows] = await pool.execute(sql, [id_materia]);
-        res.json(rows);
+        const [rows] = await pool.execute(sql, [id_materia, ...enCurso.params]);
+        const excepciones = rows.length > 0 ? await excepcionesProximas([id_materia]) : [];
+        res.json(rows.map(h => ({ ...h, excepciones: excepciones.filter(e => e.id_horario === h.id_horario) })));
     } catch (error) {
         console.error('Error en getHorariosByMateria:', error);
         res.status(500).json({ error: 'Error interno del servidor al obtener horarios.' });
@@ -120,12 +134,12 @@ exports.getCarreraDetalleById = async (req, res) => {
         }
         const carrera = carreraRows[0];
         
-        // Consulta 2: Obtener el coordinador de la carrera (rol='Coordinador')
+        // Consulta 2: Obtener el coordinador de la carrera (rol de alcance 'asignadas', ej: 'Coordinador')
         const [coordinadorRows] = await pool.execute(
             `SELECT a.nombre_administrador, a.email, a.telefono
              FROM administrador a
              JOIN admin_carrera ac ON a.id_administrador = ac.id_administrador
-             WHERE ac.id_carrera = ? AND a.rol = 'Coordinador' AND a.estado = 'activo'`, // Filtrar por el rol 'Coordinador' (Se asume que solo se quiere el coordinador activo, aunque no se pidió, es buena práctica)
+             WHERE ac.id_carrera = ? AND a.rol IN (SELECT nombre FROM rol WHERE alcance = 'asignadas') AND a.estado = 'activo'`, // Solo el coordinador activo
             [id]
         );
         
@@ -147,7 +161,7 @@ exports.getCarreraDetalleById = async (req, res) => {
 // ==========================================================
 
 /**
- * Obtener detalle completo de una materia (correlativas y horarios).
+ * Obtener detalle completo de una materia (correlativas, horarios y docentes).
  */
 exports.getMateriaById = async (req, res) => {
     const { id } = req.params;
@@ -186,19 +200,31 @@ exports.getMateriaById = async (req, res) => {
         const requisitosRendir = rendirRows.map(row => `${row.nombre_materia} - ${row.estado_requisito}`);
 
         // 🔑 ACTUALIZACIÓN: Filtrar solo horarios activos
-        const [horarioRows] = await pool.execute(`
-            SELECT dia_semana, hora_inicio, hora_fin 
-            FROM horario 
-            WHERE id_materia = ? AND estado = 'activa' 
-            ORDER BY FIELD(dia_semana, 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado', 'Domingo'), hora_inicio`, [id]
-        );
-        const horarios = horarioRows.map(h => `${h.dia_semana}, ${h.hora_inicio} - ${h.hora_fin}`);
+        // Fuera de su cuatrimestre la materia no se está dictando: se informa sin horarios
+        const periodos = periodosEnCurso(await cicloLectivoActual());
+        const enCurso = !periodos || periodos.includes(materia.periodo);
+        const [horarioRows] = enCurso ? await pool.execute(`
+            SELECT h.dia_semana, h.hora_inicio, h.hora_fin, a.nombre AS aula
+            FROM horario h
+            LEFT JOIN aula a ON h.id_aula = a.id_aula
+            WHERE h.id_materia = ? AND h.estado = 'activa' 
+            ORDER BY FIELD(h.dia_semana, 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado', 'Domingo'), h.hora_inicio`, [id]
+        ) : [[]];
+        const horarios = horarioRows.map(h => `${h.dia_semana}, ${h.hora_inicio} - ${h.hora_fin}${h.aula ? ` (${h.aula})` : ''}`);
+        // Cambios de la próxima semana (clases suspendidas, reprogramadas o con otra aula)
+        const excepciones = enCurso ? await excepcionesProximas([materia.id_materia]) : [];
+
+        // Docentes activos de la materia (solo con los datos de contacto visibles)
+        const docentes = (await docentesPublicosPorMateria([materia.id_materia])).get(materia.id_materia) || [];
 
         const respuesta = {
             ...materia,
             requisitos_cursar: requisitosCursar,
             requisitos_rendir: requisitosRendir,
-            horarios: horarios
+            horarios: horarios,
+            excepciones: excepciones,
+            en_curso: enCurso,
+            docentes: docentes
         };
 
         res.json(respuesta);
@@ -273,13 +299,14 @@ exports.getMateriasDestacadas = async (req, res) => {
         const idsDestacadas = materiasDestacadasRows.map(m => m.id_materia);
         const placeholders = idsDestacadas.map(() => '?').join(',');
 
-        // 🔑 ACTUALIZACIÓN: Filtrar solo horarios activos
+        // 🔑 ACTUALIZACIÓN: Filtrar solo horarios activos (y de materias que se dictan en el cuatrimestre en curso)
+        const enCurso = await filtroPeriodoEnCurso('m');
         const [horariosDestacadosRows] = await pool.execute(
             `SELECT DISTINCT h.dia_semana, h.hora_inicio, h.hora_fin, m.nombre_materia
              FROM horario h
              JOIN materia m ON h.id_materia = m.id_materia
-             WHERE h.id_materia IN (${placeholders}) AND h.estado = 'activa'`,
-            idsDestacadas
+             WHERE h.id_materia IN (${placeholders}) AND h.estado = 'activa'${enCurso.sql}`,
+            [...idsDestacadas, ...enCurso.params]
         );
 
         res.json({
@@ -341,6 +368,9 @@ async function fetchPlanData(idCarrera) {
         idMaterias
     );
 
+    // Docentes activos de cada materia (para la columna UNIDAD CURRICULAR)
+    const docentesPorMateria = await docentesPublicosPorMateria(idMaterias);
+
     // 4. Estructurar la información y calcular totales
     const materiasPorAnio = {};
     const totalHorasAnuales = {}; // Objeto para almacenar la suma de horas por año
@@ -386,7 +416,8 @@ async function fetchPlanData(idCarrera) {
 
         materiasPorAnio[anio].push({
             ...materia,
-            correlativas
+            correlativas,
+            docentes: docentesPorMateria.get(materia.id_materia) || []
         });
     });
 
@@ -410,6 +441,14 @@ function getAnioText(anio) {
     }
 }
 
+/**
+ * Texto de la celda UNIDAD CURRICULAR: nombre de la materia y, debajo, sus docentes.
+ */
+function getUnidadCurricularText(materia) {
+    if (!materia.docentes || materia.docentes.length === 0) return materia.nombre_materia;
+    return `${materia.nombre_materia}\nDocentes: ${materia.docentes.map(d => `${d.apellido}, ${d.nombre}`).join('; ')}`;
+}
+
 // Anchos de columna actualizados para A4 Landscape (730 de ancho total)
 // [ ID, CF, UNIDAD, FORMATO, MODALIDAD, HS_SEM, HS_ANU, ACREDITACIÓN, CORRELATIVIDADES (3 cols)]
 const COL_WIDTHS = [30, 50, 160, 60, 60, 50, 60, 80, 80, 70, 90]; 
@@ -417,10 +456,10 @@ const TOTAL_TABLE_WIDTH = COL_WIDTHS.reduce((sum, w) => sum + w, 0); // Debería
 
 /**
  * Dibuja la fila de cabecera con el texto del Año fusionado.
+ * 'totalWidth' permite usarla en tablas de otro ancho (por defecto, la del plan de estudio).
  */
-function drawMergedAnioHeader(doc, y, x, anioText, headerHeight) {
+function drawMergedAnioHeader(doc, y, x, anioText, headerHeight, totalWidth = TOTAL_TABLE_WIDTH) {
     const cellPadding = 3;
-    const totalWidth = TOTAL_TABLE_WIDTH;
 
     // 1. Dibujar el fondo y el borde de la celda fusionada
     doc.fillColor('#B0B0B0').rect(x, y, totalWidth, headerHeight).fill();
@@ -442,13 +481,12 @@ function drawMergedAnioHeader(doc, y, x, anioText, headerHeight) {
 
 /**
  * Dibuja una fila de la tabla en el documento PDF.
+ * Opciones: colWidths (por defecto, las columnas del plan de estudio) y leftAlignCol (columna alineada a la izquierda).
  */
-function drawTableRow(doc, y, x, heights, data, isHeader = false, isTotalRow = false) {
+function drawTableRow(doc, y, x, heights, data, isHeader = false, isTotalRow = false, { colWidths = COL_WIDTHS, leftAlignCol = 2 } = {}) {
     const startX = x;
     const cellPadding = 3;
     
-    // Usamos los anchos de columna definidos globalmente
-    const colWidths = COL_WIDTHS; 
     let currentX = startX; 
     const rowHeight = isHeader ? 25 : heights; 
     doc.lineWidth(0.5); 
@@ -475,7 +513,7 @@ function drawTableRow(doc, y, x, heights, data, isHeader = false, isTotalRow = f
         let align = 'center';
         if (isHeader || isTotalRow) {
             fontStyle = 'Helvetica-Bold';
-        } else if (colIndex === 2) { // Columna UNIDAD CURRICULAR (índice 2)
+        } else if (colIndex === leftAlignCol) { // Columna UNIDAD CURRICULAR (índice 2) en el plan de estudio
             align = 'left';
         }
         // Usamos font size 7 para todo el contenido de la tabla
@@ -563,7 +601,7 @@ exports.descargarPlanEstudioPDF = async (req, res) => {
                     const textWidthMateria = COL_WIDTHS[2] - 6; 
                     // Establecer la fuente y tamaño antes de calcular la altura (tamaño de fuente 7)
                     doc.font('Helvetica').fontSize(7); 
-                    const textHeight = doc.heightOfString(materia.nombre_materia, { 
+                    const textHeight = doc.heightOfString(getUnidadCurricularText(materia), { 
                         width: textWidthMateria, 
                         lineGap: 1 
                     });
@@ -607,7 +645,7 @@ exports.descargarPlanEstudioPDF = async (req, res) => {
                 // Recálculo de rowHeight para el dibujo (usando el mismo logic de la estimación)
                 doc.font('Helvetica').fontSize(7); 
                 const textWidthMateria = COL_WIDTHS[2] - 6;
-                const textHeight = doc.heightOfString(materia.nombre_materia, { width: textWidthMateria, lineGap: 1 });
+                const textHeight = doc.heightOfString(getUnidadCurricularText(materia), { width: textWidthMateria, lineGap: 1 });
                 const allCorrelativas = [
                     materia.correlativas.cursarAprobada.join(', '), 
                     materia.correlativas.cursarRegular.join(', '), 
@@ -624,7 +662,7 @@ exports.descargarPlanEstudioPDF = async (req, res) => {
                 const rowData = [
                     materia.id_materia, // ID 
                     materia.campo_formacion || 'N/D', // C.F.
-                    materia.nombre_materia,
+                    getUnidadCurricularText(materia), // Nombre + docentes
                     materia.formato || 'N/D',
                     materia.modalidad || 'N/D',
                     materia.horas_semanales || 'N/D',
@@ -735,4 +773,418 @@ exports.descargarPlanEstudioPDF = async (req, res) => {
             res.status(500).json({ error: 'Error interno del servidor al procesar la descarga del PDF.' });
         }
     }
-};
\ No newline at end of file
+};
+
+// ==========================================================
+// HORARIO SEMANAL EN PDF (grilla días x horas por año) 🗓️
+// ==========================================================
+
+// Días que siempre se muestran; el sábado y el domingo solo si tienen horarios
+const DIAS_GRILLA = DIAS_SEMANA.slice(0, 5);
+const HORA_COL_WIDTH = 60;
+// Celdas con clase y celdas con horarios superpuestos
+const COLOR_CELDA_OCUPADA = '#DCE9F9';
+const COLOR_CELDA_SUPERPUESTA = '#F5C2C7';
+
+/**
+ * Carrera, años pedidos y horarios activos de esos años (solo de las materias que se dictan
+ * en el cuatrimestre en curso). Devuelve null si la carrera no existe.
+ * 'anio' en null trae todos los años de la carrera.
+ */
+async function fetchHorarioData(idCarrera, anio) {
+    const [carreraRows] = await pool.execute(
+        'SELECT id_carrera, nombre_carrera FROM carrera WHERE id_carrera = ? AND estado = "activa"',
+        [idCarrera]
+    );
+    if (carreraRows.length === 0) return null;
+
+    const filtroAnio = anio === null ? '' : ' AND m.año = ?';
+    const params = anio === null ? [idCarrera] : [idCarrera, anio];
+
+    const [anioRows] = await pool.execute(
+        `SELECT DISTINCT m.año FROM materia m WHERE m.id_carrera = ? AND m.estado = 'activa'${filtroAnio} ORDER BY m.año`,
+        params
+    );
+    const enCurso = await filtroPeriodoEnCurso('m');
+    const [horarios] = await pool.execute(
+        `SELECT h.id_horario, h.dia_semana, m.año, m.nombre_materia,
+            DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin,
+            a.nombre AS aula, IF(d.estado = 'activa', CONCAT(d.apellido, ', ', d.nombre), NULL) AS docente
+            FROM horario h
+            JOIN materia m ON h.id_materia = m.id_materia
+            LEFT JOIN aula a ON h.id_aula = a.id_aula
+            LEFT JOIN docente d ON h.id_docente = d.id_docente
+            WHERE m.id_carrera = ? AND h.estado = 'activa' AND m.estado = 'activa'${filtroAnio}${enCurso.sql}
+            ORDER BY h.hora_inicio, m.nombre_materia`,
+        [...params, ...enCurso.params]
+    );
+
+    // Texto del período del horario (ej: '1° Cuatrimestre 2026'), si hay ciclo lectivo cargado
+    const periodo = enCurso.ciclo ? `${enCurso.periodos[1]} ${enCurso.ciclo.año}` : null;
+
+    return { carrera: carreraRows[0], anios: anioRows.map(row => row.año), horarios, periodo };
+}
+
+/**
+ * Arma la grilla de un año: una fila por cada tramo entre dos horas de inicio/fin consecutivas
+ * y, en cada día, los horarios que ocupan ese tramo.
+ * Una celda con más de un horario es una superposición.
+ */
+function armarGrillaHorario(horarios) {
+    const dias = [
+        ...DIAS_GRILLA,
+        ...DIAS_SEMANA.slice(5).filter(dia => horarios.some(h => h.dia_semana === dia)),
+    ];
+    const cortes = [...new Set(horarios.flatMap(h => [horaAMinutos(h.hora_inicio), horaAMinutos(h.hora_fin)]))]
+        .sort((a, b) => a - b);
+
+    const filas = [];
+    for (let i = 0; i < cortes.length - 1; i++) {
+        const [desde, hasta] = [cortes[i], cortes[i + 1]];
+        filas.push({
+            desde,
+            hasta,
+            celdas: dias.map(dia => horarios.filter(h => h.dia_semana === dia
+                && horaAMinutos(h.hora_inicio) <= desde && horaAMinutos(h.hora_fin) >= hasta)),
+        });
+    }
+    return { dias, filas, haySuperposiciones: filas.some(f => f.celdas.some(c => c.length > 1)) };
+}
+
+/**
+ * Texto de una celda: la materia (con aula y docente) en el tramo donde empieza.
+ * En los tramos siguientes la celda queda coloreada y sin texto, salvo que haya superposición:
+ * ahí se nombran todas las materias del tramo.
+ */
+function getCeldaHorarioText(horariosCelda, desde) {
+    if (horariosCelda.length > 1) {
+        return horariosCelda.map(h => `${h.nombre_materia} (${h.hora_inicio}-${h.hora_fin})`).join('\n');
+    }
+    return horariosCelda
+        .filter(h => horaAMinutos(h.hora_inicio) === desde)
+        .map(h => [h.nombre_materia, h.aula && `Aula: ${h.aula}`, h.docente].filter(Boolean).join('\n'))
+        .join('\n');
+}
+
+/**
+ * Descargar el horario semanal de una carrera en PDF: una página por año.
+ * Endpoint: /api/carreras/:id/horario-pdf?año=N (sin año, o con año=todos, incluye todos los años)
+ */
+exports.descargarHorarioPDF = async (req, res) => {
+    const { id } = req.params;
+    const anioParam = req.query.año === undefined ? 'todos' : String(req.query.año).trim().toLowerCase();
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ error: 'El ID de la carrera debe ser un número.' });
+    }
+    if (anioParam !== 'todos' && !/^\d+$/.test(anioParam)) {
+        return res.status(400).json({ error: 'El parámetro año debe ser un número o "todos".' });
+    }
+
+    try {
+        const result = await fetchHorarioData(id, anioParam === 'todos' ? null : Number(anioParam));
+        if (!result) {
+            return res.status(404).json({ error: 'Carrera no encontrada.' });
+        }
+        const { carrera, anios, horarios, periodo } = result;
+        if (anios.length === 0) {
+            return res.status(404).json({ error: 'La carrera no tiene materias para el año indicado.' });
+        }
+
+        // --- Configuración del Documento: A4 en modo Landscape (igual que el plan de estudio) ---
+        const doc = new PDFDocument({
+            margin: 30,
+            size: 'A4',
+            layout: 'landscape',
+            info: {
+                Title: `Horario ${carrera.nombre_carrera}`,
+                Author: 'IES N°6'
+            }
+        });
+        const stream = new PassThrough();
+        doc.pipe(stream);
+        const sufijo = anioParam === 'todos' ? '' : `_${anioParam}_Anio`;
+        const nombreArchivo = `Horario_${carrera.nombre_carrera.replace(/\s/g, '_').replace(/[^a-zA-Z0-9_]/g, '')}${sufijo}_IES6.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+        stream.pipe(res);
+
+        const primaryColor = '#007bff';
+        const h3Color = '#343a40';
+        const startX = 30;
+        const tableWidth = TOTAL_TABLE_WIDTH;
+        const pageBottomMargin = 30;
+        const headerHeight = 20;
+        const minRowHeight = 16;
+
+        anios.forEach((anio, index) => {
+            if (index > 0) doc.addPage({ margin: 30, size: 'A4', layout: 'landscape' });
+
+            const { dias, filas, haySuperposiciones } = armarGrillaHorario(horarios.filter(h => h.año === anio));
+            const dayWidth = Math.floor((tableWidth - HORA_COL_WIDTH) / dias.length);
+            const colWidths = [HORA_COL_WIDTH, ...dias.map(() => dayWidth)];
+            const headerData = ['HORA', ...dias.map(dia => dia.toUpperCase())];
+            const gridWidth = colWidths.reduce((sum, w) => sum + w, 0);
+
+            // Títulos
+            doc.fillColor(primaryColor).fontSize(13).text('HORARIO DE CURSADO', startX, 30, { align: 'center', width: tableWidth });
+            doc.moveDown(0.5);
+            doc.fillColor(h3Color).fontSize(11).text(carrera.nombre_carrera, { align: 'center' });
+            if (periodo) {
+                doc.moveDown(0.3);
+                doc.fillColor('#000000').fontSize(10).text(periodo, { align: 'center' });
+            }
+            doc.moveDown(1);
+            let currentY = doc.y;
+
+            currentY = drawMergedAnioHeader(doc, currentY, startX, getAnioText(anio), headerHeight, gridWidth);
+            currentY = drawTableRow(doc, currentY, startX, headerHeight, headerData, true, false, { colWidths, leftAlignCol: -1 });
+
+            if (filas.length === 0) {
+                doc.fillColor('#000000').font('Helvetica').fontSize(9)
+                    .text(periodo ? 'Sin horarios para este año en el período en curso.' : 'Sin horarios cargados para este año.', startX, currentY + 10, { width: gridWidth, align: 'center' });
+                return;
+            }
+
+            filas.forEach(fila => {
+                const rowData = [
+                    `${minutosAHora(fila.desde)} - ${minutosAHora(fila.hasta)}`,
+                    ...fila.celdas.map(celda => getCeldaHorarioText(celda, fila.desde)),
+                ];
+                // Altura de la fila según el texto más alto (fuente 7, como en drawTableRow)
+                doc.font('Helvetica').fontSize(7);
+                const textHeight = Math.max(...rowData.map((text, i) => doc.heightOfString(text, { width: colWidths[i] - 6, lineGap: 1 })));
+                const rowHeight = Math.max(minRowHeight, textHeight + 6);
+
+                // Salto de página: se repite la cabecera de días
+                if (currentY + rowHeight > doc.page.height - pageBottomMargin) {
+                    doc.addPage({ margin: 30, size: 'A4', layout: 'landscape' });
+                    currentY = drawTableRow(doc, 30, startX, headerHeight, headerData, true, false, { colWidths, leftAlignCol: -1 });
+                }
+
+                // Fondo de las celdas ocupadas (drawTableRow solo dibuja bordes y texto en las filas normales)
+                let cellX = startX + HORA_COL_WIDTH;
+                fila.celdas.forEach(celda => {
+                    if (celda.length > 0) {
+                        doc.fillColor(celda.length > 1 ? COLOR_CELDA_SUPERPUESTA : COLOR_CELDA_OCUPADA)
+                            .rect(cellX, currentY, dayWidth, rowHeight).fill();
+                    }
+                    cellX += dayWidth;
+                });
+                currentY = drawTableRow(doc, currentY, startX, rowHeight, rowData, false, false, { colWidths, leftAlignCol: -1 });
+            });
+
+            // Referencia de colores
+            if (haySuperposiciones) {
+                if (currentY + 25 > doc.page.height - pageBottomMargin) {
+                    doc.addPage({ margin: 30, size: 'A4', layout: 'landscape' });
+                    currentY = 20;
+                }
+                const legendY = currentY + 10;
+                doc.fillColor(COLOR_CELDA_SUPERPUESTA).rect(startX, legendY, 12, 10).fill();
+                doc.strokeColor('#000000').lineWidth(0.5).rect(startX, legendY, 12, 10).stroke();
+                doc.fillColor('#000000').font('Helvetica').fontSize(8)
+                    .text('Horarios superpuestos: dos o más materias del año se dictan en el mismo tramo.', startX + 18, legendY + 1);
+            }
+        });
+
+        doc.end();
+    } catch (error) {
+        console.error('Error al generar o descargar el horario en PDF:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error interno del servidor al generar el horario en PDF.' });
+        }
+    }
+};
+
+// ==========================================================
+// MESAS DE EXAMEN 📝 (solo turnos publicados)
+// ==========================================================
+
+/**
+ * Turno publicado pedido por ID o, sin ID, el vigente (en curso o próximo).
+ * Devuelve { turno } o { status, error }.
+ */
+async function resolverTurnoPublicado(idTurno) {
+    if (idTurno !== undefined && !/^\d+$/.test(String(idTurno))) {
+        return { status: 400, error: 'El ID del turno debe ser un número.' };
+    }
+    const turno = idTurno === undefined ? await turnoPublicadoVigente() : await obtenerTurnoExamen(idTurno);
+    if (!turno || !turno.publicado) {
+        return { status: 404, error: idTurno === undefined ? 'No hay turnos de examen publicados.' : 'Turno de examen no encontrado.' };
+    }
+    return { turno };
+}
+
+/**
+ * Listar los turnos de examen publicados (el más reciente primero).
+ * Endpoint: /api/turnos-examen
+ */
+exports.getTurnosExamen = async (req, res) => {
+    try {
+        const [turnos] = await pool.query(`SELECT
+id_turno_examen, nombre, DATE_FORMAT(fecha_inicio, '%Y-%m-%d') AS fecha_inicio, DATE_FORMAT(fecha_fin, '%Y-%m-%d') AS fecha_fin
+FROM turno_examen WHERE publicado = 1 ORDER BY fecha_inicio DESC`);
+        res.json(turnos);
+    } catch (error) {
+        console.error('Error al obtener los turnos de examen:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener los turnos de examen.' });
+    }
+};
+
+/**
+ * Mesas de un turno publicado, con su tribunal. Sin id_turno, el turno vigente.
+ * Endpoint: /api/mesas?id_carrera=1&id_turno=3&año=2
+ */
+exports.getMesasExamen = async (req, res) => {
+    const { id_carrera, id_turno, año } = req.query;
+
+    if ((id_carrera !== undefined && !/^\d+$/.test(id_carrera)) || (año !== undefined && !/^\d+$/.test(año))) {
+        return res.status(400).json({ error: 'Los parámetros id_carrera y año deben ser números.' });
+    }
+
+    try {
+        const { turno, status, error } = await resolverTurnoPublicado(id_turno);
+        if (error) return res.status(status).json({ error });
+
+        let where = "me.id_turno_examen = ? AND c.estado = 'activa'";
+        const params = [turno.id_turno_examen];
+        if (id_carrera !== undefined) {
+            where += ' AND m.id_carrera = ?';
+            params.push(id_carrera);
+        }
+        if (año !== undefined) {
+            where += ' AND m.año = ?';
+            params.push(año);
+        }
+        const mesas = await listarMesas(where, params, { publico: true });
+
+        res.json({ turno, mesas });
+    } catch (err) {
+        console.error('Error al obtener las mesas de examen:', err);
+        res.status(500).json({ error: 'Error interno del servidor al obtener las mesas de examen.' });
+    }
+};
+
+// [ FECHA, HORA, AÑO, UNIDAD CURRICULAR, LLAMADO, AULA, TRIBUNAL ] (730 de ancho, como el plan de estudio)
+const MESAS_COL_WIDTHS = [70, 70, 40, 210, 50, 90, 200];
+
+/**
+ * Descargar el cronograma de mesas de un turno publicado en PDF, una tabla por carrera.
+ * Las mesas del mismo año que se superponen se resaltan.
+ * Endpoint: /api/turnos-examen/:id/mesas-pdf?id_carrera=N (sin carrera, todas)
+ */
+exports.descargarMesasPDF = async (req, res) => {
+    const { id } = req.params;
+    const { id_carrera } = req.query;
+
+    if (id_carrera !== undefined && !/^\d+$/.test(id_carrera)) {
+        return res.status(400).json({ error: 'El parámetro id_carrera debe ser un número.' });
+    }
+
+    try {
+        const { turno, status, error } = await resolverTurnoPublicado(id);
+        if (error) return res.status(status).json({ error });
+
+        const filtroCarrera = id_carrera === undefined ? '' : ' AND m.id_carrera = ?';
+        const mesas = await listarMesas(
+            `me.id_turno_examen = ? AND c.estado = 'activa'${filtroCarrera}`,
+            id_carrera === undefined ? [turno.id_turno_examen] : [turno.id_turno_examen, id_carrera],
+            { publico: true }
+        );
+        if (mesas.length === 0) {
+            return res.status(404).json({ error: 'El turno no tiene mesas para la carrera indicada.' });
+        }
+
+        // Mesas superpuestas (mismo día, carrera y año)
+        const superpuestas = new Set(superposicionesMesas(mesas).flatMap(par => par.mesas.map(me => me.id_mesa_examen)));
+        const carreras = [...new Map(mesas.map(me => [me.id_carrera, me.nombre_carrera])).entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]));
+
+        const doc = new PDFDocument({
+            margin: 30,
+            size: 'A4',
+            layout: 'landscape',
+            info: {
+                Title: `Mesas de examen - ${turno.nombre}`,
+                Author: 'IES N°6'
+            }
+        });
+        const stream = new PassThrough();
+        doc.pipe(stream);
+        const nombreArchivo = `Mesas_${turno.nombre.replace(/\s/g, '_').replace(/[^a-zA-Z0-9_]/g, '')}_IES6.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+        stream.pipe(res);
+
+        const startX = 30;
+        const pageBottomMargin = 30;
+        const headerHeight = 20;
+        const minRowHeight = 16;
+        const colWidths = MESAS_COL_WIDTHS;
+        const tableWidth = colWidths.reduce((sum, w) => sum + w, 0);
+        const headerData = ['FECHA', 'HORA', 'AÑO', 'UNIDAD CURRICULAR', 'LLAMADO', 'AULA', 'TRIBUNAL'];
+        const formatoFecha = fecha => fecha.split('-').reverse().join('/');
+
+        doc.fillColor('#007bff').fontSize(13).text('MESAS DE EXAMEN', startX, 30, { align: 'center', width: tableWidth });
+        doc.moveDown(0.5);
+        doc.fillColor('#343a40').fontSize(11).text(`${turno.nombre} (${formatoFecha(turno.fecha_inicio)} al ${formatoFecha(turno.fecha_fin)})`, { align: 'center' });
+        doc.moveDown(1);
+        let currentY = doc.y;
+
+        carreras.forEach(([idCarrera, nombreCarrera]) => {
+            // La cabecera de la carrera no queda sola al pie de la página
+            if (currentY + headerHeight + 25 + minRowHeight > doc.page.height - pageBottomMargin) {
+                doc.addPage({ margin: 30, size: 'A4', layout: 'landscape' });
+                currentY = 30;
+            }
+            currentY = drawMergedAnioHeader(doc, currentY, startX, nombreCarrera.toUpperCase(), headerHeight, tableWidth);
+            currentY = drawTableRow(doc, currentY, startX, headerHeight, headerData, true, false, { colWidths, leftAlignCol: 3 });
+
+            mesas.filter(me => me.id_carrera === idCarrera).forEach(mesa => {
+                const rowData = [
+                    formatoFecha(mesa.fecha),
+                    `${mesa.hora_inicio} - ${mesa.hora_fin}`,
+                    mesa.año,
+                    mesa.observaciones ? `${mesa.nombre_materia}\n${mesa.observaciones}` : mesa.nombre_materia,
+                    `${mesa.llamado}°`,
+                    [mesa.aula, mesa.edificio].filter(Boolean).join(' - ') || 'A confirmar',
+                    mesa.tribunal.map(t => `${t.apellido}, ${t.nombre} (${t.rol})`).join('\n') || 'A confirmar',
+                ];
+                doc.font('Helvetica').fontSize(7);
+                const textHeight = Math.max(...rowData.map((text, i) => doc.heightOfString(String(text), { width: colWidths[i] - 6, lineGap: 1 })));
+                const rowHeight = Math.max(minRowHeight, textHeight + 6);
+
+                // Salto de página: se repite la cabecera de columnas
+                if (currentY + rowHeight > doc.page.height - pageBottomMargin) {
+                    doc.addPage({ margin: 30, size: 'A4', layout: 'landscape' });
+                    currentY = drawTableRow(doc, 30, startX, headerHeight, headerData, true, false, { colWidths, leftAlignCol: 3 });
+                }
+                if (superpuestas.has(mesa.id_mesa_examen)) {
+                    doc.fillColor(COLOR_CELDA_SUPERPUESTA).rect(startX, currentY, tableWidth, rowHeight).fill();
+                }
+                currentY = drawTableRow(doc, currentY, startX, rowHeight, rowData, false, false, { colWidths, leftAlignCol: 3 });
+            });
+            currentY += 15;
+        });
+
+        // Referencia de colores
+        if (superpuestas.size > 0) {
+            if (currentY + 15 > doc.page.height - pageBottomMargin) {
+                doc.addPage({ margin: 30, size: 'A4', layout: 'landscape' });
+                currentY = 20;
+            }
+            doc.fillColor(COLOR_CELDA_SUPERPUESTA).rect(startX, currentY, 12, 10).fill();
+            doc.strokeColor('#000000').lineWidth(0.5).rect(startX, currentY, 12, 10).stroke();
+            doc.fillColor('#000000').font('Helvetica').fontSize(8)
+                .text('Mesas superpuestas: el mismo día y horario que otra mesa del mismo año de la carrera.', startX + 18, currentY + 1);
+        }
+
+        doc.end();
+    } catch (err) {
+        console.error('Error al generar o descargar las mesas de examen en PDF:', err);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error interno del servidor al generar las mesas de examen en PDF.' });
+        }
+    }
+};
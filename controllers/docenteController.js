@@ -0,0 +1,371 @@
+// backend/controllers/docenteController.js
+
+const pool = require('../database');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+const { canAccessCarrera } = require('../utils/permissions');
+const { ocupacionRecurso } = require('../utils/horarioUtils');
+const { DIAS_SEMANA, normalizarTexto } = require('../utils/enums');
+
+/*
+ * Tablas requeridas:
+ *   docente (id_docente PK, nombre, apellido, dni UNIQUE, email, telefono,
+ *            mostrar_email, mostrar_telefono, estado, fecha_eliminacion, id_administrador_eliminacion FK)
+ *   materia_docente (id_materia FK, id_docente FK, cargo)  PK (id_materia, id_docente)
+ *   horario.id_docente (FK, NULL = sin docente asignado)
+ *
+ * Los docentes son de toda la institución; su asignación a una materia sigue el alcance de la materia.
+ * 'mostrar_email' / 'mostrar_telefono' definen qué contacto se publica (ver utils/docentes.js).
+ */
+
+const CAMPOS_DOCENTE = 'id_docente, nombre, apellido, dni, email, telefono, mostrar_email, mostrar_telefono, estado';
+
+const formatearDocente = (docente) => ({
+    ...docente,
+    mostrar_email: Boolean(docente.mostrar_email),
+    mostrar_telefono: Boolean(docente.mostrar_telefono),
+});
+
+/**
+ * Materia ACTIVA con su carrera, si el usuario puede actuar sobre ella (null si no existe).
+ * Devuelve { materia } o { error: { status, message } }.
+ */
+const obtenerMateriaConAlcance = async (idMateria, user, conn = pool) => {
+    const [rows] = await conn.query(
+        "SELECT id_materia, nombre_materia, id_carrera FROM materia WHERE id_materia = ? AND estado = 'activa'",
+        [idMateria]
+    );
+    if (rows.length === 0) {
+        return { error: { status: 404, message: 'Materia no encontrada o inactiva.' } };
+    }
+    if (!canAccessCarrera(user, rows[0].id_carrera)) {
+        return { error: { status: 403, message: 'Acceso denegado. La materia no pertenece a sus carreras asignadas.' } };
+    }
+    return { materia: rows[0] };
+};
+
+const listarDocentesMateria = async (idMateria, conn = pool) => {
+    const [docentes] = await conn.query(`SELECT
+d.id_docente, d.nombre, d.apellido, d.email, d.telefono, d.estado, md.cargo
+FROM materia_docente md
+JOIN docente d ON md.id_docente = d.id_docente
+WHERE md.id_materia = ?
+ORDER BY d.apellido, d.nombre`, [idMateria]);
+    return docentes;
+};
+
+// =========================================================
+// GESTIÓN DE DOCENTES 👩‍🏫
+// =========================================================
+
+// @desc    Listar docentes activos con la cantidad de materias y horarios asignados
+//          Query opcional: ?buscar=texto (nombre, apellido o DNI)
+// @route   GET /api/admin/docentes
+// @access  Private (docente:read)
+exports.getDocentes = async (req, res) => {
+    const { buscar } = req.query;
+
+    try {
+        const whereClauses = ["d.estado = 'activa'"];
+        const params = [];
+
+        if (buscar) {
+            const termino = `%${String(buscar).trim()}%`;
+            whereClauses.push("(d.nombre LIKE ? OR d.apellido LIKE ? OR d.dni LIKE ? OR CONCAT(d.apellido, ', ', d.nombre) LIKE ?)");
+            params.push(termino, termino, termino, termino);
+        }
+
+        const [docentes] = await pool.query(`SELECT
+d.id_docente, d.nombre, d.apellido, d.dni, d.email, d.telefono, d.mostrar_email, d.mostrar_telefono,
+(SELECT COUNT(*) FROM materia_docente md JOIN materia m ON md.id_materia = m.id_materia
+    WHERE md.id_docente = d.id_docente AND m.estado = 'activa') AS cantidad_materias,
+(SELECT COUNT(*) FROM horario h JOIN materia m ON h.id_materia = m.id_materia
+    WHERE h.id_docente = d.id_docente AND h.estado = 'activa' AND m.estado = 'activa') AS cantidad_horarios
+FROM docente d
+WHERE ${whereClauses.join(' AND ')}
+ORDER BY d.apellido, d.nombre`, params);
+
+        res.json(docentes.map(formatearDocente));
+    } catch (error) {
+        console.error('Error al listar docentes:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar docentes.' });
+    }
+};
+
+// @desc    Obtener un docente por ID con sus materias. SOLO ACTIVO.
+// @route   GET /api/admin/docentes/:id
+// @access  Private (docente:read)
+exports.getDocenteById = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const [docentes] = await pool.query(
+            `SELECT ${CAMPOS_DOCENTE} FROM docente WHERE id_docente = ? AND estado = 'activa'`,
+            [id]
+        );
+        if (docentes.length === 0) {
+            return res.status(404).json({ message: 'Docente no encontrado o inactivo.' });
+        }
+
+        const [materias] = await pool.query(`SELECT
+m.id_materia, m.nombre_materia, m.año, c.id_carrera, c.nombre_carrera, md.cargo
+FROM materia_docente md
+JOIN materia m ON md.id_materia = m.id_materia
+JOIN carrera c ON m.id_carrera = c.id_carrera
+WHERE md.id_docente = ? AND m.estado = 'activa'
+ORDER BY c.nombre_carrera, m.año, m.nombre_materia`, [id]);
+
+        res.json({ ...formatearDocente(docentes[0]), materias });
+    } catch (error) {
+        console.error('Error al obtener docente por ID:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+};
+
+// @desc    Agenda semanal del docente: horarios, minutos ocupados y huecos libres por día
+//          Query opcional: ?dia=Lunes (sin 'dia' devuelve la semana completa)
+// @route   GET /api/admin/docentes/:id/horarios
+// @access  Private (docente:read)
+exports.getAgendaDocente = async (req, res) => {
+    const { id } = req.params;
+    // La query no se normaliza en la validación: 'lunes' → 'Lunes'
+    const dia = req.query.dia ? DIAS_SEMANA.find(d => normalizarTexto(d) === normalizarTexto(req.query.dia)) : null;
+
+    try {
+        const [docentes] = await pool.query(`SELECT ${CAMPOS_DOCENTE} FROM docente WHERE id_docente = ?`, [id]);
+        if (docentes.length === 0) {
+            return res.status(404).json({ message: 'Docente no encontrado.' });
+        }
+
+        const agenda = await ocupacionRecurso('docente', id, dia);
+
+        res.json({ docente: formatearDocente(docentes[0]), ...agenda });
+    } catch (error) {
+        console.error('Error al obtener la agenda del docente:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener la agenda del docente.' });
+    }
+};
+
+// @desc    Crear un docente
+// @route   POST /api/admin/docentes
+// @access  Private (docente:write)
+exports.createDocente = async (req, res) => {
+    const { nombre, apellido, dni, email, telefono, mostrar_email, mostrar_telefono } = req.body;
+
+    try {
+        const [result] = await pool.query(
+            `INSERT INTO docente (nombre, apellido, dni, email, telefono, mostrar_email, mostrar_telefono, estado)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'activa')`,
+            [
+                nombre, apellido, dni || null, email || null, telefono || null,
+                mostrar_email === false ? 0 : 1, mostrar_telefono === true ? 1 : 0,
+            ]
+        );
+        const docente = await obtenerRegistro('docente', 'id_docente', result.insertId);
+        await registrarAuditoria(req, { accion: 'crear', entidad: 'docente', id_entidad: result.insertId, despues: docente });
+
+        res.status(201).json({ ...formatearDocente(docente), message: 'Docente creado con éxito.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Ya existe un docente con ese DNI (si fue dado de baja, puede restaurarlo desde la papelera).' });
+        }
+        console.error('Error al crear docente:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear docente.' });
+    }
+};
+
+// @desc    Actualizar un docente. SOLO ACTIVO. Si no se envían 'mostrar_email' / 'mostrar_telefono' se conservan.
+// @route   PUT /api/admin/docentes/:id
+// @access  Private (docente:write)
+exports.updateDocente = async (req, res) => {
+    const { id } = req.params;
+    const { nombre, apellido, dni, email, telefono, mostrar_email, mostrar_telefono } = req.body;
+
+    const visibilidad = (valor) => (valor === undefined || valor === null ? null : (valor ? 1 : 0));
+
+    try {
+        const docenteAntes = await obtenerRegistro('docente', 'id_docente', id);
+
+        const [result] = await pool.query(
+            `UPDATE docente SET nombre = ?, apellido = ?, dni = ?, email = ?, telefono = ?,
+             mostrar_email = COALESCE(?, mostrar_email), mostrar_telefono = COALESCE(?, mostrar_telefono)
+             WHERE id_docente = ? AND estado = 'activa'`,
+            [
+                nombre, apellido, dni || null, email || null, telefono || null,
+                visibilidad(mostrar_email), visibilidad(mostrar_telefono), id,
+            ]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Docente no encontrado o inactivo.' });
+        }
+
+        const docente = await obtenerRegistro('docente', 'id_docente', id);
+        await registrarAuditoria(req, { accion: 'actualizar', entidad: 'docente', id_entidad: id, antes: docenteAntes, despues: docente });
+
+        res.json({ ...formatearDocente(docente), message: 'Docente actualizado con éxito.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Ya existe un docente con ese DNI.' });
+        }
+        console.error('Error al actualizar docente:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar docente.' });
+    }
+};
+
+// @desc    Dar de baja (Eliminación Lógica) un docente. No se puede si tiene horarios activos asignados.
+//          Sus materias se conservan (dejan de publicarse mientras esté inactivo).
+// @route   DELETE /api/admin/docentes/:id
+// @access  Private (docente:write)
+exports.deleteDocente = async (req, res) => {
+    const { id } = req.params;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const docenteAntes = await obtenerRegistro('docente', 'id_docente', id, connection);
+        if (!docenteAntes) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Docente no encontrado.' });
+        }
+        if (docenteAntes.estado === 'inactiva') {
+            await connection.rollback();
+            return res.status(400).json({ message: 'El docente ya se encuentra inactivo.' });
+        }
+
+        // Los horarios activos deben pasarse antes a otro docente (o quedar sin docente)
+        const [horarios] = await connection.query(`SELECT
+h.id_horario, m.nombre_materia, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+WHERE h.id_docente = ? AND h.estado = 'activa' AND m.estado = 'activa'
+FOR UPDATE`, [id]);
+        if (horarios.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                message: `No se puede dar de baja el docente: tiene ${horarios.length} horario(s) activo(s) asignado(s). Reasígnelos primero.`,
+                horarios,
+            });
+        }
+
+        await connection.query(
+            "UPDATE docente SET estado = 'inactiva', fecha_eliminacion = NOW(), id_administrador_eliminacion = ? WHERE id_docente = ?",
+            [req.user.id_administrador, id]
+        );
+        await registrarAuditoria(req, {
+            accion: 'eliminar', entidad: 'docente', id_entidad: id,
+            antes: docenteAntes, despues: await obtenerRegistro('docente', 'id_docente', id, connection),
+        }, connection);
+
+        await connection.commit();
+
+        res.json({ message: 'Docente dado de baja (inactivo) con éxito.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al dar de baja el docente:', error);
+        res.status(500).json({ message: 'Error interno del servidor al dar de baja el docente.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// =========================================================
+// DOCENTES DE UNA MATERIA
+// =========================================================
+
+// @desc    Docentes asignados a una materia (con su cargo)
+// @route   GET /api/admin/materias/:id/docentes
+// @access  Private (materia:read + alcance de la carrera)
+exports.getDocentesMateria = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { materia, error } = await obtenerMateriaConAlcance(id, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        res.json({ materia, docentes: await listarDocentesMateria(id) });
+    } catch (error) {
+        console.error('Error al obtener los docentes de la materia:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+};
+
+// @desc    Reemplazar los docentes de una materia: body { docentes: [{ id_docente, cargo }] }
+//          Los horarios de la materia asignados a un docente que se quita quedan sin docente.
+// @route   PUT /api/admin/materias/:id/docentes
+// @access  Private (materia:write + alcance de la carrera)
+exports.asignarDocentesMateria = async (req, res) => {
+    const { id } = req.params;
+    const docentes = req.body.docentes.map(d => ({ id_docente: d.id_docente, cargo: d.cargo || 'Titular' }));
+
+    const ids = docentes.map(d => d.id_docente);
+    if (new Set(ids).size !== ids.length) {
+        return res.status(400).json({ message: 'Un docente no puede figurar dos veces en la misma materia.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const { materia, error } = await obtenerMateriaConAlcance(id, req.user, connection);
+        if (error) {
+            await connection.rollback();
+            return res.status(error.status).json({ message: error.message });
+        }
+
+        if (ids.length > 0) {
+            const [activos] = await connection.query(
+                "SELECT id_docente FROM docente WHERE id_docente IN (?) AND estado = 'activa'",
+                [ids]
+            );
+            const idsActivos = activos.map(d => d.id_docente);
+            const faltantes = ids.filter(idDocente => !idsActivos.includes(idDocente));
+            if (faltantes.length > 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: `Docente(s) no encontrado(s) o inactivo(s): ${faltantes.join(', ')}.` });
+            }
+        }
+
+        const antes = await listarDocentesMateria(id, connection);
+
+        await connection.query('DELETE FROM materia_docente WHERE id_materia = ?', [id]);
+        if (docentes.length > 0) {
+            await connection.query(
+                'INSERT INTO materia_docente (id_materia, id_docente, cargo) VALUES ?',
+                [docentes.map(d => [id, d.id_docente, d.cargo])]
+            );
+        }
+
+        // Horarios que quedaban a cargo de un docente que ya no está en la materia
+        const quitados = antes.map(d => d.id_docente).filter(idDocente => !ids.includes(idDocente));
+        let horariosSinDocente = 0;
+        if (quitados.length > 0) {
+            const [result] = await connection.query(
+                'UPDATE horario SET id_docente = NULL WHERE id_materia = ? AND id_docente IN (?)',
+                [id, quitados]
+            );
+            horariosSinDocente = result.affectedRows;
+        }
+
+        const despues = await listarDocentesMateria(id, connection);
+        await registrarAuditoria(req, {
+            accion: 'asignar_docentes', entidad: 'materia', id_entidad: id,
+            antes: { docentes: antes }, despues: { docentes: despues, horarios_sin_docente: horariosSinDocente },
+        }, connection);
+
+        await connection.commit();
+
+        res.json({
+            message: 'Docentes de la materia actualizados con éxito.',
+            materia,
+            docentes: despues,
+            horarios_sin_docente: horariosSinDocente,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al asignar docentes a la materia:', error);
+        res.status(500).json({ message: 'Error interno del servidor al asignar docentes.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
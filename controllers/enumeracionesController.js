@@ -0,0 +1,26 @@
+// backend/controllers/enumeracionesController.js
+
+const pool = require('../database');
+const { ENUMERACIONES, SUGERENCIAS } = require('../utils/enums');
+
+// @desc    Valores permitidos de los campos tipo enum (para los <select> del panel)
+//          y, en 'sugerencias', los valores ya cargados de los campos de texto libre
+// @route   GET /api/admin/enumeraciones
+// @access  Private
+exports.getEnumeraciones = async (req, res) => {
+    try {
+        const sugerencias = {};
+        for (const [clave, { tabla, columna }] of Object.entries(SUGERENCIAS)) {
+            const [rows] = await pool.query(
+                "SELECT DISTINCT ?? AS valor FROM ?? WHERE ?? IS NOT NULL AND ?? <> '' ORDER BY valor",
+                [columna, tabla, columna, columna]
+            );
+            sugerencias[clave] = rows.map(row => row.valor);
+        }
+
+        res.json({ ...ENUMERACIONES, sugerencias });
+    } catch (error) {
+        console.error('Error al obtener las enumeraciones:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener las enumeraciones.' });
+    }
+};
@@ -0,0 +1,271 @@
+// backend/controllers/excepcionHorarioController.js
+
+const pool = require('../database');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+const { canAccessCarrera, carreraScopeClause } = require('../utils/permissions');
+const { horaAMinutos } = require('../utils/horarioUtils');
+const { fechaHoy, diaDeLaSemana } = require('../utils/calendarioAcademico');
+const { listarExcepciones, clasesEnAula } = require('../utils/excepcionesHorario');
+const { notificarSuscriptores } = require('../utils/suscripciones');
+const { escapeHtml } = require('../utils/mailer');
+
+/*
+ * Excepciones con fecha sobre un horario semanal (ver utils/excepcionesHorario.js): clase suspendida,
+ * reprogramada o con cambio de aula. Se gestionan con los permisos de horarios, dentro de las carreras
+ * del usuario. Con 'notificar' se avisa por email a los suscriptos de la materia.
+ */
+
+// Horario activo de las carreras del usuario: { horario } o { error: { status, message } }
+const obtenerHorarioConAlcance = async (idHorario, user, conn = pool) => {
+    const [rows] = await conn.query(`SELECT
+h.id_horario, h.id_materia, m.nombre_materia, m.id_carrera, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin, h.id_aula
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+WHERE h.id_horario = ? AND h.estado = 'activa' AND m.estado = 'activa'`, [idHorario]);
+    if (rows.length === 0) {
+        return { error: { status: 404, message: 'Horario no encontrado o inactivo.' } };
+    }
+    if (!canAccessCarrera(user, rows[0].id_carrera)) {
+        return { error: { status: 403, message: 'Acceso denegado. El horario no pertenece a sus carreras asignadas.' } };
+    }
+    return { horario: rows[0] };
+};
+
+/**
+ * Valida una excepción contra su horario. Devuelve { error } (mensaje para un 400) o { datos } listos para guardar.
+ */
+const validarExcepcion = async (body, horario, conn = pool) => {
+    const { fecha, tipo, motivo } = body;
+
+    if (diaDeLaSemana(fecha) !== horario.dia_semana) {
+        return { error: `La fecha ${fecha} no es ${horario.dia_semana}, el día de este horario.` };
+    }
+
+    const datos = { fecha, tipo, motivo, nueva_fecha: null, nueva_hora_inicio: null, nueva_hora_fin: null, id_aula: null };
+
+    if (tipo === 'Reprogramación') {
+        // Lo que no se indica queda como en el horario habitual
+        datos.nueva_fecha = body.nueva_fecha || fecha;
+        datos.nueva_hora_inicio = body.nueva_hora_inicio || horario.hora_inicio;
+        datos.nueva_hora_fin = body.nueva_hora_fin || horario.hora_fin;
+        datos.id_aula = body.id_aula || null;
+
+        if (horaAMinutos(datos.nueva_hora_inicio) >= horaAMinutos(datos.nueva_hora_fin)) {
+            return { error: 'Error de validación: \'nueva_hora_inicio\' debe ser anterior a \'nueva_hora_fin\'.' };
+        }
+        if (datos.nueva_fecha === fecha && horaAMinutos(datos.nueva_hora_inicio) === horaAMinutos(horario.hora_inicio)
+            && horaAMinutos(datos.nueva_hora_fin) === horaAMinutos(horario.hora_fin)) {
+            return { error: 'La reprogramación debe cambiar la fecha o el horario. Para cambiar solo el aula use el tipo \'Cambio de aula\'.' };
+        }
+    } else if (tipo === 'Cambio de aula') {
+        if (!body.id_aula) {
+            return { error: 'Error de validación: el cambio de aula requiere \'id_aula\'.' };
+        }
+        if (body.id_aula === horario.id_aula) {
+            return { error: 'El aula indicada es la habitual del horario.' };
+        }
+        datos.id_aula = body.id_aula;
+    }
+
+    if (datos.id_aula) {
+        const [aulas] = await conn.query("SELECT 1 FROM aula WHERE id_aula = ? AND estado = 'activa'", [datos.id_aula]);
+        if (aulas.length === 0) return { error: 'Error de validación: el aula no existe o está inactiva.' };
+    }
+
+    return { datos };
+};
+
+/**
+ * Advertencias (no impiden guardar): otras clases en el aula donde se dictará la clase ese día.
+ */
+const advertenciasExcepcion = async (datos, horario, conn = pool) => {
+    if (datos.tipo === 'Suspensión') return [];
+
+    const id_aula = datos.id_aula || horario.id_aula;
+    if (!id_aula) return [];
+
+    const reprogramada = datos.tipo === 'Reprogramación';
+    const clases = await clasesEnAula({
+        id_aula,
+        fecha: reprogramada ? datos.nueva_fecha : datos.fecha,
+        hora_inicio: reprogramada ? datos.nueva_hora_inicio : horario.hora_inicio,
+        hora_fin: reprogramada ? datos.nueva_hora_fin : horario.hora_fin,
+        excluirHorario: horario.id_horario,
+    }, conn);
+
+    return clases.map(clase => ({
+        tipo: 'aula_ocupada',
+        mensaje: `El aula ya tiene clase de '${clase.nombre_materia}' (${clase.hora_inicio} a ${clase.hora_fin}) ese día.`,
+        clase,
+    }));
+};
+
+// Aviso por email a los suscriptos de la materia (solo si se pidió). Devuelve la cantidad de avisos enviados.
+const avisarSuscriptores = async (notificar, excepcion, encabezado) => {
+    if (!(notificar === true || notificar === 'true')) return 0;
+    return notificarSuscriptores(excepcion.id_materia, {
+        subject: `Cambio de horario: ${excepcion.nombre_materia} - IES6`,
+        html: `
+                <p>Hola,</p>
+                <p>${encabezado} <strong>${escapeHtml(excepcion.nombre_materia)}</strong>:</p>
+                <p>${escapeHtml(excepcion.descripcion)}</p>
+            `,
+    });
+};
+
+const obtenerExcepcion = async (id, conn = pool) => (await listarExcepciones('e.id_horario_excepcion = ?', [id], conn))[0] || null;
+
+// =========================================================
+// EXCEPCIONES DE HORARIO 🚧 (el controlador valida que el horario pertenezca a las carreras del usuario)
+// =========================================================
+
+// @desc    Listar las excepciones de las carreras del usuario en un rango de fechas
+//          Query opcional: ?id_carrera=&desde=&hasta= (por defecto, desde hoy)
+// @route   GET /api/admin/excepciones-horario
+// @access  Private (horario:read)
+exports.getExcepciones = async (req, res) => {
+    const { id_carrera, desde = fechaHoy(), hasta } = req.query;
+
+    if (id_carrera && !canAccessCarrera(req.user, id_carrera)) {
+        return res.status(403).json({ message: 'Acceso denegado. No tiene acceso a esa carrera.' });
+    }
+
+    try {
+        let where = '(e.fecha >= ? OR e.nueva_fecha >= ?)';
+        const params = [desde, desde];
+        if (hasta) {
+            where += ' AND (e.fecha <= ? OR e.nueva_fecha <= ?)';
+            params.push(hasta, hasta);
+        }
+        if (id_carrera) {
+            where += ' AND m.id_carrera = ?';
+            params.push(id_carrera);
+        }
+        const scope = carreraScopeClause(req.user, 'm.id_carrera');
+        if (scope) {
+            where += ` AND ${scope.sql}`;
+            params.push(...scope.params);
+        }
+
+        res.json(await listarExcepciones(where, params));
+    } catch (error) {
+        console.error('Error al listar las excepciones de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar las excepciones de horario.' });
+    }
+};
+
+// @desc    Listar las excepciones de un horario (todas, ordenadas por fecha)
+// @route   GET /api/admin/horarios/:id/excepciones
+// @access  Private (horario:read)
+exports.getExcepcionesPorHorario = async (req, res) => {
+    try {
+        const { error } = await obtenerHorarioConAlcance(req.params.id, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        res.json(await listarExcepciones('e.id_horario = ?', [req.params.id]));
+    } catch (error) {
+        console.error('Error al listar las excepciones del horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar las excepciones del horario.' });
+    }
+};
+
+// @desc    Crear una excepción (suspensión, reprogramación o cambio de aula) para una fecha del horario
+// @route   POST /api/admin/horarios/:id/excepciones
+// @access  Private (horario:write)
+exports.createExcepcionHorario = async (req, res) => {
+    try {
+        const { horario, error: errorHorario } = await obtenerHorarioConAlcance(req.params.id, req.user);
+        if (errorHorario) return res.status(errorHorario.status).json({ message: errorHorario.message });
+
+        const { datos, error } = await validarExcepcion(req.body, horario);
+        if (error) return res.status(400).json({ message: error });
+
+        const [result] = await pool.query(
+            `INSERT INTO horario_excepcion (id_horario, fecha, tipo, nueva_fecha, nueva_hora_inicio, nueva_hora_fin, id_aula, motivo)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [horario.id_horario, datos.fecha, datos.tipo, datos.nueva_fecha, datos.nueva_hora_inicio, datos.nueva_hora_fin, datos.id_aula, datos.motivo]
+        );
+        const excepcion = await obtenerExcepcion(result.insertId);
+        await registrarAuditoria(req, { accion: 'crear', entidad: 'horario_excepcion', id_entidad: result.insertId, despues: excepcion });
+
+        const advertencias = await advertenciasExcepcion(datos, horario);
+        const notificados = await avisarSuscriptores(req.body.notificar, excepcion, 'Hay un cambio en el horario de');
+
+        res.status(201).json({ ...excepcion, advertencias, notificados, message: 'Excepción de horario creada con éxito.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'El horario ya tiene una excepción para esa fecha. Edítela en lugar de crear otra.' });
+        }
+        console.error('Error al crear la excepción de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear la excepción de horario.' });
+    }
+};
+
+// @desc    Actualizar una excepción (sigue siendo del mismo horario)
+// @route   PUT /api/admin/excepciones-horario/:id
+// @access  Private (horario:write)
+exports.updateExcepcionHorario = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const antes = await obtenerRegistro('horario_excepcion', 'id_horario_excepcion', id);
+        if (!antes) {
+            return res.status(404).json({ message: 'Excepción de horario no encontrada.' });
+        }
+        const { horario, error: errorHorario } = await obtenerHorarioConAlcance(antes.id_horario, req.user);
+        if (errorHorario) return res.status(errorHorario.status).json({ message: errorHorario.message });
+
+        const { datos, error } = await validarExcepcion(req.body, horario);
+        if (error) return res.status(400).json({ message: error });
+
+        await pool.query(
+            `UPDATE horario_excepcion SET fecha = ?, tipo = ?, nueva_fecha = ?, nueva_hora_inicio = ?, nueva_hora_fin = ?, id_aula = ?, motivo = ?
+             WHERE id_horario_excepcion = ?`,
+            [datos.fecha, datos.tipo, datos.nueva_fecha, datos.nueva_hora_inicio, datos.nueva_hora_fin, datos.id_aula, datos.motivo, id]
+        );
+        const excepcion = await obtenerExcepcion(id);
+        await registrarAuditoria(req, { accion: 'actualizar', entidad: 'horario_excepcion', id_entidad: id, antes, despues: excepcion });
+
+        const advertencias = await advertenciasExcepcion(datos, horario);
+        const notificados = await avisarSuscriptores(req.body.notificar, excepcion, 'Se modificó un cambio en el horario de');
+
+        res.json({ ...excepcion, advertencias, notificados, message: 'Excepción de horario actualizada con éxito.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'El horario ya tiene una excepción para esa fecha.' });
+        }
+        console.error('Error al actualizar la excepción de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar la excepción de horario.' });
+    }
+};
+
+// @desc    Eliminar una excepción: la clase vuelve a su horario habitual (?notificar=true avisa a los suscriptos)
+// @route   DELETE /api/admin/excepciones-horario/:id
+// @access  Private (horario:write)
+exports.deleteExcepcionHorario = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const excepcion = await obtenerExcepcion(id);
+        if (!excepcion) {
+            return res.status(404).json({ message: 'Excepción de horario no encontrada.' });
+        }
+        if (!canAccessCarrera(req.user, excepcion.id_carrera)) {
+            return res.status(403).json({ message: 'Acceso denegado. El horario no pertenece a sus carreras asignadas.' });
+        }
+
+        await pool.query('DELETE FROM horario_excepcion WHERE id_horario_excepcion = ?', [id]);
+        await registrarAuditoria(req, { accion: 'eliminar', entidad: 'horario_excepcion', id_entidad: id, antes: excepcion });
+
+        const notificados = await avisarSuscriptores(req.query.notificar, {
+            ...excepcion,
+            descripcion: `${excepcion.dia_semana} ${excepcion.fecha.slice(5).split('-').reverse().join('/')}: se dicta en su horario habitual (${excepcion.hora_inicio} a ${excepcion.hora_fin}${excepcion.aula ? `, ${excepcion.aula}` : ''}).`,
+        }, 'Se anuló un cambio en el horario de');
+
+        res.json({ notificados, message: 'Excepción de horario eliminada: la clase vuelve a su horario habitual.' });
+    } catch (error) {
+        console.error('Error al eliminar la excepción de horario:', error);
+        res.status(500).json({ message: 'Error interno del servidor al eliminar la excepción de horario.' });
+    }
+};
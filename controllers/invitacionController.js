@@ -0,0 +1,429 @@
+// backend/controllers/invitacionController.js
+
+const pool = require('../database');
+const bcrypt = require('bcrypt');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { validatePasswordRules } = require('../utils/passwordRules');
+const { sendMail, actionButton } = require('../utils/mailer');
+const { createSession } = require('../utils/sessions');
+const { getRoleDefinition, canAssignRole, canAccessCarrera } = require('../utils/permissions');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+
+// Página del frontend donde el invitado define su contraseña (recibe ?token=...)
+const INVITACION_URL = process.env.INVITACION_URL || process.env.CLIENT_URL;
+const INVITACION_DIAS = parseInt(process.env.INVITACION_DIAS, 10) || 7;
+
+/*
+ * Tablas requeridas:
+ *   invitacion (id_invitacion PK, email, rol, token_hash, fecha_creacion, fecha_expiracion, fecha_uso,
+ *               fecha_revocacion, id_administrador_creador FK, id_administrador_creado FK)
+ *   invitacion_carrera (id_invitacion FK, id_carrera FK) -- carreras pre-asignadas
+ */
+
+// Estado calculado de una invitación (se usa en los listados)
+const ESTADO_INVITACION_SQL = `CASE
+WHEN i.fecha_uso IS NOT NULL THEN 'usada'
+WHEN i.fecha_revocacion IS NOT NULL THEN 'revocada'
+WHEN i.fecha_expiracion <= NOW() THEN 'expirada'
+ELSE 'pendiente'
+END`;
+
+// Invitación con sus carreras, sin el hash del token (para el 'antes' / 'despues' de la auditoría)
+const obtenerInvitacion = async (connection, id_invitacion) => {
+    const registro = await obtenerRegistro('invitacion', 'id_invitacion', id_invitacion, connection);
+    if (!registro) return null;
+    const { token_hash, ...invitacion } = registro;
+    const [carreras] = await connection.query('SELECT id_carrera FROM invitacion_carrera WHERE id_invitacion = ?', [id_invitacion]);
+    return { ...invitacion, carreras: carreras.map(c => c.id_carrera) };
+};
+
+// Envía (o reenvía) el email con el enlace de un solo uso
+const sendInvitationEmail = async (email, rol, token) => {
+    const link = `${INVITACION_URL}?token=${token}`;
+    await sendMail({
+        to: email,
+        subject: 'Invitación al Panel de Administración IES6',
+        html: `
+                <p>Hola,</p>
+                <p>Fuiste invitado/a a la plataforma de cursado del IES N°6 con el rol <strong>${rol}</strong>.</p>
+                <p>Haz clic en el siguiente enlace para crear tu usuario y contraseña. Este enlace expira en ${INVITACION_DIAS} días y solo puede usarse una vez:</p>
+                <p>${actionButton(link, 'Aceptar Invitación')}</p>
+                <p style="margin-top: 20px;">Si no esperabas esta invitación, ignora este correo.</p>
+            `,
+    });
+};
+
+// =========================================================
+// GESTIÓN DE INVITACIONES (ACCESO SÓLO PARA RECTOR) 🔐
+// =========================================================
+
+// @desc    Listar invitaciones (filtro opcional ?estado=pendiente|usada|expirada|revocada)
+// @route   GET /api/admin/invitaciones
+// @access  Private/Rector
+exports.listInvitaciones = async (req, res) => {
+    const { estado } = req.query;
+
+    try {
+        let sql = `SELECT
+i.id_invitacion, i.email, i.rol, i.fecha_creacion, i.fecha_expiracion, i.fecha_uso, i.fecha_revocacion,
+i.id_administrador_creado,
+a.nombre_administrador AS nombre_creador,
+${ESTADO_INVITACION_SQL} AS estado,
+GROUP_CONCAT(ic.id_carrera) AS carreras
+FROM invitacion i
+LEFT JOIN administrador a ON i.id_administrador_creador = a.id_administrador
+LEFT JOIN invitacion_carrera ic ON i.id_invitacion = ic.id_invitacion
+GROUP BY i.id_invitacion`;
+        const params = [];
+
+        if (estado) {
+            sql += ' HAVING estado = ?';
+            params.push(estado);
+        }
+        sql += ' ORDER BY i.fecha_creacion DESC';
+
+        const [invitaciones] = await pool.query(sql, params);
+
+        res.json(invitaciones.map(inv => ({
+            ...inv,
+            carreras: inv.carreras ? inv.carreras.split(',').map(Number) : [],
+        })));
+    } catch (error) {
+        console.error('Error al listar invitaciones:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar invitaciones.' });
+    }
+};
+
+// @desc    Crear una invitación (email + rol + carreras pre-asignadas) y enviarla por email
+// @route   POST /api/admin/invitaciones
+// @access  Private/Rector
+exports.createInvitacion = async (req, res) => {
+    const { email, rol, carreras = [] } = req.body;
+
+    if (!email || !rol) {
+        return res.status(400).json({ message: 'Error de validación: Los campos \'email\' y \'rol\' son obligatorios.' });
+    }
+    if (!Array.isArray(carreras)) {
+        return res.status(400).json({ message: 'Error de validación: \'carreras\' debe ser una lista de IDs de carrera.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // 0. El rol debe existir (roles configurables en la tabla 'rol') y no dar más
+        //    permisos/alcance que los de quien invita (salvo que tenga 'rol:manage')
+        const rolDef = await getRoleDefinition(rol);
+        if (!rolDef) {
+            await connection.rollback();
+            return res.status(400).json({ message: `Error de validación: El rol '${rol}' no existe.` });
+        }
+        if (!canAssignRole(req.user, rolDef)) {
+            await connection.rollback();
+            return res.status(403).json({ message: `Prohibido: No puede invitar con el rol '${rol}' porque otorga permisos o alcance que usted no tiene.` });
+        }
+
+        // 1. El email no debe pertenecer a una cuenta existente
+        const [existentes] = await connection.query('SELECT 1 FROM administrador WHERE email = ?', [email]);
+        if (existentes.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Ya existe un administrador registrado con ese email.' });
+        }
+
+        // 2. Las carreras pre-asignadas deben estar dentro del alcance de quien invita, existir y estar activas
+        const carrerasIds = [...new Set(carreras.map(id => parseInt(id)))];
+        const fueraDeAlcance = carrerasIds.filter(idCarrera => !canAccessCarrera(req.user, idCarrera));
+        if (fueraDeAlcance.length > 0) {
+            await connection.rollback();
+            return res.status(403).json({ message: `Acceso denegado. No tiene permisos sobre la(s) carrera(s): ${fueraDeAlcance.join(', ')}.` });
+        }
+        if (carrerasIds.length > 0) {
+            const [activas] = await connection.query(
+                `SELECT id_carrera FROM carrera WHERE estado = 'activa' AND id_carrera IN (?)`,
+                [carrerasIds]
+            );
+            if (activas.length !== carrerasIds.length) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'Error de validación: Una o más carreras no existen o no están activas.' });
+            }
+        }
+
+        // 3. Una sola invitación pendiente por email: se revocan las anteriores
+        const [pendientes] = await connection.query(
+            'SELECT id_invitacion FROM invitacion WHERE email = ? AND fecha_uso IS NULL AND fecha_revocacion IS NULL FOR UPDATE',
+            [email]
+        );
+        for (const { id_invitacion } of pendientes) {
+            const antes = await obtenerInvitacion(connection, id_invitacion);
+            await connection.query('UPDATE invitacion SET fecha_revocacion = NOW() WHERE id_invitacion = ?', [id_invitacion]);
+            await registrarAuditoria(req, {
+                accion: 'revocar', entidad: 'invitacion', id_entidad: id_invitacion,
+                antes, despues: await obtenerInvitacion(connection, id_invitacion),
+            }, connection);
+        }
+
+        // 4. Crear la invitación con token de un solo uso
+        const token = generateRandomToken();
+        const [result] = await connection.query(
+            `INSERT INTO invitacion (email, rol, token_hash, fecha_creacion, fecha_expiracion, id_administrador_creador)
+VALUES (?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY), ?)`,
+            [email, rol, hashToken(token), INVITACION_DIAS, req.user.id]
+        );
+        const idInvitacion = result.insertId;
+
+        if (carrerasIds.length > 0) {
+            await connection.query(
+                'INSERT INTO invitacion_carrera (id_invitacion, id_carrera) VALUES ?',
+                [carrerasIds.map(idCarrera => [idInvitacion, idCarrera])]
+            );
+        }
+
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'invitacion', id_entidad: idInvitacion,
+            despues: await obtenerInvitacion(connection, idInvitacion),
+        }, connection);
+
+        // 5. Enviar el email antes de confirmar: si el SMTP falla, no queda una invitación huérfana
+        await sendInvitationEmail(email, rol, token);
+
+        await connection.commit();
+
+        res.status(201).json({
+            id_invitacion: idInvitacion,
+            email,
+            rol,
+            carreras: carrerasIds,
+            message: 'Invitación creada y enviada con éxito.'
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al crear la invitación:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear o enviar la invitación.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Reenviar una invitación pendiente (genera un enlace nuevo y renueva la expiración)
+// @route   POST /api/admin/invitaciones/:id/reenviar
+// @access  Private/Rector
+exports.resendInvitacion = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const [rows] = await pool.query(
+            'SELECT email, rol FROM invitacion WHERE id_invitacion = ? AND fecha_uso IS NULL AND fecha_revocacion IS NULL',
+            [id]
+        );
+        const invitacion = rows[0];
+
+        if (!invitacion) {
+            return res.status(404).json({ message: 'Invitación no encontrada, ya utilizada o revocada.' });
+        }
+
+        // Se repiten los controles del alta: quien reenvía también debe poder otorgar el rol y las carreras
+        const rolDef = await getRoleDefinition(invitacion.rol);
+        if (!rolDef) {
+            return res.status(400).json({ message: `Error de validación: El rol '${invitacion.rol}' ya no existe. Revoque la invitación.` });
+        }
+        if (!canAssignRole(req.user, rolDef)) {
+            return res.status(403).json({ message: `Prohibido: No puede invitar con el rol '${invitacion.rol}' porque otorga permisos o alcance que usted no tiene.` });
+        }
+        const [carreras] = await pool.query('SELECT id_carrera FROM invitacion_carrera WHERE id_invitacion = ?', [id]);
+        if (carreras.some(row => !canAccessCarrera(req.user, row.id_carrera))) {
+            return res.status(403).json({ message: 'Acceso denegado. La invitación incluye carreras fuera de su alcance.' });
+        }
+
+        // El enlace anterior deja de funcionar al reemplazar el hash
+        const token = generateRandomToken();
+        await pool.query(
+            `UPDATE invitacion SET token_hash = ?, fecha_expiracion = DATE_ADD(NOW(), INTERVAL ? DAY)
+WHERE id_invitacion = ?`,
+            [hashToken(token), INVITACION_DIAS, id]
+        );
+
+        await sendInvitationEmail(invitacion.email, invitacion.rol, token);
+
+        res.json({ message: 'Invitación reenviada con éxito.' });
+    } catch (error) {
+        console.error('Error al reenviar la invitación:', error);
+        res.status(500).json({ message: 'Error interno del servidor al reenviar la invitación.' });
+    }
+};
+
+// @desc    Revocar una invitación pendiente
+// @route   DELETE /api/admin/invitaciones/:id
+// @access  Private/Rector
+exports.revokeInvitacion = async (req, res) => {
+    const { id } = req.params;
+    let connection;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const antes = await obtenerInvitacion(connection, id);
+        const [result] = await connection.query(
+            'UPDATE invitacion SET fecha_revocacion = NOW() WHERE id_invitacion = ? AND fecha_uso IS NULL AND fecha_revocacion IS NULL',
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Invitación no encontrada, ya utilizada o revocada.' });
+        }
+
+        await registrarAuditoria(req, {
+            accion: 'revocar', entidad: 'invitacion', id_entidad: id,
+            antes, despues: await obtenerInvitacion(connection, id),
+        }, connection);
+
+        await connection.commit();
+
+        res.json({ message: 'Invitación revocada con éxito.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al revocar la invitación:', error);
+        res.status(500).json({ message: 'Error interno del servidor al revocar la invitación.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// =========================================================
+// ACEPTACIÓN DE INVITACIONES (PÚBLICO, MEDIANTE TOKEN)
+// =========================================================
+
+// @desc    Consultar una invitación por su token (para mostrar email y rol en el formulario)
+// @route   GET /api/auth/invitaciones/:token
+// @access  Public (mediante token)
+exports.getInvitacionByToken = async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        const [rows] = await pool.query(
+            `SELECT i.email, i.rol, i.fecha_expiracion, GROUP_CONCAT(c.nombre_carrera SEPARATOR ', ') AS carreras
+FROM invitacion i
+LEFT JOIN invitacion_carrera ic ON i.id_invitacion = ic.id_invitacion
+LEFT JOIN carrera c ON ic.id_carrera = c.id_carrera
+WHERE i.token_hash = ? AND i.fecha_uso IS NULL AND i.fecha_revocacion IS NULL AND i.fecha_expiracion > NOW()
+GROUP BY i.id_invitacion`,
+            [hashToken(token)]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'La invitación es inválida, ya fue utilizada o ha expirado.' });
+        }
+
+        res.json(rows[0]);
+    } catch (error) {
+        console.error('Error al consultar la invitación:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+};
+
+// @desc    Aceptar una invitación: crea la cuenta con el rol y las carreras pre-asignadas
+// @route   POST /api/auth/invitaciones/aceptar
+// @access  Public (mediante token)
+exports.acceptInvitacion = async (req, res) => {
+    const { token, nombre_administrador, contraseña, dni, telefono } = req.body;
+
+    if (!token || !nombre_administrador || !contraseña) {
+        return res.status(400).json({ message: 'Faltan datos requeridos (token, nombre de administrador o contraseña).' });
+    }
+
+    const validationError = validatePasswordRules(String(contraseña));
+    if (validationError) {
+        return res.status(400).json({ message: `Error de validación: ${validationError}` });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // 1. Invitación vigente (bloqueada para que no se acepte dos veces en paralelo)
+        const [rows] = await connection.query(
+            `SELECT id_invitacion, email, rol FROM invitacion
+WHERE token_hash = ? AND fecha_uso IS NULL AND fecha_revocacion IS NULL AND fecha_expiracion > NOW()
+FOR UPDATE`,
+            [hashToken(token)]
+        );
+        const invitacion = rows[0];
+
+        if (!invitacion) {
+            await connection.rollback();
+            return res.status(401).json({ message: 'La invitación es inválida, ya fue utilizada o ha expirado.' });
+        }
+
+        // 2. Crear la cuenta con el email y el rol definidos por el Rector
+        const contraseña_hash = await bcrypt.hash(String(contraseña), 10);
+        const [result] = await connection.query(
+            'INSERT INTO administrador (nombre_administrador, email, contraseña, dni, telefono, rol) VALUES (?, ?, ?, ?, ?, ?)',
+            [nombre_administrador, invitacion.email, contraseña_hash, dni || null, telefono || null, invitacion.rol]
+        );
+        const idAdministrador = result.insertId;
+
+        // 3. Asignar las carreras pre-asignadas que sigan activas
+        await connection.query(
+            `INSERT INTO admin_carrera (id_administrador, id_carrera)
+SELECT ?, ic.id_carrera
+FROM invitacion_carrera ic
+INNER JOIN carrera c ON ic.id_carrera = c.id_carrera
+WHERE ic.id_invitacion = ? AND c.estado = 'activa'`,
+            [idAdministrador, invitacion.id_invitacion]
+        );
+
+        // 4. Consumir la invitación
+        const invitacionAntes = await obtenerInvitacion(connection, invitacion.id_invitacion);
+        await connection.query(
+            'UPDATE invitacion SET fecha_uso = NOW(), id_administrador_creado = ? WHERE id_invitacion = ?',
+            [idAdministrador, invitacion.id_invitacion]
+        );
+
+        // 5. Auditoría: la ruta es pública, el autor es la cuenta recién creada
+        const reqAuditoria = { user: { id: idAdministrador }, ip: req.ip };
+        await registrarAuditoria(reqAuditoria, {
+            accion: 'crear', entidad: 'administrador', id_entidad: idAdministrador,
+            despues: await obtenerRegistro('administrador', 'id_administrador', idAdministrador, connection),
+        }, connection);
+        const [asignaciones] = await connection.query(
+            'SELECT id_administrador, id_carrera FROM admin_carrera WHERE id_administrador = ? ORDER BY id_carrera',
+            [idAdministrador]
+        );
+        if (asignaciones.length > 0) {
+            await registrarAuditoria(reqAuditoria, {
+                accion: 'asignar', entidad: 'admin_carrera', id_entidad: idAdministrador,
+                antes: { asignaciones: [] }, despues: { asignaciones },
+            }, connection);
+        }
+        await registrarAuditoria(reqAuditoria, {
+            accion: 'aceptar', entidad: 'invitacion', id_entidad: invitacion.id_invitacion,
+            antes: invitacionAntes, despues: await obtenerInvitacion(connection, invitacion.id_invitacion),
+        }, connection);
+
+        const { token: accessToken, refreshToken } = await createSession(idAdministrador, invitacion.rol, req, connection);
+
+        await connection.commit();
+
+        res.status(201).json({
+            id_administrador: idAdministrador,
+            nombre_administrador,
+            email: invitacion.email,
+            rol: invitacion.rol,
+            token: accessToken,
+            refreshToken,
+            message: 'Cuenta creada con éxito.'
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ message: 'El nombre de administrador, email o DNI ya está registrado.' });
+        }
+        console.error('Error al aceptar la invitación:', error);
+        res.status(500).json({ message: 'Error interno del servidor al aceptar la invitación.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
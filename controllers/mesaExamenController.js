@@ -0,0 +1,399 @@
+// backend/controllers/mesaExamenController.js
+
+const pool = require('../database');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+const { canAccessCarrera, carreraScopeClause } = require('../utils/permissions');
+const { horaAMinutos } = require('../utils/horarioUtils');
+const { obtenerTurnoExamen, listarMesas, buscarConflictosMesa, superposicionesMesas } = require('../utils/mesasExamen');
+
+/*
+ * Tablas requeridas: turno_examen, mesa_examen, mesa_tribunal (ver utils/mesasExamen.js)
+ *
+ * Los turnos son de toda la institución ('turno:write'); las mesas pertenecen a la carrera de su materia
+ * y respetan el alcance del rol ('mesa:write'). Un turno publicado aparece en el sitio y en el chatbot.
+ */
+
+// Materia activa de las carreras del usuario: { materia } o { error: { status, message } }
+const obtenerMateriaConAlcance = async (idMateria, user, conn = pool) => {
+    const [rows] = await conn.query(
+        "SELECT id_materia, nombre_materia, id_carrera, año FROM materia WHERE id_materia = ? AND estado = 'activa'",
+        [idMateria]
+    );
+    if (rows.length === 0) {
+        return { error: { status: 404, message: 'Materia no encontrada o inactiva.' } };
+    }
+    if (!canAccessCarrera(user, rows[0].id_carrera)) {
+        return { error: { status: 403, message: 'Acceso denegado. La materia no pertenece a sus carreras asignadas.' } };
+    }
+    return { materia: rows[0] };
+};
+
+// Filtro de mesas por las carreras del usuario (alias 'm' = materia)
+const filtroAlcance = (user) => {
+    const scope = carreraScopeClause(user, 'm.id_carrera');
+    return scope ? { sql: ` AND ${scope.sql}`, params: scope.params } : { sql: '', params: [] };
+};
+
+/**
+ * Valida los datos de una mesa contra su turno, el aula y el tribunal.
+ * 'idsPrevios' son los docentes que ya integraban el tribunal (al editar): pueden seguir aunque
+ * se hayan dado de baja después, para no tener que rehacer el tribunal de una mesa ya armada.
+ * Devuelve { error } (mensaje para un 400) o { datos } listos para guardar.
+ */
+const validarMesa = async (body, turno, conn = pool, idsPrevios = []) => {
+    const { fecha, hora_inicio, hora_fin } = body;
+    const tribunal = body.tribunal || [];
+
+    if (fecha < turno.fecha_inicio || fecha > turno.fecha_fin) {
+        return { error: `La fecha debe estar dentro del turno '${turno.nombre}' (${turno.fecha_inicio} a ${turno.fecha_fin}).` };
+    }
+    if (horaAMinutos(hora_inicio) >= horaAMinutos(hora_fin)) {
+        return { error: 'Error de validación: \'hora_inicio\' debe ser anterior a \'hora_fin\'.' };
+    }
+
+    if (body.id_aula) {
+        const [aulas] = await conn.query("SELECT 1 FROM aula WHERE id_aula = ? AND estado = 'activa'", [body.id_aula]);
+        if (aulas.length === 0) return { error: 'Error de validación: el aula no existe o está inactiva.' };
+    }
+
+    const ids = tribunal.map(t => t.id_docente);
+    if (new Set(ids).size !== ids.length) {
+        return { error: 'Un docente no puede figurar dos veces en el tribunal.' };
+    }
+    if (tribunal.filter(t => t.rol === 'Presidente').length > 1) {
+        return { error: 'El tribunal puede tener un solo Presidente.' };
+    }
+    const nuevos = ids.filter(id => !idsPrevios.includes(id));
+    if (nuevos.length > 0) {
+        const [activos] = await conn.query("SELECT id_docente FROM docente WHERE id_docente IN (?) AND estado = 'activa'", [nuevos]);
+        const faltantes = nuevos.filter(id => !activos.some(d => d.id_docente === id));
+        if (faltantes.length > 0) {
+            return { error: `Docente(s) inexistente(s) o inactivo(s) en el tribunal: ${faltantes.join(', ')}.` };
+        }
+    }
+
+    return {
+        datos: {
+            id_materia: body.id_materia,
+            llamado: body.llamado || 1,
+            fecha,
+            hora_inicio,
+            hora_fin,
+            id_aula: body.id_aula || null,
+            observaciones: body.observaciones || null,
+            tribunal: tribunal.map(t => ({ id_docente: t.id_docente, rol: t.rol || 'Vocal' })),
+        },
+    };
+};
+
+// Reemplaza el tribunal de una mesa (dentro de la transacción)
+const guardarTribunal = async (conn, idMesa, tribunal) => {
+    await conn.query('DELETE FROM mesa_tribunal WHERE id_mesa_examen = ?', [idMesa]);
+    if (tribunal.length > 0) {
+        await conn.query(
+            'INSERT INTO mesa_tribunal (id_mesa_examen, id_docente, rol) VALUES ?',
+            [tribunal.map(t => [idMesa, t.id_docente, t.rol])]
+        );
+    }
+};
+
+// Mesa con su tribunal, para la auditoría y las respuestas
+const obtenerMesa = async (id, conn = pool) => (await listarMesas('me.id_mesa_examen = ?', [id], {}, conn))[0] || null;
+
+// =========================================================
+// TURNOS DE EXAMEN 📝
+// =========================================================
+
+// @desc    Listar los turnos de examen con su cantidad de mesas
+// @route   GET /api/admin/turnos-examen
+// @access  Private (mesa:read)
+exports.getTurnosExamen = async (req, res) => {
+    try {
+        const [turnos] = await pool.query(`SELECT
+t.id_turno_examen, t.nombre, DATE_FORMAT(t.fecha_inicio, '%Y-%m-%d') AS fecha_inicio,
+DATE_FORMAT(t.fecha_fin, '%Y-%m-%d') AS fecha_fin, t.publicado, COUNT(me.id_mesa_examen) AS cantidad_mesas
+FROM turno_examen t
+LEFT JOIN mesa_examen me ON me.id_turno_examen = t.id_turno_examen
+GROUP BY t.id_turno_examen
+ORDER BY t.fecha_inicio DESC`);
+
+        res.json(turnos.map(t => ({ ...t, publicado: Boolean(t.publicado) })));
+    } catch (error) {
+        console.error('Error al listar los turnos de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar los turnos de examen.' });
+    }
+};
+
+// @desc    Obtener un turno con sus mesas (de las carreras del usuario) y las superposiciones
+//          Query opcional: ?id_carrera=
+// @route   GET /api/admin/turnos-examen/:id
+// @access  Private (mesa:read)
+exports.getTurnoExamenById = async (req, res) => {
+    const { id } = req.params;
+    const { id_carrera } = req.query;
+
+    if (id_carrera && !canAccessCarrera(req.user, id_carrera)) {
+        return res.status(403).json({ message: 'Acceso denegado. No tiene acceso a esa carrera.' });
+    }
+
+    try {
+        const turno = await obtenerTurnoExamen(id);
+        if (!turno) {
+            return res.status(404).json({ message: 'Turno de examen no encontrado.' });
+        }
+
+        const alcance = filtroAlcance(req.user);
+        const filtroCarrera = id_carrera ? ' AND m.id_carrera = ?' : '';
+        const mesas = await listarMesas(
+            `me.id_turno_examen = ?${filtroCarrera}${alcance.sql}`,
+            [id, ...(id_carrera ? [id_carrera] : []), ...alcance.params]
+        );
+
+        res.json({ ...turno, mesas, superposiciones: superposicionesMesas(mesas) });
+    } catch (error) {
+        console.error('Error al obtener el turno de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener el turno de examen.' });
+    }
+};
+
+// @desc    Crear un turno de examen (sin publicar, salvo que se indique)
+// @route   POST /api/admin/turnos-examen
+// @access  Private (turno:write)
+exports.createTurnoExamen = async (req, res) => {
+    const { nombre, fecha_inicio, fecha_fin, publicado } = req.body;
+
+    if (fecha_fin < fecha_inicio) {
+        return res.status(400).json({ message: 'La fecha de fin no puede ser anterior a la de inicio.' });
+    }
+
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO turno_examen (nombre, fecha_inicio, fecha_fin, publicado) VALUES (?, ?, ?, ?)',
+            [nombre, fecha_inicio, fecha_fin, publicado ? 1 : 0]
+        );
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'turno_examen', id_entidad: result.insertId,
+            despues: await obtenerRegistro('turno_examen', 'id_turno_examen', result.insertId),
+        });
+
+        res.status(201).json({ ...(await obtenerTurnoExamen(result.insertId)), message: 'Turno de examen creado con éxito.' });
+    } catch (error) {
+        console.error('Error al crear el turno de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear el turno de examen.' });
+    }
+};
+
+// @desc    Actualizar (o publicar / despublicar) un turno. Sus mesas deben seguir dentro de las fechas.
+// @route   PUT /api/admin/turnos-examen/:id
+// @access  Private (turno:write)
+exports.updateTurnoExamen = async (req, res) => {
+    const { id } = req.params;
+    const { nombre, fecha_inicio, fecha_fin, publicado } = req.body;
+
+    if (fecha_fin < fecha_inicio) {
+        return res.status(400).json({ message: 'La fecha de fin no puede ser anterior a la de inicio.' });
+    }
+
+    try {
+        const antes = await obtenerRegistro('turno_examen', 'id_turno_examen', id);
+        if (!antes) {
+            return res.status(404).json({ message: 'Turno de examen no encontrado.' });
+        }
+
+        const fuera = await listarMesas('me.id_turno_examen = ? AND (me.fecha < ? OR me.fecha > ?)', [id, fecha_inicio, fecha_fin]);
+        if (fuera.length > 0) {
+            return res.status(409).json({
+                message: `Hay ${fuera.length} mesa(s) fuera de las nuevas fechas del turno. Muévalas o elimínelas primero.`,
+                mesas: fuera,
+            });
+        }
+
+        await pool.query(
+            'UPDATE turno_examen SET nombre = ?, fecha_inicio = ?, fecha_fin = ?, publicado = COALESCE(?, publicado) WHERE id_turno_examen = ?',
+            [nombre, fecha_inicio, fecha_fin, publicado === undefined ? null : (publicado ? 1 : 0), id]
+        );
+        await registrarAuditoria(req, {
+            accion: 'actualizar', entidad: 'turno_examen', id_entidad: id,
+            antes, despues: await obtenerRegistro('turno_examen', 'id_turno_examen', id),
+        });
+
+        res.json({ ...(await obtenerTurnoExamen(id)), message: 'Turno de examen actualizado con éxito.' });
+    } catch (error) {
+        console.error('Error al actualizar el turno de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar el turno de examen.' });
+    }
+};
+
+// @desc    Eliminar un turno de examen y sus mesas. Un turno publicado debe despublicarse antes.
+// @route   DELETE /api/admin/turnos-examen/:id
+// @access  Private (turno:write)
+exports.deleteTurnoExamen = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const antes = await obtenerRegistro('turno_examen', 'id_turno_examen', id);
+        if (!antes) {
+            return res.status(404).json({ message: 'Turno de examen no encontrado.' });
+        }
+        if (antes.publicado) {
+            return res.status(409).json({ message: 'El turno está publicado. Despublíquelo antes de eliminarlo.' });
+        }
+
+        // Las mesas y sus tribunales se borran en cascada (FK)
+        const [[{ cantidad }]] = await pool.query('SELECT COUNT(*) AS cantidad FROM mesa_examen WHERE id_turno_examen = ?', [id]);
+        await pool.query('DELETE FROM turno_examen WHERE id_turno_examen = ?', [id]);
+        await registrarAuditoria(req, { accion: 'eliminar', entidad: 'turno_examen', id_entidad: id, antes });
+
+        res.json({ mesas_eliminadas: cantidad, message: `Turno '${antes.nombre}' eliminado con éxito.` });
+    } catch (error) {
+        console.error('Error al eliminar el turno de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al eliminar el turno de examen.' });
+    }
+};
+
+// =========================================================
+// MESAS DE EXAMEN 📝 (el controlador valida que la materia pertenezca a las carreras del usuario)
+// =========================================================
+
+// @desc    Obtener una mesa con su tribunal
+// @route   GET /api/admin/mesas-examen/:id
+// @access  Private (mesa:read)
+exports.getMesaExamenById = async (req, res) => {
+    try {
+        const mesa = await obtenerMesa(req.params.id);
+        if (!mesa) {
+            return res.status(404).json({ message: 'Mesa de examen no encontrada.' });
+        }
+        if (!canAccessCarrera(req.user, mesa.id_carrera)) {
+            return res.status(403).json({ message: 'Acceso denegado. La mesa no pertenece a sus carreras asignadas.' });
+        }
+        res.json(mesa);
+    } catch (error) {
+        console.error('Error al obtener la mesa de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener la mesa de examen.' });
+    }
+};
+
+// @desc    Crear una mesa con su tribunal. Las superposiciones se informan como advertencias.
+// @route   POST /api/admin/mesas-examen
+// @access  Private (mesa:write)
+exports.createMesaExamen = async (req, res) => {
+    let connection;
+    try {
+        const { error: errorMateria } = await obtenerMateriaConAlcance(req.body.id_materia, req.user);
+        if (errorMateria) return res.status(errorMateria.status).json({ message: errorMateria.message });
+
+        const turno = await obtenerTurnoExamen(req.body.id_turno_examen);
+        if (!turno) {
+            return res.status(404).json({ message: 'Turno de examen no encontrado.' });
+        }
+
+        const { datos, error } = await validarMesa(req.body, turno);
+        if (error) return res.status(400).json({ message: error });
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            `INSERT INTO mesa_examen (id_turno_examen, id_materia, llamado, fecha, hora_inicio, hora_fin, id_aula, observaciones)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [turno.id_turno_examen, datos.id_materia, datos.llamado, datos.fecha, datos.hora_inicio, datos.hora_fin, datos.id_aula, datos.observaciones]
+        );
+        await guardarTribunal(connection, result.insertId, datos.tribunal);
+
+        const mesa = await obtenerMesa(result.insertId, connection);
+        await registrarAuditoria(req, { accion: 'crear', entidad: 'mesa_examen', id_entidad: result.insertId, despues: mesa }, connection);
+
+        const advertencias = await buscarConflictosMesa({ ...datos, excluirId: result.insertId }, connection);
+        await connection.commit();
+
+        res.status(201).json({ ...mesa, advertencias, message: 'Mesa de examen creada con éxito.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'La materia ya tiene una mesa para ese llamado en este turno.' });
+        }
+        console.error('Error al crear la mesa de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear la mesa de examen.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Actualizar una mesa y reemplazar su tribunal (sin 'tribunal' en el body se conserva el actual)
+// @route   PUT /api/admin/mesas-examen/:id
+// @access  Private (mesa:write)
+exports.updateMesaExamen = async (req, res) => {
+    const { id } = req.params;
+
+    let connection;
+    try {
+        const antes = await obtenerMesa(id);
+        if (!antes) {
+            return res.status(404).json({ message: 'Mesa de examen no encontrada.' });
+        }
+        if (!canAccessCarrera(req.user, antes.id_carrera)) {
+            return res.status(403).json({ message: 'Acceso denegado. La mesa no pertenece a sus carreras asignadas.' });
+        }
+        const { error: errorMateria } = await obtenerMateriaConAlcance(req.body.id_materia, req.user);
+        if (errorMateria) return res.status(errorMateria.status).json({ message: errorMateria.message });
+
+        // La mesa no cambia de turno
+        const turno = await obtenerTurnoExamen(antes.id_turno_examen);
+        const body = req.body.tribunal === undefined ? { ...req.body, tribunal: antes.tribunal } : req.body;
+        const { datos, error } = await validarMesa(body, turno, pool, antes.tribunal.map(t => t.id_docente));
+        if (error) return res.status(400).json({ message: error });
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await connection.query(
+            `UPDATE mesa_examen SET id_materia = ?, llamado = ?, fecha = ?, hora_inicio = ?, hora_fin = ?, id_aula = ?, observaciones = ?
+             WHERE id_mesa_examen = ?`,
+            [datos.id_materia, datos.llamado, datos.fecha, datos.hora_inicio, datos.hora_fin, datos.id_aula, datos.observaciones, id]
+        );
+        await guardarTribunal(connection, id, datos.tribunal);
+
+        const mesa = await obtenerMesa(id, connection);
+        await registrarAuditoria(req, { accion: 'actualizar', entidad: 'mesa_examen', id_entidad: id, antes, despues: mesa }, connection);
+
+        const advertencias = await buscarConflictosMesa({ ...datos, excluirId: id }, connection);
+        await connection.commit();
+
+        res.json({ ...mesa, advertencias, message: 'Mesa de examen actualizada con éxito.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'La materia ya tiene una mesa para ese llamado en este turno.' });
+        }
+        console.error('Error al actualizar la mesa de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar la mesa de examen.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Eliminar una mesa de examen (y su tribunal)
+// @route   DELETE /api/admin/mesas-examen/:id
+// @access  Private (mesa:write)
+exports.deleteMesaExamen = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const antes = await obtenerMesa(id);
+        if (!antes) {
+            return res.status(404).json({ message: 'Mesa de examen no encontrada.' });
+        }
+        if (!canAccessCarrera(req.user, antes.id_carrera)) {
+            return res.status(403).json({ message: 'Acceso denegado. La mesa no pertenece a sus carreras asignadas.' });
+        }
+
+        await pool.query('DELETE FROM mesa_examen WHERE id_mesa_examen = ?', [id]);
+        await registrarAuditoria(req, { accion: 'eliminar', entidad: 'mesa_examen', id_entidad: id, antes });
+
+        res.json({ message: 'Mesa de examen eliminada con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar la mesa de examen:', error);
+        res.status(500).json({ message: 'Error interno del servidor al eliminar la mesa de examen.' });
+    }
+};
@@ -0,0 +1,208 @@
+// backend/controllers/miHorarioController.js
+
+const pool = require('../database');
+const { generarCodigoCorto } = require('../utils/tokens');
+const { horaAMinutos, minutosAHora } = require('../utils/horarioUtils');
+const { HORAS_MINUTOS_POR_HORA } = require('../utils/horasValidacion');
+const { DIAS_SEMANA } = require('../utils/enums');
+const { filtroPeriodoEnCurso } = require('../utils/calendarioAcademico');
+
+// Los horarios compartidos se guardan en 'horario_compartido' (migrations/010_horarios_compartidos.js)
+
+// Máximo de materias en un horario personal
+const MI_HORARIO_MAX_MATERIAS = 30;
+const MI_HORARIO_URL = process.env.MI_HORARIO_URL || process.env.CLIENT_URL;
+
+/**
+ * Lista de IDs de materia desde un array o un texto separado por comas: sin repetidos y ordenada,
+ * para que la misma selección sea siempre igual. Devuelve { ids } o { error }.
+ */
+const parsearMaterias = (valor) => {
+    const lista = Array.isArray(valor) ? valor : String(valor || '').split(',');
+    const ids = [...new Set(lista.map(id => String(id).trim()).filter(Boolean))];
+
+    if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+        return { error: 'Falta parámetro: materias debe ser una lista de IDs de materia.' };
+    }
+    if (ids.length > MI_HORARIO_MAX_MATERIAS) {
+        return { error: `Se pueden elegir como máximo ${MI_HORARIO_MAX_MATERIAS} materias.` };
+    }
+    return { ids: ids.map(Number).sort((a, b) => a - b) };
+};
+
+/**
+ * Grilla semanal de las materias elegidas: bloques por día, superposiciones y total de horas.
+ * Solo entran los horarios de las materias que se dictan en el cuatrimestre en curso.
+ */
+const armarMiHorario = async (ids) => {
+    const enCurso = await filtroPeriodoEnCurso('m');
+    const [materias] = await pool.query(`SELECT
+m.id_materia, m.nombre_materia, m.año, m.periodo, m.horas_semanales, c.id_carrera, c.nombre_carrera
+FROM materia m
+JOIN carrera c ON m.id_carrera = c.id_carrera
+WHERE m.id_materia IN (?) AND m.estado = 'activa' AND c.estado = 'activa'
+ORDER BY c.nombre_carrera, m.año, m.nombre_materia`, [ids]);
+
+    const [horarios] = await pool.query(`SELECT
+h.id_horario, h.id_materia, m.nombre_materia, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin,
+a.nombre AS aula, IF(d.estado = 'activa', CONCAT(d.apellido, ', ', d.nombre), NULL) AS docente
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+LEFT JOIN aula a ON h.id_aula = a.id_aula
+LEFT JOIN docente d ON h.id_docente = d.id_docente
+WHERE h.id_materia IN (?) AND h.estado = 'activa' AND m.estado = 'activa'${enCurso.sql}
+ORDER BY h.hora_inicio, m.nombre_materia`, [materias.length > 0 ? materias.map(m => m.id_materia) : [0], ...enCurso.params]);
+
+    // 1. Bloques por día y superposiciones entre ellos
+    const superposiciones = [];
+    const dias = [];
+    for (const dia of DIAS_SEMANA) {
+        const bloques = horarios
+            .filter(h => h.dia_semana === dia)
+            .map(({ dia_semana, ...h }) => ({ ...h, superpuesto: false }));
+        if (bloques.length === 0) continue;
+
+        for (let i = 0; i < bloques.length; i++) {
+            for (let j = i + 1; j < bloques.length; j++) {
+                const [a, b] = [bloques[i], bloques[j]];
+                if (a.hora_inicio < b.hora_fin && b.hora_inicio < a.hora_fin) {
+                    a.superpuesto = true;
+                    b.superpuesto = true;
+                    superposiciones.push({
+                        dia_semana: dia,
+                        desde: a.hora_inicio > b.hora_inicio ? a.hora_inicio : b.hora_inicio,
+                        hasta: a.hora_fin < b.hora_fin ? a.hora_fin : b.hora_fin,
+                        horarios: [a, b].map(({ id_horario, id_materia, nombre_materia, hora_inicio, hora_fin }) => ({
+                            id_horario, id_materia, nombre_materia, hora_inicio, hora_fin,
+                        })),
+                    });
+                }
+            }
+        }
+        dias.push({ dia_semana: dia, bloques });
+    }
+
+    // 2. Totales: minutos por materia y de la semana
+    const minutosPorMateria = {};
+    for (const h of horarios) {
+        minutosPorMateria[h.id_materia] = (minutosPorMateria[h.id_materia] || 0) + horaAMinutos(h.hora_fin) - horaAMinutos(h.hora_inicio);
+    }
+    const minutosSemanales = Object.values(minutosPorMateria).reduce((total, minutos) => total + minutos, 0);
+    const redondear = numero => Math.round(numero * 100) / 100;
+
+    const encontradas = materias.map(m => m.id_materia);
+    const inicios = horarios.map(h => horaAMinutos(h.hora_inicio));
+    const fines = horarios.map(h => horaAMinutos(h.hora_fin));
+
+    return {
+        materias: materias.map(m => ({
+            ...m,
+            minutos_semanales: minutosPorMateria[m.id_materia] || 0,
+            sin_horarios: !minutosPorMateria[m.id_materia],
+            en_curso: !enCurso.periodos || enCurso.periodos.includes(m.periodo),
+        })),
+        materias_no_encontradas: ids.filter(id => !encontradas.includes(id)),
+        dias,
+        franja: horarios.length > 0 ? { desde: minutosAHora(Math.min(...inicios)), hasta: minutosAHora(Math.max(...fines)) } : null,
+        superposiciones,
+        totales: {
+            minutos_semanales: minutosSemanales,
+            horas_reloj: redondear(minutosSemanales / 60),
+            horas_catedra: redondear(minutosSemanales / HORAS_MINUTOS_POR_HORA),
+        },
+        // Mismo horario para suscribirse desde el calendario del celular
+        calendario_url: encontradas.length > 0 ? `/api/calendario/materias.ics?ids=${[...encontradas].sort((a, b) => a - b).join(',')}` : null,
+    };
+};
+
+// ==========================================================
+// 🗓️ MI HORARIO: grilla semanal armada por el alumno
+// ==========================================================
+
+/**
+ * Grilla semanal de varias materias, con las superposiciones marcadas y el total de horas.
+ * Endpoint: GET /api/mi-horario?materias=3,7,12
+ */
+exports.getMiHorario = async (req, res) => {
+    const { ids, error } = parsearMaterias(req.query.materias);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        res.json(await armarMiHorario(ids));
+    } catch (err) {
+        console.error('Error al armar Mi Horario:', err);
+        res.status(500).json({ error: 'Error interno del servidor al armar el horario.' });
+    }
+};
+
+/**
+ * Guarda la selección bajo un código corto para compartirla (la misma selección devuelve el mismo código).
+ * Endpoint: POST /api/mi-horario  body { materias: [3, 7, 12] }
+ */
+exports.compartirMiHorario = async (req, res) => {
+    const { ids, error } = parsearMaterias(req.body && req.body.materias);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const grilla = await armarMiHorario(ids);
+        if (grilla.materias.length === 0) {
+            return res.status(404).json({ error: 'Ninguna de las materias elegidas está disponible.' });
+        }
+
+        // Se guardan solo las materias que existen
+        const materias = grilla.materias.map(m => m.id_materia).sort((a, b) => a - b).join(',');
+        const [existentes] = await pool.query('SELECT codigo FROM horario_compartido WHERE materias = ?', [materias]);
+
+        let codigo = existentes.length > 0 ? existentes[0].codigo : null;
+        const nuevo = !codigo;
+        // Ante un choque de códigos (muy improbable) se prueba con otro
+        for (let intento = 0; !codigo && intento < 5; intento++) {
+            const candidato = generarCodigoCorto();
+            try {
+                await pool.query('INSERT INTO horario_compartido (codigo, materias) VALUES (?, ?)', [candidato, materias]);
+                codigo = candidato;
+            } catch (err) {
+                if (err.code !== 'ER_DUP_ENTRY') throw err;
+            }
+        }
+        if (!codigo) {
+            return res.status(500).json({ error: 'No se pudo generar el código para compartir. Intente nuevamente.' });
+        }
+
+        res.status(nuevo ? 201 : 200).json({
+            codigo,
+            url: MI_HORARIO_URL ? `${MI_HORARIO_URL}?codigo=${codigo}` : null,
+            ...grilla,
+        });
+    } catch (err) {
+        console.error('Error al compartir Mi Horario:', err);
+        res.status(500).json({ error: 'Error interno del servidor al compartir el horario.' });
+    }
+};
+
+/**
+ * Abre un horario compartido por su código.
+ * Endpoint: GET /api/mi-horario/:codigo
+ */
+exports.getMiHorarioCompartido = async (req, res) => {
+    const codigo = String(req.params.codigo).trim().toUpperCase();
+
+    try {
+        const [rows] = await pool.query('SELECT codigo, materias, fecha_creacion FROM horario_compartido WHERE codigo = ?', [codigo]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Código de horario no encontrado.' });
+        }
+
+        await pool.query(
+            'UPDATE horario_compartido SET accesos = accesos + 1, fecha_ultimo_acceso = NOW() WHERE codigo = ?',
+            [codigo]
+        );
+
+        const ids = rows[0].materias.split(',').map(Number);
+        res.json({ codigo, fecha_creacion: rows[0].fecha_creacion, ...(await armarMiHorario(ids)) });
+    } catch (err) {
+        console.error('Error al abrir el horario compartido:', err);
+        res.status(500).json({ error: 'Error interno del servidor al abrir el horario compartido.' });
+    }
+};
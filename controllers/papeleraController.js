@@ -0,0 +1,237 @@
+// backend/controllers/papeleraController.js
+
+const pool = require('../database');
+const { hasPermission, canAccessCarrera, carreraScopeClause } = require('../utils/permissions');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+const { validarCorrelatividad } = require('../utils/correlatividadGraph');
+const {
+    ENTIDADES_PAPELERA,
+    PAPELERA_RETENCION_DIAS,
+    getPadresInactivos,
+    purgarPapelera,
+} = require('../utils/papelera');
+const {
+    calcularReactivacionEnCascada, aplicarCascada, resumenCascada, liberarRecursosAlReactivar, superposicionesAlReactivar,
+} = require('../utils/cascada');
+
+// =========================================================
+// PAPELERA: ELEMENTOS DADOS DE BAJA LÓGICAMENTE 🗑️
+// =========================================================
+// Cada tipo exige el mismo permiso que su baja (materia:write, horario:write, ...)
+// y respeta el alcance del rol sobre las carreras (aulas y docentes no tienen carrera: solo alcance global).
+
+// @desc    Listar elementos dados de baja (quién y cuándo), más recientes primero
+//          Query opcional: ?tipo=carrera|materia|horario|correlatividad|aula|docente
+// @route   GET /api/admin/papelera
+// @access  Private (permiso de escritura del tipo correspondiente)
+exports.listPapelera = async (req, res) => {
+    const { tipo } = req.query;
+
+    if (tipo && !ENTIDADES_PAPELERA[tipo]) {
+        return res.status(400).json({ message: `Error de validación: 'tipo' debe ser uno de: ${Object.keys(ENTIDADES_PAPELERA).join(', ')}.` });
+    }
+
+    // Solo los tipos que el usuario puede restaurar
+    const tipos = (tipo ? [tipo] : Object.keys(ENTIDADES_PAPELERA))
+        .filter(t => hasPermission(req.user, ENTIDADES_PAPELERA[t].permiso));
+
+    if (tipos.length === 0) {
+        return res.status(403).json({ message: 'Acceso denegado: No tiene permisos sobre ningún tipo de elemento de la papelera.' });
+    }
+
+    try {
+        const elementos = [];
+
+        for (const t of tipos) {
+            const entidad = ENTIDADES_PAPELERA[t];
+            const whereClauses = ["e.estado = 'inactiva'"];
+            const params = [];
+
+            const scope = carreraScopeClause(req.user, entidad.columnaCarrera);
+            if (scope) {
+                whereClauses.push(scope.sql);
+                params.push(...scope.params);
+            }
+
+            const [rows] = await pool.query(`SELECT
+e.*, ${entidad.descripcion} AS descripcion, ${entidad.columnaCarrera} AS id_carrera_alcance,
+a.nombre_administrador AS nombre_administrador_eliminacion
+FROM ${entidad.tabla} e
+${entidad.joins}
+LEFT JOIN administrador a ON e.id_administrador_eliminacion = a.id_administrador
+WHERE ${whereClauses.join(' AND ')}`, params);
+
+            for (const row of rows) {
+                const padresInactivos = await getPadresInactivos(pool, t, row);
+                elementos.push({
+                    tipo: t,
+                    id: row[entidad.id],
+                    descripcion: row.descripcion,
+                    id_carrera: row.id_carrera_alcance,
+                    fecha_eliminacion: row.fecha_eliminacion,
+                    id_administrador_eliminacion: row.id_administrador_eliminacion,
+                    nombre_administrador_eliminacion: row.nombre_administrador_eliminacion,
+                    restaurable: padresInactivos.length === 0,
+                    padres_inactivos: padresInactivos,
+                });
+            }
+        }
+
+        elementos.sort((a, b) => new Date(b.fecha_eliminacion) - new Date(a.fecha_eliminacion));
+
+        res.json({ retencion_dias: PAPELERA_RETENCION_DIAS, elementos });
+    } catch (error) {
+        console.error('Error al listar la papelera:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar la papelera.' });
+    }
+};
+
+// @desc    Restaurar (reactivar) un elemento de la papelera. Su materia/carrera debe seguir activa.
+//          Con ?cascada=true (carrera o materia) reactiva también lo que se dio de baja junto con ella.
+// @route   POST /api/admin/papelera/:tipo/:id/restaurar
+// @access  Private (permiso de escritura del tipo correspondiente)
+exports.restorePapelera = async (req, res) => {
+    const { tipo, id } = req.params;
+    const entidad = ENTIDADES_PAPELERA[tipo];
+    const enCascada = (req.query.cascada === 'true' || req.query.cascada === '1') && (tipo === 'carrera' || tipo === 'materia');
+    const forzar = req.query.forzar_superposicion === 'true' || req.query.forzar_superposicion === '1';
+
+    if (!entidad) {
+        return res.status(400).json({ message: `Error de validación: 'tipo' debe ser uno de: ${Object.keys(ENTIDADES_PAPELERA).join(', ')}.` });
+    }
+    if (!hasPermission(req.user, entidad.permiso)) {
+        return res.status(403).json({ message: `Acceso denegado: Se requiere el permiso '${entidad.permiso}' para restaurar este elemento.` });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // 1. El elemento debe existir y estar dado de baja
+        const [rows] = await connection.query(
+            `SELECT e.*, ${entidad.columnaCarrera} AS id_carrera_alcance FROM ${entidad.tabla} e ${entidad.joins} WHERE e.${entidad.id} = ? FOR UPDATE`,
+            [id]
+        );
+        const registro = rows[0];
+
+        if (!registro || registro.estado !== 'inactiva') {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Elemento no encontrado en la papelera.' });
+        }
+
+        // 2. Control de Alcance
+        if (!canAccessCarrera(req.user, registro.id_carrera_alcance)) {
+            await connection.rollback();
+            return res.status(403).json({ message: 'Acceso denegado. No tiene permisos sobre la carrera de este elemento.' });
+        }
+
+        // 3. Los padres (materia/carrera) deben seguir activos
+        const padresInactivos = await getPadresInactivos(connection, tipo, registro);
+        if (padresInactivos.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                message: `No se puede restaurar: ${padresInactivos.join(' y ')} no está activa. Restáurela primero.`,
+                padres_inactivos: padresInactivos,
+            });
+        }
+
+        // 3b. Una correlatividad no puede volver si cierra un ciclo con las que se crearon mientras estaba inactiva
+        if (tipo === 'correlatividad') {
+            const { errores } = await validarCorrelatividad(registro, connection);
+            if (errores.length > 0) {
+                await connection.rollback();
+                return res.status(409).json({ message: `No se puede restaurar: ${errores[0].mensaje}`, errores });
+            }
+        }
+
+        // 4. Lo que se dio de baja junto con el elemento (se calcula antes de borrar su sello)
+        const afectados = enCascada
+            ? await calcularReactivacionEnCascada(connection, tipo, registro)
+            : { materias: [], horarios: [], correlatividades: [] };
+
+        // 4b. Los horarios que vuelven no deben superponerse con los activos de la misma carrera y año
+        //     (el mismo control que el alta; ?forzar_superposicion=true los restaura igual)
+        const horariosAReactivar = tipo === 'horario' ? [registro, ...afectados.horarios] : afectados.horarios;
+        const superposiciones = await superposicionesAlReactivar(connection, horariosAReactivar);
+        if (superposiciones.length > 0 && !forzar) {
+            await connection.rollback();
+            return res.status(409).json({
+                message: 'Al restaurar, uno o más horarios se superpondrían con otros de la misma carrera y año. Envíe \'?forzar_superposicion=true\' para restaurarlos igualmente.',
+                superposiciones,
+            });
+        }
+
+        // 5. Reactivar y limpiar los datos de la eliminación (un horario pierde su aula/docente si ya no está libre)
+        const liberados = tipo === 'horario'
+            ? await liberarRecursosAlReactivar(connection, req, [Number(id)])
+            : { aulas_liberadas: [], docentes_liberados: [] };
+        const antes = await obtenerRegistro(entidad.tabla, entidad.id, id, connection);
+        await connection.query(
+            `UPDATE ?? SET estado = 'activa', fecha_eliminacion = NULL, id_administrador_eliminacion = NULL WHERE ?? = ?`,
+            [entidad.tabla, entidad.id, id]
+        );
+
+        await registrarAuditoria(req, {
+            accion: 'restaurar', entidad: entidad.tabla, id_entidad: id,
+            antes, despues: await obtenerRegistro(entidad.tabla, entidad.id, id, connection),
+        }, connection);
+
+        const cascada = await aplicarCascada(connection, req, afectados, { estado: 'activa' });
+
+        await connection.commit();
+
+        res.json({
+            message: tipo === 'carrera'
+                ? 'Carrera restaurada con éxito. Recuerde volver a asignarle un coordinador.'
+                : 'Elemento restaurado con éxito.',
+            afectados: resumenCascada(afectados),
+            aulas_liberadas: [...liberados.aulas_liberadas, ...cascada.aulas_liberadas],
+            docentes_liberados: [...liberados.docentes_liberados, ...cascada.docentes_liberados],
+            correlatividades_omitidas: cascada.correlatividades_omitidas,
+            superposiciones,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al restaurar elemento de la papelera:', error);
+        res.status(500).json({ message: 'Error interno del servidor al restaurar el elemento.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Purgar la papelera: borra físicamente lo dado de baja hace más de PAPELERA_RETENCION_DIAS días
+// @route   DELETE /api/admin/papelera
+// @access  Private (papelera:purge)
+exports.purgePapelera = async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const eliminados = await purgarPapelera(connection, PAPELERA_RETENCION_DIAS);
+
+        for (const [tipo, ids] of Object.entries(eliminados)) {
+            if (ids.length === 0) continue;
+            await registrarAuditoria(req, {
+                accion: 'purgar', entidad: ENTIDADES_PAPELERA[tipo].tabla, id_entidad: null,
+                antes: { ids }, despues: null,
+            }, connection);
+        }
+
+        await connection.commit();
+
+        const total = Object.values(eliminados).reduce((suma, ids) => suma + ids.length, 0);
+        res.json({
+            message: `Papelera purgada: ${total} elemento(s) eliminados definitivamente.`,
+            retencion_dias: PAPELERA_RETENCION_DIAS,
+            eliminados,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al purgar la papelera:', error);
+        res.status(500).json({ message: 'Error interno del servidor al purgar la papelera.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
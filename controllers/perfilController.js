@@ -0,0 +1,363 @@
+// backend/controllers/perfilController.js
+
+const pool = require('../database');
+const bcrypt = require('bcrypt');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { validatePasswordRules } = require('../utils/passwordRules');
+const { sendMail, actionButton } = require('../utils/mailer');
+const { revokeOtherSessions } = require('../utils/sessions');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+
+// Página del frontend que confirma el nuevo email (recibe ?token=...)
+const CONFIRMAR_EMAIL_URL = process.env.CONFIRMAR_EMAIL_URL || process.env.CLIENT_URL;
+const CAMBIO_EMAIL_HORAS = parseInt(process.env.CAMBIO_EMAIL_HORAS, 10) || 24;
+
+/*
+ * Tabla requerida:
+ *   cambio_email (id_cambio PK, id_administrador FK, email_nuevo, token_hash, fecha_creacion,
+ *                 fecha_expiracion, fecha_uso, fecha_invalidacion)
+ */
+
+// ========================================================
+// PERFIL DEL USUARIO LOGUEADO (/api/auth/me)
+// ========================================================
+
+// @desc    Obtener el perfil propio y las carreras asignadas
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT id_administrador, nombre_administrador, email, dni, telefono, rol, estado, totp_habilitado
+FROM administrador WHERE id_administrador = ?`,
+            [req.user.id]
+        );
+        const perfil = rows[0];
+
+        if (!perfil) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+
+        const [carreras] = await pool.query(
+            `SELECT c.id_carrera, c.nombre_carrera, c.estado
+FROM admin_carrera ac
+INNER JOIN carrera c ON ac.id_carrera = c.id_carrera
+WHERE ac.id_administrador = ?
+ORDER BY c.nombre_carrera`,
+            [req.user.id]
+        );
+
+        // Cambio de email pendiente de confirmación (si lo hay)
+        const [pendientes] = await pool.query(
+            `SELECT email_nuevo, fecha_expiracion FROM cambio_email
+WHERE id_administrador = ? AND fecha_uso IS NULL AND fecha_invalidacion IS NULL AND fecha_expiracion > NOW()
+ORDER BY fecha_creacion DESC LIMIT 1`,
+            [req.user.id]
+        );
+
+        res.json({
+            ...perfil,
+            totp_habilitado: Boolean(perfil.totp_habilitado),
+            // Permisos y alcance del rol (para que el frontend muestre solo lo permitido)
+            permisos: req.user.permisos,
+            alcance: req.user.alcance,
+            carreras,
+            cambio_email_pendiente: pendientes[0] || null,
+        });
+    } catch (error) {
+        console.error('Error al obtener el perfil:', error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener el perfil.' });
+    }
+};
+
+// @desc    Editar los datos personales propios (el email nuevo se confirma por correo)
+// @route   PUT /api/auth/me
+// @access  Private
+exports.updateMe = async (req, res) => {
+    const { nombre_administrador, dni, telefono, email } = req.body;
+
+    // El rol, el estado y la contraseña no se editan desde el perfil
+    if (req.body.rol !== undefined || req.body.estado !== undefined
+        || req.body.contraseña !== undefined || req.body.newContraseña !== undefined) {
+        return res.status(400).json({ message: 'Desde el perfil solo se pueden editar nombre, DNI, teléfono y email. La contraseña se cambia en /api/auth/me/password.' });
+    }
+
+    if (nombre_administrador !== undefined && !String(nombre_administrador).trim()) {
+        return res.status(400).json({ message: 'Error de validación: El nombre de administrador no puede estar vacío.' });
+    }
+
+    const emailNuevo = email !== undefined ? String(email).trim().toLowerCase() : null;
+    if (email !== undefined && !emailNuevo) {
+        return res.status(400).json({ message: 'Error de validación: El email no puede quedar vacío.' });
+    }
+
+    let connection;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(
+            'SELECT id_administrador, nombre_administrador, email FROM administrador WHERE id_administrador = ?',
+            [req.user.id]
+        );
+        const usuario = rows[0];
+
+        if (!usuario) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+
+        // 1. Email: se valida ANTES de escribir nada (no cambia hasta que se confirme el enlace)
+        const cambiaEmail = Boolean(emailNuevo) && emailNuevo !== (usuario.email || '').toLowerCase();
+
+        if (cambiaEmail) {
+            const [existente] = await connection.query(
+                'SELECT 1 FROM administrador WHERE email = ? AND id_administrador <> ?',
+                [emailNuevo, usuario.id_administrador]
+            );
+            if (existente.length > 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'El email ya está registrado por otro usuario.' });
+            }
+        }
+
+        // 2. Datos personales
+        const sqlParts = [];
+        const params = [];
+
+        if (nombre_administrador !== undefined) {
+            sqlParts.push('nombre_administrador = ?');
+            params.push(String(nombre_administrador).trim());
+        }
+        if (dni !== undefined) {
+            sqlParts.push('dni = ?');
+            params.push(dni || null);
+        }
+        if (telefono !== undefined) {
+            sqlParts.push('telefono = ?');
+            params.push(telefono || null);
+        }
+
+        if (sqlParts.length === 0 && !cambiaEmail) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'No se proporcionaron campos para actualizar.' });
+        }
+
+        if (sqlParts.length > 0) {
+            const antes = await obtenerRegistro('administrador', 'id_administrador', usuario.id_administrador, connection);
+            params.push(usuario.id_administrador);
+            await connection.query(`UPDATE administrador SET ${sqlParts.join(', ')} WHERE id_administrador = ?`, params);
+            await registrarAuditoria(req, {
+                accion: 'actualizar', entidad: 'administrador', id_entidad: usuario.id_administrador,
+                antes, despues: await obtenerRegistro('administrador', 'id_administrador', usuario.id_administrador, connection),
+            }, connection);
+        }
+
+        // 3. Solicitud de cambio de email (solo vale la última) y enlace a la dirección nueva.
+        //    El correo se envía antes del commit: si el SMTP falla no queda nada a medias.
+        if (cambiaEmail) {
+            const token = generateRandomToken();
+
+            await connection.query(
+                `UPDATE cambio_email SET fecha_invalidacion = NOW()
+WHERE id_administrador = ? AND fecha_uso IS NULL AND fecha_invalidacion IS NULL`,
+                [usuario.id_administrador]
+            );
+            await connection.query(
+                `INSERT INTO cambio_email (id_administrador, email_nuevo, token_hash, fecha_creacion, fecha_expiracion)
+VALUES (?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+                [usuario.id_administrador, emailNuevo, hashToken(token), CAMBIO_EMAIL_HORAS]
+            );
+            await registrarAuditoria(req, {
+                accion: 'solicitar_cambio_email', entidad: 'administrador', id_entidad: usuario.id_administrador,
+                antes: { email: usuario.email }, despues: { email_nuevo: emailNuevo },
+            }, connection);
+
+            const link = `${CONFIRMAR_EMAIL_URL}?token=${token}`;
+            await sendMail({
+                to: emailNuevo,
+                subject: 'Confirmá tu nuevo email de Administrador IES6',
+                html: `
+                <p>Hola ${usuario.nombre_administrador},</p>
+                <p>Solicitaste usar esta dirección como email de tu cuenta. Haz clic en el siguiente enlace para confirmarla. Este enlace expira en ${CAMBIO_EMAIL_HORAS} horas y solo puede usarse una vez:</p>
+                <p>${actionButton(link, 'Confirmar Email')}</p>
+                <p style="margin-top: 20px;">Si no solicitaste esto, ignora este correo.</p>
+            `,
+            });
+        }
+
+        await connection.commit();
+
+        res.json({
+            message: cambiaEmail
+                ? 'Perfil actualizado. Te enviamos un enlace al nuevo email: el cambio se aplicará cuando lo confirmes.'
+                : 'Perfil actualizado con éxito.',
+            cambio_email_pendiente: cambiaEmail,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ message: 'El nombre de administrador o el DNI ya está registrado por otro usuario.' });
+        }
+        console.error('Error al actualizar el perfil:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar el perfil.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Cambiar la contraseña propia (requiere la contraseña actual)
+// @route   POST /api/auth/me/password
+// @access  Private
+exports.changePassword = async (req, res) => {
+    const { contraseñaActual, nuevaContraseña } = req.body;
+
+    if (!contraseñaActual || !nuevaContraseña) {
+        return res.status(400).json({ message: 'Error de validación: Se requieren la contraseña actual y la nueva contraseña.' });
+    }
+
+    const validationError = validatePasswordRules(String(nuevaContraseña));
+    if (validationError) {
+        return res.status(400).json({ message: `Error de validación: ${validationError}` });
+    }
+
+    let connection;
+    let usuario;
+
+    try {
+        const [rows] = await pool.query(
+            'SELECT id_administrador, nombre_administrador, email, contraseña FROM administrador WHERE id_administrador = ?',
+            [req.user.id]
+        );
+        usuario = rows[0];
+
+        if (!usuario || !(await bcrypt.compare(String(contraseñaActual), usuario.contraseña))) {
+            return res.status(401).json({ message: 'La contraseña actual es incorrecta.' });
+        }
+        if (await bcrypt.compare(String(nuevaContraseña), usuario.contraseña)) {
+            return res.status(400).json({ message: 'La nueva contraseña debe ser distinta de la actual.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(String(nuevaContraseña), 10);
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const antes = await obtenerRegistro('administrador', 'id_administrador', usuario.id_administrador, connection);
+        await connection.query('UPDATE administrador SET contraseña = ? WHERE id_administrador = ?', [hashedPassword, usuario.id_administrador]);
+
+        // Se mantiene la sesión actual y se cierran las de los demás dispositivos
+        await revokeOtherSessions(usuario.id_administrador, req.user.id_sesion, 'cambio_password', connection);
+
+        // La contraseña queda oculta en la auditoría: solo se registra que cambió
+        await registrarAuditoria(req, {
+            accion: 'cambiar_password', entidad: 'administrador', id_entidad: usuario.id_administrador,
+            antes, despues: await obtenerRegistro('administrador', 'id_administrador', usuario.id_administrador, connection),
+        }, connection);
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al cambiar la contraseña:', error);
+        return res.status(500).json({ message: 'Error interno del servidor al cambiar la contraseña.' });
+    } finally {
+        if (connection) connection.release();
+    }
+
+    // Aviso por email (un fallo del SMTP no revierte el cambio ya confirmado)
+    if (usuario.email) {
+        try {
+            await sendMail({
+                to: usuario.email,
+                subject: 'Tu contraseña de Administrador IES6 fue modificada',
+                html: `
+                <p>Hola ${usuario.nombre_administrador},</p>
+                <p>Te confirmamos que la contraseña de tu cuenta fue modificada desde tu perfil y que se cerraron las sesiones de los demás dispositivos.</p>
+                <p style="margin-top: 20px;">Si no fuiste tú, contacta de inmediato a un Rector.</p>
+            `,
+            });
+        } catch (error) {
+            console.error('Error al enviar el aviso de cambio de contraseña:', error);
+        }
+    }
+
+    res.json({ message: 'Contraseña actualizada con éxito.' });
+};
+
+// @desc    Confirmar el cambio de email con el token recibido en la nueva dirección
+// @route   POST /api/auth/me/email/confirmar
+// @access  Public (mediante token)
+exports.confirmEmailChange = async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ message: 'Error de validación: El campo \'token\' es obligatorio.' });
+    }
+
+    let connection;
+    let cambio;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(
+            `SELECT ce.id_cambio, ce.email_nuevo, a.id_administrador, a.nombre_administrador, a.email AS email_anterior
+FROM cambio_email ce
+INNER JOIN administrador a ON ce.id_administrador = a.id_administrador
+WHERE ce.token_hash = ?
+AND ce.fecha_uso IS NULL
+AND ce.fecha_invalidacion IS NULL
+AND ce.fecha_expiracion > NOW()
+FOR UPDATE`,
+            [hashToken(token)]
+        );
+
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(401).json({ message: 'El enlace de confirmación es inválido o ha expirado.' });
+        }
+        cambio = rows[0];
+
+        const antes = await obtenerRegistro('administrador', 'id_administrador', cambio.id_administrador, connection);
+        await connection.query('UPDATE administrador SET email = ? WHERE id_administrador = ?', [cambio.email_nuevo, cambio.id_administrador]);
+        await connection.query('UPDATE cambio_email SET fecha_uso = NOW() WHERE id_cambio = ?', [cambio.id_cambio]);
+
+        // La ruta es pública: el autor es el titular de la cuenta que confirmó el enlace
+        await registrarAuditoria({ user: { id: cambio.id_administrador }, ip: req.ip }, {
+            accion: 'cambiar_email', entidad: 'administrador', id_entidad: cambio.id_administrador,
+            antes, despues: await obtenerRegistro('administrador', 'id_administrador', cambio.id_administrador, connection),
+        }, connection);
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ message: 'El email ya está registrado por otro usuario.' });
+        }
+        console.error('Error al confirmar el cambio de email:', error);
+        return res.status(500).json({ message: 'Error interno del servidor al confirmar el email.' });
+    } finally {
+        if (connection) connection.release();
+    }
+
+    // Aviso a la dirección anterior (por si el cambio no fue solicitado por el titular)
+    if (cambio.email_anterior) {
+        try {
+            await sendMail({
+                to: cambio.email_anterior,
+                subject: 'El email de tu cuenta de Administrador IES6 fue modificado',
+                html: `
+                <p>Hola ${cambio.nombre_administrador},</p>
+                <p>Te informamos que el email de tu cuenta se cambió a <strong>${cambio.email_nuevo}</strong>.</p>
+                <p style="margin-top: 20px;">Si no fuiste tú, contacta de inmediato a un Rector.</p>
+            `,
+            });
+        } catch (error) {
+            console.error('Error al enviar el aviso de cambio de email:', error);
+        }
+    }
+
+    res.json({ message: 'Email confirmado y actualizado con éxito.' });
+};
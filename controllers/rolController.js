@@ -0,0 +1,245 @@
+// backend/controllers/rolController.js
+
+const pool = require('../database');
+const { PERMISOS, ALCANCES, invalidateRoleCache } = require('../utils/permissions');
+const { registrarAuditoria, obtenerRegistro } = require('../utils/auditoria');
+
+// Valida el cuerpo de un rol. Devuelve un mensaje de error o null.
+const validateRolBody = ({ nombre, alcance, permisos }) => {
+    if (!nombre || !String(nombre).trim()) {
+        return 'El campo \'nombre\' es obligatorio.';
+    }
+    if (!ALCANCES.includes(alcance)) {
+        return `El alcance debe ser uno de: ${ALCANCES.join(', ')}.`;
+    }
+    if (!Array.isArray(permisos)) {
+        return 'El campo \'permisos\' debe ser una lista.';
+    }
+    const desconocidos = permisos.filter(p => !PERMISOS[p]);
+    if (desconocidos.length > 0) {
+        return `Permisos desconocidos: ${desconocidos.join(', ')}.`;
+    }
+    return null;
+};
+
+// Reemplaza los permisos de un rol (DELETE/INSERT, igual que la asignación de coordinadores)
+const replaceRolePermissions = async (connection, id_rol, permisos) => {
+    await connection.query('DELETE FROM rol_permiso WHERE id_rol = ?', [id_rol]);
+    const unicos = [...new Set(permisos)];
+    if (unicos.length > 0) {
+        await connection.query('INSERT INTO rol_permiso (id_rol, permiso) VALUES ?', [unicos.map(p => [id_rol, p])]);
+    }
+};
+
+// Fila del rol con su lista de permisos (para el 'antes' / 'despues' de la auditoría)
+const obtenerRol = async (connection, id_rol) => {
+    const rol = await obtenerRegistro('rol', 'id_rol', id_rol, connection);
+    if (!rol) return null;
+    const [permisos] = await connection.query('SELECT permiso FROM rol_permiso WHERE id_rol = ? ORDER BY permiso', [id_rol]);
+    return { ...rol, permisos: permisos.map(p => p.permiso) };
+};
+
+// =========================================================
+// GESTIÓN DE ROLES Y PERMISOS (permiso 'rol:manage') 🔑
+// =========================================================
+
+// @desc    Catálogo de permisos disponibles
+// @route   GET /api/admin/permisos
+// @access  Private (rol:manage)
+exports.listPermisos = async (req, res) => {
+    res.json(Object.entries(PERMISOS).map(([permiso, descripcion]) => ({ permiso, descripcion })));
+};
+
+// @desc    Listar roles con sus permisos y la cantidad de usuarios asignados
+// @route   GET /api/admin/roles
+// @access  Private (rol:manage)
+exports.listRoles = async (req, res) => {
+    try {
+        const [roles] = await pool.query(`
+SELECT r.id_rol, r.nombre, r.descripcion, r.alcance, r.es_sistema,
+(SELECT COUNT(*) FROM administrador a WHERE a.rol = r.nombre AND a.estado != 'inactivo') AS cantidad_usuarios
+FROM rol r
+ORDER BY r.es_sistema DESC, r.nombre ASC
+`);
+        const [permisos] = await pool.query('SELECT id_rol, permiso FROM rol_permiso ORDER BY permiso');
+
+        res.json(roles.map(rol => ({
+            ...rol,
+            es_sistema: Boolean(rol.es_sistema),
+            permisos: permisos.filter(p => p.id_rol === rol.id_rol).map(p => p.permiso),
+        })));
+    } catch (error) {
+        console.error('Error al listar roles:', error);
+        res.status(500).json({ message: 'Error interno del servidor al listar roles.' });
+    }
+};
+
+// @desc    Crear un rol (ej: 'Secretaría' con lectura global, 'Bedel' solo horarios)
+// @route   POST /api/admin/roles
+// @access  Private (rol:manage)
+exports.createRol = async (req, res) => {
+    const { nombre, descripcion, alcance, permisos } = req.body;
+
+    const validationError = validateRolBody({ nombre, alcance, permisos });
+    if (validationError) {
+        return res.status(400).json({ message: `Error de validación: ${validationError}` });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            'INSERT INTO rol (nombre, descripcion, alcance, es_sistema) VALUES (?, ?, ?, 0)',
+            [String(nombre).trim(), descripcion || null, alcance]
+        );
+        await replaceRolePermissions(connection, result.insertId, permisos);
+
+        await registrarAuditoria(req, {
+            accion: 'crear', entidad: 'rol', id_entidad: result.insertId,
+            despues: await obtenerRol(connection, result.insertId),
+        }, connection);
+
+        await connection.commit();
+        invalidateRoleCache();
+
+        res.status(201).json({ id_rol: result.insertId, nombre: String(nombre).trim(), descripcion, alcance, permisos, message: 'Rol creado con éxito.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ message: 'Ya existe un rol con ese nombre.' });
+        }
+        console.error('Error al crear rol:', error);
+        res.status(500).json({ message: 'Error interno del servidor al crear el rol.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Actualizar nombre, descripción, alcance y permisos de un rol
+// @route   PUT /api/admin/roles/:id
+// @access  Private (rol:manage)
+exports.updateRol = async (req, res) => {
+    const { id } = req.params;
+    const { nombre, descripcion, alcance, permisos } = req.body;
+
+    const validationError = validateRolBody({ nombre, alcance, permisos });
+    if (validationError) {
+        return res.status(400).json({ message: `Error de validación: ${validationError}` });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [roles] = await connection.query('SELECT id_rol, nombre, es_sistema FROM rol WHERE id_rol = ? FOR UPDATE', [id]);
+        const rol = roles[0];
+
+        if (!rol) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Rol no encontrado.' });
+        }
+
+        const nuevoNombre = String(nombre).trim();
+        if (rol.es_sistema && nuevoNombre !== rol.nombre) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Los roles del sistema no se pueden renombrar.' });
+        }
+
+        // 🛡️ Evitar quedarse sin acceso: el propio rol no puede perder la gestión de roles
+        if (rol.nombre === req.user.rol && !permisos.includes('rol:manage')) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'No puede quitar el permiso \'rol:manage\' de su propio rol.' });
+        }
+
+        const antes = await obtenerRol(connection, id);
+
+        await connection.query(
+            'UPDATE rol SET nombre = ?, descripcion = ?, alcance = ? WHERE id_rol = ?',
+            [nuevoNombre, descripcion || null, alcance, id]
+        );
+        await replaceRolePermissions(connection, id, permisos);
+
+        // Los usuarios e invitaciones guardan el nombre del rol: se propaga el renombre
+        if (nuevoNombre !== rol.nombre) {
+            await connection.query('UPDATE administrador SET rol = ? WHERE rol = ?', [nuevoNombre, rol.nombre]);
+            await connection.query('UPDATE invitacion SET rol = ? WHERE rol = ?', [nuevoNombre, rol.nombre]);
+        }
+
+        await registrarAuditoria(req, {
+            accion: 'actualizar', entidad: 'rol', id_entidad: id,
+            antes, despues: await obtenerRol(connection, id),
+        }, connection);
+
+        await connection.commit();
+        invalidateRoleCache();
+
+        res.json({ message: 'Rol actualizado con éxito.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ message: 'Ya existe un rol con ese nombre.' });
+        }
+        console.error('Error al actualizar rol:', error);
+        res.status(500).json({ message: 'Error interno del servidor al actualizar el rol.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Eliminar un rol sin usuarios ni invitaciones pendientes
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (rol:manage)
+exports.deleteRol = async (req, res) => {
+    const { id } = req.params;
+    let connection;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [roles] = await connection.query('SELECT nombre, es_sistema FROM rol WHERE id_rol = ? FOR UPDATE', [id]);
+        const rol = roles[0];
+
+        if (!rol) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Rol no encontrado.' });
+        }
+        if (rol.es_sistema) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Los roles del sistema no se pueden eliminar.' });
+        }
+
+        const [[uso]] = await connection.query(`
+SELECT
+(SELECT COUNT(*) FROM administrador WHERE rol = ? AND estado != 'inactivo') AS usuarios,
+(SELECT COUNT(*) FROM invitacion WHERE rol = ? AND fecha_uso IS NULL AND fecha_revocacion IS NULL AND fecha_expiracion > NOW()) AS invitaciones
+`, [rol.nombre, rol.nombre]);
+
+        if (uso.usuarios > 0 || uso.invitaciones > 0) {
+            await connection.rollback();
+            return res.status(400).json({
+                message: `No se puede eliminar el rol: tiene ${uso.usuarios} usuario(s) y ${uso.invitaciones} invitación(es) pendiente(s). Reasígnelos primero.`,
+            });
+        }
+
+        const antes = await obtenerRol(connection, id);
+        await connection.query('DELETE FROM rol_permiso WHERE id_rol = ?', [id]);
+        await connection.query('DELETE FROM rol WHERE id_rol = ?', [id]);
+
+        await registrarAuditoria(req, { accion: 'eliminar', entidad: 'rol', id_entidad: id, antes }, connection);
+
+        await connection.commit();
+        invalidateRoleCache();
+
+        res.json({ message: 'Rol eliminado con éxito.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al eliminar rol:', error);
+        res.status(500).json({ message: 'Error interno del servidor al eliminar el rol.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
@@ -0,0 +1,147 @@
+// backend/controllers/suscripcionController.js
+
+const pool = require('../database');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { enviarConfirmacion } = require('../utils/suscripciones');
+const { EMAIL_REGEX } = require('../middleware/validateMiddleware');
+
+// Una suscripción sin confirmar vuelve a recibir el email de confirmación recién pasado este tiempo
+const SUSCRIPCION_REENVIO_MINUTOS = 10;
+
+// ⚙️ Límite de emails de confirmación por dirección y por IP (recorriendo ids de materia no se puede
+// llenar de correos la casilla de otra persona). Configurables por .env
+const SUSCRIPCION_VENTANA_MINUTOS = parseInt(process.env.SUSCRIPCION_VENTANA_MINUTOS, 10) || 60;
+const SUSCRIPCION_MAX_POR_EMAIL = parseInt(process.env.SUSCRIPCION_MAX_POR_EMAIL, 10) || 5;
+const SUSCRIPCION_MAX_POR_IP = parseInt(process.env.SUSCRIPCION_MAX_POR_IP, 10) || 20;
+
+// La respuesta es la misma exista o no la suscripción (no revela quién está suscripto)
+const MENSAJE_SUSCRIPCION = 'Si el email es correcto, vas a recibir un enlace para confirmar la suscripción.';
+
+// ==========================================================
+// 📬 SUSCRIPCIONES A LAS NOVEDADES DE UNA MATERIA (públicas)
+// ==========================================================
+
+/**
+ * Pide la suscripción de un email a los avisos de cambios de horario de una materia.
+ * Endpoint: POST /api/materias/:id/suscripcion  body { email }
+ */
+exports.suscribirMateria = async (req, res) => {
+    const { id } = req.params;
+    const email = String((req.body && req.body.email) || '').trim().toLowerCase();
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ error: 'El ID de la materia debe ser un número.' });
+    }
+    if (!EMAIL_REGEX.test(email) || email.length > 150) {
+        return res.status(400).json({ error: 'Ingresá un email válido.' });
+    }
+
+    try {
+        // Emails de confirmación enviados dentro de la ventana, desde esta IP y a esta dirección
+        const [[recientes]] = await pool.query(
+            `SELECT
+                (SELECT COUNT(*) FROM suscripcion_materia WHERE ip_solicitud = ? AND fecha_creacion > NOW() - INTERVAL ? MINUTE) AS por_ip,
+                (SELECT COUNT(*) FROM suscripcion_materia WHERE email = ? AND fecha_creacion > NOW() - INTERVAL ? MINUTE) AS por_email`,
+            [req.ip, SUSCRIPCION_VENTANA_MINUTOS, email, SUSCRIPCION_VENTANA_MINUTOS]
+        );
+        if (recientes.por_ip >= SUSCRIPCION_MAX_POR_IP) {
+            res.set('Retry-After', String(SUSCRIPCION_VENTANA_MINUTOS * 60));
+            return res.status(429).json({ error: 'Demasiadas solicitudes de suscripción desde esta conexión. Intentá nuevamente más tarde.' });
+        }
+        // Por email no se informa el límite: la respuesta no debe revelar qué direcciones se usaron
+        if (recientes.por_email >= SUSCRIPCION_MAX_POR_EMAIL) {
+            return res.status(202).json({ message: MENSAJE_SUSCRIPCION });
+        }
+
+        const [materias] = await pool.query("SELECT nombre_materia FROM materia WHERE id_materia = ? AND estado = 'activa'", [id]);
+        if (materias.length === 0) {
+            return res.status(404).json({ error: 'Materia no encontrada.' });
+        }
+
+        const [existentes] = await pool.query(
+            `SELECT id_suscripcion_materia, fecha_confirmacion,
+                fecha_creacion > NOW() - INTERVAL ? MINUTE AS reciente
+             FROM suscripcion_materia WHERE id_materia = ? AND email = ?`,
+            [SUSCRIPCION_REENVIO_MINUTOS, id, email]
+        );
+        const existente = existentes[0];
+
+        // Ya confirmada, o con un email de confirmación recién enviado: no se vuelve a enviar
+        if (existente && (existente.fecha_confirmacion || existente.reciente)) {
+            return res.status(202).json({ message: MENSAJE_SUSCRIPCION });
+        }
+
+        const token = generateRandomToken();
+        if (existente) {
+            await pool.query(
+                'UPDATE suscripcion_materia SET token_hash = ?, fecha_creacion = NOW(), ip_solicitud = ? WHERE id_suscripcion_materia = ?',
+                [hashToken(token), req.ip, existente.id_suscripcion_materia]
+            );
+        } else {
+            await pool.query(
+                'INSERT INTO suscripcion_materia (id_materia, email, token_hash, codigo_baja, ip_solicitud) VALUES (?, ?, ?, ?, ?)',
+                [id, email, hashToken(token), generateRandomToken(), req.ip]
+            );
+        }
+        await enviarConfirmacion(email, materias[0].nombre_materia, token);
+
+        res.status(202).json({ message: MENSAJE_SUSCRIPCION });
+    } catch (error) {
+        console.error('Error al registrar la suscripción:', error);
+        res.status(500).json({ error: 'Error interno del servidor al registrar la suscripción.' });
+    }
+};
+
+/**
+ * Confirma una suscripción con el token del email (un solo uso).
+ * Endpoint: POST /api/suscripciones/confirmar  body { token }
+ */
+exports.confirmarSuscripcion = async (req, res) => {
+    const token = req.body && req.body.token;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Falta parámetro: token es requerido.' });
+    }
+
+    try {
+        const [rows] = await pool.query(`SELECT s.id_suscripcion_materia, m.nombre_materia
+FROM suscripcion_materia s
+JOIN materia m ON s.id_materia = m.id_materia
+WHERE s.token_hash = ?`, [hashToken(token)]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'El enlace de confirmación no es válido o ya fue usado.' });
+        }
+
+        await pool.query(
+            'UPDATE suscripcion_materia SET fecha_confirmacion = NOW(), token_hash = NULL WHERE id_suscripcion_materia = ?',
+            [rows[0].id_suscripcion_materia]
+        );
+        res.json({ materia: rows[0].nombre_materia, message: `Suscripción confirmada: vas a recibir los avisos de ${rows[0].nombre_materia}.` });
+    } catch (error) {
+        console.error('Error al confirmar la suscripción:', error);
+        res.status(500).json({ error: 'Error interno del servidor al confirmar la suscripción.' });
+    }
+};
+
+/**
+ * Da de baja una suscripción con el código que figura en cada aviso.
+ * Endpoint: POST /api/suscripciones/baja  body { codigo }
+ */
+exports.bajaSuscripcion = async (req, res) => {
+    const codigo = req.body && req.body.codigo;
+
+    if (!codigo) {
+        return res.status(400).json({ error: 'Falta parámetro: codigo es requerido.' });
+    }
+
+    try {
+        const [result] = await pool.query('DELETE FROM suscripcion_materia WHERE codigo_baja = ?', [String(codigo)]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'La suscripción no existe o ya fue dada de baja.' });
+        }
+        res.json({ message: 'Te diste de baja: no vas a recibir más avisos de la materia.' });
+    } catch (error) {
+        console.error('Error al dar de baja la suscripción:', error);
+        res.status(500).json({ error: 'Error interno del servidor al dar de baja la suscripción.' });
+    }
+};
@@ -0,0 +1,212 @@
+// backend/controllers/twoFactorController.js
+
+const pool = require('../database');
+const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+const { generateSecret, verifyTOTP, buildOtpauthUrl } = require('../utils/totp');
+const { is2FAMandatory, generateRecoveryCodes, countRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'IES6 Cursado';
+
+// ========================================================
+// AUTENTICACIÓN EN DOS PASOS (TOTP) DE LA PROPIA CUENTA
+// ========================================================
+
+// Datos de 2FA del usuario logueado (protect no carga los secretos)
+const getTwoFactorData = async (id_administrador) => {
+    const [rows] = await pool.query(
+        `SELECT id_administrador, nombre_administrador, email, rol, contraseña,
+totp_secreto, totp_secreto_pendiente, totp_habilitado, totp_ultimo_paso
+FROM administrador WHERE id_administrador = ?`,
+        [id_administrador]
+    );
+    return rows[0];
+};
+
+// @desc    Estado del 2FA de la cuenta logueada
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+    try {
+        const usuario = await getTwoFactorData(req.user.id);
+
+        res.json({
+            habilitado: Boolean(usuario.totp_habilitado),
+            obligatorio: await is2FAMandatory(usuario.rol),
+            codigos_recuperacion_restantes: usuario.totp_habilitado ? await countRecoveryCodes(usuario.id_administrador) : 0,
+        });
+    } catch (error) {
+        console.error('Error al obtener el estado de 2FA:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+};
+
+// @desc    Iniciar el enrolamiento: genera un secreto pendiente y su QR / URI otpauth
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const usuario = await getTwoFactorData(req.user.id);
+
+        if (usuario.totp_habilitado) {
+            return res.status(400).json({ message: 'La autenticación en dos pasos ya está activa. Desactívela antes de volver a configurarla.' });
+        }
+
+        // El secreto queda 'pendiente' hasta que el usuario confirme un código válido
+        const secreto = generateSecret();
+        await pool.query(
+            'UPDATE administrador SET totp_secreto_pendiente = ? WHERE id_administrador = ?',
+            [secreto, usuario.id_administrador]
+        );
+
+        const otpauthUrl = buildOtpauthUrl({
+            secret: secreto,
+            accountName: usuario.email || usuario.nombre_administrador,
+            issuer: TOTP_ISSUER,
+        });
+
+        res.json({
+            secreto, // Para ingreso manual en la app autenticadora
+            otpauth_url: otpauthUrl,
+            qr: await QRCode.toDataURL(otpauthUrl), // data:image/png;base64,...
+            message: 'Escanee el QR con su aplicación autenticadora y confirme con el código generado.',
+        });
+    } catch (error) {
+        console.error('Error al iniciar la configuración de 2FA:', error);
+        res.status(500).json({ message: 'Error interno del servidor al configurar 2FA.' });
+    }
+};
+
+// @desc    Confirmar el enrolamiento con un código válido; devuelve los códigos de recuperación
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+    const { codigo } = req.body;
+
+    if (!codigo) {
+        return res.status(400).json({ message: 'Error de validación: El campo \'codigo\' es obligatorio.' });
+    }
+
+    let connection;
+    try {
+        const usuario = await getTwoFactorData(req.user.id);
+
+        if (usuario.totp_habilitado) {
+            return res.status(400).json({ message: 'La autenticación en dos pasos ya está activa.' });
+        }
+        if (!usuario.totp_secreto_pendiente) {
+            return res.status(400).json({ message: 'Primero debe iniciar la configuración de 2FA.' });
+        }
+
+        const step = verifyTOTP(usuario.totp_secreto_pendiente, codigo);
+        if (step === null) {
+            return res.status(400).json({ message: 'Código inválido. Verifique la hora de su dispositivo e intente nuevamente.' });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await connection.query(
+            `UPDATE administrador
+SET totp_secreto = totp_secreto_pendiente, totp_secreto_pendiente = NULL, totp_habilitado = 1, totp_ultimo_paso = ?
+WHERE id_administrador = ?`,
+            [step, usuario.id_administrador]
+        );
+        const codigos = await generateRecoveryCodes(usuario.id_administrador, connection);
+
+        await connection.commit();
+
+        res.json({
+            message: 'Autenticación en dos pasos activada. Guarde los códigos de recuperación en un lugar seguro: no se volverán a mostrar.',
+            codigos_recuperacion: codigos,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al activar 2FA:', error);
+        res.status(500).json({ message: 'Error interno del servidor al activar 2FA.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Desactivar el 2FA (requiere contraseña y un código válido)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+    const { contraseña, codigo, codigo_recuperacion } = req.body;
+
+    if (!contraseña || (!codigo && !codigo_recuperacion)) {
+        return res.status(400).json({ message: 'Error de validación: Se requieren la contraseña y un código de verificación.' });
+    }
+
+    let connection;
+    try {
+        const usuario = await getTwoFactorData(req.user.id);
+
+        if (!usuario.totp_habilitado) {
+            return res.status(400).json({ message: 'La autenticación en dos pasos no está activa.' });
+        }
+        if (await is2FAMandatory(usuario.rol)) {
+            return res.status(403).json({ message: 'Prohibido: La autenticación en dos pasos es obligatoria para su rol.' });
+        }
+        if (!(await bcrypt.compare(contraseña, usuario.contraseña))) {
+            return res.status(401).json({ message: 'Contraseña incorrecta.' });
+        }
+        if (!(await verifySecondFactor(usuario, { codigo, codigo_recuperacion }))) {
+            return res.status(401).json({ message: 'Código de verificación inválido.' });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await connection.query(
+            `UPDATE administrador
+SET totp_secreto = NULL, totp_secreto_pendiente = NULL, totp_habilitado = 0, totp_ultimo_paso = NULL
+WHERE id_administrador = ?`,
+            [usuario.id_administrador]
+        );
+        await connection.query('DELETE FROM codigo_recuperacion WHERE id_administrador = ?', [usuario.id_administrador]);
+
+        await connection.commit();
+
+        res.json({ message: 'Autenticación en dos pasos desactivada.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error al desactivar 2FA:', error);
+        res.status(500).json({ message: 'Error interno del servidor al desactivar 2FA.' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// @desc    Regenerar los códigos de recuperación (invalida los anteriores)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+    const { codigo } = req.body;
+
+    if (!codigo) {
+        return res.status(400).json({ message: 'Error de validación: El campo \'codigo\' es obligatorio.' });
+    }
+
+    try {
+        const usuario = await getTwoFactorData(req.user.id);
+
+        if (!usuario.totp_habilitado) {
+            return res.status(400).json({ message: 'La autenticación en dos pasos no está activa.' });
+        }
+        if (!(await verifySecondFactor(usuario, { codigo }))) {
+            return res.status(401).json({ message: 'Código de verificación inválido.' });
+        }
+
+        const codigos = await generateRecoveryCodes(usuario.id_administrador);
+
+        res.json({
+            message: 'Se generaron nuevos códigos de recuperación. Los anteriores ya no son válidos.',
+            codigos_recuperacion: codigos,
+        });
+    } catch (error) {
+        console.error('Error al regenerar los códigos de recuperación:', error);
+        res.status(500).json({ message: 'Error interno del servidor.' });
+    }
+};
@@ -1,13 +1,58 @@
 // backend/middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const pool = require('../database'); 
+const { isSessionActive } = require('../utils/sessions');
+const { is2FAMandatory } = require('../utils/twoFactor');
+const { getRoleDefinition, hasPermission } = require('../utils/permissions');
+const { verifyApiKey } = require('../utils/apiKeys');
 
 const JWT_SECRET = process.env.JWT_SECRET; 
 
+// Autenticación de clientes de máquina (kioscos, scripts de reportes) mediante el header X-API-Key.
+// El "usuario" resultante no es un administrador: solo tiene los scopes (de lectura) de la clave.
+const authenticateApiKey = async (req, res, next) => {
+    try {
+        const apiKey = await verifyApiKey(req.headers['x-api-key'], req.ip);
+
+        if (!apiKey) {
+            return res.status(401).json({ message: 'No autorizado, API key inválida, expirada o revocada' });
+        }
+
+        const restringida = apiKey.carreras.length > 0;
+        req.user = {
+            id: null,
+            id_administrador: null,
+            rol: null,
+            es_api_key: true,
+            id_api_key: apiKey.id_api_key,
+            nombre_api_key: apiKey.nombre,
+            permisos: apiKey.scopes,
+            alcance: restringida ? 'asignadas' : 'global',
+            // Misma convención que los roles: null = todas las carreras
+            carreras_a_cargo_ids: restringida ? apiKey.carreras : null,
+        };
+
+        next();
+    } catch (error) {
+        console.error('Error al verificar la API key:', error);
+        res.status(500).json({ message: 'Error interno del servidor al verificar la API key.' });
+    }
+};
+
 // Middleware para verificar si el usuario está logueado (PROTECT)
-exports.protect = async (req, res, next) => {
+// 'permitirSin2FA' habilita las rutas de enrolamiento 2FA (y logout) para un Rector
+// que todavía no configuró el 2FA obligatorio.
+// 'permitirApiKey' acepta una API key (X-API-Key) como alternativa al JWT.
+const buildProtect = ({ permitirSin2FA = false, permitirApiKey = false } = {}) => async (req, res, next) => {
     let token;
 
+    if (req.headers['x-api-key'] && !req.headers.authorization) {
+        if (!permitirApiKey) {
+            return res.status(403).json({ message: 'Acceso denegado. Esta ruta requiere iniciar sesión con un usuario.' });
+        }
+        return authenticateApiKey(req, res, next);
+    }
+
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
         try {
             token = req.headers.authorization.split(' ')[1];
@@ -16,10 +61,15 @@ exports.protect = async (req, res, next) => {
             const decoded = jwt.verify(token, JWT_SECRET);
             const idAdmin = decoded.id_administrador; // Guardamos el ID del administrador
 
+            // 1.1 Verificar que la sesión del servidor siga vigente (logout / revocación por un Rector)
+            if (!(await isSessionActive(decoded.sid, idAdmin))) {
+                return res.status(401).json({ message: 'No autorizado, la sesión fue cerrada o revocada' });
+            }
+
             // 2. Buscar el administrador base y su ESTADO
             const [administradores] = await pool.query(
                 // 🚨 CAMBIO CLAVE: Incluimos 'estado' en la selección
-                'SELECT id_administrador, nombre_administrador, rol, estado FROM administrador WHERE id_administrador = ?', 
+                'SELECT id_administrador, nombre_administrador, rol, estado, totp_habilitado FROM administrador WHERE id_administrador = ?', 
                 [idAdmin] 
             );
 
@@ -35,9 +85,25 @@ exports.protect = async (req, res, next) => {
                     message: `Acceso denegado. Su cuenta se encuentra ${user.estado}. Contacte a un Rector.` 
                 });
             }
+
+            // 🔐 2FA OBLIGATORIO: un rol que administra usuarios sin 2FA configurado solo puede acceder al enrolamiento
+            if (!permitirSin2FA && !user.totp_habilitado && await is2FAMandatory(user.rol)) {
+                return res.status(403).json({
+                    message: 'Acceso denegado. Debe configurar la autenticación en dos pasos para continuar.',
+                    requiere_configurar_2fa: true
+                });
+            }
             
+            // 🔑 Permisos y alcance del rol (tablas 'rol' y 'rol_permiso')
+            const rolDef = await getRoleDefinition(user.rol);
+            if (!rolDef) {
+                return res.status(403).json({ message: `Acceso denegado. El rol '${user.rol}' no está configurado.` });
+            }
+            user.permisos = rolDef.permisos;
+            user.alcance = rolDef.alcance;
+
             // 🟢 Lógica para manejar la relación de muchos a muchos (admin_carrera)
-            if (user.rol === 'Coordinador') {
+            if (rolDef.alcance === 'asignadas') {
                 // Consultar la tabla intermedia para obtener todas las carreras asignadas
                 const [carreras] = await pool.query(
                     'SELECT id_carrera FROM admin_carrera WHERE id_administrador = ?',
@@ -47,13 +113,14 @@ exports.protect = async (req, res, next) => {
                 // Adjuntar un array de IDs de carreras (ej: [1, 5, 8])
                 user.carreras_a_cargo_ids = carreras.map(row => row.id_carrera);
             } else {
-                // Si es Rector, no tiene carreras específicas asignadas para filtrado
+                // Alcance global: no tiene carreras específicas asignadas para filtrado
                 user.carreras_a_cargo_ids = null; 
             }
             
             // ✅ CORRECCIÓN CLAVE: Normalizar el ID.
             // Esto permite que el controlador acceda al ID como 'req.user.id'.
             user.id = user.id_administrador;
+            user.id_sesion = decoded.sid;
             
             // Adjuntar datos del administrador (incluyendo las carreras a cargo si es coordinador)
             req.user = user;
@@ -70,23 +137,20 @@ exports.protect = async (req, res, next) => {
     }
 };
 
-// Middleware para restringir el acceso a roles de administración (ADMIN)
-// Usado para rutas accesibles por Rector y Coordinador
-exports.admin = (req, res, next) => {
-    // Usamos req.user.rol que ya está cargado por 'protect'
-    if (req.user && (req.user.rol === 'Rector' || req.user.rol === 'Coordinador')) {
-        next();
-    } else {
-        res.status(403).json({ message: 'Acceso denegado. Se requiere un rol de administración válido (Rector o Coordinador).' });
-    }
-};
+// Rutas de administración: JWT de un usuario o API key (los scopes los valida 'authorize')
+exports.protect = buildProtect({ permitirApiKey: true });
+// Rutas de la propia cuenta (/api/auth): SOLO usuarios con sesión
+exports.protectUsuario = buildProtect();
+exports.protectPermitirSin2FA = buildProtect({ permitirSin2FA: true });
 
-// Middleware para acceso SÓLO de Rector
-exports.rector = (req, res, next) => {
-    // Usamos req.user.rol que ya está cargado por 'protect'
-    if (req.user && req.user.rol === 'Rector') {
+// Middleware de autorización por PERMISOS (reemplaza a los antiguos 'admin' y 'rector')
+// Uso: router.get('/ruta', protect, authorize('materia:read'), controlador)
+// Se exigen TODOS los permisos indicados. El filtrado por carrera lo hace el controlador.
+exports.authorize = (...permisos) => (req, res, next) => {
+    // Usamos req.user.permisos que ya está cargado por 'protect'
+    if (hasPermission(req.user, ...permisos)) {
         next();
     } else {
-        res.status(403).json({ message: 'Acceso denegado. Se requiere el rol de Rector.' });
+        res.status(403).json({ message: `Acceso denegado. Se requiere el permiso: ${permisos.join(', ')}.` });
     }
 };
\ No newline at end of file
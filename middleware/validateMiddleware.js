@@ -0,0 +1,161 @@
+// backend/middleware/validateMiddleware.js
+
+/*
+ * Validación declarativa de requests.
+ *
+ * Un esquema describe 'body', 'query' y/o 'params'; cada campo tiene una regla:
+ *   { tipo, requerido, enum, min, max, minLength, maxLength, items, minItems, campos, sinRecortar }
+ *
+ *   tipo: 'texto' | 'entero' | 'numero' | 'booleano' | 'email' | 'fecha' (YYYY-MM-DD)
+ *         | 'hora' (HH:MM o HH:MM:SS) | 'lista' | 'objeto'
+ *   items: regla de cada elemento de una 'lista'
+ *   campos: reglas de los campos de un 'objeto' (ej: los elementos de una lista de objetos)
+ *   sinRecortar: no quita los espacios del texto (contraseñas)
+ *   enum: lista de valores permitidos (ver utils/enums.js); se aceptan sin distinguir
+ *         mayúsculas ni tildes y se guardan con la forma canónica.
+ *
+ * Si hay errores se responde 400:
+ *   { message: 'Error de validación: <primer error>', errores: [{ campo, mensaje }] }
+ *
+ * En el body y los params los valores válidos se normalizan (texto recortado, números como Number,
+ * enums con su valor canónico). Los campos no declarados se dejan pasar sin cambios.
+ */
+
+const { normalizarTexto } = require('../utils/enums');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+exports.EMAIL_REGEX = EMAIL_REGEX; // también lo usan los formularios públicos
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const HORA_REGEX = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Un campo vacío cuenta como ausente
+const estaVacio = (valor) => valor === undefined || valor === null || (typeof valor === 'string' && valor.trim() === '');
+
+/**
+ * Valida un valor contra su regla. Devuelve { valor } normalizado o { error }.
+ */
+const validarValor = (valor, regla) => {
+    let normalizado = valor;
+
+    switch (regla.tipo) {
+        case 'entero':
+        case 'numero': {
+            const esTextoNumerico = typeof valor === 'string' && valor.trim() !== '' && !Number.isNaN(Number(valor));
+            if (typeof valor !== 'number' && !esTextoNumerico) {
+                return { error: 'debe ser un número.' };
+            }
+            normalizado = Number(valor);
+            if (!Number.isFinite(normalizado)) return { error: 'debe ser un número.' };
+            if (regla.tipo === 'entero' && !Number.isInteger(normalizado)) {
+                return { error: 'debe ser un número entero.' };
+            }
+            if (regla.min !== undefined && normalizado < regla.min) return { error: `debe ser mayor o igual a ${regla.min}.` };
+            if (regla.max !== undefined && normalizado > regla.max) return { error: `debe ser menor o igual a ${regla.max}.` };
+            break;
+        }
+        case 'booleano': {
+            if ([true, 'true', '1', 1].includes(valor)) normalizado = true;
+            else if ([false, 'false', '0', 0].includes(valor)) normalizado = false;
+            else return { error: 'debe ser true o false.' };
+            break;
+        }
+        case 'lista': {
+            if (!Array.isArray(valor)) return { error: 'debe ser una lista.' };
+            if (regla.minItems !== undefined && valor.length < regla.minItems) {
+                return { error: `debe tener al menos ${regla.minItems} elemento(s).` };
+            }
+            if (regla.items) {
+                normalizado = [];
+                for (let i = 0; i < valor.length; i++) {
+                    const item = validarValor(valor[i], regla.items);
+                    if (item.error) return { error: `tiene un valor no válido en la posición ${i + 1}: ${item.error}` };
+                    normalizado.push(item.valor);
+                }
+            }
+            return { valor: normalizado };
+        }
+        case 'objeto': {
+            if (!valor || typeof valor !== 'object' || Array.isArray(valor)) return { error: 'debe ser un objeto.' };
+            normalizado = { ...valor };
+            for (const [campo, reglaCampo] of Object.entries(regla.campos || {})) {
+                if (estaVacio(valor[campo])) {
+                    if (reglaCampo.requerido) return { error: `debe incluir el campo '${campo}'.` };
+                    continue;
+                }
+                const resultado = validarValor(valor[campo], reglaCampo);
+                if (resultado.error) return { error: `tiene el campo '${campo}' que ${resultado.error}` };
+                normalizado[campo] = resultado.valor;
+            }
+            return { valor: normalizado };
+        }
+        default: {
+            // 'texto', 'email', 'fecha' y 'hora' se reciben como texto (se aceptan números, ej: DNI)
+            if (typeof valor !== 'string' && typeof valor !== 'number') return { error: 'debe ser un texto.' };
+            normalizado = regla.sinRecortar ? String(valor) : String(valor).trim();
+
+            if (regla.minLength !== undefined && normalizado.length < regla.minLength) {
+                return { error: `debe tener al menos ${regla.minLength} caracteres.` };
+            }
+            if (regla.maxLength !== undefined && normalizado.length > regla.maxLength) {
+                return { error: `debe tener como máximo ${regla.maxLength} caracteres.` };
+            }
+            if (regla.tipo === 'email' && !EMAIL_REGEX.test(normalizado)) {
+                return { error: 'debe ser un email válido.' };
+            }
+            if (regla.tipo === 'fecha' && (!FECHA_REGEX.test(normalizado) || Number.isNaN(Date.parse(normalizado)))) {
+                return { error: 'debe ser una fecha válida (YYYY-MM-DD).' };
+            }
+            if (regla.tipo === 'hora' && !HORA_REGEX.test(normalizado)) {
+                return { error: 'debe ser una hora válida (HH:MM).' };
+            }
+        }
+    }
+
+    if (regla.enum) {
+        const canonico = regla.enum.find(opcion => normalizarTexto(opcion) === normalizarTexto(normalizado));
+        if (canonico === undefined) {
+            return { error: `debe ser uno de: ${regla.enum.join(', ')}.` };
+        }
+        normalizado = canonico;
+    }
+
+    return { valor: normalizado };
+};
+
+/**
+ * Middleware de validación a partir de un esquema { body, query, params }.
+ */
+exports.validate = (schema) => (req, res, next) => {
+    const errores = [];
+
+    for (const ubicacion of ['params', 'query', 'body']) {
+        const reglas = schema[ubicacion];
+        if (!reglas) continue;
+
+        const datos = req[ubicacion] || {};
+
+        for (const [campo, regla] of Object.entries(reglas)) {
+            const valor = datos[campo];
+
+            if (estaVacio(valor)) {
+                if (regla.requerido) {
+                    errores.push({ campo, mensaje: `El campo '${campo}' es obligatorio.` });
+                }
+                continue;
+            }
+
+            const resultado = validarValor(valor, regla);
+            if (resultado.error) {
+                errores.push({ campo, mensaje: `El campo '${campo}' ${resultado.error}` });
+            } else if (ubicacion !== 'query') {
+                req[ubicacion][campo] = resultado.valor;
+            }
+        }
+    }
+
+    if (errores.length > 0) {
+        return res.status(400).json({ message: `Error de validación: ${errores[0].mensaje}`, errores });
+    }
+
+    next();
+};
@@ -0,0 +1,58 @@
+// backend/migrations/001_administradores.js
+
+/*
+ * Usuarios del panel y roles.
+ * 'administrador.rol' guarda el NOMBRE del rol (ver utils/permissions.js).
+ * La baja de un usuario es lógica (estado 'inactivo' + fecha_eliminacion), igual que en la oferta académica.
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+// Columnas comunes de la baja lógica (las mismas que en 002_oferta_academica.js)
+const COLUMNAS_BAJA = `fecha_eliminacion DATETIME NULL,
+    id_administrador_eliminacion INT NULL`;
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE administrador (
+    id_administrador INT AUTO_INCREMENT PRIMARY KEY,
+    nombre_administrador VARCHAR(100) NOT NULL,
+    email VARCHAR(150) NULL UNIQUE,
+    dni VARCHAR(20) NULL,
+    telefono VARCHAR(30) NULL,
+    \`contraseña\` VARCHAR(255) NOT NULL,
+    rol VARCHAR(50) NOT NULL,
+    estado ENUM('activo', 'suspendido', 'inactivo') NOT NULL DEFAULT 'activo',
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    intentos_fallidos INT NOT NULL DEFAULT 0,
+    bloqueado_hasta DATETIME NULL,
+    totp_habilitado TINYINT(1) NOT NULL DEFAULT 0,
+    totp_secreto VARCHAR(255) NULL,
+    totp_secreto_pendiente VARCHAR(255) NULL,
+    totp_ultimo_paso BIGINT NULL,
+    ${COLUMNAS_BAJA},
+    INDEX idx_administrador_rol (rol),
+    CONSTRAINT fk_administrador_admin_eliminacion FOREIGN KEY (id_administrador_eliminacion)
+        REFERENCES administrador (id_administrador) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE rol (
+    id_rol INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(50) NOT NULL UNIQUE,
+    descripcion VARCHAR(255) NULL,
+    alcance ENUM('global', 'asignadas') NOT NULL,
+    es_sistema TINYINT(1) NOT NULL DEFAULT 0
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE rol_permiso (
+    id_rol INT NOT NULL,
+    permiso VARCHAR(50) NOT NULL,
+    PRIMARY KEY (id_rol, permiso),
+    CONSTRAINT fk_rol_permiso_rol FOREIGN KEY (id_rol) REFERENCES rol (id_rol) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS rol_permiso');
+    await conn.query('DROP TABLE IF EXISTS rol');
+    await conn.query('DROP TABLE IF EXISTS administrador');
+};
@@ -0,0 +1,91 @@
+// backend/migrations/002_oferta_academica.js
+
+/*
+ * Oferta académica: carreras, materias, horarios, correlatividades y coordinadores por carrera.
+ * Las bajas son lógicas (estado 'inactiva' + fecha_eliminacion); ver utils/papelera.js.
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+// Columnas comunes de la baja lógica
+const COLUMNAS_BAJA = `fecha_eliminacion DATETIME NULL,
+    id_administrador_eliminacion INT NULL`;
+
+const fkBaja = (tabla) => `CONSTRAINT fk_${tabla}_admin_eliminacion FOREIGN KEY (id_administrador_eliminacion)
+        REFERENCES administrador (id_administrador) ON DELETE SET NULL`;
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE carrera (
+    id_carrera INT AUTO_INCREMENT PRIMARY KEY,
+    nombre_carrera VARCHAR(150) NOT NULL,
+    duracion INT NOT NULL,
+    modalidad VARCHAR(30) NOT NULL,
+    \`año_aprobacion\` INT NOT NULL,
+    estado ENUM('activa', 'cerrada', 'inactiva') NOT NULL DEFAULT 'activa',
+    ${COLUMNAS_BAJA},
+    ${fkBaja('carrera')}
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE materia (
+    id_materia INT AUTO_INCREMENT PRIMARY KEY,
+    nombre_materia VARCHAR(150) NOT NULL,
+    id_carrera INT NOT NULL,
+    \`año\` INT NOT NULL,
+    campo_formacion VARCHAR(60) NULL,
+    modalidad VARCHAR(30) NULL,
+    formato VARCHAR(40) NULL,
+    horas_semanales DECIMAL(5,2) NULL,
+    total_horas_anuales DECIMAL(7,2) NULL,
+    acreditacion VARCHAR(40) NULL,
+    estado ENUM('activa', 'inactiva') NOT NULL DEFAULT 'activa',
+    vistas INT NOT NULL DEFAULT 0,
+    ${COLUMNAS_BAJA},
+    INDEX idx_materia_carrera_anio (id_carrera, \`año\`),
+    CONSTRAINT fk_materia_carrera FOREIGN KEY (id_carrera) REFERENCES carrera (id_carrera),
+    ${fkBaja('materia')}
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE horario (
+    id_horario INT AUTO_INCREMENT PRIMARY KEY,
+    id_materia INT NOT NULL,
+    dia_semana ENUM('Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado', 'Domingo') NOT NULL,
+    hora_inicio TIME NOT NULL,
+    hora_fin TIME NOT NULL,
+    estado ENUM('activa', 'inactiva') NOT NULL DEFAULT 'activa',
+    ${COLUMNAS_BAJA},
+    INDEX idx_horario_materia (id_materia),
+    CONSTRAINT fk_horario_materia FOREIGN KEY (id_materia) REFERENCES materia (id_materia),
+    ${fkBaja('horario')}
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE correlatividad (
+    id_correlatividad INT AUTO_INCREMENT PRIMARY KEY,
+    id_materia_principal INT NOT NULL,
+    id_materia_requisito INT NOT NULL,
+    tipo ENUM('Cursar', 'Promoción/Rendir') NOT NULL,
+    estado_requisito ENUM('Regular', 'Aprobada') NOT NULL,
+    estado ENUM('activa', 'inactiva') NOT NULL DEFAULT 'activa',
+    ${COLUMNAS_BAJA},
+    INDEX idx_correlatividad_principal (id_materia_principal),
+    INDEX idx_correlatividad_requisito (id_materia_requisito),
+    CONSTRAINT fk_correlatividad_principal FOREIGN KEY (id_materia_principal) REFERENCES materia (id_materia),
+    CONSTRAINT fk_correlatividad_requisito FOREIGN KEY (id_materia_requisito) REFERENCES materia (id_materia),
+    ${fkBaja('correlatividad')}
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE admin_carrera (
+    id_administrador INT NOT NULL,
+    id_carrera INT NOT NULL,
+    PRIMARY KEY (id_administrador, id_carrera),
+    CONSTRAINT fk_admin_carrera_admin FOREIGN KEY (id_administrador) REFERENCES administrador (id_administrador) ON DELETE CASCADE,
+    CONSTRAINT fk_admin_carrera_carrera FOREIGN KEY (id_carrera) REFERENCES carrera (id_carrera) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS admin_carrera');
+    await conn.query('DROP TABLE IF EXISTS correlatividad');
+    await conn.query('DROP TABLE IF EXISTS horario');
+    await conn.query('DROP TABLE IF EXISTS materia');
+    await conn.query('DROP TABLE IF EXISTS carrera');
+};
@@ -0,0 +1,77 @@
+// backend/migrations/003_seguridad.js
+
+/*
+ * Sesiones, restablecimiento de contraseña, intentos de login, log de seguridad y códigos de recuperación 2FA.
+ * Ver utils/sessions.js, utils/loginThrottle.js, utils/securityLog.js y utils/twoFactor.js.
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE sesion (
+    id_sesion INT AUTO_INCREMENT PRIMARY KEY,
+    id_administrador INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    refresh_token_hash_anterior CHAR(64) NULL,
+    ip VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    fecha_creacion DATETIME NOT NULL,
+    fecha_ultimo_uso DATETIME NOT NULL,
+    fecha_expiracion DATETIME NOT NULL,
+    fecha_revocacion DATETIME NULL,
+    motivo_revocacion VARCHAR(50) NULL,
+    INDEX idx_sesion_refresh (refresh_token_hash),
+    INDEX idx_sesion_refresh_anterior (refresh_token_hash_anterior),
+    CONSTRAINT fk_sesion_admin FOREIGN KEY (id_administrador) REFERENCES administrador (id_administrador) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE token_restablecimiento (
+    id_token INT AUTO_INCREMENT PRIMARY KEY,
+    id_administrador INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    fecha_creacion DATETIME NOT NULL,
+    fecha_expiracion DATETIME NOT NULL,
+    fecha_uso DATETIME NULL,
+    fecha_invalidacion DATETIME NULL,
+    INDEX idx_token_restablecimiento_hash (token_hash),
+    CONSTRAINT fk_token_restablecimiento_admin FOREIGN KEY (id_administrador) REFERENCES administrador (id_administrador) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE intento_login (
+    id_intento INT AUTO_INCREMENT PRIMARY KEY,
+    identificador VARCHAR(150) NULL,
+    id_administrador INT NULL,
+    ip VARCHAR(45) NULL,
+    exito TINYINT(1) NOT NULL DEFAULT 0,
+    fecha DATETIME NOT NULL,
+    INDEX idx_intento_login_ip_fecha (ip, fecha),
+    INDEX idx_intento_login_admin_fecha (id_administrador, fecha)
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE log_seguridad (
+    id_log INT AUTO_INCREMENT PRIMARY KEY,
+    tipo_evento VARCHAR(50) NOT NULL,
+    id_administrador INT NULL,
+    ip VARCHAR(45) NULL,
+    detalle JSON NULL,
+    fecha DATETIME NOT NULL,
+    INDEX idx_log_seguridad_fecha (fecha)
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE codigo_recuperacion (
+    id_codigo INT AUTO_INCREMENT PRIMARY KEY,
+    id_administrador INT NOT NULL,
+    codigo_hash VARCHAR(255) NOT NULL,
+    fecha_creacion DATETIME NOT NULL,
+    fecha_uso DATETIME NULL,
+    CONSTRAINT fk_codigo_recuperacion_admin FOREIGN KEY (id_administrador) REFERENCES administrador (id_administrador) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS codigo_recuperacion');
+    await conn.query('DROP TABLE IF EXISTS log_seguridad');
+    await conn.query('DROP TABLE IF EXISTS intento_login');
+    await conn.query('DROP TABLE IF EXISTS token_restablecimiento');
+    await conn.query('DROP TABLE IF EXISTS sesion');
+};
@@ -0,0 +1,54 @@
+// backend/migrations/004_invitaciones.js
+
+/*
+ * Invitaciones de usuarios y confirmación de cambio de email.
+ * Ver controllers/invitacionController.js y controllers/perfilController.js.
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE invitacion (
+    id_invitacion INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(150) NOT NULL,
+    rol VARCHAR(50) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    fecha_creacion DATETIME NOT NULL,
+    fecha_expiracion DATETIME NOT NULL,
+    fecha_uso DATETIME NULL,
+    fecha_revocacion DATETIME NULL,
+    id_administrador_creador INT NULL,
+    id_administrador_creado INT NULL,
+    INDEX idx_invitacion_token (token_hash),
+    INDEX idx_invitacion_email (email),
+    CONSTRAINT fk_invitacion_creador FOREIGN KEY (id_administrador_creador) REFERENCES administrador (id_administrador) ON DELETE SET NULL,
+    CONSTRAINT fk_invitacion_creado FOREIGN KEY (id_administrador_creado) REFERENCES administrador (id_administrador) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE invitacion_carrera (
+    id_invitacion INT NOT NULL,
+    id_carrera INT NOT NULL,
+    PRIMARY KEY (id_invitacion, id_carrera),
+    CONSTRAINT fk_invitacion_carrera_invitacion FOREIGN KEY (id_invitacion) REFERENCES invitacion (id_invitacion) ON DELETE CASCADE,
+    CONSTRAINT fk_invitacion_carrera_carrera FOREIGN KEY (id_carrera) REFERENCES carrera (id_carrera) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE cambio_email (
+    id_cambio INT AUTO_INCREMENT PRIMARY KEY,
+    id_administrador INT NOT NULL,
+    email_nuevo VARCHAR(150) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    fecha_creacion DATETIME NOT NULL,
+    fecha_expiracion DATETIME NOT NULL,
+    fecha_uso DATETIME NULL,
+    fecha_invalidacion DATETIME NULL,
+    INDEX idx_cambio_email_token (token_hash),
+    CONSTRAINT fk_cambio_email_admin FOREIGN KEY (id_administrador) REFERENCES administrador (id_administrador) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS cambio_email');
+    await conn.query('DROP TABLE IF EXISTS invitacion_carrera');
+    await conn.query('DROP TABLE IF EXISTS invitacion');
+};
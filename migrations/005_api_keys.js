@@ -0,0 +1,40 @@
+// backend/migrations/005_api_keys.js
+
+/*
+ * API keys para clientes de máquina (ver utils/apiKeys.js).
+ * 'scopes' es la lista de scopes separada por comas.
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE api_key (
+    id_api_key INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    prefijo VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes VARCHAR(255) NOT NULL,
+    fecha_creacion DATETIME NOT NULL,
+    fecha_expiracion DATETIME NULL,
+    fecha_ultimo_uso DATETIME NULL,
+    ip_ultimo_uso VARCHAR(45) NULL,
+    fecha_revocacion DATETIME NULL,
+    id_administrador_creador INT NULL,
+    id_administrador_revocacion INT NULL,
+    CONSTRAINT fk_api_key_creador FOREIGN KEY (id_administrador_creador) REFERENCES administrador (id_administrador) ON DELETE SET NULL,
+    CONSTRAINT fk_api_key_revocacion FOREIGN KEY (id_administrador_revocacion) REFERENCES administrador (id_administrador) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE api_key_carrera (
+    id_api_key INT NOT NULL,
+    id_carrera INT NOT NULL,
+    PRIMARY KEY (id_api_key, id_carrera),
+    CONSTRAINT fk_api_key_carrera_key FOREIGN KEY (id_api_key) REFERENCES api_key (id_api_key) ON DELETE CASCADE,
+    CONSTRAINT fk_api_key_carrera_carrera FOREIGN KEY (id_carrera) REFERENCES carrera (id_carrera) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS api_key_carrera');
+    await conn.query('DROP TABLE IF EXISTS api_key');
+};
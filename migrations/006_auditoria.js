@@ -0,0 +1,30 @@
+// backend/migrations/006_auditoria.js
+
+/*
+ * Registro de auditoría de los cambios hechos desde el panel (ver utils/auditoria.js).
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE auditoria (
+    id_auditoria INT AUTO_INCREMENT PRIMARY KEY,
+    id_administrador INT NULL,
+    accion VARCHAR(50) NOT NULL,
+    entidad VARCHAR(50) NOT NULL,
+    id_entidad VARCHAR(50) NULL,
+    antes JSON NULL,
+    despues JSON NULL,
+    campos_modificados VARCHAR(1000) NULL,
+    ip VARCHAR(45) NULL,
+    fecha DATETIME NOT NULL,
+    INDEX idx_auditoria_entidad (entidad, id_entidad),
+    INDEX idx_auditoria_admin (id_administrador),
+    INDEX idx_auditoria_fecha (fecha),
+    CONSTRAINT fk_auditoria_admin FOREIGN KEY (id_administrador) REFERENCES administrador (id_administrador) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS auditoria');
+};
@@ -0,0 +1,34 @@
+// backend/migrations/007_aulas.js
+
+/*
+ * Aulas y aula asignada a cada horario (opcional).
+ * 'recursos' es la lista de recursos separada por comas (proyector, pizarra digital, ...).
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE aula (
+    id_aula INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(50) NOT NULL UNIQUE,
+    edificio VARCHAR(100) NULL,
+    capacidad INT NULL,
+    recursos VARCHAR(500) NULL,
+    estado ENUM('activa', 'inactiva') NOT NULL DEFAULT 'activa',
+    fecha_eliminacion DATETIME NULL,
+    id_administrador_eliminacion INT NULL,
+    CONSTRAINT fk_aula_admin_eliminacion FOREIGN KEY (id_administrador_eliminacion)
+        REFERENCES administrador (id_administrador) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`ALTER TABLE horario
+    ADD COLUMN id_aula INT NULL AFTER hora_fin,
+    ADD INDEX idx_horario_aula_dia (id_aula, dia_semana),
+    ADD CONSTRAINT fk_horario_aula FOREIGN KEY (id_aula) REFERENCES aula (id_aula)`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('ALTER TABLE horario DROP FOREIGN KEY fk_horario_aula');
+    await conn.query('ALTER TABLE horario DROP INDEX idx_horario_aula_dia, DROP COLUMN id_aula');
+    await conn.query('DROP TABLE IF EXISTS aula');
+};
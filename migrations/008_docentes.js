@@ -0,0 +1,48 @@
+// backend/migrations/008_docentes.js
+
+/*
+ * Docentes, su asignación a materias (con cargo) y docente a cargo de cada horario (opcional).
+ * 'mostrar_email' / 'mostrar_telefono' definen qué datos de contacto se publican (web, chatbot, PDF).
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE docente (
+    id_docente INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    apellido VARCHAR(100) NOT NULL,
+    dni VARCHAR(20) NULL UNIQUE,
+    email VARCHAR(150) NULL,
+    telefono VARCHAR(30) NULL,
+    mostrar_email TINYINT(1) NOT NULL DEFAULT 1,
+    mostrar_telefono TINYINT(1) NOT NULL DEFAULT 0,
+    estado ENUM('activa', 'inactiva') NOT NULL DEFAULT 'activa',
+    fecha_eliminacion DATETIME NULL,
+    id_administrador_eliminacion INT NULL,
+    INDEX idx_docente_apellido (apellido, nombre),
+    CONSTRAINT fk_docente_admin_eliminacion FOREIGN KEY (id_administrador_eliminacion)
+        REFERENCES administrador (id_administrador) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE materia_docente (
+    id_materia INT NOT NULL,
+    id_docente INT NOT NULL,
+    cargo VARCHAR(30) NOT NULL DEFAULT 'Titular',
+    PRIMARY KEY (id_materia, id_docente),
+    CONSTRAINT fk_materia_docente_materia FOREIGN KEY (id_materia) REFERENCES materia (id_materia) ON DELETE CASCADE,
+    CONSTRAINT fk_materia_docente_docente FOREIGN KEY (id_docente) REFERENCES docente (id_docente) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`ALTER TABLE horario
+    ADD COLUMN id_docente INT NULL AFTER id_aula,
+    ADD INDEX idx_horario_docente_dia (id_docente, dia_semana),
+    ADD CONSTRAINT fk_horario_docente FOREIGN KEY (id_docente) REFERENCES docente (id_docente)`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('ALTER TABLE horario DROP FOREIGN KEY fk_horario_docente');
+    await conn.query('ALTER TABLE horario DROP INDEX idx_horario_docente_dia, DROP COLUMN id_docente');
+    await conn.query('DROP TABLE IF EXISTS materia_docente');
+    await conn.query('DROP TABLE IF EXISTS docente');
+};
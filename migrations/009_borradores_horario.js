@@ -0,0 +1,30 @@
+// backend/migrations/009_borradores_horario.js
+
+/*
+ * Borradores de horario generados automáticamente para un año de una carrera (ver utils/generadorHorarios.js).
+ * 'parametros' guarda los datos con los que se generó y 'propuesta' los horarios propuestos;
+ * al aplicarlo se crean los horarios en una sola transacción.
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE borrador_horario (
+    id_borrador INT AUTO_INCREMENT PRIMARY KEY,
+    id_carrera INT NOT NULL,
+    año TINYINT NOT NULL,
+    parametros JSON NOT NULL,
+    propuesta JSON NOT NULL,
+    estado ENUM('pendiente', 'aplicado', 'descartado') NOT NULL DEFAULT 'pendiente',
+    id_administrador INT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_resolucion DATETIME NULL,
+    INDEX idx_borrador_carrera_anio (id_carrera, año, estado),
+    CONSTRAINT fk_borrador_carrera FOREIGN KEY (id_carrera) REFERENCES carrera (id_carrera) ON DELETE CASCADE,
+    CONSTRAINT fk_borrador_admin FOREIGN KEY (id_administrador) REFERENCES administrador (id_administrador) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS borrador_horario');
+};
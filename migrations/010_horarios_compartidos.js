@@ -0,0 +1,24 @@
+// backend/migrations/010_horarios_compartidos.js
+
+/*
+ * Selecciones de "Mi Horario" guardadas bajo un código corto para compartirlas.
+ * 'materias' son los IDs ordenados y separados por comas (la misma selección reutiliza el código).
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE horario_compartido (
+    id_horario_compartido INT AUTO_INCREMENT PRIMARY KEY,
+    codigo CHAR(8) NOT NULL UNIQUE,
+    materias VARCHAR(500) NOT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_ultimo_acceso DATETIME NULL,
+    accesos INT NOT NULL DEFAULT 0,
+    INDEX idx_horario_compartido_materias (materias)
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS horario_compartido');
+};
@@ -0,0 +1,46 @@
+// backend/migrations/011_calendario_academico.js
+
+/*
+ * Calendario académico: ciclo lectivo (con los límites de los cuatrimestres y el receso invernal),
+ * días sin clases (feriados, asuetos, jornadas) y período de cursado de cada materia.
+ * 'materia.periodo' es 'Anual', '1° Cuatrimestre' o '2° Cuatrimestre' (ver utils/enums.js).
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE ciclo_lectivo (
+    id_ciclo_lectivo INT AUTO_INCREMENT PRIMARY KEY,
+    año SMALLINT NOT NULL UNIQUE,
+    fecha_inicio DATE NOT NULL,
+    fecha_fin DATE NOT NULL,
+    fin_primer_cuatrimestre DATE NOT NULL,
+    inicio_segundo_cuatrimestre DATE NOT NULL,
+    inicio_receso_invernal DATE NULL,
+    fin_receso_invernal DATE NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE dia_no_habil (
+    id_dia_no_habil INT AUTO_INCREMENT PRIMARY KEY,
+    id_ciclo_lectivo INT NOT NULL,
+    fecha_inicio DATE NOT NULL,
+    fecha_fin DATE NOT NULL,
+    tipo VARCHAR(30) NOT NULL DEFAULT 'Feriado',
+    descripcion VARCHAR(150) NOT NULL,
+    INDEX idx_dia_no_habil_fecha (id_ciclo_lectivo, fecha_inicio),
+    CONSTRAINT fk_dia_no_habil_ciclo FOREIGN KEY (id_ciclo_lectivo)
+        REFERENCES ciclo_lectivo (id_ciclo_lectivo) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`ALTER TABLE materia
+    ADD COLUMN periodo VARCHAR(20) NOT NULL DEFAULT 'Anual' AFTER modalidad`);
+    // Las materias cuatrimestrales existentes quedan en el primer cuatrimestre hasta que se indique otro
+    await conn.query("UPDATE materia SET periodo = '1° Cuatrimestre' WHERE modalidad = 'Cuatrimestral'");
+};
+
+exports.down = async (conn) => {
+    await conn.query('ALTER TABLE materia DROP COLUMN periodo');
+    await conn.query('DROP TABLE IF EXISTS dia_no_habil');
+    await conn.query('DROP TABLE IF EXISTS ciclo_lectivo');
+};
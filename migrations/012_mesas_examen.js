@@ -0,0 +1,54 @@
+// backend/migrations/012_mesas_examen.js
+
+/*
+ * Mesas de examen final: turnos (con rango de fechas y publicación), una mesa por materia y llamado
+ * dentro de cada turno (fecha, horario y aula) y el tribunal de docentes de cada mesa.
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE turno_examen (
+    id_turno_examen INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    fecha_inicio DATE NOT NULL,
+    fecha_fin DATE NOT NULL,
+    publicado TINYINT(1) NOT NULL DEFAULT 0,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_turno_examen_fechas (fecha_inicio, fecha_fin)
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE mesa_examen (
+    id_mesa_examen INT AUTO_INCREMENT PRIMARY KEY,
+    id_turno_examen INT NOT NULL,
+    id_materia INT NOT NULL,
+    llamado TINYINT NOT NULL DEFAULT 1,
+    fecha DATE NOT NULL,
+    hora_inicio TIME NOT NULL,
+    hora_fin TIME NOT NULL,
+    id_aula INT NULL,
+    observaciones VARCHAR(255) NULL,
+    UNIQUE KEY uq_mesa_examen_materia (id_turno_examen, id_materia, llamado),
+    INDEX idx_mesa_examen_fecha (fecha, hora_inicio),
+    CONSTRAINT fk_mesa_examen_turno FOREIGN KEY (id_turno_examen)
+        REFERENCES turno_examen (id_turno_examen) ON DELETE CASCADE,
+    CONSTRAINT fk_mesa_examen_materia FOREIGN KEY (id_materia) REFERENCES materia (id_materia) ON DELETE CASCADE,
+    CONSTRAINT fk_mesa_examen_aula FOREIGN KEY (id_aula) REFERENCES aula (id_aula) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE mesa_tribunal (
+    id_mesa_examen INT NOT NULL,
+    id_docente INT NOT NULL,
+    rol VARCHAR(30) NOT NULL DEFAULT 'Vocal',
+    PRIMARY KEY (id_mesa_examen, id_docente),
+    CONSTRAINT fk_mesa_tribunal_mesa FOREIGN KEY (id_mesa_examen)
+        REFERENCES mesa_examen (id_mesa_examen) ON DELETE CASCADE,
+    CONSTRAINT fk_mesa_tribunal_docente FOREIGN KEY (id_docente) REFERENCES docente (id_docente) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS mesa_tribunal');
+    await conn.query('DROP TABLE IF EXISTS mesa_examen');
+    await conn.query('DROP TABLE IF EXISTS turno_examen');
+};
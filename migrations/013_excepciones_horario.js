@@ -0,0 +1,47 @@
+// backend/migrations/013_excepciones_horario.js
+
+/*
+ * Excepciones con fecha sobre los horarios semanales (clase suspendida, reprogramada o con otra aula)
+ * y suscripciones por email a las novedades de una materia (con confirmación y baja por enlace).
+ */
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (conn) => {
+    await conn.query(`CREATE TABLE horario_excepcion (
+    id_horario_excepcion INT AUTO_INCREMENT PRIMARY KEY,
+    id_horario INT NOT NULL,
+    fecha DATE NOT NULL,
+    tipo VARCHAR(20) NOT NULL,
+    nueva_fecha DATE NULL,
+    nueva_hora_inicio TIME NULL,
+    nueva_hora_fin TIME NULL,
+    id_aula INT NULL,
+    motivo VARCHAR(255) NOT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_horario_excepcion_fecha (id_horario, fecha),
+    INDEX idx_horario_excepcion_fecha (fecha),
+    INDEX idx_horario_excepcion_nueva_fecha (nueva_fecha),
+    CONSTRAINT fk_horario_excepcion_horario FOREIGN KEY (id_horario) REFERENCES horario (id_horario) ON DELETE CASCADE,
+    CONSTRAINT fk_horario_excepcion_aula FOREIGN KEY (id_aula) REFERENCES aula (id_aula) ON DELETE SET NULL
+) ${OPCIONES_TABLA}`);
+
+    await conn.query(`CREATE TABLE suscripcion_materia (
+    id_suscripcion_materia INT AUTO_INCREMENT PRIMARY KEY,
+    id_materia INT NOT NULL,
+    email VARCHAR(150) NOT NULL,
+    token_hash CHAR(64) NULL,
+    codigo_baja CHAR(64) NOT NULL,
+    fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    fecha_confirmacion DATETIME NULL,
+    UNIQUE KEY uq_suscripcion_materia_email (id_materia, email),
+    UNIQUE KEY uq_suscripcion_materia_token (token_hash),
+    UNIQUE KEY uq_suscripcion_materia_baja (codigo_baja),
+    CONSTRAINT fk_suscripcion_materia_materia FOREIGN KEY (id_materia) REFERENCES materia (id_materia) ON DELETE CASCADE
+) ${OPCIONES_TABLA}`);
+};
+
+exports.down = async (conn) => {
+    await conn.query('DROP TABLE IF EXISTS suscripcion_materia');
+    await conn.query('DROP TABLE IF EXISTS horario_excepcion');
+};
@@ -0,0 +1,20 @@
+// backend/migrations/014_suscripcion_ip.js
+
+/*
+ * IP desde la que se pidió cada suscripción: limita los emails de confirmación por IP y por dirección
+ * (ver controllers/suscripcionController.js).
+ */
+
+exports.up = async (conn) => {
+    await conn.query(`ALTER TABLE suscripcion_materia
+    ADD COLUMN ip_solicitud VARCHAR(45) NULL AFTER fecha_confirmacion,
+    ADD INDEX idx_suscripcion_materia_email_fecha (email, fecha_creacion),
+    ADD INDEX idx_suscripcion_materia_ip_fecha (ip_solicitud, fecha_creacion)`);
+};
+
+exports.down = async (conn) => {
+    await conn.query(`ALTER TABLE suscripcion_materia
+    DROP INDEX idx_suscripcion_materia_ip_fecha,
+    DROP INDEX idx_suscripcion_materia_email_fecha,
+    DROP COLUMN ip_solicitud`);
+};
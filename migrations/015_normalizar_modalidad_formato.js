@@ -0,0 +1,58 @@
+// backend/migrations/015_normalizar_modalidad_formato.js
+
+/*
+ * La modalidad de las carreras y el formato de las materias vuelven a validarse contra una lista
+ * (utils/enums.js). Los valores cargados mientras fueron texto libre se llevan al valor canónico:
+ * las columnas usan utf8mb4_unicode_ci, así que 'a distancia' o 'MODULO' ya coinciden con su opción,
+ * y los sinónimos habituales se traducen con la tabla de abajo.
+ * Los valores que no se pueden traducir se informan y se conservan: el panel pide elegir uno válido
+ * la próxima vez que se edite la carrera o la materia.
+ */
+
+// Copia de las listas al momento de la migración (no se importa utils/enums.js: puede cambiar después)
+const COLUMNAS = [
+    {
+        tabla: 'carrera', columna: 'modalidad', id: 'id_carrera',
+        valores: {
+            'Presencial': [],
+            'Semipresencial': ['Semi presencial', 'Semi-presencial', 'Híbrida', 'Mixta', 'Bimodal'],
+            'A distancia': ['Distancia', 'Virtual', 'En línea', 'Online', 'Educación a distancia'],
+        },
+    },
+    {
+        tabla: 'materia', columna: 'formato', id: 'id_materia',
+        valores: {
+            'Asignatura': ['Materia'],
+            'Taller': [],
+            'Seminario': [],
+            'Módulo': [],
+            'Laboratorio': [],
+            'Ateneo': [],
+            'Trabajo de Campo': [],
+            'Práctica Profesional': ['Práctica', 'Prácticas Profesionales', 'Práctica Profesional Docente'],
+        },
+    },
+];
+
+exports.up = async (conn) => {
+    for (const { tabla, columna, id, valores } of COLUMNAS) {
+        for (const [canonico, sinonimos] of Object.entries(valores)) {
+            await conn.query(
+                'UPDATE ?? SET ?? = ? WHERE ?? IN (?) AND BINARY ?? <> ?',
+                [tabla, columna, canonico, columna, [canonico, ...sinonimos], columna, canonico]
+            );
+        }
+
+        const [sinTraducir] = await conn.query(
+            "SELECT ?? AS id, ?? AS valor FROM ?? WHERE ?? IS NOT NULL AND ?? <> '' AND ?? NOT IN (?)",
+            [id, columna, tabla, columna, columna, columna, Object.keys(valores)]
+        );
+        if (sinTraducir.length > 0) {
+            console.warn(`⚠️ ${tabla}.${columna}: ${sinTraducir.length} valor(es) fuera de la lista (${Object.keys(valores).join(', ')}):`);
+            sinTraducir.forEach(row => console.warn(`   ${id} ${row.id}: '${row.valor}'`));
+        }
+    }
+};
+
+// Los valores originales no se guardan: volver atrás no los restaura
+exports.down = async () => {};
@@ -3,7 +3,9 @@ const express = require('express');
 const router = express.Router();
 
 // Importar los middleware de autenticación
-const { protect, admin, rector } = require('../middleware/authMiddleware'); 
+const { protect, authorize } = require('../middleware/authMiddleware'); 
+const { validate } = require('../middleware/validateMiddleware');
+const schemas = require('../validators/adminSchemas');
 
 // Importar todos los controladores CRUD y de Filtrado
 const { 
@@ -12,105 +14,318 @@ const {
 
     // Materias
     getMateriasAll, 
-    getMateriaById, createMateria, updateMateria, deleteMateria,
+    getMateriaById, createMateria, updateMateria, deleteMateria, getValidacionHoras,
 
     // Horarios
     getHorariosPorMateria, getHorarioById, createHorario, updateHorario, deleteHorario,
+    getConflictosHorarios,
 
     // Correlatividades
     getCorrelatividadesPorMateria, getCorrelatividadById, createCorrelatividad, updateCorrelatividad, deleteCorrelatividad,
+    getValidacionCorrelatividades,
     
     // ADMINISTRADORES
-    listUsers, getUserById, createUserByAdmin, updateUserByAdmin, deleteUserByAdmin,
+    listUsers, getUserById, updateUserByAdmin, deleteUserByAdmin,
+    unlockUserByAdmin, resetUserTwoFactor,
     listCoordinadores
     
 } = require('../controllers/adminController'); 
 
+const {
+    listInvitaciones, createInvitacion, resendInvitacion, revokeInvitacion
+} = require('../controllers/invitacionController');
+
+const {
+    listPermisos, listRoles, createRol, updateRol, deleteRol
+} = require('../controllers/rolController');
+
+const { listApiKeys, createApiKey, revokeApiKey } = require('../controllers/apiKeyController');
+const { getAuditoria } = require('../controllers/auditoriaController');
+const { listPapelera, restorePapelera, purgePapelera } = require('../controllers/papeleraController');
+const { getEnumeraciones } = require('../controllers/enumeracionesController');
+const {
+    getAulas, getAulaById, getOcupacionAula, createAula, updateAula, deleteAula
+} = require('../controllers/aulaController');
+const {
+    generarBorradorHorario, listBorradoresHorario, getBorradorHorario, aplicarBorradorHorario, descartarBorradorHorario
+} = require('../controllers/borradorHorarioController');
+const {
+    getDocentes, getDocenteById, getAgendaDocente, createDocente, updateDocente, deleteDocente,
+    getDocentesMateria, asignarDocentesMateria
+} = require('../controllers/docenteController');
+const {
+    getCiclosLectivos, getCicloLectivoById, createCicloLectivo, updateCicloLectivo, deleteCicloLectivo,
+    createDiaNoHabil, updateDiaNoHabil, deleteDiaNoHabil
+} = require('../controllers/calendarioAcademicoController');
+const {
+    getTurnosExamen, getTurnoExamenById, createTurnoExamen, updateTurnoExamen, deleteTurnoExamen,
+    getMesaExamenById, createMesaExamen, updateMesaExamen, deleteMesaExamen
+} = require('../controllers/mesaExamenController');
+const {
+    getExcepciones, getExcepcionesPorHorario, createExcepcionHorario, updateExcepcionHorario, deleteExcepcionHorario
+} = require('../controllers/excepcionHorarioController');
+
 // La ruta base para este archivo es típicamente /api/admin/
 
 // =========================================================
-// 1. RUTAS: GESTIÓN DE CARRERAS (Rector: All | Coordinador: View/Edit Asignadas)
+// 1. RUTAS: GESTIÓN DE CARRERAS (el alcance del rol filtra las carreras visibles)
 // =========================================================
 
 // Ruta de Colección: Listar (todas) y Crear nueva
 router.route('/carreras')
-    .get(protect, admin, getCarreras)      // GET: Rector/Coordinador (el controlador filtra)
-    .post(protect, rector, createCarrera); // POST: SOLO Rector 
+    .get(protect, authorize('carrera:read'), getCarreras)      // GET: el controlador filtra por alcance
+    .post(protect, authorize('carrera:create'), validate(schemas.createCarrera), createCarrera); 
 
 // Ruta de Recurso por ID
 router.route('/carreras/:id')
-    .get(protect, admin, getCarreraById)  // GET: Rector/Coordinador
-    .put(protect, admin, updateCarrera)   // PUT: Rector/Coordinador
-    .delete(protect, rector, deleteCarrera); // DELETE: SOLO Rector (Correcto)
+    .get(protect, authorize('carrera:read'), validate(schemas.carreraId), getCarreraById)
+    .put(protect, authorize('carrera:write'), validate(schemas.updateCarrera), updateCarrera)   // PUT: cerrar/inactivar exige además 'carrera:close'
+    .delete(protect, authorize('carrera:close'), validate(schemas.deleteCarrera), deleteCarrera);
 
 // ---------------------------------------------------------
 // =========================================================
-// 2. RUTAS: GESTIÓN DE MATERIAS (Rector: All | Coordinador: All Asignadas)
+// 2. RUTAS: GESTIÓN DE MATERIAS (filtradas por el alcance del rol)
 // =========================================================
 
 // Ruta de Colección: Listar (todas) y Crear nueva
 router.route('/materias')
-    .get(protect, admin, getMateriasAll)    // GET: Rector/Coordinador
-    .post(protect, admin, createMateria);  // POST: Rector/Coordinador (el controlador valida la id_carrera)
+    .get(protect, authorize('materia:read'), validate(schemas.listMaterias), getMateriasAll)
+    .post(protect, authorize('materia:write'), validate(schemas.createMateria), createMateria);  // POST: el controlador valida la id_carrera
 
 // Ruta de Recurso por ID
 router.route('/materias/:id')
-    .get(protect, admin, getMateriaById)  // GET: Rector/Coordinador
-    .put(protect, admin, updateMateria)   // PUT: Rector/Coordinador
-    .delete(protect, admin, deleteMateria); // DELETE: Rector/Coordinador (el controlador valida la id_carrera)
+    .get(protect, authorize('materia:read'), validate(schemas.materiaId), getMateriaById)
+    .put(protect, authorize('materia:write'), validate(schemas.updateMateria), updateMateria)
+    .delete(protect, authorize('materia:write'), validate(schemas.deleteMateria), deleteMateria); // DELETE: el controlador valida la id_carrera
+
+// Informe de consistencia de horas (horas semanales, total anual y horarios) de una carrera
+router.get('/carreras/:id/horas/validacion', protect, authorize('materia:read'), validate(schemas.carreraId), getValidacionHoras);
 
 // ---------------------------------------------------------
 // =========================================================
 // 3. RUTAS: GESTIÓN DE HORARIOS (CRUD con FILTRO)
 // =========================================================
-// Nota: Se mantiene el permiso 'admin' (Rector/Coordinador)
+// Nota: El controlador valida que la materia pertenezca a las carreras del usuario
 router.route('/horarios')
-    .get(protect, admin, getHorariosPorMateria) 
-    .post(protect, admin, createHorario); 
+    .get(protect, authorize('horario:read'), validate(schemas.listHorarios), getHorariosPorMateria) 
+    .post(protect, authorize('horario:write'), validate(schemas.createHorario), createHorario); 
 
 router.route('/horarios/:id')
-    .get(protect, admin, getHorarioById)  
-    .put(protect, admin, updateHorario)   
-    .delete(protect, admin, deleteHorario); 
+    .get(protect, authorize('horario:read'), validate(schemas.horarioId), getHorarioById)  
+    .put(protect, authorize('horario:write'), validate(schemas.updateHorario), updateHorario)   
+    .delete(protect, authorize('horario:write'), validate(schemas.horarioId), deleteHorario); 
+
+// Informe de superposiciones de horarios (mismo año y día) de una carrera
+router.get('/carreras/:id/horarios/conflictos', protect, authorize('horario:read'), validate(schemas.carreraId), getConflictosHorarios);
+
+// Generador automático: propone un borrador sin superposiciones que después se aplica (o descarta) de una vez
+router.post('/carreras/:id/horarios/generar', protect, authorize('horario:write'), validate(schemas.generarHorario), generarBorradorHorario);
+router.get('/carreras/:id/horarios/borradores', protect, authorize('horario:read'), validate(schemas.carreraId), listBorradoresHorario);
+
+router.route('/horarios/borradores/:id')
+    .get(protect, authorize('horario:read'), validate(schemas.borradorHorarioId), getBorradorHorario)
+    .delete(protect, authorize('horario:write'), validate(schemas.borradorHorarioId), descartarBorradorHorario);
+
+router.post('/horarios/borradores/:id/aplicar', protect, authorize('horario:write'), validate(schemas.borradorHorarioId), aplicarBorradorHorario);
+
+// Excepciones con fecha (clase suspendida, reprogramada o con cambio de aula). 'notificar' avisa a los suscriptos.
+router.get('/excepciones-horario', protect, authorize('horario:read'), validate(schemas.listExcepcionesHorario), getExcepciones);
+
+router.route('/horarios/:id/excepciones')
+    .get(protect, authorize('horario:read'), validate(schemas.horarioId), getExcepcionesPorHorario)
+    .post(protect, authorize('horario:write'), validate(schemas.createExcepcionHorario), createExcepcionHorario);
+
+router.route('/excepciones-horario/:id')
+    .put(protect, authorize('horario:write'), validate(schemas.updateExcepcionHorario), updateExcepcionHorario)
+    .delete(protect, authorize('horario:write'), validate(schemas.deleteExcepcionHorario), deleteExcepcionHorario);
+
+// =========================================================
+// 3.1 RUTAS: AULAS 🏫
+// =========================================================
+// Las aulas son de toda la institución. Un aula no puede tener dos horarios activos superpuestos.
+
+router.route('/aulas')
+    .get(protect, authorize('aula:read'), validate(schemas.listAulas), getAulas)      // ?recurso= &capacidad_minima=
+    .post(protect, authorize('aula:write'), validate(schemas.createAula), createAula);
+
+router.route('/aulas/:id')
+    .get(protect, authorize('aula:read'), validate(schemas.aulaId), getAulaById)
+    .put(protect, authorize('aula:write'), validate(schemas.updateAula), updateAula)
+    .delete(protect, authorize('aula:write'), validate(schemas.aulaId), deleteAula);  // DELETE: 409 si tiene horarios activos
+
+// Ocupación por día (?dia=Lunes) o semanal: horarios, minutos ocupados y huecos libres
+router.get('/aulas/:id/ocupacion', protect, authorize('aula:read'), validate(schemas.getOcupacionAula), getOcupacionAula);
+
+// =========================================================
+// 3.2 RUTAS: DOCENTES 👩‍🏫
+// =========================================================
+// Los docentes son de toda la institución. Un docente no puede tener dos horarios activos superpuestos.
+
+router.route('/docentes')
+    .get(protect, authorize('docente:read'), validate(schemas.listDocentes), getDocentes)   // ?buscar=
+    .post(protect, authorize('docente:write'), validate(schemas.createDocente), createDocente);
+
+router.route('/docentes/:id')
+    .get(protect, authorize('docente:read'), validate(schemas.docenteId), getDocenteById)
+    .put(protect, authorize('docente:write'), validate(schemas.updateDocente), updateDocente)
+    .delete(protect, authorize('docente:write'), validate(schemas.docenteId), deleteDocente); // DELETE: 409 si tiene horarios activos
+
+// Agenda por día (?dia=Lunes) o semanal: horarios, minutos ocupados y huecos libres
+router.get('/docentes/:id/horarios', protect, authorize('docente:read'), validate(schemas.getAgendaDocente), getAgendaDocente);
+
+// Docentes de una materia (el controlador valida que la materia pertenezca a las carreras del usuario)
+router.route('/materias/:id/docentes')
+    .get(protect, authorize('materia:read'), validate(schemas.materiaId), getDocentesMateria)
+    .put(protect, authorize('materia:write'), validate(schemas.asignarDocentesMateria), asignarDocentesMateria);
+
+// =========================================================
+// 3.3 RUTAS: CALENDARIO ACADÉMICO 📆
+// =========================================================
+// Un ciclo lectivo por año (cuatrimestres y receso invernal) con sus días sin clases.
+
+router.route('/calendario/ciclos')
+    .get(protect, authorize('calendario:read'), getCiclosLectivos)
+    .post(protect, authorize('calendario:write'), validate(schemas.createCicloLectivo), createCicloLectivo);
+
+router.route('/calendario/ciclos/:id')
+    .get(protect, authorize('calendario:read'), validate(schemas.cicloLectivoId), getCicloLectivoById)
+    .put(protect, authorize('calendario:write'), validate(schemas.updateCicloLectivo), updateCicloLectivo)
+    .delete(protect, authorize('calendario:write'), validate(schemas.cicloLectivoId), deleteCicloLectivo); // borra también sus días sin clases
+
+router.post('/calendario/ciclos/:id/dias-no-habiles', protect, authorize('calendario:write'), validate(schemas.createDiaNoHabil), createDiaNoHabil);
+
+router.route('/calendario/dias-no-habiles/:id')
+    .put(protect, authorize('calendario:write'), validate(schemas.updateDiaNoHabil), updateDiaNoHabil)
+    .delete(protect, authorize('calendario:write'), validate(schemas.diaNoHabilId), deleteDiaNoHabil);
+
+// =========================================================
+// 3.4 RUTAS: MESAS DE EXAMEN 📝
+// =========================================================
+// Los turnos son de toda la institución; el controlador valida que la materia de cada mesa
+// pertenezca a las carreras del usuario. Las superposiciones se devuelven como advertencias.
+
+router.route('/turnos-examen')
+    .get(protect, authorize('mesa:read'), getTurnosExamen)
+    .post(protect, authorize('turno:write'), validate(schemas.createTurnoExamen), createTurnoExamen);
+
+router.route('/turnos-examen/:id')
+    .get(protect, authorize('mesa:read'), validate(schemas.getTurnoExamen), getTurnoExamenById) // mesas y superposiciones (?id_carrera=)
+    .put(protect, authorize('turno:write'), validate(schemas.updateTurnoExamen), updateTurnoExamen)
+    .delete(protect, authorize('turno:write'), validate(schemas.turnoExamenId), deleteTurnoExamen); // borra también sus mesas
+
+router.post('/mesas-examen', protect, authorize('mesa:write'), validate(schemas.createMesaExamen), createMesaExamen);
+
+router.route('/mesas-examen/:id')
+    .get(protect, authorize('mesa:read'), validate(schemas.mesaExamenId), getMesaExamenById)
+    .put(protect, authorize('mesa:write'), validate(schemas.updateMesaExamen), updateMesaExamen)
+    .delete(protect, authorize('mesa:write'), validate(schemas.mesaExamenId), deleteMesaExamen);
 
 // ---------------------------------------------------------
 // =========================================================
 // 4. RUTAS: GESTIÓN DE CORRELATIVIDADES (CRUD con FILTRO)
 // =========================================================
-// Nota: Se mantiene el permiso 'admin' (Rector/Coordinador)
+// Nota: El controlador valida que la materia principal pertenezca a las carreras del usuario
 
 // Ruta con filtro por materia
-router.get('/correlatividades/por-materia/:id', protect, admin, getCorrelatividadesPorMateria); 
+router.get('/correlatividades/por-materia/:id', protect, authorize('correlatividad:read'), validate(schemas.materiaId), getCorrelatividadesPorMateria); 
+
+// Informe de validación del plan de una carrera (ciclos, redundancias, requisitos de otro año/carrera)
+router.get('/carreras/:id/correlatividades/validacion', protect, authorize('correlatividad:read'), validate(schemas.carreraId), getValidacionCorrelatividades);
 
 // Ruta principal de Correlatividades (POST y CRUD por ID)
 router.route('/correlatividades')
-    .post(protect, admin, createCorrelatividad); 
+    .post(protect, authorize('correlatividad:write'), validate(schemas.createCorrelatividad), createCorrelatividad); 
 
 router.route('/correlatividades/:id')
-    .get(protect, admin, getCorrelatividadById)  
-    .put(protect, admin, updateCorrelatividad)   
-    .delete(protect, admin, deleteCorrelatividad); 
+    .get(protect, authorize('correlatividad:read'), validate(schemas.correlatividadId), getCorrelatividadById)  
+    .put(protect, authorize('correlatividad:write'), validate(schemas.updateCorrelatividad), updateCorrelatividad)   
+    .delete(protect, authorize('correlatividad:write'), validate(schemas.correlatividadId), deleteCorrelatividad); 
 
 // =========================================================
 // 5. RUTAS: GESTIÓN DE ADMINISTRADORES (CRUD) 🔐
 // =========================================================
 
-// ⚠️ CORRECCIÓN CLAVE: Las rutas GET y PUT para usuarios/administradores deben usar 'admin'
-// para permitir que el Coordinador acceda a su propio perfil.
+// Cada usuario consulta y edita su propio perfil en /api/auth/me: estas rutas son de gestión de otros usuarios.
+// Las altas de usuarios se hacen por invitación (ver sección 5.1)
 router.route('/usuarios')
-    .get(protect, admin, listUsers)      // 🟢 CORREGIDO: Antes 'rector'
-    .post(protect, rector, createUserByAdmin); // Mantener POST solo para Rector
+    .get(protect, authorize('usuario:read'), validate(schemas.listUsers), listUsers);
 
 router.route('/usuarios/:id')
-    .get(protect, admin, getUserById)      // 🟢 CORREGIDO: Antes 'rector'
-    .put(protect, admin, updateUserByAdmin)    // 🟢 CORREGIDO: Antes 'rector'
-    .delete(protect, rector, deleteUserByAdmin); // Mantener DELETE solo para Rector
+    .get(protect, authorize('usuario:read'), validate(schemas.usuarioId), getUserById)
+    .put(protect, authorize('usuario:write'), validate(schemas.updateUser), updateUserByAdmin)
+    .delete(protect, authorize('usuario:delete'), validate(schemas.usuarioId), deleteUserByAdmin);
+
+// Desbloqueo manual de cuentas bloqueadas por intentos fallidos de login
+router.post('/usuarios/:id/desbloquear', protect, authorize('usuario:write'), validate(schemas.usuarioId), unlockUserByAdmin);
+
+// Restablecer el 2FA de un usuario que perdió su dispositivo autenticador
+router.delete('/usuarios/:id/2fa', protect, authorize('usuario:write'), validate(schemas.usuarioId), resetUserTwoFactor);
+
+// =========================================================
+// 5.1 RUTAS: INVITACIONES (Alta de nuevos usuarios) ✉️
+// =========================================================
+
+router.route('/invitaciones')
+    .get(protect, authorize('usuario:create'), validate(schemas.listInvitaciones), listInvitaciones)      // ?estado=pendiente|usada|expirada|revocada
+    .post(protect, authorize('usuario:create'), validate(schemas.createInvitacion), createInvitacion);    // email + rol + carreras
+
+router.post('/invitaciones/:id/reenviar', protect, authorize('usuario:create'), validate(schemas.invitacionId), resendInvitacion);
+router.delete('/invitaciones/:id', protect, authorize('usuario:create'), validate(schemas.invitacionId), revokeInvitacion);
 
 // =========================================================
 // 6. RUTAS: UTILIDAD DE ADMINISTRADORES (Lista Coordinadores)
 // =========================================================
 
 // Ruta para obtener solo la lista de administradores que son coordinadores
-router.get('/coordinadores', protect, admin, listCoordinadores); // GET: Rector/Coordinador (para formularios)
+router.get('/coordinadores', protect, authorize('carrera:read'), listCoordinadores); // Para formularios de carrera
+
+// =========================================================
+// 7. RUTAS: ROLES Y PERMISOS 🔑
+// =========================================================
+
+router.get('/permisos', protect, authorize('rol:manage'), listPermisos); // Catálogo de permisos
+
+router.route('/roles')
+    .get(protect, authorize('rol:manage'), listRoles)
+    .post(protect, authorize('rol:manage'), validate(schemas.createRol), createRol);
+
+router.route('/roles/:id')
+    .put(protect, authorize('rol:manage'), validate(schemas.updateRol), updateRol)
+    .delete(protect, authorize('rol:manage'), validate(schemas.rolId), deleteRol);
+
+// =========================================================
+// 8. RUTAS: API KEYS (Kioscos y scripts de reportes) 🤖
+// =========================================================
+// Las claves se envían en el header X-API-Key y solo tienen scopes de lectura
+
+router.route('/api-keys')
+    .get(protect, authorize('api_key:manage'), listApiKeys)
+    .post(protect, authorize('api_key:manage'), validate(schemas.createApiKey), createApiKey);
+
+router.delete('/api-keys/:id', protect, authorize('api_key:manage'), validate(schemas.apiKeyId), revokeApiKey);
+
+// =========================================================
+// 9. RUTAS: AUDITORÍA 🕵️
+// =========================================================
+
+// ?entidad= &id_entidad= &id_administrador= &accion= &desde= &hasta= &pagina= &limite=
+router.get('/auditoria', protect, authorize('auditoria:read'), validate(schemas.getAuditoria), getAuditoria);
+
+// =========================================================
+// 10. RUTAS: PAPELERA (Elementos dados de baja) 🗑️
+// =========================================================
+// Listar y restaurar exige el permiso de escritura de cada tipo: lo valida el controlador
+
+router.route('/papelera')
+    .get(protect, validate(schemas.listPapelera), listPapelera)      // ?tipo=carrera|materia|horario|correlatividad|aula|docente
+    .delete(protect, authorize('papelera:purge'), purgePapelera);   // Borrado físico tras PAPELERA_RETENCION_DIAS
+
+router.post('/papelera/:tipo/:id/restaurar', protect, validate(schemas.restorePapelera), restorePapelera);
+
+// =========================================================
+// 11. RUTAS: ENUMERACIONES (valores de los <select> del panel) 📋
+// =========================================================
+
+router.get('/enumeraciones', protect, getEnumeraciones);
 
 module.exports = router;
\ No newline at end of file
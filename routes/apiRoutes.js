@@ -3,6 +3,10 @@
 const express = require('express');
 const router = express.Router();
 const cursadoController = require('../controllers/cursadoController');
+const calendarioController = require('../controllers/calendarioController');
+const miHorarioController = require('../controllers/miHorarioController');
+const calendarioAcademicoController = require('../controllers/calendarioAcademicoController');
+const suscripcionController = require('../controllers/suscripcionController');
 
 // ==========================================================
 // 🚨 Rutas de Cursado (Asegura la funcionalidad del horario)
@@ -19,6 +23,10 @@ router.get('/carreras/:id', cursadoController.getCarreraDetalleById);
 // Endpoint: /api/carreras/:id/plan-estudio-pdf
 router.get('/carreras/:id/plan-estudio-pdf', cursadoController.descargarPlanEstudioPDF);
 
+// 2.2 Descargar el horario semanal (grilla días x horas) en PDF. Sin 'año', una página por año.
+// Endpoint: /api/carreras/:id/horario-pdf?año=N
+router.get('/carreras/:id/horario-pdf', cursadoController.descargarHorarioPDF);
+
 // 3. RUTA CRUCIAL: Obtener los AÑOS disponibles para una carrera. 🆕
 // Endpoint: /api/anios?id_carrera=X
 router.get('/anios', cursadoController.getAniosByCarrera);
@@ -30,6 +38,14 @@ router.get('/materias', cursadoController.getMaterias);
 // 5. Ruta para obtener HORARIOS por ID de materia
 router.get('/horarios', cursadoController.getHorariosByMateria);
 
+// 6. Mi Horario: grilla semanal de varias materias (superposiciones y total de horas)
+// Endpoint: /api/mi-horario?materias=3,7,12
+router.get('/mi-horario', miHorarioController.getMiHorario);
+
+// 6.1 Guardar la selección con un código corto para compartirla, y abrirla por el código
+router.post('/mi-horario', miHorarioController.compartirMiHorario);
+router.get('/mi-horario/:codigo', miHorarioController.getMiHorarioCompartido);
+
 
 // ==========================================================
 // Rutas Adicionales del Proyecto
@@ -52,4 +68,49 @@ router.get('/materias/anio/:anio', cursadoController.getMateriasByAnioIncompleto
 // Endpoint: /api/materias/:id
 router.get('/materias/:id', cursadoController.getMateriaById); 
 
+
+// ==========================================================
+// 📅 Calendarios .ics (URLs estables para suscribirse desde Google Calendar o el celular)
+// ==========================================================
+
+// Endpoint: /api/calendario/materias.ics?ids=3,7,12
+router.get('/calendario/materias.ics', calendarioController.getCalendarioMaterias);
+
+// Endpoint: /api/calendario/materias/:id.ics
+router.get('/calendario/materias/:id.ics', calendarioController.getCalendarioMateria);
+
+// Endpoint: /api/calendario/carreras/:id/anios/:anio.ics
+router.get('/calendario/carreras/:id/anios/:anio.ics', calendarioController.getCalendarioCarreraAnio);
+
+// ==========================================================
+// 📆 Calendario académico (cuatrimestres, receso invernal y días sin clases)
+// ==========================================================
+
+// Endpoint: /api/calendario-academico?año=2026 (sin año, el actual)
+router.get('/calendario-academico', calendarioAcademicoController.getCalendarioAcademico);
+
+// ==========================================================
+// 📝 Mesas de examen (solo turnos publicados)
+// ==========================================================
+
+// Endpoint: /api/turnos-examen
+router.get('/turnos-examen', cursadoController.getTurnosExamen);
+
+// Endpoint: /api/mesas?id_carrera=1&id_turno=3&año=2 (sin id_turno, el turno en curso o el próximo)
+router.get('/mesas', cursadoController.getMesasExamen);
+
+// Endpoint: /api/turnos-examen/:id/mesas-pdf?id_carrera=1 (sin carrera, todas)
+router.get('/turnos-examen/:id/mesas-pdf', cursadoController.descargarMesasPDF);
+
+// ==========================================================
+// 📬 Suscripciones por email a los cambios de horario de una materia
+// ==========================================================
+
+// Endpoint: POST /api/materias/:id/suscripcion  body { email } (envía el enlace de confirmación)
+router.post('/materias/:id/suscripcion', suscripcionController.suscribirMateria);
+
+// Endpoints: POST /api/suscripciones/confirmar  body { token } y POST /api/suscripciones/baja  body { codigo }
+router.post('/suscripciones/confirmar', suscripcionController.confirmarSuscripcion);
+router.post('/suscripciones/baja', suscripcionController.bajaSuscripcion);
+
 module.exports = router;
\ No newline at end of file
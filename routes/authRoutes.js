@@ -6,25 +6,86 @@ const {
     loginUser,
     // 👈 1. Importamos las funciones necesarias para la recuperación
     forgotPassword, 
-    resetPassword
+    resetPassword,
+    refreshSession,
+    logoutUser,
+    logoutAllDevices,
+    loginSecondFactor,
+    getRegistrationStatus
 } = require('../controllers/authController');
+const { getInvitacionByToken, acceptInvitacion } = require('../controllers/invitacionController');
+const {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { getMe, updateMe, changePassword, confirmEmailChange } = require('../controllers/perfilController');
+const { protectUsuario, protectPermitirSin2FA } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const schemas = require('../validators/authSchemas');
 
 const router = express.Router();
 
 // Rutas de autenticación
-router.post('/register', registerUser); // Para registrar el primer administrador
+router.post('/register', validate(schemas.register), registerUser); // Para registrar el primer administrador (solo con la tabla vacía)
+router.get('/register', getRegistrationStatus); // Indica si el registro inicial sigue disponible
+
+// Aceptación de invitaciones emitidas por un Rector (alta de nuevas cuentas)
+router.get('/invitaciones/:token', validate(schemas.invitacionToken), getInvitacionByToken);
+router.post('/invitaciones/aceptar', validate(schemas.acceptInvitacion), acceptInvitacion);
 
 // Ruta de login (se ha actualizado en el controlador para aceptar 'usuario' O 'email')
-router.post('/login', loginUser);     
+router.post('/login', validate(schemas.login), loginUser);     
+
+// Segundo paso del login cuando la cuenta tiene 2FA activo (TOTP o código de recuperación)
+router.post('/login/2fa', validate(schemas.loginSecondFactor), loginSecondFactor);
+
+// ===========================================
+// 1. RUTAS DE SESIÓN (Refresh token rotativo y Logout)
+// ===========================================
+
+// Renueva el access token (de vida corta) usando el refresh token
+router.post('/refresh', validate(schemas.refresh), refreshSession);
+
+// Cierra la sesión del dispositivo actual
+router.post('/logout', protectPermitirSin2FA, logoutUser);
+
+// Cierra la sesión en todos los dispositivos del usuario
+router.post('/logout-all', protectPermitirSin2FA, logoutAllDevices);
 
 // ===========================================
 // 2. RUTAS DE RECUPERACIÓN DE CONTRASEÑA
 // ===========================================
 
 // Ruta para solicitar el restablecimiento (recibe el email y envía el enlace)
-router.post('/forgot-password', forgotPassword); 
+router.post('/forgot-password', validate(schemas.forgotPassword), forgotPassword); 
 
 // Ruta para aplicar la nueva contraseña (recibe el token y la nueva contraseña)
-router.post('/reset-password', resetPassword);   
+router.post('/reset-password', validate(schemas.resetPassword), resetPassword);   
+
+// ===========================================
+// 3. RUTAS DE AUTENTICACIÓN EN DOS PASOS (TOTP)
+// ===========================================
+// Accesibles aunque el 2FA obligatorio todavía no esté configurado (son el enrolamiento)
+router.get('/2fa', protectPermitirSin2FA, getTwoFactorStatus);
+router.post('/2fa/setup', protectPermitirSin2FA, setupTwoFactor);
+router.post('/2fa/enable', protectPermitirSin2FA, validate(schemas.enableTwoFactor), enableTwoFactor);
+router.post('/2fa/disable', protectUsuario, validate(schemas.disableTwoFactor), disableTwoFactor);
+router.post('/2fa/recovery-codes', protectUsuario, validate(schemas.regenerateRecoveryCodes), regenerateRecoveryCodes);
+
+// ===========================================
+// 4. RUTAS DEL PERFIL PROPIO
+// ===========================================
+router.route('/me')
+    .get(protectUsuario, getMe)
+    .put(protectUsuario, validate(schemas.updateMe), updateMe);
+
+// Cambio de contraseña (requiere la contraseña actual)
+router.post('/me/password', protectUsuario, validate(schemas.changePassword), changePassword);
+
+// Confirmación del nuevo email (enlace enviado a la nueva dirección)
+router.post('/me/email/confirmar', validate(schemas.confirmEmailChange), confirmEmailChange);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,192 @@
+// backend/scripts/migrate.js
+
+/*
+ * Migraciones versionadas de la base de datos y datos iniciales.
+ *
+ * Uso:
+ *   node scripts/migrate.js migrate             aplica las migraciones pendientes (todas en un mismo lote)
+ *   node scripts/migrate.js rollback [--todo]   revierte el último lote (o todas las migraciones)
+ *   node scripts/migrate.js status              lista las migraciones aplicadas y pendientes
+ *   node scripts/migrate.js seed                carga los datos iniciales (roles del sistema, carrera de ejemplo)
+ *
+ * Cada archivo de migrations/ (NNN_descripcion.js) exporta up(conn) y down(conn). Se aplican en orden
+ * de nombre y quedan registrados en la tabla 'migracion'. Una migración ya aplicada no se edita:
+ * los cambios van en un archivo nuevo.
+ *
+ * Cada archivo de seeds/ (NN_descripcion.js) exporta run(conn) y debe poder ejecutarse más de una vez
+ * sin duplicar datos. Cada seed corre en su propia transacción.
+ *
+ * La base de datos (DB_NAME) tiene que existir; la conexión es la misma de la aplicación (database.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('../database');
+
+const DIR_MIGRACIONES = path.join(__dirname, '..', 'migrations');
+const DIR_SEEDS = path.join(__dirname, '..', 'seeds');
+// Evita que dos procesos migren la misma base a la vez
+const NOMBRE_LOCK = 'ies6_migraciones';
+
+const listarArchivos = (dir) => fs.readdirSync(dir).filter(archivo => /^\d+_.+\.js$/.test(archivo)).sort();
+const versionDe = (archivo) => path.basename(archivo, '.js');
+
+const asegurarTablaMigraciones = async (conn) => {
+    await conn.query(`CREATE TABLE IF NOT EXISTS migracion (
+    version VARCHAR(255) PRIMARY KEY,
+    lote INT NOT NULL,
+    fecha_aplicacion DATETIME NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`);
+};
+
+const obtenerAplicadas = async (conn) => {
+    const [rows] = await conn.query('SELECT version, lote, fecha_aplicacion FROM migracion ORDER BY version');
+    return rows;
+};
+
+const cargarMigracion = (version) => {
+    const ruta = path.join(DIR_MIGRACIONES, `${version}.js`);
+    if (!fs.existsSync(ruta)) {
+        throw new Error(`No se encontró el archivo de la migración '${version}'.`);
+    }
+    const migracion = require(ruta);
+    if (typeof migracion.up !== 'function' || typeof migracion.down !== 'function') {
+        throw new Error(`La migración '${version}' debe exportar up(conn) y down(conn).`);
+    }
+    return migracion;
+};
+
+// =========================================================
+// COMANDOS
+// =========================================================
+
+const migrate = async (conn) => {
+    const aplicadas = await obtenerAplicadas(conn);
+    const versionesAplicadas = new Set(aplicadas.map(m => m.version));
+    const pendientes = listarArchivos(DIR_MIGRACIONES).map(versionDe).filter(v => !versionesAplicadas.has(v));
+
+    if (pendientes.length === 0) {
+        console.log('✅ La base de datos está al día. No hay migraciones pendientes.');
+        return;
+    }
+
+    const lote = Math.max(0, ...aplicadas.map(m => m.lote)) + 1;
+    console.log(`Aplicando ${pendientes.length} migración(es) en el lote ${lote}...`);
+
+    for (const version of pendientes) {
+        const migracion = cargarMigracion(version);
+        // Los CREATE/ALTER/DROP de MySQL confirman solos: si up() falla a mitad de camino,
+        // la migración no se registra y hay que revisar la base a mano antes de reintentar.
+        await migracion.up(conn);
+        await conn.query('INSERT INTO migracion (version, lote, fecha_aplicacion) VALUES (?, ?, NOW())', [version, lote]);
+        console.log(`  ⬆️  ${version}`);
+    }
+
+    console.log('✅ Migraciones aplicadas.');
+};
+
+const rollback = async (conn, { todo = false } = {}) => {
+    const aplicadas = await obtenerAplicadas(conn);
+    if (aplicadas.length === 0) {
+        console.log('No hay migraciones aplicadas para revertir.');
+        return;
+    }
+
+    const ultimoLote = Math.max(...aplicadas.map(m => m.lote));
+    const aRevertir = aplicadas
+        .filter(m => todo || m.lote === ultimoLote)
+        .map(m => m.version)
+        .sort()
+        .reverse();
+
+    console.log(todo ? `Revirtiendo todas las migraciones (${aRevertir.length})...` : `Revirtiendo el lote ${ultimoLote}...`);
+
+    for (const version of aRevertir) {
+        const migracion = cargarMigracion(version);
+        await migracion.down(conn);
+        await conn.query('DELETE FROM migracion WHERE version = ?', [version]);
+        console.log(`  ⬇️  ${version}`);
+    }
+
+    console.log('✅ Migraciones revertidas.');
+};
+
+const status = async (conn) => {
+    const aplicadas = await obtenerAplicadas(conn);
+    const porVersion = new Map(aplicadas.map(m => [m.version, m]));
+    const archivos = listarArchivos(DIR_MIGRACIONES).map(versionDe);
+
+    for (const version of archivos) {
+        const aplicada = porVersion.get(version);
+        console.log(aplicada
+            ? `  [x] ${version} (lote ${aplicada.lote}, ${new Date(aplicada.fecha_aplicacion).toISOString()})`
+            : `  [ ] ${version} (pendiente)`);
+    }
+
+    // Registradas en la base pero sin archivo (ej: se borró o renombró una migración)
+    for (const { version } of aplicadas.filter(m => !archivos.includes(m.version))) {
+        console.log(`  [?] ${version} (aplicada, falta el archivo)`);
+    }
+
+    const pendientes = archivos.filter(v => !porVersion.has(v)).length;
+    console.log(`\n${aplicadas.length} aplicada(s), ${pendientes} pendiente(s).`);
+};
+
+const seed = async (conn) => {
+    for (const archivo of listarArchivos(DIR_SEEDS)) {
+        const { run } = require(path.join(DIR_SEEDS, archivo));
+
+        await conn.beginTransaction();
+        try {
+            const resumen = await run(conn);
+            await conn.commit();
+            console.log(`  🌱 ${versionDe(archivo)}${resumen ? `: ${resumen}` : ''}`);
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        }
+    }
+
+    console.log('✅ Datos iniciales cargados.');
+};
+
+const COMANDOS = { migrate, rollback, status, seed };
+
+// =========================================================
+// EJECUCIÓN
+// =========================================================
+
+const main = async () => {
+    const [comando, ...opciones] = process.argv.slice(2);
+
+    if (!COMANDOS[comando]) {
+        console.error('Uso: node scripts/migrate.js <migrate | rollback [--todo] | status | seed>');
+        process.exitCode = 1;
+        await pool.end();
+        return;
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [lock] = await connection.query('SELECT GET_LOCK(?, 10) AS obtenido', [NOMBRE_LOCK]);
+        if (lock[0].obtenido !== 1) {
+            throw new Error('Otro proceso está ejecutando migraciones. Intente nuevamente en unos segundos.');
+        }
+
+        await asegurarTablaMigraciones(connection);
+        await COMANDOS[comando](connection, { todo: opciones.includes('--todo') });
+    } catch (error) {
+        console.error(`❌ Error al ejecutar '${comando}':`, error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) {
+            await connection.query('SELECT RELEASE_LOCK(?)', [NOMBRE_LOCK]).catch(() => {});
+            connection.release();
+        }
+        await pool.end();
+    }
+};
+
+main();
@@ -0,0 +1,34 @@
+// backend/seeds/01_roles.js
+
+/*
+ * Roles del sistema (ver ROLES_PREDETERMINADOS en utils/permissions.js).
+ * Crea los roles que falten y les agrega los permisos nuevos del catálogo.
+ * No quita permisos: los cambios hechos desde el panel se respetan.
+ */
+
+const { ROLES_PREDETERMINADOS } = require('../utils/permissions');
+
+exports.run = async (conn) => {
+    let creados = 0;
+
+    for (const rol of ROLES_PREDETERMINADOS) {
+        const [existentes] = await conn.query('SELECT id_rol FROM rol WHERE nombre = ?', [rol.nombre]);
+        let idRol;
+
+        if (existentes.length > 0) {
+            idRol = existentes[0].id_rol;
+            await conn.query('UPDATE rol SET es_sistema = 1 WHERE id_rol = ?', [idRol]);
+        } else {
+            const [result] = await conn.query(
+                'INSERT INTO rol (nombre, descripcion, alcance, es_sistema) VALUES (?, ?, ?, 1)',
+                [rol.nombre, rol.descripcion, rol.alcance]
+            );
+            idRol = result.insertId;
+            creados++;
+        }
+
+        await conn.query('INSERT IGNORE INTO rol_permiso (id_rol, permiso) VALUES ?', [rol.permisos.map(p => [idRol, p])]);
+    }
+
+    return `${creados} rol(es) creado(s), ${ROLES_PREDETERMINADOS.length - creados} actualizado(s)`;
+};
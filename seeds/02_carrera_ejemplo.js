@@ -0,0 +1,89 @@
+// backend/seeds/02_carrera_ejemplo.js
+
+/*
+ * Carrera de ejemplo con materias, horarios y correlatividades, para levantar un entorno de desarrollo.
+ * Las horas cumplen los controles de utils/horasValidacion.js (hora cátedra de 40 minutos, 32 semanas)
+ * y los horarios de un mismo año no se superponen.
+ * Si la carrera ya existe no se carga nada.
+ */
+
+const CARRERA = {
+    nombre_carrera: 'Tecnicatura Superior en Desarrollo de Software',
+    duracion: 3,
+    modalidad: 'Presencial',
+    año_aprobacion: 2022,
+};
+
+// [nombre, año, campo_formacion, modalidad, formato, horas_semanales, acreditacion, horarios]
+const MATERIAS = [
+    ['Programación I', 1, 'Formación Específica', 'Anual', 'Asignatura', 6, 'Promoción', [['Lunes', '18:00', '20:00'], ['Miércoles', '18:00', '20:00']]],
+    ['Matemática', 1, 'Formación Específica', 'Anual', 'Asignatura', 4, 'Examen Final', [['Martes', '18:00', '20:40']]],
+    ['Inglés Técnico I', 1, 'Formación General', 'Anual', 'Taller', 3, 'Aprobación Directa', [['Jueves', '18:00', '20:00']]],
+    ['Práctica Profesionalizante I', 1, 'Formación en la Práctica Profesional', 'Anual', 'Práctica Profesional', 3, 'Aprobación Directa', [['Viernes', '18:00', '20:00']]],
+
+    ['Programación II', 2, 'Formación Específica', 'Anual', 'Asignatura', 6, 'Promoción', [['Lunes', '18:00', '20:00'], ['Miércoles', '18:00', '20:00']]],
+    ['Base de Datos I', 2, 'Formación Específica', 'Anual', 'Asignatura', 4, 'Examen Final', [['Martes', '18:00', '20:40']]],
+    ['Ingeniería de Software', 2, 'Formación Específica', 'Cuatrimestral', 'Asignatura', 4, 'Examen Final', [['Jueves', '18:00', '20:40']]],
+    ['Práctica Profesionalizante II', 2, 'Formación en la Práctica Profesional', 'Anual', 'Práctica Profesional', 3, 'Aprobación Directa', [['Viernes', '18:00', '20:00']]],
+
+    ['Programación III', 3, 'Formación Específica', 'Anual', 'Asignatura', 6, 'Promoción', [['Lunes', '18:00', '20:00'], ['Miércoles', '18:00', '20:00']]],
+    ['Base de Datos II', 3, 'Formación Específica', 'Anual', 'Asignatura', 4, 'Examen Final', [['Martes', '18:00', '20:40']]],
+    ['Práctica Profesionalizante III', 3, 'Formación en la Práctica Profesional', 'Anual', 'Práctica Profesional', 3, 'Aprobación Directa', [['Viernes', '18:00', '20:00']]],
+];
+
+// [materia principal, materia requisito, tipo, estado_requisito]
+const CORRELATIVIDADES = [
+    ['Programación II', 'Programación I', 'Cursar', 'Regular'],
+    ['Programación II', 'Programación I', 'Promoción/Rendir', 'Aprobada'],
+    ['Base de Datos I', 'Matemática', 'Cursar', 'Regular'],
+    ['Práctica Profesionalizante II', 'Práctica Profesionalizante I', 'Cursar', 'Aprobada'],
+    ['Programación III', 'Programación II', 'Cursar', 'Regular'],
+    ['Base de Datos II', 'Base de Datos I', 'Cursar', 'Regular'],
+    ['Práctica Profesionalizante III', 'Práctica Profesionalizante II', 'Cursar', 'Aprobada'],
+];
+
+const SEMANAS = { Anual: 32, Cuatrimestral: 16 };
+// Las cuatrimestrales de ejemplo se dictan en el primer cuatrimestre
+const PERIODOS = { Anual: 'Anual', Cuatrimestral: '1° Cuatrimestre' };
+
+exports.run = async (conn) => {
+    const [existentes] = await conn.query('SELECT id_carrera FROM carrera WHERE nombre_carrera = ?', [CARRERA.nombre_carrera]);
+    if (existentes.length > 0) {
+        return 'la carrera de ejemplo ya existe, no se cargó nada';
+    }
+
+    const [carrera] = await conn.query(
+        'INSERT INTO carrera (nombre_carrera, duracion, modalidad, año_aprobacion, estado) VALUES (?, ?, ?, ?, ?)',
+        [CARRERA.nombre_carrera, CARRERA.duracion, CARRERA.modalidad, CARRERA.año_aprobacion, 'activa']
+    );
+    const idCarrera = carrera.insertId;
+
+    const idsMaterias = new Map();
+    let horarios = 0;
+
+    for (const [nombre, año, campo, modalidad, formato, horas, acreditacion, bloques] of MATERIAS) {
+        const [materia] = await conn.query(
+            `INSERT INTO materia (nombre_materia, id_carrera, año, campo_formacion, modalidad, periodo, formato, horas_semanales, total_horas_anuales, acreditacion)
+VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [nombre, idCarrera, año, campo, modalidad, PERIODOS[modalidad], formato, horas, horas * SEMANAS[modalidad], acreditacion]
+        );
+        idsMaterias.set(nombre, materia.insertId);
+
+        for (const [dia, inicio, fin] of bloques) {
+            await conn.query(
+                'INSERT INTO horario (id_materia, dia_semana, hora_inicio, hora_fin, estado) VALUES (?, ?, ?, ?, ?)',
+                [materia.insertId, dia, inicio, fin, 'activa']
+            );
+            horarios++;
+        }
+    }
+
+    for (const [principal, requisito, tipo, estadoRequisito] of CORRELATIVIDADES) {
+        await conn.query(
+            'INSERT INTO correlatividad (id_materia_principal, id_materia_requisito, tipo, estado_requisito, estado) VALUES (?, ?, ?, ?, ?)',
+            [idsMaterias.get(principal), idsMaterias.get(requisito), tipo, estadoRequisito, 'activa']
+        );
+    }
+
+    return `'${CARRERA.nombre_carrera}' con ${MATERIAS.length} materias, ${horarios} horarios y ${CORRELATIVIDADES.length} correlatividades`;
+};
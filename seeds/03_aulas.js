@@ -0,0 +1,49 @@
+// backend/seeds/03_aulas.js
+
+/*
+ * Aulas de ejemplo. Asigna un aula por año a los horarios sin aula de la carrera de ejemplo
+ * (sus horarios de un mismo año no se superponen, así que no hay reservas dobles).
+ */
+
+// [nombre, edificio, capacidad, recursos, año de la carrera de ejemplo que la usa]
+const AULAS = [
+    ['Aula 1', 'Edificio Central', 35, 'pizarra,proyector', 1],
+    ['Aula 2', 'Edificio Central', 35, 'pizarra,proyector', 2],
+    ['Laboratorio 1', 'Edificio Central', 25, 'computadoras,proyector', 3],
+];
+
+const CARRERA_EJEMPLO = 'Tecnicatura Superior en Desarrollo de Software';
+
+exports.run = async (conn) => {
+    let creadas = 0;
+    let asignados = 0;
+
+    for (const [nombre, edificio, capacidad, recursos, año] of AULAS) {
+        const [existentes] = await conn.query('SELECT id_aula FROM aula WHERE nombre = ?', [nombre]);
+        let idAula;
+
+        if (existentes.length > 0) {
+            idAula = existentes[0].id_aula;
+        } else {
+            const [result] = await conn.query(
+                'INSERT INTO aula (nombre, edificio, capacidad, recursos, estado) VALUES (?, ?, ?, ?, ?)',
+                [nombre, edificio, capacidad, recursos, 'activa']
+            );
+            idAula = result.insertId;
+            creadas++;
+        }
+
+        const [result] = await conn.query(
+            `UPDATE horario h
+JOIN materia m ON h.id_materia = m.id_materia
+JOIN carrera c ON m.id_carrera = c.id_carrera
+SET h.id_aula = ?
+WHERE c.nombre_carrera = ? AND m.año = ? AND h.id_aula IS NULL
+AND NOT EXISTS (SELECT 1 FROM (SELECT id_aula FROM horario WHERE id_aula = ?) ocupada)`,
+            [idAula, CARRERA_EJEMPLO, año, idAula]
+        );
+        asignados += result.affectedRows;
+    }
+
+    return `${creadas} aula(s) creada(s), ${asignados} horario(s) con aula asignada`;
+};
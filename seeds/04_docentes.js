@@ -0,0 +1,58 @@
+// backend/seeds/04_docentes.js
+
+/*
+ * Docentes de ejemplo. Cada uno queda como Titular de las materias de un año de la carrera de ejemplo
+ * y a cargo de sus horarios sin docente (los horarios de un mismo año no se superponen).
+ */
+
+// [nombre, apellido, dni, email, año de la carrera de ejemplo que dicta]
+const DOCENTES = [
+    ['Laura', 'Gómez', '20000001', 'laura.gomez@ies6.edu.ar', 1],
+    ['Martín', 'Ríos', '20000002', 'martin.rios@ies6.edu.ar', 2],
+    ['Carolina', 'Vera', '20000003', 'carolina.vera@ies6.edu.ar', 3],
+];
+
+const CARRERA_EJEMPLO = 'Tecnicatura Superior en Desarrollo de Software';
+
+exports.run = async (conn) => {
+    let creados = 0;
+    let asignados = 0;
+
+    for (const [nombre, apellido, dni, email, año] of DOCENTES) {
+        const [existentes] = await conn.query('SELECT id_docente FROM docente WHERE dni = ?', [dni]);
+        let idDocente;
+
+        if (existentes.length > 0) {
+            idDocente = existentes[0].id_docente;
+        } else {
+            const [result] = await conn.query(
+                'INSERT INTO docente (nombre, apellido, dni, email, estado) VALUES (?, ?, ?, ?, ?)',
+                [nombre, apellido, dni, email, 'activa']
+            );
+            idDocente = result.insertId;
+            creados++;
+        }
+
+        await conn.query(
+            `INSERT IGNORE INTO materia_docente (id_materia, id_docente, cargo)
+SELECT m.id_materia, ?, 'Titular'
+FROM materia m
+JOIN carrera c ON m.id_carrera = c.id_carrera
+WHERE c.nombre_carrera = ? AND m.año = ?`,
+            [idDocente, CARRERA_EJEMPLO, año]
+        );
+
+        const [result] = await conn.query(
+            `UPDATE horario h
+JOIN materia m ON h.id_materia = m.id_materia
+JOIN carrera c ON m.id_carrera = c.id_carrera
+SET h.id_docente = ?
+WHERE c.nombre_carrera = ? AND m.año = ? AND h.id_docente IS NULL
+AND NOT EXISTS (SELECT 1 FROM (SELECT id_docente FROM horario WHERE id_docente = ?) ocupado)`,
+            [idDocente, CARRERA_EJEMPLO, año, idDocente]
+        );
+        asignados += result.affectedRows;
+    }
+
+    return `${creados} docente(s) creado(s), ${asignados} horario(s) con docente asignado`;
+};
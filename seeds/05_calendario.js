@@ -0,0 +1,38 @@
+// backend/seeds/05_calendario.js
+
+/*
+ * Ciclo lectivo del año actual (si todavía no existe) con fechas típicas y los feriados nacionales de fecha fija.
+ * Es solo un punto de partida: las fechas reales se ajustan cada año desde el panel.
+ */
+
+// [mes-día, descripción]
+const FERIADOS_FIJOS = [
+    ['03-24', 'Día Nacional de la Memoria por la Verdad y la Justicia'],
+    ['04-02', 'Día del Veterano y de los Caídos en la Guerra de Malvinas'],
+    ['05-01', 'Día del Trabajador'],
+    ['05-25', 'Día de la Revolución de Mayo'],
+    ['06-20', 'Paso a la Inmortalidad del Gral. Manuel Belgrano'],
+    ['07-09', 'Día de la Independencia'],
+];
+
+exports.run = async (conn) => {
+    const año = new Date().getFullYear();
+
+    const [existentes] = await conn.query('SELECT id_ciclo_lectivo FROM ciclo_lectivo WHERE año = ?', [año]);
+    if (existentes.length > 0) {
+        return `el ciclo lectivo ${año} ya existe`;
+    }
+
+    const [result] = await conn.query(
+        `INSERT INTO ciclo_lectivo (año, fecha_inicio, fecha_fin, fin_primer_cuatrimestre, inicio_segundo_cuatrimestre,
+            inicio_receso_invernal, fin_receso_invernal) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [año, `${año}-03-09`, `${año}-11-27`, `${año}-07-03`, `${año}-07-20`, `${año}-07-06`, `${año}-07-17`]
+    );
+
+    await conn.query(
+        'INSERT INTO dia_no_habil (id_ciclo_lectivo, fecha_inicio, fecha_fin, tipo, descripcion) VALUES ?',
+        [FERIADOS_FIJOS.map(([fecha, descripcion]) => [result.insertId, `${año}-${fecha}`, `${año}-${fecha}`, 'Feriado', descripcion])]
+    );
+
+    return `ciclo lectivo ${año} creado con ${FERIADOS_FIJOS.length} feriado(s)`;
+};
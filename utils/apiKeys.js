@@ -0,0 +1,64 @@
+// backend/utils/apiKeys.js
+
+const pool = require('../database');
+const { generateRandomToken, hashToken } = require('./tokens');
+
+// Prefijo visible de las claves (permite reconocerlas en logs y escáneres de secretos)
+const API_KEY_PREFIX = 'ies6';
+
+/*
+ * Tablas requeridas:
+ *   api_key (id_api_key PK, nombre, prefijo, key_hash, scopes, fecha_creacion, fecha_expiracion,
+ *            fecha_ultimo_uso, ip_ultimo_uso, fecha_revocacion, id_administrador_creador FK,
+ *            id_administrador_revocacion FK)
+ *   api_key_carrera (id_api_key FK, id_carrera FK) -- restricción opcional por carrera
+ */
+
+// 🔑 Scopes que puede recibir una API key: SOLO permisos de lectura de la oferta académica
+const API_KEY_SCOPES = ['carrera:read', 'materia:read', 'horario:read', 'correlatividad:read'];
+
+/**
+ * Genera una clave nueva con formato 'ies6_<prefijo>_<secreto>'.
+ * Solo se guarda el hash; el prefijo sirve para identificarla en los listados.
+ */
+exports.generateApiKey = () => {
+    const prefijo = generateRandomToken(4);
+    const key = `${API_KEY_PREFIX}_${prefijo}_${generateRandomToken(24)}`;
+    return { key, prefijo, key_hash: hashToken(key) };
+};
+
+/**
+ * Valida una API key presentada por un cliente.
+ * Devuelve { id_api_key, nombre, scopes, carreras } o null si no existe, expiró o fue revocada.
+ * Registra el último uso (como máximo una escritura por minuto).
+ */
+exports.verifyApiKey = async (key, ip) => {
+    if (!key || !String(key).startsWith(`${API_KEY_PREFIX}_`)) return null;
+
+    const [rows] = await pool.query(
+        `SELECT id_api_key, nombre, scopes FROM api_key
+WHERE key_hash = ? AND fecha_revocacion IS NULL AND fecha_expiracion > NOW()`,
+        [hashToken(key)]
+    );
+    const apiKey = rows[0];
+
+    if (!apiKey) return null;
+
+    const [carreras] = await pool.query('SELECT id_carrera FROM api_key_carrera WHERE id_api_key = ?', [apiKey.id_api_key]);
+
+    await pool.query(
+        `UPDATE api_key SET fecha_ultimo_uso = NOW(), ip_ultimo_uso = ?
+WHERE id_api_key = ? AND (fecha_ultimo_uso IS NULL OR fecha_ultimo_uso < DATE_SUB(NOW(), INTERVAL 1 MINUTE))`,
+        [ip || null, apiKey.id_api_key]
+    );
+
+    return {
+        id_api_key: apiKey.id_api_key,
+        nombre: apiKey.nombre,
+        // Se filtra contra el catálogo por si se quitó un scope después de emitir la clave
+        scopes: String(apiKey.scopes || '').split(',').filter(s => API_KEY_SCOPES.includes(s)),
+        carreras: carreras.map(row => row.id_carrera),
+    };
+};
+
+exports.API_KEY_SCOPES = API_KEY_SCOPES;
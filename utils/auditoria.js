@@ -0,0 +1,73 @@
+// backend/utils/auditoria.js
+
+const pool = require('../database');
+
+/*
+ * Tabla requerida:
+ *   auditoria (id_auditoria PK, id_administrador FK, accion, entidad, id_entidad,
+ *              antes JSON NULL, despues JSON NULL, campos_modificados, ip, fecha)
+ *
+ * accion:  'crear' | 'actualizar' | 'eliminar' | 'asignar' | 'desasignar' | 'desbloquear' | 'reset_2fa' | ...
+ * entidad: nombre de la tabla afectada ('carrera', 'materia', 'horario', 'correlatividad',
+ *          'administrador', 'admin_carrera', ...)
+ */
+
+// 🔒 Campos que nunca se guardan en claro en la auditoría (solo se indica que cambiaron)
+const CAMPOS_SENSIBLES = ['contraseña', 'totp_secreto', 'totp_secreto_pendiente', 'totp_ultimo_paso'];
+
+// Reemplaza los campos sensibles por una marca
+const sanitize = (registro) => {
+    if (!registro) return null;
+    const limpio = { ...registro };
+    for (const campo of CAMPOS_SENSIBLES) {
+        if (campo in limpio) limpio[campo] = '[oculto]';
+    }
+    return limpio;
+};
+
+// Lista de campos cuyo valor difiere entre 'antes' y 'despues'
+const changedFields = (antes, despues) => {
+    if (!antes || !despues) return [];
+    const campos = new Set([...Object.keys(antes), ...Object.keys(despues)]);
+    return [...campos].filter(campo => JSON.stringify(antes[campo]) !== JSON.stringify(despues[campo]));
+};
+
+/**
+ * Obtiene la fila actual de una entidad (para el 'antes' / 'despues' de la auditoría).
+ * Acepta una conexión para leer dentro de la transacción en curso.
+ */
+exports.obtenerRegistro = async (tabla, columnaId, id, conn = pool) => {
+    const [rows] = await conn.query('SELECT * FROM ?? WHERE ?? = ?', [tabla, columnaId, id]);
+    return rows[0] || null;
+};
+
+/**
+ * Registra una mutación en la tabla 'auditoria'.
+ * Si se pasa la conexión de una transacción, el registro se revierte junto con el cambio.
+ * Un fallo al auditar se informa en consola pero no interrumpe la operación.
+ */
+exports.registrarAuditoria = async (req, { accion, entidad, id_entidad, antes = null, despues = null }, conn = pool) => {
+    const antesLimpio = sanitize(antes);
+    const despuesLimpio = sanitize(despues);
+    // Los campos sensibles se comparan sin sanitizar para registrar que cambiaron
+    const campos = changedFields(antes, despues);
+
+    try {
+        await conn.query(
+            `INSERT INTO auditoria (id_administrador, accion, entidad, id_entidad, antes, despues, campos_modificados, ip, fecha)
+VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [
+                req.user ? req.user.id : null,
+                accion,
+                entidad,
+                id_entidad !== undefined && id_entidad !== null ? String(id_entidad) : null,
+                antesLimpio ? JSON.stringify(antesLimpio) : null,
+                despuesLimpio ? JSON.stringify(despuesLimpio) : null,
+                campos.length > 0 ? campos.join(',') : null,
+                req.ip || null,
+            ]
+        );
+    } catch (error) {
+        console.error(`Error al registrar la auditoría (${accion} ${entidad} ${id_entidad}):`, error);
+    }
+};
@@ -0,0 +1,150 @@
+// backend/utils/calendarioAcademico.js
+
+const pool = require('../database');
+const { DIAS_SEMANA } = require('./enums');
+
+/*
+ * Un ciclo lectivo por año con sus cuatrimestres y el receso invernal, los días sin clases de cada ciclo
+ * y el período de cada materia ('Anual', '1° Cuatrimestre' o '2° Cuatrimestre'); el esquema está en
+ * migrations/011_calendario_academico.js.
+ *
+ * Las fechas se manejan como texto YYYY-MM-DD (se comparan como texto).
+ * Si el año actual no tiene ciclo lectivo cargado, no se filtra nada: se muestran todos los horarios.
+ */
+
+const PRIMER_CUATRIMESTRE = '1° Cuatrimestre';
+const SEGUNDO_CUATRIMESTRE = '2° Cuatrimestre';
+
+const dosDigitos = (n) => String(n).padStart(2, '0');
+
+/**
+ * Fecha de hoy (hora local del servidor) como YYYY-MM-DD.
+ */
+const fechaHoy = () => {
+    const hoy = new Date();
+    return `${hoy.getFullYear()}-${dosDigitos(hoy.getMonth() + 1)}-${dosDigitos(hoy.getDate())}`;
+};
+
+// '2026-07-13' + 1 día → '2026-07-14'
+const sumarDias = (fecha, dias = 1) => {
+    const siguiente = new Date(`${fecha}T00:00:00Z`);
+    siguiente.setUTCDate(siguiente.getUTCDate() + dias);
+    return siguiente.toISOString().slice(0, 10);
+};
+
+// Día de la semana ('Lunes', ...) de una fecha YYYY-MM-DD
+const diaDeLaSemana = (fecha) => DIAS_SEMANA[(new Date(`${fecha}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+/**
+ * Ciclo lectivo de un año con sus días sin clases, o null si no está cargado.
+ */
+const obtenerCicloLectivo = async (año, conn = pool) => {
+    const [ciclos] = await conn.query(`SELECT
+id_ciclo_lectivo, año,
+DATE_FORMAT(fecha_inicio, '%Y-%m-%d') AS fecha_inicio, DATE_FORMAT(fecha_fin, '%Y-%m-%d') AS fecha_fin,
+DATE_FORMAT(fin_primer_cuatrimestre, '%Y-%m-%d') AS fin_primer_cuatrimestre,
+DATE_FORMAT(inicio_segundo_cuatrimestre, '%Y-%m-%d') AS inicio_segundo_cuatrimestre,
+DATE_FORMAT(inicio_receso_invernal, '%Y-%m-%d') AS inicio_receso_invernal,
+DATE_FORMAT(fin_receso_invernal, '%Y-%m-%d') AS fin_receso_invernal
+FROM ciclo_lectivo WHERE año = ?`, [año]);
+    if (ciclos.length === 0) return null;
+
+    const [dias] = await conn.query(`SELECT
+id_dia_no_habil, DATE_FORMAT(fecha_inicio, '%Y-%m-%d') AS fecha_inicio,
+DATE_FORMAT(fecha_fin, '%Y-%m-%d') AS fecha_fin, tipo, descripcion
+FROM dia_no_habil WHERE id_ciclo_lectivo = ? ORDER BY fecha_inicio`, [ciclos[0].id_ciclo_lectivo]);
+
+    return { ...ciclos[0], dias_no_habiles: dias };
+};
+
+/**
+ * Ciclo lectivo del año en curso (o null).
+ */
+const cicloLectivoActual = (conn = pool) => obtenerCicloLectivo(new Date().getFullYear(), conn);
+
+/**
+ * Cuatrimestre en curso: el primero hasta su fecha de fin (incluye el período previo al inicio de clases)
+ * y el segundo desde ahí (incluye el receso invernal y el final del año).
+ */
+const cuatrimestreEnCurso = (ciclo, hoy = fechaHoy()) =>
+    (hoy <= ciclo.fin_primer_cuatrimestre ? PRIMER_CUATRIMESTRE : SEGUNDO_CUATRIMESTRE);
+
+/**
+ * Períodos de materia que se están dictando: las anuales y las del cuatrimestre en curso.
+ * Sin ciclo lectivo devuelve null (no se filtra).
+ */
+const periodosEnCurso = (ciclo, hoy = fechaHoy()) => (ciclo ? ['Anual', cuatrimestreEnCurso(ciclo, hoy)] : null);
+
+/**
+ * Condición SQL para dejar solo las materias que se están dictando (alias de la tabla materia).
+ * Devuelve { sql, params, periodos, ciclo }; sin ciclo lectivo, 'sql' es vacío.
+ */
+const filtroPeriodoEnCurso = async (alias = 'm', conn = pool) => {
+    const ciclo = await cicloLectivoActual(conn);
+    const periodos = periodosEnCurso(ciclo);
+    if (!periodos) return { sql: '', params: [], periodos: null, ciclo: null };
+    return { sql: ` AND ${alias}.periodo IN (?, ?)`, params: periodos, periodos, ciclo };
+};
+
+/**
+ * Fechas de cursado de un período de materia dentro del ciclo: { inicio, fin }.
+ */
+const rangoPeriodo = (ciclo, periodo) => {
+    if (periodo === PRIMER_CUATRIMESTRE) return { inicio: ciclo.fecha_inicio, fin: ciclo.fin_primer_cuatrimestre };
+    if (periodo === SEGUNDO_CUATRIMESTRE) return { inicio: ciclo.inicio_segundo_cuatrimestre, fin: ciclo.fecha_fin };
+    return { inicio: ciclo.fecha_inicio, fin: ciclo.fecha_fin };
+};
+
+/**
+ * Todas las fechas sin clases del ciclo (receso invernal y días no hábiles), ordenadas y sin repetir.
+ */
+const fechasSinClases = (ciclo) => {
+    const rangos = [...(ciclo.dias_no_habiles || [])];
+    if (ciclo.inicio_receso_invernal && ciclo.fin_receso_invernal) {
+        rangos.push({ fecha_inicio: ciclo.inicio_receso_invernal, fecha_fin: ciclo.fin_receso_invernal });
+    }
+
+    const fechas = new Set();
+    for (const { fecha_inicio, fecha_fin } of rangos) {
+        for (let fecha = fecha_inicio; fecha <= fecha_fin; fecha = sumarDias(fecha)) {
+            fechas.add(fecha);
+        }
+    }
+    return [...fechas].sort();
+};
+
+/**
+ * Valida el orden de las fechas de un ciclo lectivo. Devuelve un mensaje de error o null.
+ */
+const validarFechasCiclo = ({ año, fecha_inicio, fecha_fin, fin_primer_cuatrimestre, inicio_segundo_cuatrimestre,
+    inicio_receso_invernal, fin_receso_invernal }) => {
+    if (Number(fecha_inicio.slice(0, 4)) !== Number(año)) {
+        return `El ciclo lectivo ${año} debe empezar en ese año.`;
+    }
+    if (!(fecha_inicio < fin_primer_cuatrimestre && fin_primer_cuatrimestre < inicio_segundo_cuatrimestre
+        && inicio_segundo_cuatrimestre < fecha_fin)) {
+        return 'Las fechas deben respetar el orden: inicio < fin del 1° cuatrimestre < inicio del 2° cuatrimestre < fin.';
+    }
+    if (Boolean(inicio_receso_invernal) !== Boolean(fin_receso_invernal)) {
+        return 'El receso invernal necesita fecha de inicio y de fin.';
+    }
+    if (inicio_receso_invernal && !(fecha_inicio <= inicio_receso_invernal
+        && inicio_receso_invernal <= fin_receso_invernal && fin_receso_invernal <= fecha_fin)) {
+        return 'El receso invernal debe estar dentro del ciclo lectivo y terminar después de empezar.';
+    }
+    return null;
+};
+
+exports.PRIMER_CUATRIMESTRE = PRIMER_CUATRIMESTRE;
+exports.SEGUNDO_CUATRIMESTRE = SEGUNDO_CUATRIMESTRE;
+exports.fechaHoy = fechaHoy;
+exports.sumarDias = sumarDias;
+exports.diaDeLaSemana = diaDeLaSemana;
+exports.obtenerCicloLectivo = obtenerCicloLectivo;
+exports.cicloLectivoActual = cicloLectivoActual;
+exports.cuatrimestreEnCurso = cuatrimestreEnCurso;
+exports.periodosEnCurso = periodosEnCurso;
+exports.filtroPeriodoEnCurso = filtroPeriodoEnCurso;
+exports.rangoPeriodo = rangoPeriodo;
+exports.fechasSinClases = fechasSinClases;
+exports.validarFechasCiclo = validarFechasCiclo;
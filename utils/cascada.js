@@ -0,0 +1,236 @@
+// backend/utils/cascada.js
+
+const { registrarAuditoria } = require('./auditoria');
+const { liberarAsignacionesEnConflicto, buscarSuperposiciones } = require('./horarioUtils');
+const { validarCorrelatividad } = require('./correlatividadGraph');
+
+/*
+ * Cambios de estado en cascada: carrera → materias → horarios / correlatividades.
+ *
+ * Todas las filas afectadas por una misma baja reciben EXACTAMENTE la misma
+ * 'fecha_eliminacion' e 'id_administrador_eliminacion' que la entidad padre.
+ * Ese sello permite reactivar en cascada solo lo que se dio de baja junto con ella
+ * (y no lo que ya estaba dado de baja antes por otro motivo).
+ *
+ * Las tablas hijas solo admiten 'activa' / 'inactiva': aunque la carrera quede 'cerrada',
+ * sus materias, horarios y correlatividades pasan a 'inactiva' (es lo que conoce la papelera).
+ *
+ * Al reactivar, cada correlatividad se vuelve a validar contra el grafo: mientras estuvo
+ * inactiva pudieron crearse otras que ahora cerrarían un ciclo. Esas quedan inactivas y se informan.
+ */
+
+// Tablas hijas en el orden en que se actualizan
+const TABLAS_CASCADA = [
+    { clave: 'materias', tabla: 'materia', id: 'id_materia' },
+    { clave: 'horarios', tabla: 'horario', id: 'id_horario' },
+    { clave: 'correlatividades', tabla: 'correlatividad', id: 'id_correlatividad' },
+];
+
+/**
+ * Fecha común para toda la cascada (sin milisegundos: DATETIME no los guarda
+ * y el sello se compara por igualdad al reactivar).
+ */
+exports.fechaCascada = () => new Date(Math.floor(Date.now() / 1000) * 1000);
+
+// Horarios y correlatividades de un conjunto de materias que cumplen 'condicion'
+const cargarHijosDeMaterias = async (conn, idsMaterias, condicion, params) => {
+    if (idsMaterias.length === 0) return { horarios: [], correlatividades: [] };
+
+    const [horarios] = await conn.query(
+        `SELECT h.id_horario, h.id_materia, h.dia_semana, h.hora_inicio, h.hora_fin
+FROM horario h WHERE h.id_materia IN (?) AND ${condicion('h')}`,
+        [idsMaterias, ...params]
+    );
+    const [correlatividades] = await conn.query(
+        `SELECT c.id_correlatividad, c.id_materia_principal, c.id_materia_requisito, c.tipo, c.estado_requisito
+FROM correlatividad c
+JOIN materia mp ON c.id_materia_principal = mp.id_materia
+JOIN materia mr ON c.id_materia_requisito = mr.id_materia
+WHERE (c.id_materia_principal IN (?) OR c.id_materia_requisito IN (?)) AND ${condicion('c')}
+AND (mp.estado = 'activa' OR mp.id_materia IN (?)) AND (mr.estado = 'activa' OR mr.id_materia IN (?))`,
+        [idsMaterias, idsMaterias, ...params, idsMaterias, idsMaterias]
+    );
+
+    return { horarios, correlatividades };
+};
+
+/**
+ * Filas ACTIVAS que se darán de baja junto con la carrera o la materia indicada.
+ * Devuelve { materias, horarios, correlatividades } (sirve también como vista previa).
+ */
+exports.calcularBajaEnCascada = async (conn, tipo, id) => {
+    let materias = [];
+    let idsMaterias = [Number(id)];
+
+    if (tipo === 'carrera') {
+        [materias] = await conn.query(
+            "SELECT id_materia, nombre_materia, año FROM materia WHERE id_carrera = ? AND estado = 'activa'",
+            [id]
+        );
+        idsMaterias = materias.map(m => m.id_materia);
+    }
+
+    if (idsMaterias.length === 0) return { materias, horarios: [], correlatividades: [] };
+
+    const [horarios] = await conn.query(
+        `SELECT id_horario, id_materia, dia_semana, hora_inicio, hora_fin
+FROM horario WHERE id_materia IN (?) AND estado = 'activa'`,
+        [idsMaterias]
+    );
+    // Una correlatividad se da de baja si CUALQUIERA de sus dos materias se da de baja
+    const [correlatividades] = await conn.query(
+        `SELECT id_correlatividad, id_materia_principal, id_materia_requisito, tipo
+FROM correlatividad
+WHERE (id_materia_principal IN (?) OR id_materia_requisito IN (?)) AND estado = 'activa'`,
+        [idsMaterias, idsMaterias]
+    );
+
+    return { materias, horarios, correlatividades };
+};
+
+/**
+ * Filas que se dieron de baja JUNTO con 'registro' (mismo sello de eliminación; el estado del padre
+ * puede ser 'cerrada' y el de los hijos 'inactiva') y que se reactivarán con él.
+ * Las correlatividades solo vuelven si sus dos materias quedan activas.
+ */
+exports.calcularReactivacionEnCascada = async (conn, tipo, registro) => {
+    const vacio = { materias: [], horarios: [], correlatividades: [] };
+    if (!registro || !registro.fecha_eliminacion) return vacio;
+
+    const sello = [registro.fecha_eliminacion, registro.id_administrador_eliminacion];
+    const condicion = alias => `${alias}.estado = 'inactiva' AND ${alias}.fecha_eliminacion = ? AND ${alias}.id_administrador_eliminacion <=> ?`;
+
+    let materias = [];
+    let idsMaterias = [Number(registro.id_materia)];
+
+    if (tipo === 'carrera') {
+        [materias] = await conn.query(
+            `SELECT m.id_materia, m.nombre_materia, m.año FROM materia m WHERE m.id_carrera = ? AND ${condicion('m')}`,
+            [registro.id_carrera, ...sello]
+        );
+        idsMaterias = materias.map(m => m.id_materia);
+    }
+
+    return { materias, ...(await cargarHijosDeMaterias(conn, idsMaterias, condicion, sello)) };
+};
+
+/**
+ * Superposiciones (misma carrera y año) que generarían los horarios al reactivarse: se comparan con los
+ * horarios ACTIVOS, antes de la reactivación (los que vuelven juntos ya convivían antes de la baja).
+ * Devuelve [{ id_horario, dia_semana, hora_inicio, hora_fin, superposiciones }] (vacío si no hay).
+ */
+exports.superposicionesAlReactivar = async (conn, horarios) => {
+    const resultado = [];
+    for (const horario of horarios) {
+        const superposiciones = await buscarSuperposiciones({ ...horario, excluirId: horario.id_horario }, conn);
+        if (superposiciones.length === 0) continue;
+        const { id_horario, dia_semana, hora_inicio, hora_fin } = horario;
+        resultado.push({ id_horario, dia_semana, hora_inicio, hora_fin, superposiciones });
+    }
+    return resultado;
+};
+
+/**
+ * Antes de reactivar horarios: les quita el aula o el docente si mientras estaban inactivos se dio
+ * de baja o lo ocupó otro horario (no se permiten reservas dobles).
+ * Devuelve { aulas_liberadas, docentes_liberados } con los horarios afectados.
+ */
+const liberarRecursosAlReactivar = async (conn, req, idsHorarios) => {
+    const liberados = await liberarAsignacionesEnConflicto(conn, idsHorarios);
+
+    for (const [recurso, horarios] of Object.entries(liberados)) {
+        if (horarios.length === 0) continue;
+        await registrarAuditoria(req, {
+            accion: `liberar_${recurso}`,
+            entidad: 'horario',
+            id_entidad: null,
+            antes: { horarios: horarios.map(({ id_horario, id }) => ({ id_horario, [`id_${recurso}`]: id })) },
+            despues: { ids: horarios.map(h => h.id_horario), [`id_${recurso}`]: null },
+        }, conn);
+    }
+
+    return { aulas_liberadas: liberados.aula, docentes_liberados: liberados.docente };
+};
+
+/**
+ * Valida una por una las correlatividades a reactivar: las que generarían un ciclo (con el grafo activo
+ * o con las ya aceptadas de la misma cascada) se pasan a 'omitidas' junto con el motivo.
+ * Cada correlatividad aceptada se activa en el momento para que la siguiente se valide contra ella;
+ * el UPDATE de aplicarCascada completa luego el resto de las columnas.
+ */
+const descartarCiclos = async (conn, correlatividades, omitidas) => {
+    const aceptadas = [];
+
+    for (const correlatividad of correlatividades) {
+        const { errores } = await validarCorrelatividad(correlatividad, conn);
+        if (errores.length > 0) {
+            omitidas.push({ ...correlatividad, motivo: errores.map(e => e.mensaje).join(' ') });
+            continue;
+        }
+        await conn.query("UPDATE correlatividad SET estado = 'activa' WHERE id_correlatividad = ?", [correlatividad.id_correlatividad]);
+        aceptadas.push(correlatividad);
+    }
+
+    return aceptadas;
+};
+
+/**
+ * Aplica el nuevo estado a todas las filas calculadas.
+ * - Baja (padre 'inactiva' o 'cerrada'): los hijos pasan a 'inactiva' con la misma fecha y administrador que el padre.
+ * - Reactivación ('activa'): se limpian los datos de la eliminación.
+ * Debe ejecutarse dentro de la transacción del cambio de estado del padre.
+ * Devuelve { aulas_liberadas, docentes_liberados, correlatividades_omitidas }: horarios reactivados que
+ * perdieron su aula o docente y correlatividades que no se reactivaron porque generarían un ciclo
+ * (estas se quitan de 'afectados.correlatividades' para que el resumen refleje lo que realmente cambió).
+ */
+exports.aplicarCascada = async (conn, req, afectados, { estado, fecha = null, id_administrador = null }) => {
+    const reactivar = estado === 'activa';
+    const estadoHijos = reactivar ? 'activa' : 'inactiva';
+    let liberados = { aulas_liberadas: [], docentes_liberados: [] };
+    const omitidas = [];
+
+    for (const { clave, tabla, id } of TABLAS_CASCADA) {
+        if (reactivar && clave === 'correlatividades') {
+            afectados.correlatividades = await descartarCiclos(conn, afectados.correlatividades, omitidas);
+        }
+        const ids = afectados[clave].map(row => row[id]);
+        if (ids.length === 0) continue;
+
+        if (reactivar) {
+            if (clave === 'horarios') {
+                liberados = await liberarRecursosAlReactivar(conn, req, ids);
+            }
+            await conn.query(
+                'UPDATE ?? SET estado = ?, fecha_eliminacion = NULL, id_administrador_eliminacion = NULL WHERE ?? IN (?)',
+                [tabla, estadoHijos, id, ids]
+            );
+        } else {
+            await conn.query(
+                'UPDATE ?? SET estado = ?, fecha_eliminacion = ?, id_administrador_eliminacion = ? WHERE ?? IN (?)',
+                [tabla, estadoHijos, fecha, id_administrador, id, ids]
+            );
+        }
+
+        await registrarAuditoria(req, {
+            accion: reactivar ? 'reactivar_cascada' : 'baja_cascada',
+            entidad: tabla,
+            id_entidad: null,
+            antes: { ids, estado: reactivar ? 'inactiva' : 'activa' },
+            despues: { ids, estado: estadoHijos },
+        }, conn);
+    }
+
+    return { ...liberados, correlatividades_omitidas: omitidas };
+};
+
+/**
+ * Resumen de la cascada para la respuesta (vista previa o resultado).
+ */
+exports.resumenCascada = (afectados) => ({
+    materias: afectados.materias,
+    horarios: afectados.horarios,
+    correlatividades: afectados.correlatividades,
+    total: afectados.materias.length + afectados.horarios.length + afectados.correlatividades.length,
+});
+
+exports.liberarRecursosAlReactivar = liberarRecursosAlReactivar;
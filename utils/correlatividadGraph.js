@@ -0,0 +1,270 @@
+// backend/utils/correlatividadGraph.js
+
+const pool = require('../database');
+
+/*
+ * Grafo de correlatividades: cada correlatividad ACTIVA es una arista
+ *   materia principal ──requiere──▶ materia requisito
+ *
+ * Problemas que se detectan:
+ *   - ciclo (error):                     A requiere B, B requiere C, C requiere A
+ *   - carrera_distinta (advertencia):    la materia requisito pertenece a otra carrera
+ *   - requisito_año_posterior (advert.): el requisito se dicta en un año posterior al de la principal
+ *   - redundante (advertencia):          la arista ya está implicada por otra cadena del mismo tipo
+ *                                        y estado_requisito (A→B→C hace redundante A→C)
+ */
+
+// Una cadena solo implica a otra arista si exige lo mismo (tipo + estado del requisito)
+const claveGrupo = (arista) => `${arista.tipo}|${arista.estado_requisito}`;
+
+/**
+ * Carga las materias y las correlatividades activas de TODO el plan de estudios
+ * (los ciclos pueden atravesar carreras mediante correlatividades entre carreras).
+ * 'excluirId' omite una correlatividad (la que se está editando).
+ */
+const cargarGrafo = async (conn = pool, excluirId = null) => {
+    const [materias] = await conn.query('SELECT id_materia, nombre_materia, id_carrera, año FROM materia');
+
+    let sql = `SELECT id_correlatividad, id_materia_principal, id_materia_requisito, tipo, estado_requisito
+FROM correlatividad WHERE estado = 'activa'`;
+    const params = [];
+    if (excluirId !== null && excluirId !== undefined) {
+        sql += ' AND id_correlatividad != ?';
+        params.push(excluirId);
+    }
+    const [aristas] = await conn.query(sql, params);
+
+    return {
+        materias: new Map(materias.map(m => [Number(m.id_materia), m])),
+        aristas: aristas.map(a => ({
+            ...a,
+            id_materia_principal: Number(a.id_materia_principal),
+            id_materia_requisito: Number(a.id_materia_requisito),
+        })),
+    };
+};
+
+// Lista de adyacencia (principal -> aristas salientes), opcionalmente filtrada
+const adyacencia = (aristas, filtro = () => true) => {
+    const ady = new Map();
+    for (const arista of aristas) {
+        if (!filtro(arista)) continue;
+        if (!ady.has(arista.id_materia_principal)) ady.set(arista.id_materia_principal, []);
+        ady.get(arista.id_materia_principal).push(arista);
+    }
+    return ady;
+};
+
+/**
+ * Busca un camino desde 'origen' hasta 'destino' (BFS). Devuelve la lista de ids de materia o null.
+ * 'ignorar' es una arista que no se puede usar (para comprobar redundancias).
+ */
+const buscarCamino = (ady, origen, destino, ignorar = null) => {
+    const previo = new Map([[origen, null]]);
+    const cola = [origen];
+
+    while (cola.length > 0) {
+        const actual = cola.shift();
+        for (const arista of ady.get(actual) || []) {
+            if (arista === ignorar) continue;
+            const siguiente = arista.id_materia_requisito;
+            if (previo.has(siguiente)) continue;
+            previo.set(siguiente, actual);
+            if (siguiente === destino) {
+                const camino = [destino];
+                let paso = actual;
+                while (paso !== null) {
+                    camino.unshift(paso);
+                    paso = previo.get(paso);
+                }
+                return camino;
+            }
+            cola.push(siguiente);
+        }
+    }
+    return null;
+};
+
+// Nombre legible de una materia para los mensajes
+const nombreMateria = (materias, id) => (materias.get(id) ? materias.get(id).nombre_materia : `#${id}`);
+
+const describirCamino = (materias, camino) => camino.map(id => nombreMateria(materias, id)).join(' → ');
+
+/**
+ * Advertencias propias de una arista (no dependen del resto del grafo).
+ */
+const problemasDeArista = (materias, arista) => {
+    const problemas = [];
+    const principal = materias.get(arista.id_materia_principal);
+    const requisito = materias.get(arista.id_materia_requisito);
+    if (!principal || !requisito) return problemas;
+
+    if (Number(principal.id_carrera) !== Number(requisito.id_carrera)) {
+        problemas.push({
+            tipo: 'carrera_distinta',
+            severidad: 'advertencia',
+            id_correlatividad: arista.id_correlatividad || null,
+            materias: [principal.id_materia, requisito.id_materia],
+            mensaje: `'${principal.nombre_materia}' tiene como requisito a '${requisito.nombre_materia}', que pertenece a otra carrera.`,
+        });
+    }
+
+    if (Number(requisito.año) > Number(principal.año)) {
+        problemas.push({
+            tipo: 'requisito_año_posterior',
+            severidad: 'advertencia',
+            id_correlatividad: arista.id_correlatividad || null,
+            materias: [principal.id_materia, requisito.id_materia],
+            mensaje: `'${principal.nombre_materia}' (${principal.año}° año) tiene como requisito a '${requisito.nombre_materia}', que se dicta en ${requisito.año}° año.`,
+        });
+    }
+
+    return problemas;
+};
+
+/**
+ * Indica si la arista está implicada por otra cadena del mismo grupo. Devuelve el camino alternativo o null.
+ */
+const caminoRedundante = (aristas, arista) => {
+    const grupo = claveGrupo(arista);
+    const ady = adyacencia(aristas, a => claveGrupo(a) === grupo);
+    return buscarCamino(ady, arista.id_materia_principal, arista.id_materia_requisito, arista);
+};
+
+/**
+ * Valida una correlatividad ANTES de guardarla (alta o modificación).
+ * Devuelve { errores: [...], advertencias: [...] }; si hay errores no debe guardarse.
+ */
+exports.validarCorrelatividad = async (nueva, conn = pool) => {
+    const { materias, aristas } = await cargarGrafo(conn, nueva.id_correlatividad);
+    const arista = {
+        ...nueva,
+        id_materia_principal: Number(nueva.id_materia_principal),
+        id_materia_requisito: Number(nueva.id_materia_requisito),
+    };
+
+    const errores = [];
+    const advertencias = problemasDeArista(materias, arista);
+
+    // 1. Ciclo: el requisito ya depende (directa o indirectamente) de la materia principal
+    const cicloCamino = buscarCamino(adyacencia(aristas), arista.id_materia_requisito, arista.id_materia_principal);
+    if (cicloCamino) {
+        errores.push({
+            tipo: 'ciclo',
+            severidad: 'error',
+            materias: cicloCamino,
+            mensaje: `La correlatividad genera un ciclo: ${describirCamino(materias, [arista.id_materia_principal, ...cicloCamino])}.`,
+        });
+    }
+
+    // 2. Redundancia de la nueva arista y de las existentes que pasan a estar implicadas por ella
+    const todas = [...aristas, arista];
+    const camino = caminoRedundante(todas, arista);
+    if (camino) {
+        advertencias.push({
+            tipo: 'redundante',
+            severidad: 'advertencia',
+            materias: camino,
+            mensaje: `La correlatividad ya está implicada por la cadena ${describirCamino(materias, camino)}.`,
+        });
+    }
+    for (const existente of aristas) {
+        if (claveGrupo(existente) !== claveGrupo(arista)) continue;
+        const alternativo = caminoRedundante(todas, existente);
+        if (alternativo && alternativo.some((id, i) => id === arista.id_materia_principal && alternativo[i + 1] === arista.id_materia_requisito)) {
+            advertencias.push({
+                tipo: 'redundante',
+                severidad: 'advertencia',
+                id_correlatividad: existente.id_correlatividad,
+                materias: alternativo,
+                mensaje: `La correlatividad existente ${describirCamino(materias, [existente.id_materia_principal, existente.id_materia_requisito])} queda implicada por la cadena ${describirCamino(materias, alternativo)}.`,
+            });
+        }
+    }
+
+    return { errores, advertencias };
+};
+
+/**
+ * Informe completo de los problemas del plan de una carrera
+ * (se incluyen las correlatividades en las que participa alguna materia de la carrera).
+ */
+exports.analizarCarrera = async (idCarrera, conn = pool) => {
+    const { materias, aristas } = await cargarGrafo(conn);
+    const esDeLaCarrera = id => materias.has(id) && Number(materias.get(id).id_carrera) === Number(idCarrera);
+    const aristasCarrera = aristas.filter(a => esDeLaCarrera(a.id_materia_principal) || esDeLaCarrera(a.id_materia_requisito));
+
+    const problemas = [];
+
+    // 1. Ciclos: componentes fuertemente conexas de más de una materia (Tarjan)
+    const ady = adyacencia(aristas);
+    const indice = new Map();
+    const bajo = new Map();
+    const pila = [];
+    const enPila = new Set();
+    let contador = 0;
+
+    const visitar = (v) => {
+        indice.set(v, contador);
+        bajo.set(v, contador);
+        contador++;
+        pila.push(v);
+        enPila.add(v);
+
+        for (const arista of ady.get(v) || []) {
+            const w = arista.id_materia_requisito;
+            if (!indice.has(w)) {
+                visitar(w);
+                bajo.set(v, Math.min(bajo.get(v), bajo.get(w)));
+            } else if (enPila.has(w)) {
+                bajo.set(v, Math.min(bajo.get(v), indice.get(w)));
+            }
+        }
+
+        if (bajo.get(v) === indice.get(v)) {
+            const componente = [];
+            let w;
+            do {
+                w = pila.pop();
+                enPila.delete(w);
+                componente.push(w);
+            } while (w !== v);
+
+            if (componente.length > 1 && componente.some(esDeLaCarrera)) {
+                // Ciclo concreto dentro de la componente, para el mensaje
+                const dentro = adyacencia(aristas, a => componente.includes(a.id_materia_principal) && componente.includes(a.id_materia_requisito));
+                const inicio = componente[componente.length - 1];
+                const siguiente = dentro.get(inicio)[0].id_materia_requisito;
+                const ciclo = [inicio, ...buscarCamino(dentro, siguiente, inicio)];
+                problemas.push({
+                    tipo: 'ciclo',
+                    severidad: 'error',
+                    materias: componente,
+                    mensaje: `Ciclo de correlatividades: ${describirCamino(materias, ciclo)}.`,
+                });
+            }
+        }
+    };
+
+    for (const id of ady.keys()) {
+        if (!indice.has(id)) visitar(id);
+    }
+
+    // 2. Advertencias por arista (carrera distinta, año posterior) y redundancias
+    for (const arista of aristasCarrera) {
+        problemas.push(...problemasDeArista(materias, arista));
+
+        const camino = caminoRedundante(aristas, arista);
+        if (camino) {
+            problemas.push({
+                tipo: 'redundante',
+                severidad: 'advertencia',
+                id_correlatividad: arista.id_correlatividad,
+                materias: camino,
+                mensaje: `La correlatividad ${describirCamino(materias, [arista.id_materia_principal, arista.id_materia_requisito])} está implicada por la cadena ${describirCamino(materias, camino)}.`,
+            });
+        }
+    }
+
+    return problemas;
+};
@@ -0,0 +1,35 @@
+// backend/utils/docentes.js
+
+const pool = require('../database');
+const { ENUMERACIONES } = require('./enums');
+
+/**
+ * Docentes ACTIVOS asignados a las materias indicadas, tal como se publican (web, chatbot y PDF):
+ * el email y el teléfono solo se incluyen si el docente los tiene marcados como visibles.
+ * Devuelve un Map id_materia → [{ id_docente, nombre, apellido, cargo, email?, telefono? }].
+ */
+exports.docentesPublicosPorMateria = async (idsMaterias, conn = pool) => {
+    const porMateria = new Map();
+    if (idsMaterias.length === 0) return porMateria;
+
+    const cargos = ENUMERACIONES.cargo_docente;
+    const [rows] = await conn.query(`SELECT
+md.id_materia, md.cargo, d.id_docente, d.nombre, d.apellido, d.email, d.telefono, d.mostrar_email, d.mostrar_telefono
+FROM materia_docente md
+JOIN docente d ON md.id_docente = d.id_docente
+WHERE md.id_materia IN (?) AND d.estado = 'activa'
+ORDER BY FIELD(md.cargo, ${cargos.map(() => '?').join(', ')}), d.apellido, d.nombre`, [idsMaterias, ...cargos]);
+
+    for (const row of rows) {
+        const docente = { id_docente: row.id_docente, nombre: row.nombre, apellido: row.apellido, cargo: row.cargo };
+        if (row.mostrar_email && row.email) docente.email = row.email;
+        if (row.mostrar_telefono && row.telefono) docente.telefono = row.telefono;
+
+        if (!porMateria.has(row.id_materia)) porMateria.set(row.id_materia, []);
+        porMateria.get(row.id_materia).push(docente);
+    }
+    return porMateria;
+};
+
+// "Apellido, Nombre (Cargo)"
+exports.nombreDocente = (docente) => `${docente.apellido}, ${docente.nombre}${docente.cargo ? ` (${docente.cargo})` : ''}`;
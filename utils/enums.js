@@ -0,0 +1,56 @@
+// backend/utils/enums.js
+
+const { PERMISOS, ALCANCES } = require('./permissions');
+const { API_KEY_SCOPES } = require('./apiKeys');
+const { ENTIDADES_PAPELERA } = require('./papelera');
+
+/*
+ * Valores permitidos de los campos tipo "enum" de la API.
+ * Es la fuente de verdad para la validación de los requests y para los <select> del panel
+ * (GET /api/admin/enumeraciones). Deben coincidir con los valores guardados en la base de datos.
+ */
+
+// Mismo orden que los ORDER BY FIELD(dia_semana, ...) de los listados
+const DIAS_SEMANA = ['Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado', 'Domingo'];
+
+const ENUMERACIONES = {
+    // Oferta académica
+    dia_semana: DIAS_SEMANA,
+    modalidad_carrera: ['Presencial', 'Semipresencial', 'A distancia'],
+    modalidad_materia: ['Anual', 'Cuatrimestral'],
+    periodo_materia: ['Anual', '1° Cuatrimestre', '2° Cuatrimestre'],
+    formato: ['Asignatura', 'Taller', 'Seminario', 'Módulo', 'Laboratorio', 'Ateneo', 'Trabajo de Campo', 'Práctica Profesional'],
+    tipo_correlatividad: ['Cursar', 'Promoción/Rendir'],
+    estado_requisito: ['Regular', 'Aprobada'],
+    estado_carrera: ['activa', 'cerrada', 'inactiva'],
+    cargo_docente: ['Titular', 'Adjunto', 'Auxiliar', 'Suplente'],
+    tipo_dia_no_habil: ['Feriado', 'Asueto', 'Jornada institucional', 'Otro'],
+    rol_tribunal: ['Presidente', 'Vocal', 'Suplente'],
+    tipo_excepcion_horario: ['Suspensión', 'Reprogramación', 'Cambio de aula'],
+
+    // Usuarios y accesos
+    estado_usuario: ['activo', 'suspendido', 'inactivo'],
+    estado_invitacion: ['pendiente', 'usada', 'expirada', 'revocada'],
+    alcance_rol: ALCANCES,
+    permiso: Object.keys(PERMISOS),
+    scope_api_key: API_KEY_SCOPES,
+
+    // Papelera
+    tipo_papelera: Object.keys(ENTIDADES_PAPELERA),
+};
+
+// Campos de texto libre que el panel ofrece con los valores ya cargados (no se validan contra una lista:
+// cada plan de estudios usa su propia nomenclatura). Clave -> tabla y columna de origen.
+const SUGERENCIAS = {
+    campo_formacion: { tabla: 'materia', columna: 'campo_formacion' },
+    acreditacion: { tabla: 'materia', columna: 'acreditacion' },
+};
+
+/**
+ * Texto sin tildes ni mayúsculas, para aceptar 'miercoles' o 'SABADO' como valores de un enum.
+ */
+exports.normalizarTexto = (texto) => String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+exports.ENUMERACIONES = ENUMERACIONES;
+exports.SUGERENCIAS = SUGERENCIAS;
+exports.DIAS_SEMANA = DIAS_SEMANA;
@@ -0,0 +1,122 @@
+// backend/utils/excepcionesHorario.js
+
+const pool = require('../database');
+const { fechaHoy, sumarDias, diaDeLaSemana } = require('./calendarioAcademico');
+
+/*
+ * Cada fila de 'horario_excepcion' (migrations/013_excepciones_horario.js) cambia UNA clase de un horario:
+ * 'fecha' es el día de la clase afectada (a lo sumo una excepción por horario y fecha). Según el tipo:
+ *   Suspensión      no hay clase ese día
+ *   Reprogramación  la clase pasa a nueva_fecha de nueva_hora_inicio a nueva_hora_fin (id_aula: otra aula, o la misma si es null)
+ *   Cambio de aula  la clase se dicta en el horario de siempre, en id_aula
+ */
+
+// Días que abarca "la próxima semana" en los listados públicos y el chatbot (desde hoy)
+const EXCEPCIONES_DIAS_AVISO = 7;
+
+// '2026-10-21' → '21/10'
+const diaMes = (fecha) => fecha.slice(5).split('-').reverse().join('/');
+
+/**
+ * Texto de una excepción para el sitio, el chatbot y los emails (texto plano: el motivo y las aulas se
+ * escapan con escapeHtml al insertarlo en un email).
+ */
+const describirExcepcion = (e) => {
+    const clase = `${e.dia_semana} ${diaMes(e.fecha)} (${e.hora_inicio} a ${e.hora_fin})`;
+    let cambio;
+    if (e.tipo === 'Suspensión') {
+        cambio = 'clase suspendida';
+    } else if (e.tipo === 'Reprogramación') {
+        const aula = e.nueva_aula || e.aula;
+        cambio = `se pasa al ${diaDeLaSemana(e.nueva_fecha)} ${diaMes(e.nueva_fecha)} de ${e.nueva_hora_inicio} a ${e.nueva_hora_fin}${aula ? ` (${aula})` : ''}`;
+    } else {
+        cambio = `se dicta en el aula ${e.nueva_aula || 'a confirmar'}${e.aula ? ` (en lugar de ${e.aula})` : ''}`;
+    }
+    return `${clase}: ${cambio}. Motivo: ${e.motivo}`;
+};
+
+/**
+ * Excepciones que cumplen 'where' (alias: e = horario_excepcion, h = horario, m = materia),
+ * ordenadas por fecha, con su descripción.
+ */
+const listarExcepciones = async (where, params, conn = pool) => {
+    const [rows] = await conn.query(`SELECT
+e.id_horario_excepcion, e.id_horario, h.id_materia, m.nombre_materia, m.id_carrera, e.tipo,
+DATE_FORMAT(e.fecha, '%Y-%m-%d') AS fecha, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin, a.nombre AS aula,
+DATE_FORMAT(e.nueva_fecha, '%Y-%m-%d') AS nueva_fecha,
+DATE_FORMAT(e.nueva_hora_inicio, '%H:%i') AS nueva_hora_inicio, DATE_FORMAT(e.nueva_hora_fin, '%H:%i') AS nueva_hora_fin,
+e.id_aula AS id_aula_nueva, an.nombre AS nueva_aula, e.motivo, e.fecha_creacion
+FROM horario_excepcion e
+JOIN horario h ON e.id_horario = h.id_horario
+JOIN materia m ON h.id_materia = m.id_materia
+LEFT JOIN aula a ON h.id_aula = a.id_aula
+LEFT JOIN aula an ON e.id_aula = an.id_aula
+WHERE ${where}
+ORDER BY e.fecha, h.hora_inicio, m.nombre_materia`, params);
+
+    return rows.map(e => ({ ...e, descripcion: describirExcepcion(e) }));
+};
+
+/**
+ * Excepciones de la próxima semana de los horarios activos de las materias indicadas:
+ * la clase afectada o la reprogramada caen entre hoy y los próximos EXCEPCIONES_DIAS_AVISO días.
+ */
+const excepcionesProximas = async (idsMaterias, conn = pool) => {
+    if (idsMaterias.length === 0) return [];
+    const desde = fechaHoy();
+    const hasta = sumarDias(desde, EXCEPCIONES_DIAS_AVISO - 1);
+
+    const excepciones = await listarExcepciones(
+        `h.id_materia IN (?) AND h.estado = 'activa' AND m.estado = 'activa'
+AND ((e.fecha BETWEEN ? AND ?) OR (e.nueva_fecha BETWEEN ? AND ?))`,
+        [idsMaterias, desde, hasta, desde, hasta],
+        conn
+    );
+    return excepciones.map(({ fecha_creacion, ...e }) => e);
+};
+
+/**
+ * Clases que ocupan un aula en una fecha y rango horario, teniendo en cuenta las excepciones:
+ * los horarios semanales del aula ese día (salvo los que tienen una excepción en esa fecha)
+ * y las clases reprogramadas o con cambio de aula que pasan a esa aula ese día.
+ * 'excluirHorario' omite las clases del horario que se está modificando.
+ */
+const clasesEnAula = async ({ id_aula, fecha, hora_inicio, hora_fin, excluirHorario = null }, conn = pool) => {
+    const [clases] = await conn.query(`SELECT * FROM (
+    SELECT h.id_horario, m.nombre_materia, c.nombre_carrera, m.año,
+        DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin
+    FROM horario h
+    JOIN materia m ON h.id_materia = m.id_materia
+    JOIN carrera c ON m.id_carrera = c.id_carrera
+    WHERE h.id_aula = ? AND h.dia_semana = ? AND h.estado = 'activa' AND m.estado = 'activa'
+    AND h.hora_inicio < ? AND h.hora_fin > ?
+    AND NOT EXISTS (SELECT 1 FROM horario_excepcion e WHERE e.id_horario = h.id_horario AND e.fecha = ?)
+    UNION ALL
+    SELECT h.id_horario, m.nombre_materia, c.nombre_carrera, m.año,
+        DATE_FORMAT(IF(e.tipo = 'Reprogramación', e.nueva_hora_inicio, h.hora_inicio), '%H:%i') AS hora_inicio,
+        DATE_FORMAT(IF(e.tipo = 'Reprogramación', e.nueva_hora_fin, h.hora_fin), '%H:%i') AS hora_fin
+    FROM horario_excepcion e
+    JOIN horario h ON e.id_horario = h.id_horario
+    JOIN materia m ON h.id_materia = m.id_materia
+    JOIN carrera c ON m.id_carrera = c.id_carrera
+    WHERE h.estado = 'activa' AND m.estado = 'activa'
+    AND ((e.tipo = 'Reprogramación' AND e.nueva_fecha = ? AND COALESCE(e.id_aula, h.id_aula) = ?
+            AND e.nueva_hora_inicio < ? AND e.nueva_hora_fin > ?)
+        OR (e.tipo = 'Cambio de aula' AND e.fecha = ? AND e.id_aula = ? AND h.hora_inicio < ? AND h.hora_fin > ?))
+) AS clases
+WHERE id_horario != ?
+ORDER BY hora_inicio`, [
+        id_aula, diaDeLaSemana(fecha), hora_fin, hora_inicio, fecha,
+        fecha, id_aula, hora_fin, hora_inicio,
+        fecha, id_aula, hora_fin, hora_inicio,
+        excluirHorario || 0,
+    ]);
+    return clases;
+};
+
+exports.EXCEPCIONES_DIAS_AVISO = EXCEPCIONES_DIAS_AVISO;
+exports.describirExcepcion = describirExcepcion;
+exports.listarExcepciones = listarExcepciones;
+exports.excepcionesProximas = excepcionesProximas;
+exports.clasesEnAula = clasesEnAula;
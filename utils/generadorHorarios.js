@@ -0,0 +1,308 @@
+// backend/utils/generadorHorarios.js
+
+const { DIAS_SEMANA } = require('./enums');
+const { horaAMinutos, minutosAHora } = require('./horarioUtils');
+
+/*
+ * Generador automático de horarios para un año de una carrera (sin acceso a la base de datos).
+ *
+ * Cada materia necesita tantos módulos semanales como sus 'horas_semanales' (un módulo = una hora de
+ * clase de 'modulo' minutos), repartidos en bloques de módulos consecutivos (de 'bloqueMinimo' a
+ * 'bloqueMaximo') y como mucho un bloque por día. Los bloques se ubican dentro de las franjas
+ * permitidas, fuera de los bloqueos, sin superponerse entre sí (mismo año) ni con otros horarios
+ * del docente de la materia.
+ *
+ * La búsqueda es con vuelta atrás, empezando por las materias con menos lugares posibles,
+ * y está limitada a GENERADOR_LIMITE_PASOS intentos.
+ */
+
+const GENERADOR_LIMITE_PASOS = parseInt(process.env.GENERADOR_LIMITE_PASOS, 10) || 200000;
+
+// ---------------------------------------------------------
+// Intervalos [inicio, fin) en minutos
+// ---------------------------------------------------------
+
+const unirIntervalos = (intervalos) => {
+    const ordenados = [...intervalos].sort((a, b) => a[0] - b[0]);
+    const unidos = [];
+    for (const [inicio, fin] of ordenados) {
+        const ultimo = unidos[unidos.length - 1];
+        if (ultimo && inicio <= ultimo[1]) ultimo[1] = Math.max(ultimo[1], fin);
+        else unidos.push([inicio, fin]);
+    }
+    return unidos;
+};
+
+const restarIntervalos = (base, quitar) => {
+    let resultado = base;
+    for (const [qInicio, qFin] of quitar) {
+        resultado = resultado.flatMap(([inicio, fin]) => {
+            if (qFin <= inicio || qInicio >= fin) return [[inicio, fin]];
+            const partes = [];
+            if (qInicio > inicio) partes.push([inicio, qInicio]);
+            if (qFin < fin) partes.push([qFin, fin]);
+            return partes;
+        });
+    }
+    return resultado;
+};
+
+const seSuperpone = (intervalos, inicio, fin) => intervalos.some(([i, f]) => i < fin && f > inicio);
+
+/**
+ * Agrupa rangos { dia_semana?, hora_inicio, hora_fin } por día. Sin 'dia_semana' el rango vale para todos los días.
+ */
+const intervalosPorDia = (rangos, dias) => {
+    const porDia = Object.fromEntries(dias.map(dia => [dia, []]));
+    for (const rango of rangos) {
+        const intervalo = [horaAMinutos(rango.hora_inicio), horaAMinutos(rango.hora_fin)];
+        for (const dia of rango.dia_semana ? [rango.dia_semana] : dias) {
+            if (porDia[dia]) porDia[dia].push(intervalo);
+        }
+    }
+    return porDia;
+};
+
+/**
+ * Formas de repartir 'modulos' en bloques de 'minimo' a 'maximo' módulos, en hasta 'maxBloques' días.
+ * Primero las de menos bloques y, entre ellas, las más parejas. Con menos módulos que 'minimo' va un único bloque.
+ */
+const particiones = (modulos, minimo, maximo, maxBloques) => {
+    if (modulos <= minimo) return modulos > maximo ? [] : [[modulos]];
+
+    const resultado = [];
+    const armar = (resto, tope, actual) => {
+        if (resto === 0) {
+            resultado.push([...actual]);
+            return;
+        }
+        if (actual.length >= maxBloques) return;
+        for (let bloque = Math.min(tope, resto, maximo); bloque >= minimo; bloque--) {
+            actual.push(bloque);
+            armar(resto - bloque, bloque, actual);
+            actual.pop();
+        }
+    };
+    armar(modulos, maximo, []);
+
+    return resultado.sort((a, b) => a.length - b.length || (a[0] - a[a.length - 1]) - (b[0] - b[b.length - 1]));
+};
+
+// Módulos enteros que entran en los intervalos
+const modulosDisponibles = (intervalos, modulo) => intervalos.reduce((total, [inicio, fin]) => total + Math.floor((fin - inicio) / modulo), 0);
+
+// ---------------------------------------------------------
+// Búsqueda
+// ---------------------------------------------------------
+
+/**
+ * Ubica todas las materias de 'items' ({ materia, particiones, disponibles: { dia: intervalos } }).
+ * Devuelve { bloques } si encontró solución o { fallos, agotado } (fallos por índice de item).
+ */
+const buscar = (items, { dias, modulo, cargaInicial, limitePasos }) => {
+    const ocupado = Object.fromEntries(dias.map(dia => [dia, []]));
+    const carga = { ...cargaInicial };
+    const bloques = [];
+    const fallos = new Array(items.length).fill(0);
+    let pasos = 0;
+
+    const colocarBloques = (idx, particion, b, diasUsados, indiceDiaAnterior) => {
+        if (b === particion.length) return colocarMateria(idx + 1);
+
+        const item = items[idx];
+        const duracion = particion[b] * modulo;
+        // Dos bloques iguales seguidos se prueban en un solo orden de días (evita repetir combinaciones)
+        const indiceMinimo = b > 0 && particion[b] === particion[b - 1] ? indiceDiaAnterior + 1 : 0;
+
+        // Primero los días menos cargados, para repartir la semana
+        const candidatos = dias
+            .map((dia, indice) => ({ dia, indice }))
+            .filter(({ dia, indice }) => indice >= indiceMinimo && !diasUsados.has(dia))
+            .sort((x, y) => carga[x.dia] - carga[y.dia] || x.indice - y.indice);
+
+        for (const { dia, indice } of candidatos) {
+            for (const [inicio, fin] of item.disponibles[dia]) {
+                for (let desde = inicio; desde + duracion <= fin; desde += modulo) {
+                    if (++pasos > limitePasos) return false;
+                    const hasta = desde + duracion;
+                    if (seSuperpone(ocupado[dia], desde, hasta)) continue;
+
+                    ocupado[dia].push([desde, hasta]);
+                    carga[dia] += duracion;
+                    diasUsados.add(dia);
+                    bloques.push({ item, dia, desde, hasta });
+
+                    if (colocarBloques(idx, particion, b + 1, diasUsados, indice)) return true;
+
+                    bloques.pop();
+                    diasUsados.delete(dia);
+                    carga[dia] -= duracion;
+                    ocupado[dia].pop();
+                }
+            }
+        }
+        return false;
+    };
+
+    const colocarMateria = (idx) => {
+        if (idx === items.length) return true;
+        for (const particion of items[idx].particiones) {
+            if (colocarBloques(idx, particion, 0, new Set(), -1)) return true;
+            if (pasos > limitePasos) return false;
+        }
+        fallos[idx]++;
+        return false;
+    };
+
+    if (colocarMateria(0)) return { bloques };
+    return { fallos, agotado: pasos > limitePasos };
+};
+
+/**
+ * Propone un horario semanal sin superposiciones.
+ *
+ * materias: [{ id_materia, nombre_materia, horas_semanales, id_docente?, docente? }]
+ * dias: días permitidos; franjas: rangos permitidos; bloqueados: rangos no disponibles
+ *       (rangos { dia_semana?, hora_inicio, hora_fin }; sin día valen para todos)
+ * ocupados: horarios que se mantienen del mismo año ({ dia_semana, hora_inicio, hora_fin })
+ * ocupacionDocentes: { id_docente: [{ dia_semana, hora_inicio, hora_fin }] } otros horarios de cada docente
+ * modulo: minutos por módulo; bloqueMinimo / bloqueMaximo: módulos por bloque
+ *
+ * Devuelve { horarios, advertencias } o { restricciones } con las que no se pudieron cumplir.
+ */
+exports.generarHorario = ({
+    materias, dias = DIAS_SEMANA.slice(0, 5), franjas, bloqueados = [], ocupados = [], ocupacionDocentes = {},
+    modulo, bloqueMinimo = 2, bloqueMaximo = 4, limitePasos = GENERADOR_LIMITE_PASOS,
+}) => {
+    const diasOrdenados = DIAS_SEMANA.filter(dia => dias.includes(dia));
+    const advertencias = [];
+    const restricciones = [];
+
+    // Tiempo libre del año: franjas permitidas menos bloqueos y horarios que se mantienen
+    const permitidos = intervalosPorDia(franjas, diasOrdenados);
+    const noDisponibles = intervalosPorDia([...bloqueados, ...ocupados], diasOrdenados);
+    const libres = {};
+    const cargaInicial = {};
+    for (const dia of diasOrdenados) {
+        libres[dia] = restarIntervalos(unirIntervalos(permitidos[dia]), unirIntervalos(noDisponibles[dia]));
+        cargaInicial[dia] = intervalosPorDia(ocupados, [dia])[dia].reduce((total, [inicio, fin]) => total + fin - inicio, 0);
+    }
+    const modulosLibres = diasOrdenados.reduce((total, dia) => total + modulosDisponibles(libres[dia], modulo), 0);
+    const opcionesBusqueda = { dias: diasOrdenados, modulo, cargaInicial, limitePasos };
+
+    // 1. Restricciones de cada materia por separado
+    const items = [];
+    for (const materia of materias) {
+        const horas = parseFloat(materia.horas_semanales);
+        if (!Number.isFinite(horas) || horas <= 0) {
+            restricciones.push({
+                tipo: 'sin_horas_semanales', id_materia: materia.id_materia,
+                mensaje: `'${materia.nombre_materia}' no tiene cargadas las horas semanales.`,
+            });
+            continue;
+        }
+        const modulos = Math.ceil(horas);
+        if (modulos !== horas) {
+            advertencias.push({
+                tipo: 'horas_redondeadas', id_materia: materia.id_materia,
+                mensaje: `'${materia.nombre_materia}' tiene ${horas} horas semanales: se programan ${modulos} módulos.`,
+            });
+        }
+
+        const opciones = particiones(modulos, bloqueMinimo, bloqueMaximo, diasOrdenados.length);
+        if (opciones.length === 0) {
+            restricciones.push({
+                tipo: 'bloques_insuficientes', id_materia: materia.id_materia,
+                mensaje: `'${materia.nombre_materia}' necesita ${modulos} módulos y solo caben ${bloqueMaximo * diasOrdenados.length} ` +
+                    `(bloques de hasta ${bloqueMaximo} módulos, uno por día, en ${diasOrdenados.length} día(s)).`,
+            });
+            continue;
+        }
+
+        const ocupacionDocente = intervalosPorDia(ocupacionDocentes[materia.id_docente] || [], diasOrdenados);
+        const disponibles = {};
+        for (const dia of diasOrdenados) {
+            disponibles[dia] = restarIntervalos(libres[dia], unirIntervalos(ocupacionDocente[dia]));
+        }
+
+        const item = { materia, modulos, particiones: opciones, disponibles };
+
+        // ¿Entra sola? Si no, ¿entraría sin los otros horarios del docente?
+        if (!buscar([item], opcionesBusqueda).bloques) {
+            const entraSinDocente = materia.id_docente && buscar([{ ...item, disponibles: libres }], opcionesBusqueda).bloques;
+            restricciones.push(entraSinDocente
+                ? {
+                    tipo: 'docente_sin_disponibilidad', id_materia: materia.id_materia, id_docente: materia.id_docente,
+                    mensaje: `'${materia.nombre_materia}': ${materia.docente || 'el docente'} no tiene lugar libre para ${modulos} módulos en las franjas permitidas (ya tiene otros horarios).`,
+                }
+                : {
+                    tipo: 'sin_espacio', id_materia: materia.id_materia,
+                    mensaje: `'${materia.nombre_materia}': no hay bloques libres para ubicar ${modulos} módulos en las franjas y días permitidos.`,
+                });
+            continue;
+        }
+
+        item.lugares = diasOrdenados.reduce((total, dia) => total + modulosDisponibles(disponibles[dia], modulo), 0);
+        items.push(item);
+    }
+
+    // 2. Capacidad total del año
+    const modulosNecesarios = items.reduce((total, item) => total + item.modulos, 0);
+    if (modulosNecesarios > modulosLibres) {
+        restricciones.push({
+            tipo: 'capacidad_insuficiente',
+            mensaje: `Las materias necesitan ${modulosNecesarios} módulos semanales y las franjas permitidas solo tienen ${modulosLibres} libres.`,
+            modulos_necesarios: modulosNecesarios,
+            modulos_disponibles: modulosLibres,
+        });
+    }
+    if (restricciones.length > 0) return { restricciones };
+
+    // 3. Todas juntas: primero las que tienen menos lugar y más módulos
+    const ordenar = lista => [...lista].sort((a, b) => (a.lugares - a.modulos) - (b.lugares - b.modulos) || b.modulos - a.modulos);
+
+    let pendientes = ordenar(items);
+    const quitadas = [];
+    let resultado = buscar(pendientes, opcionesBusqueda);
+    const agotado = resultado.agotado;
+
+    // Sin solución: se quita la materia que más veces falló hasta que el resto entre, para informar cuáles sobran
+    while (!resultado.bloques && pendientes.length > 1) {
+        const { fallos } = resultado;
+        const peor = fallos.indexOf(Math.max(...fallos));
+        quitadas.push(pendientes[peor]);
+        pendientes = pendientes.filter((_, i) => i !== peor);
+        resultado = buscar(pendientes, opcionesBusqueda);
+    }
+
+    if (quitadas.length > 0 || !resultado.bloques) {
+        const sinLugar = resultado.bloques ? quitadas : items;
+        return {
+            restricciones: [{
+                tipo: agotado ? 'limite_de_busqueda' : 'combinacion_imposible',
+                mensaje: agotado
+                    ? 'No se encontró un horario válido dentro del límite de búsqueda. Amplíe las franjas o los días, o reduzca los bloqueos.'
+                    : resultado.bloques
+                        ? 'Cada materia entra por separado, pero no todas a la vez sin superponerse: sin las materias indicadas el resto sí entra.'
+                        : 'Cada materia entra por separado, pero no todas a la vez sin superponerse.',
+                materias_sin_lugar: sinLugar.map(({ materia, modulos }) => ({
+                    id_materia: materia.id_materia, nombre_materia: materia.nombre_materia, modulos,
+                })),
+            }],
+        };
+    }
+
+    const horarios = resultado.bloques
+        .map(({ item, dia, desde, hasta }) => ({
+            id_materia: item.materia.id_materia,
+            nombre_materia: item.materia.nombre_materia,
+            dia_semana: dia,
+            hora_inicio: minutosAHora(desde),
+            hora_fin: minutosAHora(hasta),
+            id_docente: item.materia.id_docente || null,
+            docente: item.materia.docente || null,
+        }))
+        .sort((a, b) => DIAS_SEMANA.indexOf(a.dia_semana) - DIAS_SEMANA.indexOf(b.dia_semana) || a.hora_inicio.localeCompare(b.hora_inicio));
+
+    return { horarios, advertencias };
+};
@@ -0,0 +1,237 @@
+// backend/utils/horarioUtils.js
+
+const pool = require('../database');
+const { DIAS_SEMANA, normalizarTexto } = require('./enums');
+
+/**
+ * Convierte 'HH:MM' o 'HH:MM:SS' a minutos desde las 00:00. Devuelve null si el formato no es válido.
+ */
+const horaAMinutos = (hora) => {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(hora).trim());
+    if (!match) return null;
+
+    const horas = parseInt(match[1], 10);
+    const minutos = parseInt(match[2], 10);
+    if (horas > 23 || minutos > 59 || (match[3] && parseInt(match[3], 10) > 59)) return null;
+
+    return horas * 60 + minutos;
+};
+
+/**
+ * Valida y normaliza los datos de un horario.
+ * Devuelve { error } o { dia_semana, hora_inicio, hora_fin } listos para guardar.
+ */
+exports.validarHorario = ({ dia_semana, hora_inicio, hora_fin }) => {
+    const dia = DIAS_SEMANA.find(d => normalizarTexto(d) === normalizarTexto(dia_semana));
+    if (!dia) {
+        return { error: `Error de validación: 'dia_semana' debe ser uno de: ${DIAS_SEMANA.join(', ')}.` };
+    }
+
+    const inicio = horaAMinutos(hora_inicio);
+    const fin = horaAMinutos(hora_fin);
+    if (inicio === null || fin === null) {
+        return { error: 'Error de validación: \'hora_inicio\' y \'hora_fin\' deben tener el formato HH:MM.' };
+    }
+    if (inicio >= fin) {
+        return { error: 'Error de validación: \'hora_inicio\' debe ser anterior a \'hora_fin\'.' };
+    }
+
+    const formatear = minutos => `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+    return { dia_semana: dia, hora_inicio: formatear(inicio), hora_fin: formatear(fin) };
+};
+
+// Dos materias coinciden en el tiempo si alguna es anual o si se dictan en el mismo cuatrimestre (materia.periodo)
+const periodosCompatibles = (a, b) => `(${a}.periodo = 'Anual' OR ${b}.periodo = 'Anual' OR ${a}.periodo = ${b}.periodo)`;
+
+/**
+ * Horarios ACTIVOS que se superponen con el indicado, de materias activas
+ * de la misma carrera y el mismo año (incluida la propia materia) que se dictan en el mismo período.
+ * 'excluirId' omite el horario que se está editando.
+ */
+exports.buscarSuperposiciones = async ({ id_materia, dia_semana, hora_inicio, hora_fin, excluirId = null }, conn = pool) => {
+    const [conflictos] = await conn.query(`SELECT
+h.id_horario, h.id_materia, m.nombre_materia, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+JOIN materia objetivo ON objetivo.id_materia = ?
+WHERE h.estado = 'activa' AND m.estado = 'activa'
+AND m.id_carrera = objetivo.id_carrera AND m.año = objetivo.año AND ${periodosCompatibles('m', 'objetivo')}
+AND h.dia_semana = ? AND h.hora_inicio < ? AND h.hora_fin > ?
+AND h.id_horario != ?
+ORDER BY h.hora_inicio`, [id_materia, dia_semana, hora_fin, hora_inicio, excluirId || 0]);
+
+    return conflictos;
+};
+
+/**
+ * Todas las superposiciones entre horarios activos de una carrera (por pares, agrupadas por año).
+ */
+exports.reporteSuperposiciones = async (idCarrera, conn = pool) => {
+    const [pares] = await conn.query(`SELECT
+m1.año, h1.dia_semana,
+h1.id_horario AS id_horario_1, m1.id_materia AS id_materia_1, m1.nombre_materia AS nombre_materia_1,
+DATE_FORMAT(h1.hora_inicio, '%H:%i') AS hora_inicio_1, DATE_FORMAT(h1.hora_fin, '%H:%i') AS hora_fin_1,
+h2.id_horario AS id_horario_2, m2.id_materia AS id_materia_2, m2.nombre_materia AS nombre_materia_2,
+DATE_FORMAT(h2.hora_inicio, '%H:%i') AS hora_inicio_2, DATE_FORMAT(h2.hora_fin, '%H:%i') AS hora_fin_2
+FROM horario h1
+JOIN materia m1 ON h1.id_materia = m1.id_materia
+JOIN horario h2 ON h2.id_horario > h1.id_horario AND h2.dia_semana = h1.dia_semana
+AND h2.hora_inicio < h1.hora_fin AND h2.hora_fin > h1.hora_inicio
+JOIN materia m2 ON h2.id_materia = m2.id_materia
+WHERE m1.id_carrera = ? AND m2.id_carrera = m1.id_carrera AND m2.año = m1.año AND ${periodosCompatibles('m1', 'm2')}
+AND h1.estado = 'activa' AND h2.estado = 'activa' AND m1.estado = 'activa' AND m2.estado = 'activa'
+ORDER BY m1.año, FIELD(h1.dia_semana, ${DIAS_SEMANA.map(() => '?').join(', ')}), h1.hora_inicio`, [idCarrera, ...DIAS_SEMANA]);
+
+    return pares;
+};
+
+// =========================================================
+// AULAS Y DOCENTES (recursos que no pueden estar en dos horarios a la vez)
+// =========================================================
+
+/*
+ * Recursos exclusivos de un horario:
+ *   columna: columna de 'horario' con la asignación
+ *   tabla / id: tabla del recurso y su clave primaria
+ *   nombre: expresión SQL legible (alias 'r' = el recurso)
+ */
+const RECURSOS_EXCLUSIVOS = {
+    aula: { columna: 'id_aula', tabla: 'aula', id: 'id_aula', nombre: 'r.nombre' },
+    docente: { columna: 'id_docente', tabla: 'docente', id: 'id_docente', nombre: "CONCAT(r.apellido, ', ', r.nombre)" },
+};
+
+// Franja en la que el edificio está abierto (para calcular los huecos libres y el % de ocupación)
+const AULAS_HORA_APERTURA = process.env.AULAS_HORA_APERTURA || '07:00';
+const AULAS_HORA_CIERRE = process.env.AULAS_HORA_CIERRE || '23:00';
+
+const minutosAHora = minutos => `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+
+/**
+ * Horarios ACTIVOS (de materias activas de cualquier carrera) que tienen asignado el recurso
+ * ('aula' o 'docente') en un rango que se superpone con el indicado.
+ * Con 'id_materia' (la materia del horario) se ignoran los de materias de otro cuatrimestre.
+ * 'excluirId' omite el horario que se está editando.
+ */
+exports.buscarConflictosRecurso = async (recurso, { id, id_materia = null, dia_semana, hora_inicio, hora_fin, excluirId = null }, conn = pool) => {
+    const { columna } = RECURSOS_EXCLUSIVOS[recurso];
+
+    const [conflictos] = await conn.query(`SELECT
+h.id_horario, h.id_materia, m.nombre_materia, m.año, c.nombre_carrera, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+JOIN carrera c ON m.id_carrera = c.id_carrera
+LEFT JOIN materia objetivo ON objetivo.id_materia = ?
+WHERE h.${columna} = ? AND h.estado = 'activa' AND m.estado = 'activa'
+AND (objetivo.id_materia IS NULL OR ${periodosCompatibles('m', 'objetivo')})
+AND h.dia_semana = ? AND h.hora_inicio < ? AND h.hora_fin > ?
+AND h.id_horario != ?
+ORDER BY h.hora_inicio`, [id_materia || 0, id, dia_semana, hora_fin, hora_inicio, excluirId || 0]);
+
+    return conflictos;
+};
+
+/**
+ * Horarios (de 'idsHorarios', a punto de reactivarse) cuya aula o docente se dio de baja o quedó
+ * ocupado por otro horario mientras estaban inactivos. Se les quita esa asignación para no duplicarla.
+ * Devuelve { aula: [...], docente: [...] } con los horarios liberados ({ id_horario, id, nombre, motivo }).
+ */
+exports.liberarAsignacionesEnConflicto = async (conn, idsHorarios) => {
+    const liberados = {};
+
+    for (const [recurso, { columna, tabla, id, nombre }] of Object.entries(RECURSOS_EXCLUSIVOS)) {
+        liberados[recurso] = [];
+        if (idsHorarios.length === 0) continue;
+
+        const [rows] = await conn.query(`SELECT
+h.id_horario, h.${columna} AS id, ${nombre} AS nombre,
+IF(r.estado <> 'activa', 'dado_de_baja', 'ocupado') AS motivo
+FROM horario h
+JOIN ${tabla} r ON h.${columna} = r.${id}
+WHERE h.id_horario IN (?)
+AND (r.estado <> 'activa' OR EXISTS (
+    SELECT 1 FROM horario o
+    JOIN materia om ON o.id_materia = om.id_materia
+    WHERE o.${columna} = h.${columna} AND o.estado = 'activa' AND om.estado = 'activa'
+    AND o.id_horario NOT IN (?) AND o.dia_semana = h.dia_semana
+    AND o.hora_inicio < h.hora_fin AND o.hora_fin > h.hora_inicio
+))`, [idsHorarios, idsHorarios]);
+
+        if (rows.length > 0) {
+            await conn.query(`UPDATE horario SET ${columna} = NULL WHERE id_horario IN (?)`, [rows.map(h => h.id_horario)]);
+        }
+        liberados[recurso] = rows;
+    }
+
+    return liberados;
+};
+
+/**
+ * Ocupación de un aula o agenda de un docente por día: horarios activos, minutos ocupados,
+ * huecos libres dentro de la franja AULAS_HORA_APERTURA - AULAS_HORA_CIERRE y porcentaje de ocupación.
+ * Con 'dia' devuelve solo ese día; si no, la semana completa con los totales.
+ */
+exports.ocupacionRecurso = async (recurso, idRecurso, dia = null, conn = pool) => {
+    const { columna } = RECURSOS_EXCLUSIVOS[recurso];
+    const params = [idRecurso];
+    let filtroDia = '';
+    if (dia) {
+        filtroDia = 'AND h.dia_semana = ?';
+        params.push(dia);
+    }
+
+    const [horarios] = await conn.query(`SELECT
+h.id_horario, h.id_materia, m.nombre_materia, m.año, c.id_carrera, c.nombre_carrera, h.dia_semana,
+DATE_FORMAT(h.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(h.hora_fin, '%H:%i') AS hora_fin,
+h.id_aula, a.nombre AS aula
+FROM horario h
+JOIN materia m ON h.id_materia = m.id_materia
+JOIN carrera c ON m.id_carrera = c.id_carrera
+LEFT JOIN aula a ON h.id_aula = a.id_aula
+WHERE h.${columna} = ? AND h.estado = 'activa' AND m.estado = 'activa' ${filtroDia}
+ORDER BY h.hora_inicio`, params);
+
+    const apertura = horaAMinutos(AULAS_HORA_APERTURA);
+    const cierre = horaAMinutos(AULAS_HORA_CIERRE);
+    const minutosDisponibles = cierre - apertura;
+
+    const dias = (dia ? [dia] : DIAS_SEMANA).map(diaSemana => {
+        const delDia = horarios.filter(h => h.dia_semana === diaSemana);
+
+        // Recorre los bloques en orden uniendo los que se tocan; lo que queda entre ellos está libre
+        const libres = [];
+        let ocupados = 0;
+        let cursor = apertura;
+        for (const h of delDia) {
+            const inicio = Math.max(horaAMinutos(h.hora_inicio), apertura);
+            const fin = Math.min(horaAMinutos(h.hora_fin), cierre);
+            if (fin <= cursor) continue;
+            if (inicio > cursor) libres.push({ hora_inicio: minutosAHora(cursor), hora_fin: minutosAHora(inicio) });
+            ocupados += fin - Math.max(inicio, cursor);
+            cursor = fin;
+        }
+        if (cursor < cierre) libres.push({ hora_inicio: minutosAHora(cursor), hora_fin: minutosAHora(cierre) });
+
+        return {
+            dia_semana: diaSemana,
+            horarios: delDia,
+            minutos_ocupados: ocupados,
+            porcentaje_ocupacion: Math.round((ocupados / minutosDisponibles) * 1000) / 10,
+            libres,
+        };
+    });
+
+    const minutosSemana = dias.reduce((suma, d) => suma + d.minutos_ocupados, 0);
+
+    return {
+        franja: { hora_apertura: minutosAHora(apertura), hora_cierre: minutosAHora(cierre) },
+        dias,
+        minutos_ocupados: minutosSemana,
+        porcentaje_ocupacion: Math.round((minutosSemana / (minutosDisponibles * dias.length)) * 1000) / 10,
+    };
+};
+
+exports.horaAMinutos = horaAMinutos;
+exports.minutosAHora = minutosAHora;
+exports.RECURSOS_EXCLUSIVOS = RECURSOS_EXCLUSIVOS;
@@ -0,0 +1,149 @@
+// backend/utils/horasValidacion.js
+
+const pool = require('../database');
+
+// Duración de la hora de clase en minutos (hora cátedra = 40; hora reloj = 60)
+const HORAS_MINUTOS_POR_HORA = parseInt(process.env.HORAS_MINUTOS_POR_HORA, 10) || 40;
+// Semanas de cursado de una materia anual y de una cuatrimestral
+const HORAS_SEMANAS_CURSADO = parseInt(process.env.HORAS_SEMANAS_CURSADO, 10) || 32;
+const HORAS_SEMANAS_CUATRIMESTRE = parseInt(process.env.HORAS_SEMANAS_CUATRIMESTRE, 10) || Math.round(HORAS_SEMANAS_CURSADO / 2);
+// Diferencia admitida entre el total anual cargado y el calculado (proporción: 0.1 = 10 %)
+const HORAS_TOLERANCIA = parseFloat(process.env.HORAS_TOLERANCIA) || 0.1;
+
+// Las materias cuatrimestrales se cursan la mitad de las semanas
+const semanasDeCursado = (materia) => (/cuatrim/i.test(String(materia.modalidad || '')) ? HORAS_SEMANAS_CUATRIMESTRE : HORAS_SEMANAS_CURSADO);
+
+const toNumber = (valor) => {
+    const numero = parseFloat(valor);
+    return Number.isFinite(numero) ? numero : null;
+};
+
+/**
+ * Compara las horas cargadas de una materia entre sí y con los minutos de sus horarios activos.
+ * 'minutosProgramados' es null cuando todavía no se conocen (alta de una materia).
+ * Devuelve la lista de advertencias ({ tipo, mensaje, ... }).
+ */
+const analizarMateria = (materia, minutosProgramados = null) => {
+    const advertencias = [];
+    const semanales = toNumber(materia.horas_semanales);
+    const anuales = toNumber(materia.total_horas_anuales);
+    const nombre = materia.nombre_materia || 'La materia';
+
+    if (!semanales) {
+        advertencias.push({ tipo: 'sin_horas_semanales', mensaje: `'${nombre}' no tiene cargadas las horas semanales.` });
+        return advertencias;
+    }
+
+    // 1. Total anual contra horas semanales × semanas de cursado
+    const semanas = semanasDeCursado(materia);
+    const anualEsperado = semanales * semanas;
+    if (anuales === null) {
+        advertencias.push({
+            tipo: 'sin_total_anual',
+            esperado: anualEsperado,
+            mensaje: `'${nombre}' no tiene cargado el total de horas anuales (se esperaban ${anualEsperado}).`,
+        });
+    } else if (Math.abs(anuales - anualEsperado) > anualEsperado * HORAS_TOLERANCIA) {
+        advertencias.push({
+            tipo: 'total_anual_no_coincide',
+            cargado: anuales,
+            esperado: anualEsperado,
+            mensaje: `'${nombre}': el total anual (${anuales} h) no coincide con ${semanales} h semanales × ${semanas} semanas = ${anualEsperado} h.`,
+        });
+    }
+
+    // 2. Minutos programados en los horarios activos contra horas semanales × minutos por hora
+    if (minutosProgramados !== null) {
+        const minutosEsperados = semanales * HORAS_MINUTOS_POR_HORA;
+        if (minutosProgramados === 0) {
+            advertencias.push({
+                tipo: 'sin_horarios',
+                esperado: minutosEsperados,
+                mensaje: `'${nombre}' no tiene horarios activos (se esperaban ${minutosEsperados} minutos semanales).`,
+            });
+        } else if (minutosProgramados !== minutosEsperados) {
+            advertencias.push({
+                tipo: 'horarios_no_coinciden',
+                cargado: minutosProgramados,
+                esperado: minutosEsperados,
+                mensaje: `'${nombre}': los horarios suman ${minutosProgramados} minutos semanales y ${semanales} h × ${HORAS_MINUTOS_POR_HORA} min = ${minutosEsperados}.`,
+            });
+        }
+    }
+
+    return advertencias;
+};
+
+// Minutos semanales programados por materia (solo horarios activos)
+const minutosPorMateria = async (conn, idsMaterias) => {
+    if (idsMaterias.length === 0) return new Map();
+
+    const [rows] = await conn.query(
+        `SELECT id_materia, COALESCE(SUM(TIME_TO_SEC(TIMEDIFF(hora_fin, hora_inicio))), 0) / 60 AS minutos
+FROM horario WHERE id_materia IN (?) AND estado = 'activa'
+GROUP BY id_materia`,
+        [idsMaterias]
+    );
+    return new Map(rows.map(row => [Number(row.id_materia), Math.round(Number(row.minutos))]));
+};
+
+/**
+ * Advertencias para el alta o la edición de una materia (no bloquean el guardado).
+ * En la edición se comparan también los horarios activos de la materia.
+ */
+exports.validarHorasMateria = async (materia, idMateria = null, conn = pool) => {
+    let minutos = null;
+    if (idMateria) {
+        minutos = (await minutosPorMateria(conn, [Number(idMateria)])).get(Number(idMateria)) || 0;
+    }
+    return analizarMateria(materia, minutos);
+};
+
+/**
+ * Informe de horas de una carrera: advertencias por materia y carga semanal sumada por año.
+ */
+exports.reporteHorasCarrera = async (idCarrera, conn = pool) => {
+    const [materias] = await conn.query(
+        `SELECT id_materia, nombre_materia, año, modalidad, horas_semanales, total_horas_anuales
+FROM materia WHERE id_carrera = ? AND estado = 'activa'
+ORDER BY año, nombre_materia`,
+        [idCarrera]
+    );
+    const minutos = await minutosPorMateria(conn, materias.map(m => m.id_materia));
+
+    const porAño = {};
+    const resultado = materias.map(materia => {
+        const minutosProgramados = minutos.get(Number(materia.id_materia)) || 0;
+
+        if (!porAño[materia.año]) {
+            porAño[materia.año] = { año: materia.año, horas_semanales: 0, minutos_programados: 0, total_horas_anuales: 0 };
+        }
+        porAño[materia.año].horas_semanales += toNumber(materia.horas_semanales) || 0;
+        porAño[materia.año].minutos_programados += minutosProgramados;
+        porAño[materia.año].total_horas_anuales += toNumber(materia.total_horas_anuales) || 0;
+
+        return {
+            ...materia,
+            minutos_programados: minutosProgramados,
+            advertencias: analizarMateria(materia, minutosProgramados),
+        };
+    });
+
+    return {
+        configuracion: {
+            minutos_por_hora: HORAS_MINUTOS_POR_HORA,
+            semanas_cursado: HORAS_SEMANAS_CURSADO,
+            semanas_cuatrimestre: HORAS_SEMANAS_CUATRIMESTRE,
+            tolerancia: HORAS_TOLERANCIA,
+        },
+        materias: resultado,
+        carga_por_año: Object.values(porAño).map(año => ({
+            ...año,
+            // Carga semanal según los horarios, en horas de clase
+            horas_programadas: Math.round((año.minutos_programados / HORAS_MINUTOS_POR_HORA) * 100) / 100,
+        })),
+    };
+};
+
+exports.HORAS_MINUTOS_POR_HORA = HORAS_MINUTOS_POR_HORA;
+exports.HORAS_SEMANAS_CURSADO = HORAS_SEMANAS_CURSADO;
@@ -0,0 +1,154 @@
+// backend/utils/icalendar.js
+
+const { DIAS_SEMANA } = require('./enums');
+const { diaDeLaSemana } = require('./calendarioAcademico');
+
+/*
+ * Generación de calendarios iCalendar (RFC 5545) con los horarios de cursado.
+ * Cada horario es un evento semanal que se repite dentro del período de cursado.
+ *
+ * Con ciclo lectivo cargado (utils/calendarioAcademico.js) cada horario usa las fechas del período de su materia
+ * y se omiten los días sin clases; si no, se usa el período de cursado configurado.
+ *
+ * Configuración (.env):
+ *   CURSADO_FECHA_INICIO / CURSADO_FECHA_FIN  período de cursado sin ciclo lectivo (YYYY-MM-DD); por defecto, 1/3 a 30/11 del año actual
+ *   CALENDARIO_ZONA_HORARIA                   zona horaria de los eventos (por defecto America/Argentina/Jujuy)
+ *   CALENDARIO_UTC_OFFSET                     su desfasaje fijo respecto de UTC (por defecto -03:00, sin horario de verano)
+ *   CALENDARIO_DOMINIO                        dominio de los UID de los eventos
+ */
+
+const CALENDARIO_ZONA_HORARIA = process.env.CALENDARIO_ZONA_HORARIA || 'America/Argentina/Jujuy';
+const CALENDARIO_UTC_OFFSET = process.env.CALENDARIO_UTC_OFFSET || '-03:00';
+const CALENDARIO_DOMINIO = process.env.CALENDARIO_DOMINIO || 'ies6.edu.ar';
+
+// Los calendarios suscriptos vuelven a pedir el archivo cada este tiempo
+const CALENDARIO_REFRESCO = 'PT6H';
+
+/**
+ * Período de cursado configurado: { inicio, fin } (YYYY-MM-DD).
+ */
+const periodoCursado = () => {
+    const año = new Date().getFullYear();
+    return {
+        inicio: process.env.CURSADO_FECHA_INICIO || `${año}-03-01`,
+        fin: process.env.CURSADO_FECHA_FIN || `${año}-11-30`,
+    };
+};
+
+// ---------------------------------------------------------
+// Formato del texto
+// ---------------------------------------------------------
+
+// Texto de una propiedad: se escapan '\', ';', ',' y los saltos de línea
+const escapar = (texto) => String(texto)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Las líneas de más de 75 bytes se continúan en la siguiente, que empieza con un espacio
+const plegar = (linea) => {
+    const partes = [];
+    let actual = '';
+    let bytes = 0;
+    for (const caracter of linea) {
+        const largo = Buffer.byteLength(caracter);
+        if (bytes + largo > (partes.length === 0 ? 75 : 74)) {
+            partes.push(actual);
+            actual = '';
+            bytes = 0;
+        }
+        actual += caracter;
+        bytes += largo;
+    }
+    partes.push(actual);
+    return partes.join('\r\n ');
+};
+
+// '2026-03-02' + '18:00' → '20260302T180000'
+const fechaHoraLocal = (fecha, hora) => `${fecha.replace(/-/g, '')}T${hora.replace(/:/g, '').padEnd(6, '0')}`;
+
+// Date → '20260302T210000Z'
+const fechaHoraUtc = (fecha) => fecha.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Primera fecha (YYYY-MM-DD) desde 'desde' que cae en 'diaSemana' ('Lunes', ...).
+ */
+const primeraFecha = (desde, diaSemana) => {
+    const fecha = new Date(`${desde}T00:00:00Z`);
+    // getUTCDay: 0 = domingo; DIAS_SEMANA empieza el lunes
+    const objetivo = (DIAS_SEMANA.indexOf(diaSemana) + 1) % 7;
+    fecha.setUTCDate(fecha.getUTCDate() + ((objetivo - fecha.getUTCDay() + 7) % 7));
+    return fecha.toISOString().slice(0, 10);
+};
+
+// Zona horaria de desfasaje fijo (Argentina no usa horario de verano)
+const vtimezone = () => {
+    const offset = CALENDARIO_UTC_OFFSET.replace(':', '');
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${CALENDARIO_ZONA_HORARIA}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        `TZOFFSETFROM:${offset}`,
+        `TZOFFSETTO:${offset}`,
+        `TZNAME:${CALENDARIO_UTC_OFFSET.slice(0, 3)}`,
+        'END:STANDARD',
+        'END:VTIMEZONE',
+    ];
+};
+
+/**
+ * Arma el archivo .ics.
+ * horarios: [{ id_horario, dia_semana, hora_inicio, hora_fin, resumen, lugar?, descripcion?, periodo? }]
+ * Cada horario se repite todas las semanas desde su primer día dentro de su 'periodo' (o el general)
+ * hasta el fin de ese período, salvo en las fechas de 'sinClases' (YYYY-MM-DD), que quedan como EXDATE.
+ * El UID depende solo del horario, así las aplicaciones suscriptas actualizan el mismo evento.
+ */
+exports.generarCalendario = ({ nombre, horarios, periodo = periodoCursado(), sinClases = [] }) => {
+    const ahora = fechaHoraUtc(new Date());
+
+    const lineas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//IES6//Horarios de cursado//ES',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapar(nombre)}`,
+        `X-WR-TIMEZONE:${CALENDARIO_ZONA_HORARIA}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${CALENDARIO_REFRESCO}`,
+        `X-PUBLISHED-TTL:${CALENDARIO_REFRESCO}`,
+        ...vtimezone(),
+    ];
+
+    for (const horario of horarios) {
+        const rango = horario.periodo || periodo;
+        const fecha = primeraFecha(rango.inicio, horario.dia_semana);
+        if (fecha > rango.fin) continue;
+
+        // UNTIL va en UTC: fin del último día del período en la hora local
+        const hasta = fechaHoraUtc(new Date(`${rango.fin}T23:59:59${CALENDARIO_UTC_OFFSET}`));
+        const excluidas = sinClases.filter(f => f >= fecha && f <= rango.fin && diaDeLaSemana(f) === horario.dia_semana);
+
+        lineas.push(
+            'BEGIN:VEVENT',
+            `UID:horario-${horario.id_horario}@${CALENDARIO_DOMINIO}`,
+            `DTSTAMP:${ahora}`,
+            `DTSTART;TZID=${CALENDARIO_ZONA_HORARIA}:${fechaHoraLocal(fecha, horario.hora_inicio)}`,
+            `DTEND;TZID=${CALENDARIO_ZONA_HORARIA}:${fechaHoraLocal(fecha, horario.hora_fin)}`,
+            `RRULE:FREQ=WEEKLY;UNTIL=${hasta}`,
+            `SUMMARY:${escapar(horario.resumen)}`
+        );
+        if (excluidas.length > 0) {
+            lineas.push(`EXDATE;TZID=${CALENDARIO_ZONA_HORARIA}:${excluidas.map(f => fechaHoraLocal(f, horario.hora_inicio)).join(',')}`);
+        }
+        if (horario.lugar) lineas.push(`LOCATION:${escapar(horario.lugar)}`);
+        if (horario.descripcion) lineas.push(`DESCRIPTION:${escapar(horario.descripcion)}`);
+        lineas.push('END:VEVENT');
+    }
+
+    lineas.push('END:VCALENDAR');
+    return `${lineas.map(plegar).join('\r\n')}\r\n`;
+};
+
+exports.periodoCursado = periodoCursado;
@@ -0,0 +1,122 @@
+// backend/utils/loginThrottle.js
+
+const pool = require('../database');
+const { logSecurityEvent } = require('./securityLog');
+
+// ⚙️ Parámetros de protección contra fuerza bruta (configurables por .env)
+const MAX_INTENTOS_CUENTA = parseInt(process.env.LOGIN_MAX_INTENTOS_CUENTA, 10) || 5;
+const BLOQUEO_MINUTOS = parseInt(process.env.LOGIN_BLOQUEO_MINUTOS, 10) || 15;
+const MAX_INTENTOS_IP = parseInt(process.env.LOGIN_MAX_INTENTOS_IP, 10) || 20;
+const VENTANA_IP_MINUTOS = parseInt(process.env.LOGIN_VENTANA_IP_MINUTOS, 10) || 15;
+const DEMORA_MAXIMA_MS = 8000;
+
+/*
+ * Tabla y columnas requeridas:
+ *   intento_login (id_intento PK, identificador, id_administrador, ip, exito, fecha)
+ *   administrador.intentos_fallidos (INT, default 0), administrador.bloqueado_hasta (DATETIME NULL)
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cantidad de intentos fallidos desde una IP dentro de la ventana de tiempo
+const countRecentIpFailures = async (ip) => {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS fallos FROM intento_login
+WHERE ip = ? AND exito = 0 AND fecha > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [ip, VENTANA_IP_MINUTOS]
+    );
+    return rows[0].fallos;
+};
+
+/**
+ * Verifica si la IP del cliente superó el límite de intentos fallidos.
+ * Devuelve { bloqueada, segundos } para informar el Retry-After.
+ */
+exports.checkIpBlocked = async (ip) => {
+    const fallos = await countRecentIpFailures(ip);
+    return { bloqueada: fallos >= MAX_INTENTOS_IP, segundos: VENTANA_IP_MINUTOS * 60 };
+};
+
+/**
+ * Registra un intento fallido (por cuenta y por IP), aplica el bloqueo temporal
+ * de la cuenta al llegar al máximo y espera una demora progresiva antes de responder.
+ */
+exports.registerFailedAttempt = async ({ identificador, usuario, ip }) => {
+    const idAdmin = usuario ? usuario.id_administrador : null;
+
+    await pool.query(
+        'INSERT INTO intento_login (identificador, id_administrador, ip, exito, fecha) VALUES (?, ?, ?, 0, NOW())',
+        [String(identificador).substring(0, 255), idAdmin, ip]
+    );
+
+    let fallosCuenta = 0;
+    if (usuario) {
+        await pool.query(
+            'UPDATE administrador SET intentos_fallidos = intentos_fallidos + 1 WHERE id_administrador = ?',
+            [idAdmin]
+        );
+        fallosCuenta = (usuario.intentos_fallidos || 0) + 1;
+
+        if (fallosCuenta >= MAX_INTENTOS_CUENTA) {
+            // Bloqueo temporal: se reinicia el contador para que, al vencer, vuelva a empezar la demora
+            await pool.query(
+                `UPDATE administrador
+SET bloqueado_hasta = DATE_ADD(NOW(), INTERVAL ? MINUTE), intentos_fallidos = 0
+WHERE id_administrador = ?`,
+                [BLOQUEO_MINUTOS, idAdmin]
+            );
+            await logSecurityEvent('bloqueo_cuenta', {
+                id_administrador: idAdmin,
+                ip,
+                detalle: { identificador, intentos: fallosCuenta, minutos: BLOQUEO_MINUTOS },
+            });
+        }
+    }
+
+    const fallosIp = await countRecentIpFailures(ip);
+    if (fallosIp === MAX_INTENTOS_IP) {
+        await logSecurityEvent('bloqueo_ip', {
+            ip,
+            detalle: { identificador, intentos: fallosIp, minutos: VENTANA_IP_MINUTOS },
+        });
+    }
+
+    // Demora progresiva: 0s, 0s, 0.5s, 1s, 2s, 4s, 8s (máximo)
+    const fallos = Math.max(fallosCuenta, fallosIp);
+    if (fallos > 2) {
+        await sleep(Math.min(500 * 2 ** (fallos - 3), DEMORA_MAXIMA_MS));
+    }
+};
+
+/**
+ * Registra un login exitoso y reinicia el contador de fallos de la cuenta.
+ */
+exports.registerSuccessfulAttempt = async ({ identificador, usuario, ip }) => {
+    await pool.query(
+        'INSERT INTO intento_login (identificador, id_administrador, ip, exito, fecha) VALUES (?, ?, ?, 1, NOW())',
+        [String(identificador).substring(0, 255), usuario.id_administrador, ip]
+    );
+    await pool.query(
+        'UPDATE administrador SET intentos_fallidos = 0, bloqueado_hasta = NULL WHERE id_administrador = ?',
+        [usuario.id_administrador]
+    );
+};
+
+/**
+ * Desbloqueo manual de una cuenta (acción del Rector).
+ * Acepta una conexión para desbloquear dentro de la transacción en curso.
+ */
+exports.unlockAccount = async (id_administrador, { desbloqueadoPor, ip } = {}, conn = pool) => {
+    const [result] = await conn.query(
+        'UPDATE administrador SET intentos_fallidos = 0, bloqueado_hasta = NULL WHERE id_administrador = ?',
+        [id_administrador]
+    );
+    if (result.affectedRows > 0) {
+        await logSecurityEvent('desbloqueo_cuenta', {
+            id_administrador,
+            ip,
+            detalle: { desbloqueado_por: desbloqueadoPor },
+        });
+    }
+    return result.affectedRows;
+};
@@ -0,0 +1,46 @@
+// backend/utils/mailer.js
+
+const nodemailer = require('nodemailer');
+
+// ⚙️ VARIABLES PARA SMTP EXTERNO (SendGrid)
+const EMAIL_SERVICE_HOST = process.env.EMAIL_SERVICE_HOST;
+const EMAIL_SERVICE_PORT = process.env.EMAIL_SERVICE_PORT;
+const EMAIL_SERVICE_USER = process.env.EMAIL_SERVICE_USER;
+const EMAIL_SERVICE_PASS = process.env.EMAIL_SERVICE_PASS;
+const EMAIL_FROM_ADDRESS = process.env.EMAIL_FROM_ADDRESS; // Remitente
+
+// ⚙️ CONFIGURACIÓN DE NODEMAILER (Usando SMTP Externo)
+const transporter = nodemailer.createTransport({
+    host: EMAIL_SERVICE_HOST,
+    port: EMAIL_SERVICE_PORT,
+    secure: false,
+    auth: {
+        user: EMAIL_SERVICE_USER,
+        pass: EMAIL_SERVICE_PASS,
+    },
+});
+
+/**
+ * Envía un email usando el remitente configurado del instituto.
+ * @param {{ to: string, subject: string, html: string }} options
+ */
+exports.sendMail = (options) => {
+    return transporter.sendMail({ from: EMAIL_FROM_ADDRESS, ...options });
+};
+
+/**
+ * Escapa un texto para insertarlo en el HTML de un email (nombres, motivos y otros datos cargados por usuarios).
+ */
+exports.escapeHtml = (texto) => String(texto ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Botón HTML reutilizado por los emails con enlaces de acción (reset, invitaciones, etc.).
+ */
+exports.actionButton = (href, text) => `<a href="${href}" style="background-color: #2563EB; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                    ${text}
+                </a>`;
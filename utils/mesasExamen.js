@@ -0,0 +1,146 @@
+// backend/utils/mesasExamen.js
+
+const pool = require('../database');
+const { horaAMinutos } = require('./horarioUtils');
+const { obtenerCicloLectivo } = require('./calendarioAcademico');
+
+/*
+ * Turnos de examen, sus mesas (una por materia y llamado) y el tribunal de cada mesa
+ * (tablas creadas en migrations/012_mesas_examen.js).
+ *
+ * Las superposiciones de mesas no impiden guardar: se devuelven como advertencias.
+ */
+
+// Orden de los integrantes del tribunal
+const ORDEN_ROL_TRIBUNAL = "FIELD(mt.rol, 'Presidente', 'Vocal', 'Suplente')";
+
+/**
+ * Turno de examen por ID (fechas como YYYY-MM-DD), o null.
+ */
+exports.obtenerTurnoExamen = async (id, conn = pool) => {
+    const [turnos] = await conn.query(`SELECT
+id_turno_examen, nombre, DATE_FORMAT(fecha_inicio, '%Y-%m-%d') AS fecha_inicio,
+DATE_FORMAT(fecha_fin, '%Y-%m-%d') AS fecha_fin, publicado
+FROM turno_examen WHERE id_turno_examen = ?`, [id]);
+    return turnos.length > 0 ? { ...turnos[0], publicado: Boolean(turnos[0].publicado) } : null;
+};
+
+/**
+ * Mesas que cumplen 'where' (alias: me = mesa_examen, m = materia, c = carrera), ordenadas por fecha,
+ * con su tribunal. 'publico' deja en el tribunal solo los docentes activos y sin datos de contacto.
+ */
+exports.listarMesas = async (where, params, { publico = false } = {}, conn = pool) => {
+    const [mesas] = await conn.query(`SELECT
+me.id_mesa_examen, me.id_turno_examen, t.nombre AS turno, me.id_materia, m.nombre_materia, m.año,
+c.id_carrera, c.nombre_carrera, me.llamado, DATE_FORMAT(me.fecha, '%Y-%m-%d') AS fecha,
+DATE_FORMAT(me.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(me.hora_fin, '%H:%i') AS hora_fin,
+me.id_aula, a.nombre AS aula, a.edificio, me.observaciones
+FROM mesa_examen me
+JOIN turno_examen t ON me.id_turno_examen = t.id_turno_examen
+JOIN materia m ON me.id_materia = m.id_materia
+JOIN carrera c ON m.id_carrera = c.id_carrera
+LEFT JOIN aula a ON me.id_aula = a.id_aula
+WHERE m.estado = 'activa' AND ${where}
+ORDER BY me.fecha, me.hora_inicio, c.nombre_carrera, m.año, m.nombre_materia`, params);
+    if (mesas.length === 0) return [];
+
+    const [tribunal] = await conn.query(`SELECT
+mt.id_mesa_examen, mt.id_docente, mt.rol, d.nombre, d.apellido, d.estado
+FROM mesa_tribunal mt
+JOIN docente d ON mt.id_docente = d.id_docente
+WHERE mt.id_mesa_examen IN (?)${publico ? " AND d.estado = 'activa'" : ''}
+ORDER BY ${ORDEN_ROL_TRIBUNAL}, d.apellido, d.nombre`, [mesas.map(me => me.id_mesa_examen)]);
+
+    return mesas.map(me => ({
+        ...me,
+        tribunal: tribunal
+            .filter(t => t.id_mesa_examen === me.id_mesa_examen)
+            .map(({ id_mesa_examen, estado, ...t }) => (publico ? { rol: t.rol, nombre: t.nombre, apellido: t.apellido } : { ...t, estado })),
+    }));
+};
+
+/**
+ * Advertencias de una mesa (nueva o editada): otras mesas del mismo día y horario
+ * de la misma carrera y año, en la misma aula o con integrantes del tribunal en común,
+ * y fecha en un día sin clases del calendario académico.
+ */
+exports.buscarConflictosMesa = async ({ id_materia, fecha, hora_inicio, hora_fin, id_aula = null, tribunal = [], excluirId = null }, conn = pool) => {
+    const advertencias = [];
+    const idsDocentes = tribunal.map(t => t.id_docente);
+
+    const [superpuestas] = await conn.query(`SELECT
+me.id_mesa_examen, m.nombre_materia, c.nombre_carrera, m.año, me.llamado,
+DATE_FORMAT(me.hora_inicio, '%H:%i') AS hora_inicio, DATE_FORMAT(me.hora_fin, '%H:%i') AS hora_fin,
+(m.id_carrera = objetivo.id_carrera AND m.año = objetivo.año) AS misma_carrera_anio,
+(me.id_aula IS NOT NULL AND me.id_aula = ?) AS misma_aula,
+(SELECT GROUP_CONCAT(CONCAT(d.apellido, ', ', d.nombre) SEPARATOR '; ')
+    FROM mesa_tribunal mt JOIN docente d ON mt.id_docente = d.id_docente
+    WHERE mt.id_mesa_examen = me.id_mesa_examen AND mt.id_docente IN (?)) AS docentes_en_comun
+FROM mesa_examen me
+JOIN materia m ON me.id_materia = m.id_materia
+JOIN carrera c ON m.id_carrera = c.id_carrera
+JOIN materia objetivo ON objetivo.id_materia = ?
+WHERE m.estado = 'activa' AND me.fecha = ? AND me.hora_inicio < ? AND me.hora_fin > ?
+AND me.id_mesa_examen != ?
+ORDER BY me.hora_inicio`,
+    [id_aula || 0, idsDocentes.length > 0 ? idsDocentes : [0], id_materia, fecha, hora_fin, hora_inicio, excluirId || 0]);
+
+    for (const otra of superpuestas) {
+        const mesa = {
+            id_mesa_examen: otra.id_mesa_examen, nombre_materia: otra.nombre_materia, nombre_carrera: otra.nombre_carrera,
+            año: otra.año, llamado: otra.llamado, hora_inicio: otra.hora_inicio, hora_fin: otra.hora_fin,
+        };
+        if (otra.misma_carrera_anio) {
+            advertencias.push({ tipo: 'misma_carrera_anio', mensaje: `Se superpone con la mesa de '${otra.nombre_materia}' (mismo año de la carrera).`, mesa });
+        }
+        if (otra.misma_aula) {
+            advertencias.push({ tipo: 'aula_ocupada', mensaje: `El aula ya tiene la mesa de '${otra.nombre_materia}' en ese horario.`, mesa });
+        }
+        if (otra.docentes_en_comun) {
+            advertencias.push({ tipo: 'tribunal_ocupado', mensaje: `${otra.docentes_en_comun} también integra(n) la mesa de '${otra.nombre_materia}' en ese horario.`, mesa });
+        }
+    }
+
+    // Feriados y asuetos del calendario académico (el receso invernal no cuenta: suele haber mesas)
+    const ciclo = await obtenerCicloLectivo(Number(fecha.slice(0, 4)), conn);
+    const diaNoHabil = ciclo && ciclo.dias_no_habiles.find(d => d.fecha_inicio <= fecha && fecha <= d.fecha_fin);
+    if (diaNoHabil) {
+        advertencias.push({ tipo: 'dia_no_habil', mensaje: `La fecha es un día sin clases: ${diaNoHabil.descripcion} (${diaNoHabil.tipo}).` });
+    }
+
+    return advertencias;
+};
+
+/**
+ * Pares de mesas del mismo día, carrera y año cuyos horarios se superponen (a partir de listarMesas).
+ */
+exports.superposicionesMesas = (mesas) => {
+    const pares = [];
+    for (let i = 0; i < mesas.length; i++) {
+        for (let j = i + 1; j < mesas.length; j++) {
+            const [a, b] = [mesas[i], mesas[j]];
+            if (a.fecha !== b.fecha || a.id_carrera !== b.id_carrera || a.año !== b.año) continue;
+            if (horaAMinutos(a.hora_inicio) < horaAMinutos(b.hora_fin) && horaAMinutos(b.hora_inicio) < horaAMinutos(a.hora_fin)) {
+                pares.push({
+                    fecha: a.fecha, id_carrera: a.id_carrera, nombre_carrera: a.nombre_carrera, año: a.año,
+                    mesas: [a, b].map(({ id_mesa_examen, nombre_materia, llamado, hora_inicio, hora_fin }) => ({
+                        id_mesa_examen, nombre_materia, llamado, hora_inicio, hora_fin,
+                    })),
+                });
+            }
+        }
+    }
+    return pares;
+};
+
+/**
+ * Turno publicado que se muestra por defecto en el sitio: el que está en curso o el próximo;
+ * si no hay ninguno por venir, el último que terminó. Null si no hay turnos publicados.
+ */
+exports.turnoPublicadoVigente = async (conn = pool) => {
+    const [turnos] = await conn.query(`SELECT id_turno_examen FROM turno_examen
+WHERE publicado = 1
+ORDER BY fecha_fin < CURDATE(), IF(fecha_fin < CURDATE(), -TO_DAYS(fecha_fin), TO_DAYS(fecha_inicio))
+LIMIT 1`);
+    return turnos.length > 0 ? exports.obtenerTurnoExamen(turnos[0].id_turno_examen, conn) : null;
+};
@@ -0,0 +1,164 @@
+// backend/utils/papelera.js
+
+// Días que un elemento dado de baja permanece en la papelera antes de poder purgarse
+const PAPELERA_RETENCION_DIAS = parseInt(process.env.PAPELERA_RETENCION_DIAS, 10) || 90;
+
+/*
+ * Entidades con eliminación lógica (estado = 'inactiva' + fecha_eliminacion + id_administrador_eliminacion).
+ *
+ *   tabla / id:      tabla y clave primaria
+ *   permiso:         permiso necesario para restaurarla (el mismo que para darla de baja)
+ *   descripcion:     expresión SQL legible para el listado (alias 'e' = la entidad)
+ *   joins:           JOINs necesarios para la descripción y el alcance
+ *   columnaCarrera:  columna que define la carrera (control de alcance)
+ *   padres:          entidades que deben seguir activas para poder restaurarla
+ *   referencias:     tablas que impiden el borrado físico mientras la referencien
+ *
+ * Lo que no figura como referencia se borra en cascada con la entidad, a propósito:
+ *   - horario_excepcion:    avisos con fecha de un horario; sin el horario no tienen sentido.
+ *   - suscripcion_materia:  suscripciones a los avisos de una materia que ya no existe.
+ *   - materia_docente:      asignaciones del docente a materias.
+ *
+ * El orden importa: la purga recorre la lista de hijos a padres.
+ */
+const ENTIDADES_PAPELERA = {
+    correlatividad: {
+        tabla: 'correlatividad',
+        id: 'id_correlatividad',
+        permiso: 'correlatividad:write',
+        descripcion: "CONCAT(mp.nombre_materia, ' ← ', mr.nombre_materia)",
+        joins: `JOIN materia mp ON e.id_materia_principal = mp.id_materia
+JOIN materia mr ON e.id_materia_requisito = mr.id_materia`,
+        columnaCarrera: 'mp.id_carrera',
+        padres: [
+            { tabla: 'materia', id: 'id_materia', columna: 'id_materia_principal', nombre: 'la materia principal' },
+            { tabla: 'materia', id: 'id_materia', columna: 'id_materia_requisito', nombre: 'la materia requisito' },
+        ],
+        referencias: [],
+    },
+    horario: {
+        tabla: 'horario',
+        id: 'id_horario',
+        permiso: 'horario:write',
+        descripcion: "CONCAT(m.nombre_materia, ' - ', e.dia_semana, ' ', e.hora_inicio, '-', e.hora_fin)",
+        joins: 'JOIN materia m ON e.id_materia = m.id_materia',
+        columnaCarrera: 'm.id_carrera',
+        padres: [
+            { tabla: 'materia', id: 'id_materia', columna: 'id_materia', nombre: 'la materia' },
+        ],
+        referencias: [],
+    },
+    materia: {
+        tabla: 'materia',
+        id: 'id_materia',
+        permiso: 'materia:write',
+        descripcion: 'e.nombre_materia',
+        joins: '',
+        columnaCarrera: 'e.id_carrera',
+        padres: [
+            { tabla: 'carrera', id: 'id_carrera', columna: 'id_carrera', nombre: 'la carrera' },
+        ],
+        referencias: [
+            { tabla: 'horario', columna: 'id_materia' },
+            { tabla: 'correlatividad', columna: 'id_materia_principal' },
+            { tabla: 'correlatividad', columna: 'id_materia_requisito' },
+            // Las mesas de examen son historial de actas: no se pierden al purgar la materia
+            { tabla: 'mesa_examen', columna: 'id_materia' },
+        ],
+    },
+    carrera: {
+        tabla: 'carrera',
+        id: 'id_carrera',
+        permiso: 'carrera:close',
+        descripcion: 'e.nombre_carrera',
+        joins: '',
+        columnaCarrera: 'e.id_carrera',
+        padres: [],
+        referencias: [
+            { tabla: 'materia', columna: 'id_carrera' },
+            { tabla: 'admin_carrera', columna: 'id_carrera' },
+            // Borrar estas filas ampliaría el alcance de la API key o de la invitación
+            { tabla: 'api_key_carrera', columna: 'id_carrera' },
+            { tabla: 'invitacion_carrera', columna: 'id_carrera' },
+        ],
+    },
+    aula: {
+        tabla: 'aula',
+        id: 'id_aula',
+        permiso: 'aula:write',
+        descripcion: "CONCAT(e.nombre, IFNULL(CONCAT(' (', e.edificio, ')'), ''))",
+        joins: '',
+        // Las aulas no pertenecen a una carrera: solo las ven los roles de alcance global
+        columnaCarrera: 'NULL',
+        padres: [],
+        referencias: [
+            { tabla: 'horario', columna: 'id_aula' },
+        ],
+    },
+    docente: {
+        tabla: 'docente',
+        id: 'id_docente',
+        permiso: 'docente:write',
+        descripcion: "CONCAT(e.apellido, ', ', e.nombre)",
+        joins: '',
+        // Igual que las aulas: no pertenecen a una carrera
+        columnaCarrera: 'NULL',
+        padres: [],
+        referencias: [
+            { tabla: 'horario', columna: 'id_docente' },
+            // Igual que las mesas: el tribunal de una mesa ya tomada no debe perder a sus miembros
+            { tabla: 'mesa_tribunal', columna: 'id_docente' },
+        ],
+    },
+};
+
+/**
+ * Padres inactivos de un elemento de la papelera (vacío si se puede restaurar).
+ * Devuelve la lista de nombres legibles ('la materia', 'la carrera', ...).
+ */
+exports.getPadresInactivos = async (conn, tipo, registro) => {
+    const inactivos = [];
+    for (const padre of ENTIDADES_PAPELERA[tipo].padres) {
+        const [rows] = await conn.query(
+            "SELECT 1 FROM ?? WHERE ?? = ? AND estado = 'activa'",
+            [padre.tabla, padre.id, registro[padre.columna]]
+        );
+        if (rows.length === 0) inactivos.push(padre.nombre);
+    }
+    return inactivos;
+};
+
+/**
+ * Borra físicamente los elementos dados de baja hace más de 'dias' días.
+ * Se omiten los que todavía están referenciados (ej: una materia con horarios en la papelera más recientes).
+ * Devuelve { [tipo]: [ids eliminados] }. Debe ejecutarse dentro de una transacción.
+ */
+exports.purgarPapelera = async (conn, dias = PAPELERA_RETENCION_DIAS) => {
+    const eliminados = {};
+
+    for (const [tipo, entidad] of Object.entries(ENTIDADES_PAPELERA)) {
+        const condiciones = ["e.estado = 'inactiva'", 'e.fecha_eliminacion < DATE_SUB(NOW(), INTERVAL ? DAY)'];
+        const params = [entidad.tabla, dias];
+
+        for (const ref of entidad.referencias) {
+            condiciones.push(`NOT EXISTS (SELECT 1 FROM ?? r WHERE r.?? = e.??)`);
+            params.push(ref.tabla, ref.columna, entidad.id);
+        }
+
+        const [rows] = await conn.query(
+            `SELECT e.${entidad.id} AS id FROM ?? e WHERE ${condiciones.join(' AND ')}`,
+            params
+        );
+        const ids = rows.map(row => row.id);
+
+        if (ids.length > 0) {
+            await conn.query('DELETE FROM ?? WHERE ?? IN (?)', [entidad.tabla, entidad.id, ids]);
+        }
+        eliminados[tipo] = ids;
+    }
+
+    return eliminados;
+};
+
+exports.ENTIDADES_PAPELERA = ENTIDADES_PAPELERA;
+exports.PAPELERA_RETENCION_DIAS = PAPELERA_RETENCION_DIAS;
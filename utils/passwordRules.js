@@ -0,0 +1,26 @@
+// backend/utils/passwordRules.js
+
+/**
+ * 🟢 FUNCIÓN DE UTILIDAD: Valida que la contraseña cumpla con los requisitos de seguridad.
+ * Compartida por la gestión de administradores y el restablecimiento de contraseña.
+ * Devuelve el mensaje de error o null si la contraseña es válida.
+ */
+exports.validatePasswordRules = (password) => {
+    if (password.length < 8) {
+        return "La contraseña debe tener al menos 8 caracteres.";
+    }
+    if (!/[A-Z]/.test(password)) {
+        return "La contraseña debe contener al menos una letra mayúscula.";
+    }
+    if (!/[a-z]/.test(password)) {
+        return "La contraseña debe contener al menos una letra minúscula.";
+    }
+    if (!/[0-9]/.test(password)) {
+        return "La contraseña debe contener al menos un número.";
+    }
+    // Asume que el usuario acepta la mayoría de los caracteres no alfanuméricos como especiales
+    if (!/[^a-zA-Z0-9\s]/.test(password)) { 
+        return "La contraseña debe contener al menos un carácter especial (ej: !@#$).";
+    }
+    return null; // Contraseña válida
+};
@@ -0,0 +1,147 @@
+// backend/utils/permissions.js
+
+const pool = require('../database');
+
+/*
+ * Tablas requeridas:
+ *   rol (id_rol PK, nombre UNIQUE, descripcion, alcance ENUM('global','asignadas'), es_sistema TINYINT)
+ *   rol_permiso (id_rol FK, permiso) -- PK compuesta (id_rol, permiso)
+ *
+ * 'administrador.rol' guarda el NOMBRE del rol (ej: 'Rector', 'Coordinador', 'Secretaría').
+ * El 'alcance' define sobre qué carreras actúan los permisos:
+ *   - global:     todas las carreras
+ *   - asignadas:  solo las carreras asignadas en 'admin_carrera'
+ */
+
+// 📋 Catálogo de permisos: el código es la fuente de verdad (cada permiso protege rutas concretas)
+const PERMISOS = {
+    'carrera:read': 'Ver carreras',
+    'carrera:create': 'Crear carreras',
+    'carrera:write': 'Editar datos de carreras y su coordinador',
+    'carrera:close': 'Cerrar, inactivar o eliminar carreras',
+    'materia:read': 'Ver materias',
+    'materia:write': 'Crear, editar y dar de baja materias',
+    'horario:read': 'Ver horarios',
+    'horario:write': 'Crear, editar y dar de baja horarios',
+    'correlatividad:read': 'Ver correlatividades',
+    'correlatividad:write': 'Crear, editar y dar de baja correlatividades',
+    'aula:read': 'Ver aulas y su ocupación',
+    'aula:write': 'Crear, editar y dar de baja aulas',
+    'docente:read': 'Ver docentes y sus horarios',
+    'docente:write': 'Crear, editar y dar de baja docentes',
+    'calendario:read': 'Ver los ciclos lectivos y los días sin clases',
+    'calendario:write': 'Editar el calendario académico (cuatrimestres, receso y días sin clases)',
+    'mesa:read': 'Ver turnos y mesas de examen',
+    'mesa:write': 'Crear, editar y eliminar mesas de examen y sus tribunales',
+    'turno:write': 'Crear, editar, publicar y eliminar turnos de examen',
+    'usuario:read': 'Ver usuarios',
+    'usuario:create': 'Invitar nuevos usuarios',
+    'usuario:write': 'Editar usuarios (rol, estado, desbloqueo, 2FA)',
+    'usuario:delete': 'Eliminar usuarios',
+    'rol:manage': 'Administrar roles y permisos',
+    'api_key:manage': 'Emitir y revocar API keys para clientes de máquina',
+    'auditoria:read': 'Consultar el registro de auditoría',
+    'papelera:purge': 'Borrar definitivamente los elementos vencidos de la papelera',
+};
+
+const ALCANCES = ['global', 'asignadas'];
+
+// Roles iniciales del sistema (se cargan con 'npm run seed', ver seeds/01_roles.js, y no se pueden eliminar)
+const ROLES_PREDETERMINADOS = [
+    {
+        nombre: 'Rector',
+        descripcion: 'Acceso total a todas las carreras y a la gestión de usuarios.',
+        alcance: 'global',
+        permisos: Object.keys(PERMISOS),
+    },
+    {
+        nombre: 'Coordinador',
+        descripcion: 'Gestiona materias, horarios y correlatividades de las carreras asignadas.',
+        alcance: 'asignadas',
+        permisos: [
+            'carrera:read', 'carrera:write',
+            'materia:read', 'materia:write',
+            'horario:read', 'horario:write',
+            'correlatividad:read', 'correlatividad:write',
+            'aula:read', 'docente:read', 'calendario:read',
+            'mesa:read', 'mesa:write',
+        ],
+    },
+];
+
+// Caché en memoria de los roles: se consulta en cada petición protegida
+const CACHE_TTL_MS = 60 * 1000;
+const rolesCache = new Map();
+
+/**
+ * Devuelve { nombre, alcance, permisos } del rol, o null si no existe.
+ */
+exports.getRoleDefinition = async (nombreRol) => {
+    const cached = rolesCache.get(nombreRol);
+    if (cached && cached.expira > Date.now()) {
+        return cached.rol;
+    }
+
+    const [roles] = await pool.query('SELECT id_rol, nombre, alcance FROM rol WHERE nombre = ?', [nombreRol]);
+    let rol = null;
+
+    if (roles.length > 0) {
+        const [permisos] = await pool.query('SELECT permiso FROM rol_permiso WHERE id_rol = ?', [roles[0].id_rol]);
+        rol = {
+            nombre: roles[0].nombre,
+            alcance: roles[0].alcance,
+            permisos: permisos.map(row => row.permiso),
+        };
+    }
+
+    rolesCache.set(nombreRol, { rol, expira: Date.now() + CACHE_TTL_MS });
+    return rol;
+};
+
+/**
+ * Vacía la caché de roles (se llama al crear, editar o eliminar un rol).
+ */
+exports.invalidateRoleCache = () => rolesCache.clear();
+
+/**
+ * Indica si el usuario cargado por 'protect' tiene TODOS los permisos indicados.
+ */
+exports.hasPermission = (user, ...permisos) => {
+    return Boolean(user && user.permisos && permisos.every(p => user.permisos.includes(p)));
+};
+
+/**
+ * Indica si el usuario puede operar sobre la carrera indicada según el alcance de su rol.
+ * 'carreras_a_cargo_ids' es null para los roles de alcance global.
+ */
+exports.canAccessCarrera = (user, idCarrera) => {
+    if (user.carreras_a_cargo_ids === null) return true;
+    return user.carreras_a_cargo_ids.map(id => parseInt(id)).includes(parseInt(idCarrera));
+};
+
+/**
+ * Fragmento WHERE que limita una consulta a las carreras del usuario.
+ * Devuelve null si el alcance es global (no hay que filtrar).
+ */
+exports.carreraScopeClause = (user, columna) => {
+    const ids = user.carreras_a_cargo_ids;
+    if (ids === null) return null;
+    if (ids.length === 0) return { sql: '1 = 0', params: [] };
+
+    return { sql: `${columna} IN (${ids.map(() => '?').join(', ')})`, params: ids };
+};
+
+/**
+ * Indica si el usuario puede asignar (o invitar con) el rol indicado ('rolDef' de getRoleDefinition).
+ * Con 'rol:manage' puede asignar cualquiera; si no, el rol no debe dar más de lo que ya tiene:
+ * sus permisos deben ser un subconjunto de los del usuario y un alcance global exige alcance global.
+ */
+exports.canAssignRole = (user, rolDef) => {
+    if (exports.hasPermission(user, 'rol:manage')) return true;
+    if (rolDef.alcance === 'global' && user.alcance !== 'global') return false;
+    return exports.hasPermission(user, ...rolDef.permisos);
+};
+
+exports.PERMISOS = PERMISOS;
+exports.ALCANCES = ALCANCES;
+exports.ROLES_PREDETERMINADOS = ROLES_PREDETERMINADOS;
@@ -0,0 +1,24 @@
+// backend/utils/securityLog.js
+
+const pool = require('../database');
+
+/*
+ * Tabla requerida:
+ *   log_seguridad (id_log PK, tipo_evento, id_administrador, ip, detalle JSON, fecha)
+ */
+
+/**
+ * Registra un evento de seguridad (bloqueos, desbloqueos, accesos sospechosos).
+ * Un fallo al registrar nunca debe interrumpir la operación que lo originó.
+ */
+exports.logSecurityEvent = async (tipo_evento, { id_administrador = null, ip = null, detalle = null } = {}) => {
+    console.warn(`[SEGURIDAD] ${tipo_evento} | Admin ID: ${id_administrador ?? '-'} | IP: ${ip ?? '-'}`, detalle || '');
+    try {
+        await pool.query(
+            'INSERT INTO log_seguridad (tipo_evento, id_administrador, ip, detalle, fecha) VALUES (?, ?, ?, ?, NOW())',
+            [tipo_evento, id_administrador, ip, detalle ? JSON.stringify(detalle) : null]
+        );
+    } catch (error) {
+        console.error('Error al registrar el evento de seguridad:', error);
+    }
+};
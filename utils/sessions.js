@@ -0,0 +1,168 @@
+// backend/utils/sessions.js
+
+const jwt = require('jsonwebtoken');
+const pool = require('../database');
+const { generateRandomToken, hashToken } = require('./tokens');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+// Access token de vida corta: la sesión real vive en la tabla 'sesion' (refresh token)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 7;
+
+/*
+ * Tabla requerida:
+ *   sesion (id_sesion PK, id_administrador FK, refresh_token_hash, refresh_token_hash_anterior,
+ *           ip, user_agent, fecha_creacion, fecha_ultimo_uso, fecha_expiracion,
+ *           fecha_revocacion, motivo_revocacion)
+ */
+
+/**
+ * Firma el access token (JWT) asociado a una sesión del servidor.
+ * 'sid' permite que 'protect' verifique que la sesión no fue revocada.
+ */
+const generateAccessToken = (id_administrador, rol, id_sesion) => {
+    return jwt.sign({ id_administrador, rol, sid: id_sesion }, JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    });
+};
+
+// Datos del cliente que se guardan con la sesión (para identificar dispositivos)
+const getClientInfo = (req) => ({
+    ip: req.ip || null,
+    user_agent: (req.headers['user-agent'] || '').substring(0, 255) || null,
+});
+
+/**
+ * Crea una sesión nueva (login/registro) y devuelve el par de tokens.
+ * Acepta una conexión para poder usarse dentro de una transacción.
+ */
+exports.createSession = async (id_administrador, rol, req, conn = pool) => {
+    const refreshToken = generateRandomToken(48);
+    const { ip, user_agent } = getClientInfo(req);
+
+    const [result] = await conn.query(
+        `INSERT INTO sesion (id_administrador, refresh_token_hash, ip, user_agent, fecha_creacion, fecha_ultimo_uso, fecha_expiracion)
+VALUES (?, ?, ?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [id_administrador, hashToken(refreshToken), ip, user_agent, REFRESH_TOKEN_DAYS]
+    );
+
+    return {
+        id_sesion: result.insertId,
+        token: generateAccessToken(id_administrador, rol, result.insertId),
+        refreshToken,
+    };
+};
+
+/**
+ * Rota un refresh token: el token presentado deja de servir y se emite uno nuevo.
+ * Si se presenta un refresh token ya rotado (posible robo), se revoca la sesión completa.
+ * Devuelve null si el token no es válido.
+ */
+exports.rotateSession = async (refreshToken, req) => {
+    const presentedHash = hashToken(refreshToken);
+
+    const [rows] = await pool.query(
+        `SELECT s.id_sesion, s.refresh_token_hash, s.refresh_token_hash_anterior, a.id_administrador, a.rol, a.estado
+FROM sesion s
+INNER JOIN administrador a ON s.id_administrador = a.id_administrador
+WHERE (s.refresh_token_hash = ? OR s.refresh_token_hash_anterior = ?)
+AND s.fecha_revocacion IS NULL
+AND s.fecha_expiracion > NOW()`,
+        [presentedHash, presentedHash]
+    );
+    const session = rows[0];
+
+    if (!session) {
+        return null;
+    }
+
+    // 🚨 Reutilización de un refresh token ya rotado: se invalida la sesión entera
+    if (session.refresh_token_hash !== presentedHash) {
+        await exports.revokeSession(session.id_sesion, 'reuso_refresh_token');
+        console.warn(`[SEGURIDAD] Reutilización de refresh token detectada. Sesión ${session.id_sesion} revocada.`);
+        return null;
+    }
+
+    if (session.estado !== 'activo') {
+        await exports.revokeSession(session.id_sesion, `cuenta_${session.estado}`);
+        return null;
+    }
+
+    const newRefreshToken = generateRandomToken(48);
+    const { ip, user_agent } = getClientInfo(req);
+
+    // Actualización condicional: si otra petición rotó el token primero, esta falla
+    const [result] = await pool.query(
+        `UPDATE sesion
+SET refresh_token_hash = ?, refresh_token_hash_anterior = ?, ip = ?, user_agent = ?, fecha_ultimo_uso = NOW()
+WHERE id_sesion = ? AND refresh_token_hash = ? AND fecha_revocacion IS NULL`,
+        [hashToken(newRefreshToken), presentedHash, ip, user_agent, session.id_sesion, presentedHash]
+    );
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    return {
+        id_administrador: session.id_administrador,
+        rol: session.rol,
+        token: generateAccessToken(session.id_administrador, session.rol, session.id_sesion),
+        refreshToken: newRefreshToken,
+    };
+};
+
+/**
+ * Indica si una sesión sigue vigente (no revocada ni expirada) para el administrador dado.
+ */
+exports.isSessionActive = async (id_sesion, id_administrador) => {
+    if (!id_sesion) return false;
+    const [rows] = await pool.query(
+        `SELECT 1 FROM sesion
+WHERE id_sesion = ? AND id_administrador = ? AND fecha_revocacion IS NULL AND fecha_expiracion > NOW()`,
+        [id_sesion, id_administrador]
+    );
+    return rows.length > 0;
+};
+
+/**
+ * Revoca una sesión concreta (logout del dispositivo actual).
+ */
+exports.revokeSession = async (id_sesion, motivo = 'logout', conn = pool) => {
+    const [result] = await conn.query(
+        'UPDATE sesion SET fecha_revocacion = NOW(), motivo_revocacion = ? WHERE id_sesion = ? AND fecha_revocacion IS NULL',
+        [motivo, id_sesion]
+    );
+    return result.affectedRows;
+};
+
+/**
+ * Revoca TODAS las sesiones activas de un administrador.
+ * Se usa en "cerrar sesión en todos los dispositivos" y cuando un Rector cambia
+ * el rol, el estado o la contraseña de un usuario.
+ */
+exports.revokeAllSessions = async (id_administrador, motivo, conn = pool) => {
+    const [result] = await conn.query(
+        'UPDATE sesion SET fecha_revocacion = NOW(), motivo_revocacion = ? WHERE id_administrador = ? AND fecha_revocacion IS NULL',
+        [motivo, id_administrador]
+    );
+    if (result.affectedRows > 0) {
+        console.log(`[INFO] Revocadas ${result.affectedRows} sesiones del Admin ID: ${id_administrador} (motivo: ${motivo}).`);
+    }
+    return result.affectedRows;
+};
+
+/**
+ * Revoca las sesiones del administrador salvo la indicada (la del dispositivo actual).
+ * Se usa cuando el propio usuario cambia su contraseña desde su perfil.
+ */
+exports.revokeOtherSessions = async (id_administrador, id_sesion_actual, motivo, conn = pool) => {
+    const [result] = await conn.query(
+        `UPDATE sesion SET fecha_revocacion = NOW(), motivo_revocacion = ?
+WHERE id_administrador = ? AND id_sesion <> ? AND fecha_revocacion IS NULL`,
+        [motivo, id_administrador, id_sesion_actual || 0]
+    );
+    if (result.affectedRows > 0) {
+        console.log(`[INFO] Revocadas ${result.affectedRows} sesiones de otros dispositivos del Admin ID: ${id_administrador} (motivo: ${motivo}).`);
+    }
+    return result.affectedRows;
+};
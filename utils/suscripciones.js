@@ -0,0 +1,51 @@
+// backend/utils/suscripciones.js
+
+const pool = require('../database');
+const { sendMail, actionButton, escapeHtml } = require('./mailer');
+
+/*
+ * Un email se suscribe una sola vez a cada materia (suscripcion_materia, ver migrations/013_excepciones_horario.js).
+ * Solo las suscripciones confirmadas (fecha_confirmacion) reciben avisos. El enlace de confirmación es de un
+ * solo uso (se guarda su hash); el código de baja va en cada aviso y no es secreto: solo permite darse de baja.
+ */
+
+// Página del frontend que confirma (?confirmar=...) o da de baja (?baja=...) una suscripción
+const SUSCRIPCION_URL = process.env.SUSCRIPCION_URL || process.env.CLIENT_URL;
+
+/**
+ * Envía el email con el enlace para confirmar la suscripción a una materia.
+ */
+exports.enviarConfirmacion = (email, nombreMateria, token) => sendMail({
+    to: email,
+    subject: `Confirmá tu suscripción a ${nombreMateria} - IES6`,
+    html: `
+                <p>Hola,</p>
+                <p>Pediste recibir por email los avisos de cambios de horario de <strong>${escapeHtml(nombreMateria)}</strong> (clases suspendidas, reprogramadas o con cambio de aula).</p>
+                <p>${actionButton(`${SUSCRIPCION_URL}?confirmar=${token}`, 'Confirmar suscripción')}</p>
+                <p style="margin-top: 20px;">Si no lo pediste, ignora este correo: no vas a recibir avisos.</p>
+            `,
+});
+
+/**
+ * Envía un aviso a los suscriptos confirmados de una materia (cada uno con su enlace de baja).
+ * Los envíos que fallan se registran y no interrumpen al resto. Devuelve la cantidad de avisos enviados.
+ */
+exports.notificarSuscriptores = async (idMateria, { subject, html }, conn = pool) => {
+    const [suscriptos] = await conn.query(
+        'SELECT email, codigo_baja FROM suscripcion_materia WHERE id_materia = ? AND fecha_confirmacion IS NOT NULL',
+        [idMateria]
+    );
+
+    const resultados = await Promise.allSettled(suscriptos.map(s => sendMail({
+        to: s.email,
+        subject,
+        html: `${html}
+                <p style="margin-top: 20px; font-size: 12px;">Recibís este aviso porque te suscribiste a la materia.
+                <a href="${SUSCRIPCION_URL}?baja=${s.codigo_baja}">Darme de baja</a></p>
+            `,
+    })));
+
+    const fallidos = resultados.filter(r => r.status === 'rejected');
+    fallidos.forEach(r => console.error(`Error al enviar un aviso de la materia ${idMateria}:`, r.reason));
+    return resultados.length - fallidos.length;
+};
@@ -0,0 +1,26 @@
+// backend/utils/tokens.js
+
+const crypto = require('crypto');
+
+/**
+ * Genera un token aleatorio opaco (hexadecimal) para enlaces y sesiones.
+ * Nunca se guarda en la base de datos tal cual: se guarda su hash (ver hashToken).
+ */
+exports.generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash SHA-256 de un token. Los tokens ya tienen alta entropía, por lo que
+ * no hace falta bcrypt y así se pueden buscar directamente por igualdad.
+ */
+exports.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Sin caracteres que se confunden al leerlos o dictarlos (0/O, 1/I/L)
+const ALFABETO_CODIGO = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Código corto y legible para compartir (no es secreto: no se hashea).
+ */
+exports.generarCodigoCorto = (largo = 8) => Array.from(
+    crypto.randomBytes(largo),
+    byte => ALFABETO_CODIGO[byte % ALFABETO_CODIGO.length]
+).join('');
@@ -0,0 +1,125 @@
+// backend/utils/totp.js
+
+const crypto = require('crypto');
+
+// Implementación de TOTP (RFC 6238) sobre HOTP (RFC 4226), compatible con
+// Google Authenticator, Microsoft Authenticator, Authy, etc. (SHA-1, 6 dígitos, 30 s).
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Codifica un Buffer en Base32 (RFC 4648, sin padding), formato que usan las apps autenticadoras.
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decodifica un texto Base32 (ignora espacios, guiones y padding).
+ */
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Secreto Base32 inválido.');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Calcula el código HOTP para un contador dado.
+ */
+const generateHOTP = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Paso de tiempo actual (contador TOTP)
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Genera un secreto nuevo (160 bits, recomendado por el RFC) en Base32.
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Código TOTP vigente para un secreto (útil para pruebas y soporte).
+ */
+exports.generateTOTP = (secret, now = Date.now()) => generateHOTP(secret, currentStep(now));
+
+/**
+ * Verifica un código TOTP con tolerancia de ±1 paso (desfase de reloj).
+ * Devuelve el paso que coincidió, o null. Si se indica 'lastStep', se rechazan
+ * los pasos ya usados para impedir reutilizar el mismo código.
+ */
+exports.verifyTOTP = (secret, code, { window = 1, lastStep = null, now = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep(now);
+    for (let i = -window; i <= window; i++) {
+        const candidate = step + i;
+        if (lastStep !== null && candidate <= Number(lastStep)) continue;
+
+        const expected = generateHOTP(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+};
+
+/**
+ * Construye la URI otpauth:// que se muestra como QR al enrolar el dispositivo.
+ */
+exports.buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+exports.base32Encode = base32Encode;
+exports.base32Decode = base32Decode;
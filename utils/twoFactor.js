@@ -0,0 +1,99 @@
+// backend/utils/twoFactor.js
+
+const crypto = require('crypto');
+const pool = require('../database');
+const { verifyTOTP } = require('./totp');
+const { hashToken } = require('./tokens');
+const { getRoleDefinition } = require('./permissions');
+
+// ⚙️ Si está en 'true', los roles que administran usuarios o roles (ej: Rector) deben tener 2FA activo para usar la API
+const TOTP_OBLIGATORIO_RECTOR = process.env.TOTP_OBLIGATORIO_RECTOR === 'true';
+const PERMISOS_2FA_OBLIGATORIO = ['usuario:write', 'rol:manage'];
+const CANTIDAD_CODIGOS_RECUPERACION = 10;
+// Sin caracteres ambiguos (0/O, 1/I/L) para facilitar la lectura en papel
+const RECOVERY_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/*
+ * Tabla y columnas requeridas:
+ *   codigo_recuperacion (id_codigo PK, id_administrador FK, codigo_hash, fecha_creacion, fecha_uso)
+ *   administrador.totp_secreto, administrador.totp_secreto_pendiente,
+ *   administrador.totp_habilitado (TINYINT, default 0), administrador.totp_ultimo_paso (BIGINT NULL)
+ */
+
+/**
+ * Indica si el rol exige 2FA por configuración (según sus permisos, no por su nombre).
+ */
+exports.is2FAMandatory = async (rol) => {
+    if (!TOTP_OBLIGATORIO_RECTOR) return false;
+    const rolDef = await getRoleDefinition(rol);
+    return Boolean(rolDef && rolDef.permisos.some(p => PERMISOS_2FA_OBLIGATORIO.includes(p)));
+};
+
+// Normaliza el formato de un código de recuperación (XXXXX-XXXXX → XXXXXXXXXX)
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const randomRecoveryCode = () => {
+    const bytes = crypto.randomBytes(10);
+    const raw = Array.from(bytes, b => RECOVERY_ALPHABET[b % RECOVERY_ALPHABET.length]).join('');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+};
+
+/**
+ * Genera un juego nuevo de códigos de recuperación (invalida los anteriores).
+ * Devuelve los códigos en claro: es la única vez que se muestran.
+ */
+exports.generateRecoveryCodes = async (id_administrador, conn = pool) => {
+    await conn.query('DELETE FROM codigo_recuperacion WHERE id_administrador = ?', [id_administrador]);
+
+    const codes = Array.from({ length: CANTIDAD_CODIGOS_RECUPERACION }, randomRecoveryCode);
+    const fechaCreacion = new Date();
+    const values = codes.map(code => [id_administrador, hashToken(normalizeRecoveryCode(code)), fechaCreacion]);
+
+    // Inserción masiva: mysql2 expande el array de filas en 'VALUES ?'
+    await conn.query(
+        'INSERT INTO codigo_recuperacion (id_administrador, codigo_hash, fecha_creacion) VALUES ?',
+        [values]
+    );
+    return codes;
+};
+
+/**
+ * Cantidad de códigos de recuperación sin usar.
+ */
+exports.countRecoveryCodes = async (id_administrador) => {
+    const [rows] = await pool.query(
+        'SELECT COUNT(*) AS restantes FROM codigo_recuperacion WHERE id_administrador = ? AND fecha_uso IS NULL',
+        [id_administrador]
+    );
+    return rows[0].restantes;
+};
+
+/**
+ * Verifica el segundo factor de un administrador con 2FA activo.
+ * Acepta un código TOTP ('codigo') o un código de recuperación de un solo uso ('codigo_recuperacion').
+ * Devuelve el método usado ('totp' | 'recuperacion') o null si no es válido.
+ */
+exports.verifySecondFactor = async (usuario, { codigo, codigo_recuperacion }) => {
+    if (codigo) {
+        const step = verifyTOTP(usuario.totp_secreto, codigo, { lastStep: usuario.totp_ultimo_paso });
+        if (step === null) return null;
+
+        // Guardar el paso usado para que el mismo código no sirva dos veces
+        await pool.query(
+            'UPDATE administrador SET totp_ultimo_paso = ? WHERE id_administrador = ?',
+            [step, usuario.id_administrador]
+        );
+        return 'totp';
+    }
+
+    if (codigo_recuperacion) {
+        const [result] = await pool.query(
+            `UPDATE codigo_recuperacion SET fecha_uso = NOW()
+WHERE id_administrador = ? AND codigo_hash = ? AND fecha_uso IS NULL`,
+            [usuario.id_administrador, hashToken(normalizeRecoveryCode(codigo_recuperacion))]
+        );
+        return result.affectedRows > 0 ? 'recuperacion' : null;
+    }
+
+    return null;
+};
@@ -0,0 +1,355 @@
+// backend/validators/adminSchemas.js
+
+// Esquemas de validación de las rutas de /api/admin (ver middleware/validateMiddleware.js)
+
+const { ENUMERACIONES } = require('../utils/enums');
+
+const id = { tipo: 'entero', requerido: true, min: 1 };
+const idOpcional = { tipo: 'entero', min: 1 };
+const booleano = { tipo: 'booleano' };
+const conId = { params: { id } };
+
+// =========================================================
+// OFERTA ACADÉMICA
+// =========================================================
+
+const carreraBody = {
+    nombre_carrera: { tipo: 'texto', requerido: true, maxLength: 150 },
+    duracion: { tipo: 'entero', requerido: true, min: 1, max: 10 },
+    modalidad: { tipo: 'texto', requerido: true, enum: ENUMERACIONES.modalidad_carrera },
+    año_aprobacion: { tipo: 'entero', requerido: true, min: 1900, max: 2100 },
+    id_coordinador: idOpcional,
+};
+
+exports.createCarrera = {
+    body: { ...carreraBody, id_coordinador: id },
+};
+
+exports.updateCarrera = {
+    params: { id },
+    query: { preview: booleano, cascada: booleano, forzar_superposicion: booleano },
+    body: { ...carreraBody, estado: { tipo: 'texto', enum: ENUMERACIONES.estado_carrera } },
+};
+
+exports.deleteCarrera = {
+    params: { id },
+    query: { preview: booleano },
+};
+
+exports.carreraId = conId;
+
+exports.listMaterias = {
+    query: { id_carrera: idOpcional },
+};
+
+const materiaBody = {
+    nombre_materia: { tipo: 'texto', requerido: true, maxLength: 150 },
+    id_carrera: id,
+    año: { tipo: 'entero', requerido: true, min: 1, max: 10 },
+    campo_formacion: { tipo: 'texto', maxLength: 60 },
+    modalidad: { tipo: 'texto', enum: ENUMERACIONES.modalidad_materia },
+    periodo: { tipo: 'texto', enum: ENUMERACIONES.periodo_materia }, // ausente: según la modalidad
+    formato: { tipo: 'texto', enum: ENUMERACIONES.formato },
+    horas_semanales: { tipo: 'numero', min: 0, max: 60 },
+    total_horas_anuales: { tipo: 'numero', min: 0, max: 2000 },
+    acreditacion: { tipo: 'texto', maxLength: 40 },
+};
+
+exports.createMateria = { body: materiaBody };
+exports.updateMateria = { params: { id }, body: materiaBody };
+exports.deleteMateria = { params: { id }, query: { preview: booleano } };
+exports.materiaId = conId;
+
+exports.listHorarios = {
+    query: { id_materia: idOpcional },
+};
+
+const horarioBody = {
+    id_materia: id,
+    dia_semana: { tipo: 'texto', requerido: true, enum: ENUMERACIONES.dia_semana },
+    hora_inicio: { tipo: 'hora', requerido: true },
+    hora_fin: { tipo: 'hora', requerido: true },
+    id_aula: idOpcional,   // null o vacío: sin aula; ausente en la edición: conserva la actual
+    id_docente: idOpcional, // ídem aula
+    forzar_superposicion: booleano,
+};
+
+exports.createHorario = { body: horarioBody };
+exports.updateHorario = { params: { id }, body: horarioBody };
+exports.horarioId = conId;
+
+// Excepciones con fecha de un horario (suspensión, reprogramación o cambio de aula)
+const excepcionHorarioBody = {
+    fecha: { tipo: 'fecha', requerido: true }, // día de la clase afectada
+    tipo: { tipo: 'texto', requerido: true, enum: ENUMERACIONES.tipo_excepcion_horario },
+    nueva_fecha: { tipo: 'fecha' },        // reprogramación: por defecto, la misma fecha
+    nueva_hora_inicio: { tipo: 'hora' },   // reprogramación: por defecto, las del horario
+    nueva_hora_fin: { tipo: 'hora' },
+    id_aula: idOpcional,                    // cambio de aula (obligatoria) o aula de la reprogramación
+    motivo: { tipo: 'texto', requerido: true, maxLength: 255 },
+    notificar: booleano,                    // avisar por email a los suscriptos de la materia
+};
+
+exports.listExcepcionesHorario = {
+    query: { id_carrera: idOpcional, desde: { tipo: 'fecha' }, hasta: { tipo: 'fecha' } },
+};
+exports.createExcepcionHorario = { params: { id }, body: excepcionHorarioBody };
+exports.updateExcepcionHorario = { params: { id }, body: excepcionHorarioBody };
+exports.deleteExcepcionHorario = { params: { id }, query: { notificar: booleano } };
+
+// Rango de la semana (sin 'dia_semana' vale para todos los días)
+const rangoSemanal = {
+    tipo: 'objeto',
+    campos: {
+        dia_semana: { tipo: 'texto', enum: ENUMERACIONES.dia_semana },
+        hora_inicio: { tipo: 'hora', requerido: true },
+        hora_fin: { tipo: 'hora', requerido: true },
+    },
+};
+
+exports.generarHorario = {
+    params: { id },
+    body: {
+        año: { tipo: 'entero', requerido: true, min: 1, max: 10 },
+        franjas: { tipo: 'lista', requerido: true, minItems: 1, items: rangoSemanal },
+        dias: { tipo: 'lista', minItems: 1, items: { tipo: 'texto', enum: ENUMERACIONES.dia_semana } },
+        bloqueados: { tipo: 'lista', items: rangoSemanal },
+        duracion_modulo: { tipo: 'entero', min: 10, max: 240 },   // minutos (por defecto, la hora de clase)
+        bloque_minimo: { tipo: 'entero', min: 1, max: 12 },       // módulos consecutivos
+        bloque_maximo: { tipo: 'entero', min: 1, max: 12 },
+        reemplazar: booleano,
+        asignar_docentes: booleano,
+    },
+};
+
+exports.borradorHorarioId = conId;
+
+const correlatividadBody = {
+    id_materia_principal: id,
+    id_materia_requisito: id,
+    tipo: { tipo: 'texto', requerido: true, enum: ENUMERACIONES.tipo_correlatividad },
+    estado_requisito: { tipo: 'texto', requerido: true, enum: ENUMERACIONES.estado_requisito },
+};
+
+exports.createCorrelatividad = { body: correlatividadBody };
+exports.updateCorrelatividad = { params: { id }, body: correlatividadBody };
+exports.correlatividadId = conId;
+
+exports.listAulas = {
+    query: {
+        recurso: { tipo: 'texto', maxLength: 50 },
+        capacidad_minima: { tipo: 'entero', min: 1 },
+    },
+};
+
+const aulaBody = {
+    nombre: { tipo: 'texto', requerido: true, maxLength: 50 },
+    edificio: { tipo: 'texto', maxLength: 100 },
+    capacidad: { tipo: 'entero', min: 1, max: 1000 },
+    recursos: { tipo: 'lista', items: { tipo: 'texto', maxLength: 50 } },
+};
+
+exports.createAula = { body: aulaBody };
+exports.updateAula = { params: { id }, body: aulaBody };
+exports.aulaId = conId;
+
+exports.getOcupacionAula = {
+    params: { id },
+    query: { dia: { tipo: 'texto', enum: ENUMERACIONES.dia_semana } },
+};
+
+exports.listDocentes = {
+    query: { buscar: { tipo: 'texto', maxLength: 100 } },
+};
+
+const docenteBody = {
+    nombre: { tipo: 'texto', requerido: true, maxLength: 100 },
+    apellido: { tipo: 'texto', requerido: true, maxLength: 100 },
+    dni: { tipo: 'texto', maxLength: 20 },
+    email: { tipo: 'email', maxLength: 150 },
+    telefono: { tipo: 'texto', maxLength: 30 },
+    mostrar_email: booleano,
+    mostrar_telefono: booleano,
+};
+
+exports.createDocente = { body: docenteBody };
+exports.updateDocente = { params: { id }, body: docenteBody };
+exports.docenteId = conId;
+
+exports.getAgendaDocente = {
+    params: { id },
+    query: { dia: { tipo: 'texto', enum: ENUMERACIONES.dia_semana } },
+};
+
+exports.asignarDocentesMateria = {
+    params: { id },
+    body: {
+        docentes: {
+            tipo: 'lista',
+            requerido: true,
+            items: {
+                tipo: 'objeto',
+                campos: {
+                    id_docente: id,
+                    cargo: { tipo: 'texto', enum: ENUMERACIONES.cargo_docente },
+                },
+            },
+        },
+    },
+};
+
+// =========================================================
+// CALENDARIO ACADÉMICO
+// =========================================================
+
+const fecha = { tipo: 'fecha', requerido: true };
+
+const cicloLectivoBody = {
+    año: { tipo: 'entero', requerido: true, min: 2000, max: 2100 },
+    fecha_inicio: fecha,
+    fecha_fin: fecha,
+    fin_primer_cuatrimestre: fecha,
+    inicio_segundo_cuatrimestre: fecha,
+    inicio_receso_invernal: { tipo: 'fecha' },
+    fin_receso_invernal: { tipo: 'fecha' },
+};
+
+exports.createCicloLectivo = { body: cicloLectivoBody };
+exports.updateCicloLectivo = { params: { id }, body: cicloLectivoBody };
+exports.cicloLectivoId = conId;
+
+const diaNoHabilBody = {
+    fecha_inicio: fecha,
+    fecha_fin: { tipo: 'fecha' }, // ausente: un solo día
+    tipo: { tipo: 'texto', enum: ENUMERACIONES.tipo_dia_no_habil },
+    descripcion: { tipo: 'texto', requerido: true, maxLength: 150 },
+};
+
+exports.createDiaNoHabil = { params: { id }, body: diaNoHabilBody };
+exports.updateDiaNoHabil = { params: { id }, body: diaNoHabilBody };
+exports.diaNoHabilId = conId;
+
+// =========================================================
+// MESAS DE EXAMEN
+// =========================================================
+
+const turnoExamenBody = {
+    nombre: { tipo: 'texto', requerido: true, maxLength: 100 },
+    fecha_inicio: fecha,
+    fecha_fin: fecha,
+    publicado: booleano, // ausente en la edición: conserva el estado actual
+};
+
+exports.getTurnoExamen = { params: { id }, query: { id_carrera: idOpcional } };
+exports.createTurnoExamen = { body: turnoExamenBody };
+exports.updateTurnoExamen = { params: { id }, body: turnoExamenBody };
+exports.turnoExamenId = conId;
+
+const mesaExamenBody = {
+    id_materia: id,
+    llamado: { tipo: 'entero', min: 1, max: 3 },
+    fecha,
+    hora_inicio: { tipo: 'hora', requerido: true },
+    hora_fin: { tipo: 'hora', requerido: true },
+    id_aula: idOpcional, // null o vacío: sin aula
+    observaciones: { tipo: 'texto', maxLength: 255 },
+    tribunal: {
+        tipo: 'lista',
+        items: {
+            tipo: 'objeto',
+            campos: {
+                id_docente: id,
+                rol: { tipo: 'texto', enum: ENUMERACIONES.rol_tribunal },
+            },
+        },
+    },
+};
+
+exports.createMesaExamen = { body: { id_turno_examen: id, ...mesaExamenBody } };
+exports.updateMesaExamen = { params: { id }, body: mesaExamenBody }; // la mesa no cambia de turno
+exports.mesaExamenId = conId;
+
+// =========================================================
+// USUARIOS, INVITACIONES, ROLES Y API KEYS
+// =========================================================
+
+exports.listUsers = {
+    query: { bloqueados: booleano },
+};
+
+exports.updateUser = {
+    params: { id },
+    body: {
+        nombre_administrador: { tipo: 'texto', maxLength: 100 },
+        email: { tipo: 'email', maxLength: 150 },
+        newContraseña: { tipo: 'texto', sinRecortar: true, maxLength: 128 },
+        dni: { tipo: 'texto', maxLength: 20 },
+        telefono: { tipo: 'texto', maxLength: 30 },
+        rol: { tipo: 'texto', maxLength: 50 },
+        estado: { tipo: 'texto', enum: ENUMERACIONES.estado_usuario },
+    },
+};
+
+exports.usuarioId = conId;
+
+exports.listInvitaciones = {
+    query: { estado: { tipo: 'texto', enum: ENUMERACIONES.estado_invitacion } },
+};
+
+exports.createInvitacion = {
+    body: {
+        email: { tipo: 'email', requerido: true, maxLength: 150 },
+        rol: { tipo: 'texto', requerido: true, maxLength: 50 },
+        carreras: { tipo: 'lista', items: id },
+    },
+};
+
+exports.invitacionId = conId;
+
+const rolBody = {
+    nombre: { tipo: 'texto', requerido: true, maxLength: 50 },
+    descripcion: { tipo: 'texto', maxLength: 255 },
+    alcance: { tipo: 'texto', requerido: true, enum: ENUMERACIONES.alcance_rol },
+    permisos: { tipo: 'lista', requerido: true, items: { tipo: 'texto', enum: ENUMERACIONES.permiso } },
+};
+
+exports.createRol = { body: rolBody };
+exports.updateRol = { params: { id }, body: rolBody };
+exports.rolId = conId;
+
+exports.createApiKey = {
+    body: {
+        nombre: { tipo: 'texto', requerido: true, maxLength: 100 },
+        scopes: { tipo: 'lista', requerido: true, minItems: 1, items: { tipo: 'texto', enum: ENUMERACIONES.scope_api_key } },
+        carreras: { tipo: 'lista', items: id },
+        dias_vigencia: { tipo: 'entero', min: 1, max: 3650 },
+    },
+};
+
+exports.apiKeyId = conId;
+
+// =========================================================
+// AUDITORÍA Y PAPELERA
+// =========================================================
+
+exports.getAuditoria = {
+    query: {
+        entidad: { tipo: 'texto', maxLength: 50 },
+        id_entidad: { tipo: 'texto', maxLength: 50 },
+        id_administrador: idOpcional,
+        accion: { tipo: 'texto', maxLength: 50 },
+        desde: { tipo: 'fecha' },
+        hasta: { tipo: 'fecha' },
+        pagina: { tipo: 'entero', min: 1 },
+        limite: { tipo: 'entero', min: 1, max: 500 },
+    },
+};
+
+exports.listPapelera = {
+    query: { tipo: { tipo: 'texto', enum: ENUMERACIONES.tipo_papelera } },
+};
+
+exports.restorePapelera = {
+    params: { tipo: { tipo: 'texto', requerido: true, enum: ENUMERACIONES.tipo_papelera }, id },
+    query: { cascada: booleano, forzar_superposicion: booleano },
+};
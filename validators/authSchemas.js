@@ -0,0 +1,99 @@
+// backend/validators/authSchemas.js
+
+// Esquemas de validación de las rutas de /api/auth (ver middleware/validateMiddleware.js)
+
+const contraseña = { tipo: 'texto', requerido: true, sinRecortar: true, maxLength: 128 };
+const token = { tipo: 'texto', requerido: true, maxLength: 512 };
+const codigo = { tipo: 'texto', maxLength: 32 };
+
+// Datos personales (mismos campos en el registro, la invitación y el perfil)
+const datosPersonales = {
+    nombre_administrador: { tipo: 'texto', requerido: true, maxLength: 100 },
+    dni: { tipo: 'texto', maxLength: 20 },
+    telefono: { tipo: 'texto', maxLength: 30 },
+};
+
+exports.register = {
+    body: {
+        ...datosPersonales,
+        email: { tipo: 'email', maxLength: 150 },
+        contraseña,
+    },
+};
+
+exports.invitacionToken = {
+    params: { token },
+};
+
+exports.acceptInvitacion = {
+    body: {
+        ...datosPersonales,
+        token,
+        contraseña,
+    },
+};
+
+exports.login = {
+    body: {
+        identificador: { tipo: 'texto', requerido: true, maxLength: 150 },
+        contraseña,
+    },
+};
+
+exports.loginSecondFactor = {
+    body: {
+        token_2fa: token,
+        codigo,
+        codigo_recuperacion: codigo,
+    },
+};
+
+exports.refresh = {
+    body: { refreshToken: token },
+};
+
+exports.forgotPassword = {
+    body: { email: { tipo: 'email', requerido: true, maxLength: 150 } },
+};
+
+exports.resetPassword = {
+    body: {
+        token,
+        newPassword: contraseña,
+    },
+};
+
+exports.enableTwoFactor = {
+    body: { codigo: { ...codigo, requerido: true } },
+};
+
+exports.disableTwoFactor = {
+    body: {
+        contraseña,
+        codigo,
+        codigo_recuperacion: codigo,
+    },
+};
+
+exports.regenerateRecoveryCodes = {
+    body: { codigo: { ...codigo, requerido: true } },
+};
+
+exports.updateMe = {
+    body: {
+        ...datosPersonales,
+        nombre_administrador: { ...datosPersonales.nombre_administrador, requerido: false },
+        email: { tipo: 'email', maxLength: 150 },
+    },
+};
+
+exports.changePassword = {
+    body: {
+        contraseñaActual: contraseña,
+        nuevaContraseña: contraseña,
+    },
+};
+
+exports.confirmEmailChange = {
+    body: { token },
+};